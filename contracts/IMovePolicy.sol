@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+pragma solidity ^0.8.13;
+
+/**
+ * @dev Interface for external policy contracts that can be attached to
+ * a permission (as part of its move constraints).  The policy is consulted
+ * for every move sent based on that permission, and can implement checks
+ * that cannot be expressed by the permissions tree itself (e.g. that moves
+ * are only allowed during some tournament, or only if the operator holds
+ * some NFT).
+ *
+ * The policy is called with a limited amount of gas and cannot modify
+ * state.  It accepts a move by returning IMovePolicy.checkMove.selector,
+ * and should reject moves by reverting with a reason, which is then
+ * included in the error of the delegation contract.
+ */
+interface IMovePolicy
+{
+
+  /**
+   * @dev Checks whether a move is allowed.  The move is the sub-object
+   * sent by the operator at the given path (i.e. not including the path
+   * itself) for the name with the given token ID and current owner.
+   * amount and receiver are the WCHI payment attached to the move.
+   * Returns IMovePolicy.checkMove.selector if the move is allowed,
+   * and reverts otherwise.
+   */
+  function checkMove (uint256 tokenId, address owner, address operator,
+                      string[] calldata path, string calldata move,
+                      uint256 amount, address receiver)
+      external view returns (bytes4);
+
+}
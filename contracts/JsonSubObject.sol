@@ -9,28 +9,58 @@ pragma solidity ^0.8.13;
  * path (e.g. user-supplied move for a particular game ID in Xaya).
  * This includes validation required to ensure that users cannot
  * "inject" fake JSON strings to manipulate and break out of the
- * specified path.
+ * specified path.  Despite the name, the sub object can be any JSON
+ * value (object, array, string, number or literal), and the keys of
+ * the path can be arbitrary strings (which are escaped as needed).
+ *
+ * The methods building the full moves are public, so that the library is
+ * deployed on its own and linked into XayaDelegation (which keeps its code
+ * size down).  atPath and atPaths are internal wrappers around them.
  */
 library JsonSubObject
 {
 
+  /** @dev Hex digits used for \u escapes in keys.  */
+  bytes16 private constant HEX_DIGITS = "0123456789abcdef";
+
   /**
-   * @dev Checks if a string is a "safe" JSON object serialisation.  This means
-   * that the string is either a valid and complete JSON object, or that it
+   * @dev Checks if a string is a "safe" JSON value serialisation.  This means
+   * that the string is either a valid and complete JSON value, or that it
    * will certainly produce invalid JSON if concatenated with other JSON
    * strings and placed at the position for some JSON value.
    * For simplicity, this method does not accept leading or trailing
-   * whitespace around the outer-most {} of the object.
+   * whitespace around the value.
    *
    * This method is at the heart of the safe sub-object construction.
    * It ensures that the user-provided string cannot lead to an "injection"
    * of JSON syntax that breaks out of the intended path it is placed at,
-   * either because it is a valid and proper JSON object, or because it will
+   * either because it is a valid and proper JSON value, or because it will
    * at least produce invalid JSON in the end which leads to invalid moves.
    * By allowing the latter, we can simplify the processing necessary in
    * Solidity to a minimum.
    */
   function isSafe (string memory str) private pure returns (bool)
+  {
+    bytes memory data = bytes (str);
+    if (data.length < 1)
+      return false;
+
+    if (data[0] == '{')
+      return isSafeNested (data, '{', '}');
+    if (data[0] == '[')
+      return isSafeNested (data, '[', ']');
+    if (data[0] == '"')
+      return isSafeString (data);
+    return isSafeToken (data);
+  }
+
+  /**
+   * @dev Checks if a value starting with the given opening bracket (i.e.
+   * an object or array) is safe.  The first character of data must be
+   * the opening bracket already.
+   */
+  function isSafeNested (bytes memory data, bytes1 open, bytes1 close)
+      private pure returns (bool)
   {
     /* Essentially, what this method needs to detect and reject are
        strings like:
@@ -51,7 +81,8 @@ library JsonSubObject
        begin with { and end with }, and while processing the string, there
        should always be at least one level of {} brackets open.  Other brackets
        (i.e. []) are not relevant, because if they are mismatched, it will
-       ensure the final JSON value is certainly invalid.
+       ensure the final JSON value is certainly invalid.  The same holds
+       for arrays with the roles of {} and [] swapped.
 
        In addition to that, we need to track string literals well enough to
        ignore any brackets inside of them.  For this, we need to keep track
@@ -64,12 +95,6 @@ library JsonSubObject
        control syntax in JSON (which is ASCII).  Any invalid UTF-8 will just
        result in invalid UTF-8 (and thus, and invalid value) in the end.  */
 
-    bytes memory data = bytes (str);
-
-    /* The very first character should be the opening {.  */
-    if (data.length < 1 || data[0] != '{')
-      return false;
-
     int depth = 1;
     bool openString = false;
     bool afterBackslash = false;
@@ -108,15 +133,15 @@ library JsonSubObject
 
         if (data[i] == '"')
           openString = true;
-        else if (data[i] == '{')
+        else if (data[i] == open)
           ++depth;
-        else if (data[i] == '}')
+        else if (data[i] == close)
           {
             --depth;
             assert (depth >= 0);
             /* We should always have a depth larger than zero, except for
-               the very last character which will be the final closing } that
-               leads to depth zero.  */
+               the very last character which will be the final closing bracket
+               that leads to depth zero.  */
             if (depth == 0 && i + 1 != data.length)
               return false;
           }
@@ -127,54 +152,232 @@ library JsonSubObject
   }
 
   /**
-   * @dev Checks if a string is safe as "string literal".  This means that
-   * if quotes are added around it but nothing else is done, it is sure to
-   * be a valid string literal.
+   * @dev Checks if a value starting with " (i.e. a string literal) is safe.
+   * This is the case if the literal is closed exactly at the last character.
+   * Invalid escapes or control characters inside make the final JSON
+   * invalid, so we need not care about them.
+   */
+  function isSafeString (bytes memory data) private pure returns (bool)
+  {
+    bool afterBackslash = false;
+    for (uint i = 1; i < data.length; ++i)
+      {
+        if (afterBackslash)
+          afterBackslash = false;
+        else if (data[i] == '\\')
+          afterBackslash = true;
+        else if (data[i] == '"')
+          return i + 1 == data.length;
+      }
+
+    return false;
+  }
+
+  /**
+   * @dev Checks if a value that is neither object, array nor string is safe.
+   * We only allow characters that can appear in numbers and the literals
+   * true, false and null.  Since none of them is part of the JSON syntax
+   * otherwise, the value is a single token, which is either a valid
+   * number or literal, or makes the final JSON invalid.
    */
-  function isSafeKey (string memory str) private pure returns (bool)
+  function isSafeToken (bytes memory data) private pure returns (bool)
   {
-    /* This method is used to check that the keys in a path are safe,
-       in a quick and simple way.  We simply check that the string does
-       not contain any \ or " characters, which is enough to guarantee
-       that enclosing in quotes will safely yield a valid string literal.
+    for (uint i = 0; i < data.length; ++i)
+      {
+        bytes1 c = data[i];
+        if ((c >= '0' && c <= '9') || (c >= 'a' && c <= 'z')
+              || (c >= 'A' && c <= 'Z') || c == '+' || c == '-' || c == '.')
+          continue;
+        return false;
+      }
 
-       This prevents some strings from ever being possible to create,
-       but since those are meant for object keys anyway, the main use will
-       be stuff like all-lower-case ASCII names.  */
+    return true;
+  }
 
+  /**
+   * @dev Escapes a string so that it can be placed in quotes to form
+   * a JSON string literal with exactly the string as value.  " and \ are
+   * escaped with a backslash and control characters as \u00XX.  All other
+   * bytes (including UTF-8 multi-byte sequences) are kept as they are;
+   * if the string is invalid UTF-8, the final JSON will be invalid.
+   */
+  function escapeKey (string memory str) private pure returns (string memory)
+  {
     bytes memory data = bytes (str);
 
+    /* Most keys will not need any escaping, so we check for that first
+       and return them as they are.  */
+    uint extra = 0;
     for (uint i = 0; i < data.length; ++i)
       if (data[i] == '"' || data[i] == '\\')
-        return false;
+        extra += 1;
+      else if (uint8 (data[i]) < 0x20)
+        extra += 5;
+    if (extra == 0)
+      return str;
 
-    return true;
+    bytes memory res = new bytes (data.length + extra);
+    uint pos = 0;
+    for (uint i = 0; i < data.length; ++i)
+      {
+        bytes1 c = data[i];
+        if (c == '"' || c == '\\')
+          {
+            res[pos++] = '\\';
+            res[pos++] = c;
+          }
+        else if (uint8 (c) < 0x20)
+          {
+            res[pos++] = '\\';
+            res[pos++] = 'u';
+            res[pos++] = '0';
+            res[pos++] = '0';
+            res[pos++] = HEX_DIGITS[uint8 (c) >> 4];
+            res[pos++] = HEX_DIGITS[uint8 (c) & 0x0f];
+          }
+        else
+          res[pos++] = c;
+      }
+
+    return string (res);
   }
 
   /**
    * @dev Builds up a string representing a JSON object where the user-supplied
    * sub-object is present at the given "path" within the full object.
-   * Elements of "path" are supposed to be simple field names that don't
-   * need escaping inside a JSON string literal.
+   * Elements of "path" are arbitrary strings, which are escaped as needed
+   * for the keys in the JSON object.
    *
-   * If the user-supplied string is indeed a valid JSON object, then this
+   * If the user-supplied string is indeed a valid JSON value, then this
    * method returns valid JSON as well (for the full object).  If the
-   * subobject string is not a valid JSON object, then this method may
+   * subobject string is not a valid JSON value, then this method may
    * either revert or return a string that is invalid JSON (but it is guaranteed
    * to not return successfully a string that is valid).
    */
   function atPath (string[] memory path, string memory subObject)
-      internal pure returns (string memory res)
+      internal pure returns (string memory)
+  {
+    (bool ok, string memory res) = tryAtPath (path, subObject);
+    require (ok, res);
+    return res;
+  }
+
+  /**
+   * @dev Builds up the full object like atPath, but instead of reverting
+   * for unsafe inputs, returns false together with the revert reason
+   * that atPath would use.
+   */
+  function tryAtPath (string[] memory path, string memory subObject)
+      public pure returns (bool, string memory)
   {
-    require (isSafe (subObject), "possible JSON injection attempt");
+    if (!isSafe (subObject))
+      return (false, "possible JSON injection attempt");
 
-    res = subObject;
+    string memory res = subObject;
     for (int i = int (path.length) - 1; i >= 0; --i)
+      res = string (abi.encodePacked ("{\"", escapeKey (path[uint (i)]),
+                                      "\":", res, "}"));
+
+    return (true, res);
+  }
+
+  /**
+   * @dev Builds up a JSON object where several user-supplied sub-objects
+   * are placed at their respective paths, like atPath does for a single one.
+   * Shared prefixes of the paths are merged into a single object, e.g. the
+   * paths g/a and g/b yield {"g":{"a":...,"b":...}}, with the keys in
+   * order of their first occurrence.  No path may be equal to or a prefix
+   * of another, since their sub-objects would overlap then.
+   *
+   * The guarantees for invalid sub-objects are the same as for atPath.
+   * For a single sub-object, the result is exactly that of atPath.
+   */
+  function atPaths (string[][] memory paths, string[] memory subObjects)
+      internal pure returns (string memory)
+  {
+    (bool ok, string memory res) = tryAtPaths (paths, subObjects);
+    require (ok, res);
+    return res;
+  }
+
+  /**
+   * @dev Builds up the full object like atPaths, but instead of reverting
+   * for invalid inputs, returns false together with the revert reason
+   * that atPaths would use.
+   */
+  function tryAtPaths (string[][] memory paths, string[] memory subObjects)
+      public pure returns (bool, string memory)
+  {
+    if (paths.length == 0 || paths.length != subObjects.length)
+      return (false, "invalid number of sub-objects");
+    if (paths.length == 1)
+      return tryAtPath (paths[0], subObjects[0]);
+
+    for (uint i = 0; i < subObjects.length; ++i)
+      if (!isSafe (subObjects[i]))
+        return (false, "possible JSON injection attempt");
+
+    uint[] memory parts = new uint[] (paths.length);
+    for (uint i = 0; i < parts.length; ++i)
+      parts[i] = i;
+
+    return mergeAt (paths, subObjects, parts, 0);
+  }
+
+  /**
+   * @dev Builds the merged object for the given parts (indices into paths
+   * and subObjects), whose paths all share the same prefix up to the given
+   * depth.  The sub-objects must have been checked already with isSafe.
+   */
+  function mergeAt (string[][] memory paths, string[] memory subObjects,
+                    uint[] memory parts, uint depth)
+      private pure returns (bool, string memory)
+  {
+    if (parts.length == 1 && paths[parts[0]].length == depth)
+      return (true, subObjects[parts[0]]);
+
+    /* If there are multiple parts, none of them may end here (as they
+       would then overlap with the others).  */
+    for (uint i = 0; i < parts.length; ++i)
+      if (paths[parts[i]].length == depth)
+        return (false, "overlapping paths");
+
+    bytes memory res = "{";
+    bool[] memory done = new bool[] (parts.length);
+    for (uint i = 0; i < parts.length; ++i)
       {
-        string memory key = path[uint (i)];
-        require (isSafeKey (key), "invalid path key");
-        res = string (abi.encodePacked ("{\"", key, "\":", res, "}"));
+        if (done[i])
+          continue;
+
+        string memory key = paths[parts[i]][depth];
+
+        /* Collect all remaining parts with the same key at this level,
+           which are merged into the object for the key.  */
+        bytes32 keyHash = keccak256 (bytes (key));
+        uint count = 0;
+        for (uint j = i; j < parts.length; ++j)
+          if (keccak256 (bytes (paths[parts[j]][depth])) == keyHash)
+            {
+              done[j] = true;
+              ++count;
+            }
+
+        uint[] memory group = new uint[] (count);
+        count = 0;
+        for (uint j = i; j < parts.length; ++j)
+          if (keccak256 (bytes (paths[parts[j]][depth])) == keyHash)
+            group[count++] = parts[j];
+
+        (bool ok, string memory child)
+            = mergeAt (paths, subObjects, group, depth + 1);
+        if (!ok)
+          return (false, child);
+
+        res = abi.encodePacked (res, i == 0 ? "" : ",",
+                                "\"", escapeKey (key), "\":", child);
       }
+
+    return (true, string (abi.encodePacked (res, "}")));
   }
 
 }
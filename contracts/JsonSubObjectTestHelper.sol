@@ -18,4 +18,10 @@ contract JsonSubObjectTestHelper
     return JsonSubObject.atPath (path, subObject);
   }
 
+  function atPaths (string[][] memory paths, string[] memory subObjects)
+      public pure returns (string memory)
+  {
+    return JsonSubObject.atPaths (paths, subObjects);
+  }
+
 }
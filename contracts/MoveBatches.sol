@@ -0,0 +1,235 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+pragma solidity ^0.8.13;
+
+import "./JsonSubObject.sol";
+import "./MovePermissions.sol";
+import "./PermissionTrees.sol";
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@xaya/eth-account-registry/contracts/IXayaAccounts.sol";
+
+/**
+ * @dev The logic for sending batches of moves with
+ * XayaDelegation.sendHierarchicalMoves.  It is executed in the context
+ * of the delegation contract (so that moves and WCHI transfers are done
+ * by it), and otherwise works as documented there.
+ *
+ * Like PermissionTrees, this is a library with public methods, so that
+ * it is deployed on its own and linked into XayaDelegation.  This keeps
+ * the code size of the main delegation contract below the limit.
+ */
+library MoveBatches
+{
+
+  /**
+   * @dev A single move to be sent as part of a batch.  The fields
+   * correspond to the arguments of sendHierarchicalMove.
+   */
+  struct BatchedMove
+  {
+    string ns;
+    string name;
+    string[] path;
+    string mv;
+    uint256 nonce;
+    uint256 amount;
+    address receiver;
+  }
+
+  /**
+   * @dev The context of the delegation contract needed to send a batch.
+   * policy is the accounts contract's current policy, and sender is the
+   * _msgSender of the call.
+   */
+  struct BatchContext
+  {
+    IXayaAccounts accounts;
+    IXayaPolicy policy;
+    IERC20 wchi;
+    address sender;
+  }
+
+  /* The event emitted by the library.  It is the same as the one declared
+     (and documented) in XayaDelegation.  */
+  event BatchedMoveFailed (uint256 index, string reason);
+
+  /* ************************************************************************ */
+
+  /**
+   * @dev Records the move for the quotas of the sender's permission
+   * on the given name, if the sender is not the owner.  Returns an error
+   * message (or the empty string) and the storage slot of the permission
+   * (or zero if the sender owns the name).
+   */
+  function useEntry (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage ownerTrees,
+      uint256 tokenId, address owner, address sender,
+      BatchedMove calldata m, uint256 cost)
+      private returns (string memory, uint256)
+  {
+    if (owner == sender)
+      return ("", 0);
+
+    MovePermissions.MoveDetails memory details
+        = MovePermissions.MoveDetails (m.mv, m.nonce,
+                                       m.amount, m.receiver, cost);
+    return PermissionTrees.useMoveEntry (trees, ownerTrees, tokenId, owner,
+                                         m.ns, m.path, sender, details,
+                                         new uint256[] (0));
+  }
+
+  /**
+   * @dev Checks a move of a batch and computes the full move and its cost.
+   * Returns an error message (and otherwise the empty string) if the move
+   * would fail.  If the move is allowed, it is recorded for the quotas
+   * of the sender's permission already, and the storage slot of that
+   * permission is returned for releasing the usage in case the move fails
+   * later when sent.
+   */
+  function prepare (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage ownerTrees,
+      BatchContext memory ctx, BatchedMove calldata m)
+      private returns (string memory fullMove, uint256 cost,
+                       uint256 slot, string memory error)
+  {
+    {
+      bool ok;
+      (ok, fullMove) = JsonSubObject.tryAtPath (m.path, m.mv);
+      if (!ok)
+        return ("", 0, 0, fullMove);
+    }
+
+    try ctx.policy.checkMove (m.ns, fullMove) returns (uint256 fee)
+      {
+        cost = fee + m.amount;
+      }
+    catch
+      {
+        return ("", 0, 0, "the move is rejected by the policy");
+      }
+
+    uint256 tokenId = ctx.accounts.tokenIdForName (m.ns, m.name);
+    try ctx.accounts.ownerOf (tokenId) returns (address owner)
+      {
+        (error, slot) = useEntry (trees, ownerTrees, tokenId, owner,
+                                  ctx.sender, m, cost);
+        if (bytes (error).length > 0)
+          return ("", 0, 0, error);
+      }
+    catch
+      {
+        return ("", 0, 0, "the name does not exist");
+      }
+  }
+
+  /**
+   * @dev Handles a failed move in a batch, which either reverts the
+   * whole batch (if atomic) or emits BatchedMoveFailed.
+   */
+  function failed (uint256 index, string memory reason, bool atomic)
+      private
+  {
+    require (!atomic, reason);
+    emit BatchedMoveFailed (index, reason);
+  }
+
+  /**
+   * @dev Undoes the quota usage recorded for a move of the batch with
+   * the given cost.  slot is the one returned by prepare.
+   */
+  function release (uint256 slot, uint256 cost)
+      private
+  {
+    if (slot == 0)
+      return;
+
+    MovePermissions.AddressPermissions storage entry;
+    assembly
+      {
+        entry.slot := slot
+      }
+    MovePermissions.releaseMove (entry, cost);
+  }
+
+  /**
+   * @dev Sends a batch of moves, with WCHI paid for by the sender.
+   * Returns which moves succeeded, and the nonces used for them.
+   */
+  function send (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage ownerTrees,
+      BatchContext memory ctx, BatchedMove[] calldata moves, bool atomic)
+      public returns (bool[] memory success, uint256[] memory nonces)
+  {
+    success = new bool[] (moves.length);
+    nonces = new uint256[] (moves.length);
+    string[] memory fullMoves = new string[] (moves.length);
+    uint256[] memory costs = new uint256[] (moves.length);
+    uint256[] memory slots = new uint256[] (moves.length);
+
+    uint256 total = 0;
+    for (uint i = 0; i < moves.length; ++i)
+      {
+        string memory error;
+        (fullMoves[i], costs[i], slots[i], error)
+            = prepare (trees, ownerTrees, ctx, moves[i]);
+        if (bytes (error).length > 0)
+          failed (i, error, atomic);
+        else
+          {
+            success[i] = true;
+            total += costs[i];
+          }
+      }
+
+    if (total > 0)
+      require (ctx.wchi.transferFrom (ctx.sender, address (this), total),
+               "failed to obtain WCHI from payer");
+
+    uint256 refund = 0;
+    for (uint i = 0; i < moves.length; ++i)
+      {
+        if (!success[i])
+          continue;
+
+        BatchedMove calldata m = moves[i];
+        string memory reason;
+        try ctx.accounts.move (m.ns, m.name, fullMoves[i], m.nonce,
+                               m.amount, m.receiver) returns (uint256 nonce)
+          {
+            nonces[i] = nonce;
+            continue;
+          }
+        catch Error (string memory r)
+          {
+            reason = r;
+          }
+        catch
+          {
+            reason = "the move failed";
+          }
+
+        failed (i, reason, atomic);
+        success[i] = false;
+        refund += costs[i];
+        release (slots[i], costs[i]);
+      }
+
+    if (refund > 0)
+      require (ctx.wchi.transfer (ctx.sender, refund),
+               "failed to refund WCHI");
+  }
+
+  /* ************************************************************************ */
+
+}
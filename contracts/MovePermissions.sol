@@ -3,6 +3,8 @@
 
 pragma solidity ^0.8.13;
 
+import "./IMovePolicy.sol";
+
 /**
  * @dev Solidity library that implements the core permissions logic for moves.
  * Those permissions form hierarchical trees (with one tree for a particular
@@ -20,17 +22,166 @@ pragma solidity ^0.8.13;
  *  - child nodes that further refine permissions for JSON fields
  *    below the current level
  *
+ * A child node with the special key "*" (WILDCARD_KEY) is a wildcard, which
+ * applies to any JSON field at its level that has no explicit child node
+ * of its own.  Explicit children take precedence over the wildcard, and
+ * the wildcard takes precedence over fallback permissions (which thus only
+ * apply to fields that have neither an explicit nor a wildcard child).
+ * For instance, access to g/* with an explicit g/tn node gives access
+ * to all games except Taurion.
+ *
+ * Each permission also has a type, which determines whether it grants
+ * the right to send moves, to manage (grant, revoke and reset) permissions
+ * in the subtree, or both (which is the default).
+ *
  * This library implements the core logic for operating on these permission
  * trees, without actually triggering delegated moves nor even storing the
  * actual root trees themselves and tying them to accounts.  It just exposes
- * internal methods for querying and updating the permission trees passed in
+ * methods for querying and updating the permission trees passed in
  * as storage pointers.
+ *
+ * The main methods are public, so that the library is deployed on its own
+ * and linked into contracts using it (which keeps their code size down).
  */
 library MovePermissions
 {
 
+  /** @dev The key of wildcard child nodes.  */
+  string internal constant WILDCARD_KEY = "*";
+
+  /** @dev The gas available to move policies (see IMovePolicy).  */
+  uint256 internal constant POLICY_GAS = 100_000;
+
   /* ************************************************************************ */
 
+  /** @dev What rights a permission grants to the operator.  */
+  enum PermissionType
+  {
+    /** @dev The operator can send moves and manage permissions.  */
+    Full,
+
+    /**
+     * @dev The operator can only send moves, but not re-delegate
+     * (or revoke) permissions.
+     */
+    MoveOnly,
+
+    /**
+     * @dev The operator can only manage permissions in the subtree,
+     * but not send moves itself.
+     */
+    AdminOnly
+  }
+
+  /** @dev Restrictions on the nonce a constrained operator can use.  */
+  enum NoncePolicy
+  {
+    /** @dev Any nonce (explicit or automatic) is allowed.  */
+    Any,
+
+    /** @dev Only the automatic nonce (uint256.max) is allowed.  */
+    AutoOnly,
+
+    /** @dev Only explicit nonces are allowed.  */
+    ExplicitOnly
+  }
+
+  /**
+   * @dev Optional constraints on the moves that an operator can send
+   * based on a particular permission, in addition to the JSON path.
+   */
+  struct MoveConstraints
+  {
+
+    /** @dev Whether the constraints apply at all.  */
+    bool active;
+
+    /** @dev The maximum WCHI amount that can be attached to a move.  */
+    uint256 maxAmount;
+
+    /**
+     * @dev If non-empty, the only addresses that may receive a
+     * non-zero WCHI payment.
+     */
+    address[] receivers;
+
+    /** @dev Which nonces are allowed.  */
+    NoncePolicy noncePolicy;
+
+    /**
+     * @dev The maximum length in bytes of the move (i.e. the sub-object
+     * at the path), or zero if the length is not limited.
+     */
+    uint256 maxMoveLength;
+
+    /**
+     * @dev The maximum number of moves that can be sent per window
+     * (uint256.max if unlimited).
+     */
+    uint256 maxMoves;
+
+    /**
+     * @dev The length of the window for maxMoves in seconds.  If zero,
+     * maxMoves applies to the total number of moves instead.
+     */
+    uint256 window;
+
+    /**
+     * @dev The maximum WCHI (fees plus payments) that can be spent in total
+     * (uint256.max if unlimited).
+     */
+    uint256 maxWchi;
+
+    /**
+     * @dev If not zero, an IMovePolicy contract that has to accept
+     * each move in addition to the other constraints.
+     */
+    address policy;
+
+  }
+
+  /**
+   * @dev What an operator has used of the quotas (maxMoves and maxWchi)
+   * of its constrained permission.
+   */
+  struct QuotaUsage
+  {
+
+    /** @dev The timestamp at which the current window started.  */
+    uint256 windowStart;
+
+    /** @dev The number of moves sent in the current window.  */
+    uint256 moves;
+
+    /** @dev The total WCHI spent.  */
+    uint256 wchiSpent;
+
+  }
+
+  /**
+   * @dev The properties of a move that are relevant for checking it
+   * against constraints and quotas.
+   */
+  struct MoveDetails
+  {
+
+    /** @dev The move (sub-object at the path).  */
+    string move;
+
+    /** @dev The nonce passed for the move.  */
+    uint256 nonce;
+
+    /** @dev The WCHI payment attached to the move.  */
+    uint256 amount;
+
+    /** @dev The receiver of the WCHI payment.  */
+    address receiver;
+
+    /** @dev The total WCHI cost (fee plus payment amount).  */
+    uint256 cost;
+
+  }
+
   /**
    * @dev Helper struct which represents the data stored for an address
    * with (fallback) permissions.
@@ -57,6 +208,15 @@ library MovePermissions
      */
     uint indexAndOne;
 
+    /** @dev The rights granted by this permission.  */
+    PermissionType permissionType;
+
+    /** @dev Constraints on the moves that can be sent.  */
+    MoveConstraints constraints;
+
+    /** @dev The usage of quotas defined in the constraints.  */
+    QuotaUsage usage;
+
   }
 
   /**
@@ -106,6 +266,13 @@ library MovePermissions
     /** @dev All keys for which child nodes are defined.  */
     string[] keys;
 
+    /**
+     * @dev For the root node of a tree, the size of the entire tree, i.e.
+     * the number of (non-root) nodes plus the number of address entries in
+     * all of them.  This is unused for other nodes.
+     */
+    uint size;
+
   }
 
   /* ************************************************************************ */
@@ -118,7 +285,37 @@ library MovePermissions
    */
   function check (PermissionsNode storage root, string[] memory path,
                   address operator, uint256 atTime)
-      internal view returns (bool)
+      public view returns (bool res)
+  {
+    (res, ) = find (root, path, operator, atTime, false);
+  }
+
+  /**
+   * @dev Returns true if the given entry grants the right to manage
+   * permissions (if manage is set) or to send moves (otherwise), ignoring
+   * its expiration.  Permissions with move constraints never allow managing,
+   * since the operator could otherwise grant itself unconstrained access.
+   */
+  function grantsRight (AddressPermissions storage entry, bool manage)
+      private view returns (bool)
+  {
+    if (manage)
+      return entry.permissionType != PermissionType.MoveOnly
+          && !entry.constraints.active;
+    return entry.permissionType != PermissionType.AdminOnly;
+  }
+
+  /**
+   * @dev Finds the entry based on which the given address has permissions
+   * as per check, either to send moves or to manage permissions (based on
+   * the manage flag).  Entries that do not grant the requested right
+   * are ignored, as if they did not exist.  Returns false if there is
+   * no matching entry, and otherwise true and a storage pointer to the
+   * entry (e.g. for inspecting the move constraints attached to it).
+   */
+  function find (PermissionsNode storage root, string[] memory path,
+                 address operator, uint256 atTime, bool manage)
+      public view returns (bool found, AddressPermissions storage entry)
   {
     /* For simplicity, we check "expiration >= atTime" later on against
        the permissions entries.  If an entry does not exist at all, expiration
@@ -130,23 +327,27 @@ library MovePermissions
 
     PermissionsNode storage node = root;
     uint nextPath = 0;
+    entry = node.fullAccess.forAddress[operator];
 
     while (true)
       {
         /* If there is an explicit and non-expired full-access entry
            at the current level, we're good.  */
-        if (node.fullAccess.forAddress[operator].expiration >= atTime)
-          return true;
+        entry = node.fullAccess.forAddress[operator];
+        if (entry.expiration >= atTime && grantsRight (entry, manage))
+          return (true, entry);
 
         /* We can't grant access directly at the current level.  So if the
            request is not for a deeper level, we reject it.  */
         assert (nextPath <= path.length);
         if (nextPath == path.length)
-          return false;
+          return (false, entry);
 
-        /* See if there is an explicit node for the next path level.
-           If there is, we continue with it.  */
+        /* See if there is an explicit node for the next path level,
+           or otherwise a wildcard node.  If there is, we continue with it.  */
         PermissionsNode storage child = node.children[path[nextPath]];
+        if (child.indexAndOne == 0)
+          child = node.children[WILDCARD_KEY];
         if (child.indexAndOne > 0)
           {
             node = child;
@@ -155,13 +356,178 @@ library MovePermissions
           }
 
         /* Finally, we apply access based on the fallback map.  */
-        return node.fallbackAccess.forAddress[operator].expiration >= atTime;
+        entry = node.fallbackAccess.forAddress[operator];
+        return (entry.expiration >= atTime && grantsRight (entry, manage),
+                entry);
       }
 
-    /* We can never reach here, but this silences the compiler warning
-       about a missing return.  */
+    /* We can never reach here.  */
     assert (false);
-    return false;
+    found = false;
+  }
+
+  /**
+   * @dev Checks if a move satisfies the static constraints (i.e. not
+   * the quotas).  Returns the empty string if it does, and an error message
+   * otherwise.
+   */
+  function checkConstraints (MoveConstraints storage c, MoveDetails memory m)
+      private view returns (string memory)
+  {
+    if (c.maxMoveLength > 0 && bytes (m.move).length > c.maxMoveLength)
+      return "the move is too long";
+
+    if (m.amount > c.maxAmount)
+      return "the payment amount is too high";
+    if (m.amount > 0 && c.receivers.length > 0)
+      {
+        bool found = false;
+        for (uint i = 0; i < c.receivers.length && !found; ++i)
+          found = (c.receivers[i] == m.receiver);
+        if (!found)
+          return "the payment receiver is not allowed";
+      }
+
+    if (c.noncePolicy == NoncePolicy.AutoOnly
+          && m.nonce != type (uint256).max)
+      return "explicit nonces are not allowed";
+    if (c.noncePolicy == NoncePolicy.ExplicitOnly
+          && m.nonce == type (uint256).max)
+      return "an explicit nonce is required";
+
+    return "";
+  }
+
+  /**
+   * @dev Extracts the revert reason from the return data of a failed call,
+   * if it contains a well-formed Error(string).  Returns the empty string
+   * otherwise.  In contrast to abi.decode, this never reverts on
+   * malformed data (e.g. from a misbehaving policy).
+   */
+  function revertReason (bytes memory ret)
+      private pure returns (string memory)
+  {
+    if (ret.length < 68 || bytes4 (ret) != bytes4 (0x08c379a0))
+      return "";
+
+    /* After the four-byte selector, we expect the offset of the string
+       (which must be right after it) and then its length.  */
+    uint256 offset;
+    uint256 len;
+    assembly
+      {
+        offset := mload (add (ret, 36))
+        len := mload (add (ret, 68))
+      }
+    if (offset != 32 || len > ret.length - 68)
+      return "";
+
+    bytes memory reason = new bytes (len);
+    for (uint i = 0; i < len; ++i)
+      reason[i] = ret[68 + i];
+    return string (reason);
+  }
+
+  /**
+   * @dev Consults a move policy (see IMovePolicy) about a move.  The policy
+   * is called with at most POLICY_GAS and cannot modify state.  Anything
+   * but returning the checkMove selector (including running out of gas
+   * or returning invalid data) rejects the move.  Returns the empty string
+   * if the move is accepted, and an error message otherwise.
+   */
+  function checkPolicy (address policy, uint256 tokenId, address owner,
+                        address operator, string[] memory path,
+                        MoveDetails memory m)
+      private view returns (string memory)
+  {
+    if (policy.code.length == 0)
+      return "the move policy is not a contract";
+
+    (bool ok, bytes memory ret) = policy.staticcall {gas: POLICY_GAS} (
+        abi.encodeWithSelector (IMovePolicy.checkMove.selector,
+                                tokenId, owner, operator, path, m.move,
+                                m.amount, m.receiver));
+
+    if (!ok)
+      {
+        string memory reason = revertReason (ret);
+        if (bytes (reason).length == 0)
+          return "the move policy failed";
+        return string (abi.encodePacked (
+            "the move policy rejected the move: ", reason));
+      }
+
+    if (ret.length != 32 || bytes4 (ret) != IMovePolicy.checkMove.selector)
+      return "the move policy returned an invalid result";
+
+    return "";
+  }
+
+  /**
+   * @dev Authorises a move based on the given permission entry (as returned
+   * by find), checking its constraints, policy and quotas.  The token ID,
+   * owner, operator and path are those of the move, which are passed
+   * on to the policy.  If the move is allowed, it is recorded in the
+   * quota usage and the empty string is returned.  Otherwise, an error
+   * message is returned and nothing is changed.  If charge is false,
+   * only the constraints and policy are checked, but the quotas are
+   * neither checked nor used (for a move that has already been
+   * recorded with the same entry, e.g. for another of its paths).
+   */
+  function authoriseMove (AddressPermissions storage entry,
+                          uint256 tokenId, address owner, address operator,
+                          string[] memory path, MoveDetails memory m,
+                          uint256 atTime, bool charge)
+      public returns (string memory error)
+  {
+    MoveConstraints storage c = entry.constraints;
+    if (!c.active)
+      return "";
+
+    error = checkConstraints (c, m);
+    if (bytes (error).length > 0)
+      return error;
+
+    if (c.policy != address (0))
+      {
+        error = checkPolicy (c.policy, tokenId, owner, operator, path, m);
+        if (bytes (error).length > 0)
+          return error;
+      }
+
+    if (!charge)
+      return "";
+
+    QuotaUsage storage usage = entry.usage;
+    if (c.window > 0 && atTime - usage.windowStart >= c.window)
+      {
+        usage.windowStart = atTime;
+        usage.moves = 0;
+      }
+
+    if (usage.moves >= c.maxMoves)
+      return "the move quota is exhausted";
+    /* We always have wchiSpent <= maxWchi.  */
+    if (m.cost > c.maxWchi - usage.wchiSpent)
+      return "the WCHI quota is exhausted";
+
+    ++usage.moves;
+    usage.wchiSpent += m.cost;
+    return "";
+  }
+
+  /**
+   * @dev Undoes the quota usage recorded by authoriseMove for a move
+   * with the given cost, e.g. because sending it failed in the end.
+   */
+  function releaseMove (AddressPermissions storage entry, uint256 cost)
+      public
+  {
+    if (!entry.constraints.active)
+      return;
+
+    --entry.usage.moves;
+    entry.usage.wchiSpent -= cost;
   }
 
   /* ************************************************************************ */
@@ -194,6 +560,7 @@ library MovePermissions
           {
             node.keys.push (path[i]);
             child.indexAndOne = node.keys.length;
+            ++root.size;
           }
 
         node = child;
@@ -221,10 +588,11 @@ library MovePermissions
    * update the necessary book-keeping fields (i.e. keys) in case this
    * actually inserts a new element.  Note that this is meant for granting
    * permissions, and as such the new timestamp must be non-zero and also
-   * not earlier than any existing timestamp.
+   * not earlier than any existing timestamp.  Returns true if a new entry
+   * has been inserted.
    */
   function setExpiration (PermissionsMap storage map, address key,
-                          uint256 expiration) private
+                          uint256 expiration) private returns (bool)
   {
     require (expiration > 0, "cannot grant permissions with zero expiration");
 
@@ -233,11 +601,12 @@ library MovePermissions
              "existing permission has longer validity than new grant");
     entry.expiration = expiration;
 
-    if (entry.indexAndOne == 0)
-      {
-        map.keys.push (key);
-        entry.indexAndOne = map.keys.length;
-      }
+    if (entry.indexAndOne != 0)
+      return false;
+
+    map.keys.push (key);
+    entry.indexAndOne = map.keys.length;
+    return true;
   }
 
   /**
@@ -251,23 +620,48 @@ library MovePermissions
   function grant (PermissionsNode storage root, string[] memory path,
                   address operator, uint256 expiration, bool fallbackOnly)
       internal
+  {
+    MoveConstraints memory none;
+    grant (root, path, operator, expiration, fallbackOnly,
+           PermissionType.Full, none);
+  }
+
+  /**
+   * @dev Grants permissions as the other grant method, but with the
+   * given type and move constraints attached.  They replace the type and
+   * constraints of an existing entry, and its quota usage is reset.
+   */
+  function grant (PermissionsNode storage root, string[] memory path,
+                  address operator, uint256 expiration, bool fallbackOnly,
+                  PermissionType permissionType,
+                  MoveConstraints memory constraints)
+      public
   {
     PermissionsNode storage node = retrieveNode (root, path, true);
-    setExpiration (fallbackOnly ? node.fallbackAccess : node.fullAccess,
-                   operator, expiration);
+    PermissionsMap storage map
+        = fallbackOnly ? node.fallbackAccess : node.fullAccess;
+    if (setExpiration (map, operator, expiration))
+      ++root.size;
+
+    AddressPermissions storage entry = map.forAddress[operator];
+    entry.permissionType = permissionType;
+    entry.constraints = constraints;
+    delete entry.usage;
   }
 
   /* ************************************************************************ */
 
   /**
    * @dev Revokes permissions for an address in a PermissionsMap (i.e. removes
-   * the corresponding entry, keeping "keys" up-to-date).
+   * the corresponding entry, keeping "keys" up-to-date).  Returns true if
+   * the entry existed.
    */
-  function removeEntry (PermissionsMap storage map, address key) private
+  function removeEntry (PermissionsMap storage map, address key)
+      private returns (bool)
   {
     uint oldIndex = map.forAddress[key].indexAndOne;
     if (oldIndex == 0)
-      return;
+      return false;
 
     delete map.forAddress[key];
 
@@ -286,6 +680,7 @@ library MovePermissions
       }
 
     map.keys.pop ();
+    return true;
   }
 
   /**
@@ -302,21 +697,22 @@ library MovePermissions
   /**
    * @dev Removes the child node at the given key below parent if it
    * is empty.  This takes care to update all the book-keeping stuff, like
-   * parent.keys and the other child indices.
+   * parent.keys and the other child indices.  Returns true if a node
+   * has been removed.
    */
   function removeChildIfEmpty (PermissionsNode storage parent,
-                               string memory key) private
+                               string memory key) private returns (bool)
   {
     PermissionsNode storage child = parent.children[key];
     if (!isEmpty (child))
-      return;
+      return false;
 
     uint oldIndex = child.indexAndOne;
     delete parent.children[key];
 
     /* If the child didn't exist at all, nothing to do.  */
     if (oldIndex == 0)
-      return;
+      return false;
 
     /* Remove the child in parent.keys by swapping in the last element
        and popping at the tail.  */
@@ -331,6 +727,7 @@ library MovePermissions
       }
 
     parent.keys.pop ();
+    return true;
   }
 
   /**
@@ -341,25 +738,28 @@ library MovePermissions
    * grant back permissions to addresses with fallback access.
    *
    * This method is used recursively, and considers only the tail of the
-   * path array starting at the given "start" index.
+   * path array starting at the given "start" index.  Returns the number
+   * of removed nodes.
    */
   function removeEmptyNodes (PermissionsNode storage node,
-                             string[] memory path, uint start) private
+                             string[] memory path, uint start)
+      private returns (uint removed)
   {
     /* If the current node does not exist or is at the leaf level,
        there is nothing to do.  Deleting of empty nodes is done one
        level up (from the call on its parent node), so that the parent's
        book-keeping data can be updated as well.  */
     if (node.indexAndOne == 0 || start == path.length)
-      return;
+      return 0;
     assert (start < path.length);
 
     /* Process the child node first, so descendant nodes further down
        are cleared now (if any).  */
-    removeEmptyNodes (node.children[path[start]], path, start + 1);
+    removed = removeEmptyNodes (node.children[path[start]], path, start + 1);
 
     /* If the child node is empty, remove it.  */
-    removeChildIfEmpty (node, path[start]);
+    if (removeChildIfEmpty (node, path[start]))
+      ++removed;
   }
 
   /**
@@ -372,26 +772,30 @@ library MovePermissions
    *
    * If this leads to completely "empty" tree nodes, they will be removed
    * and cleaned up as well.  Note that this may, in special situations, lead
-   * to expanded permissions of an address with fallback access.
+   * to expanded permissions of an address with fallback access or access
+   * through a wildcard node.
    */
   function revoke (PermissionsNode storage root, string[] memory path,
-                   address operator, bool fallbackOnly) internal
+                   address operator, bool fallbackOnly) public
   {
     PermissionsNode storage node = retrieveNode (root, path, false);
-    removeEntry (fallbackOnly ? node.fallbackAccess : node.fullAccess,
-                 operator);
+    if (removeEntry (fallbackOnly ? node.fallbackAccess : node.fullAccess,
+                     operator))
+      --root.size;
 
-    removeEmptyNodes (root, path, 0);
+    root.size -= removeEmptyNodes (root, path, 0);
   }
 
   /* ************************************************************************ */
 
   /**
-   * @dev Clears an entire PermissionsMap completely.
+   * @dev Clears an entire PermissionsMap completely.  Returns the number
+   * of removed entries.
    */
-  function clear (PermissionsMap storage map) private
+  function clear (PermissionsMap storage map) private returns (uint removed)
   {
-    for (uint i = 0; i < map.keys.length; ++i)
+    removed = map.keys.length;
+    for (uint i = 0; i < removed; ++i)
       delete map.forAddress[map.keys[i]];
     delete map.keys;
   }
@@ -400,36 +804,136 @@ library MovePermissions
    * @dev Revokes all permissions in the entire hierarchy starting at
    * the given node.  If deleteNode is set, then the node itself
    * will be removed (i.e. also the indexAndOne it has as marker).  If not,
-   * then it will remain.
+   * then it will remain.  Returns the number of removed entries and nodes.
    */
-  function revokeTree (PermissionsNode storage node, bool deleteNode) private
+  function revokeTree (PermissionsNode storage node, bool deleteNode)
+      private returns (uint removed)
   {
-    clear (node.fullAccess);
-    clear (node.fallbackAccess);
+    removed = clear (node.fullAccess) + clear (node.fallbackAccess);
 
     for (uint i = 0; i < node.keys.length; ++i)
-      revokeTree (node.children[node.keys[i]], true);
+      removed += revokeTree (node.children[node.keys[i]], true);
     delete node.keys;
 
     if (deleteNode)
-      delete node.indexAndOne;
+      {
+        delete node.indexAndOne;
+        ++removed;
+      }
   }
 
   /**
    * @dev Revokes all permissions for a node at a given path.
    */
   function revokeTree (PermissionsNode storage root, string[] memory path)
-      internal
+      public
   {
-    revokeTree (retrieveNode (root, path, false), false);
+    root.size -= revokeTree (retrieveNode (root, path, false), false);
+  }
+
+  /**
+   * @dev Removes entries from a PermissionsMap (from the end), except for
+   * the one of the "keep" address (if it is set), until it is empty or
+   * the budget is used up.  Returns the remaining budget.
+   */
+  function clearBounded (PermissionsMap storage map, bool useKeep,
+                         address keep, uint budget)
+      private returns (uint)
+  {
+    while (budget > 0)
+      {
+        uint len = map.keys.length;
+        if (useKeep && len > 0 && map.keys[len - 1] == keep)
+          --len;
+        if (len == 0)
+          break;
+
+        removeEntry (map, map.keys[len - 1]);
+        --budget;
+      }
+
+    return budget;
+  }
+
+  /**
+   * @dev Revokes permissions in the hierarchy starting at the given node
+   * with a bounded amount of work:  Every removed entry or node uses up
+   * one unit of the budget.  Descending into the tree is free, so that
+   * each call with a non-zero budget makes progress even on deep trees
+   * (the depth is bounded by the tree size anyway).  The permissions at
+   * a node are removed before its children, and a wildcard child before
+   * the explicit ones, so that no address gains access through fallback
+   * or wildcard permissions in the process.  If useKeep is set, the
+   * full-access entry of the "keep" address at the node is retained.
+   *
+   * Returns the remaining budget and the number of removed entries
+   * and nodes.
+   */
+  function revokeTreeBounded (PermissionsNode storage node, bool useKeep,
+                              address keep, uint budget)
+      private returns (uint, uint removed)
+  {
+    if (budget == 0)
+      return (0, 0);
+
+    uint before = budget;
+    budget = clearBounded (node.fullAccess, useKeep, keep, budget);
+    budget = clearBounded (node.fallbackAccess, false, keep, budget);
+    removed = before - budget;
+
+    while (budget > 0 && node.keys.length > 0)
+      {
+        string memory key = WILDCARD_KEY;
+        if (node.children[key].indexAndOne == 0)
+          key = node.keys[node.keys.length - 1];
+        PermissionsNode storage child = node.children[key];
+
+        uint childRemoved;
+        (budget, childRemoved)
+            = revokeTreeBounded (child, false, keep, budget);
+        removed += childRemoved;
+
+        if (budget == 0 || !isEmpty (child))
+          return (0, removed);
+
+        --budget;
+        removeChildIfEmpty (node, key);
+        ++removed;
+      }
+
+    return (budget, removed);
+  }
+
+  /**
+   * @dev Revokes all permissions for a node at a given path (except the
+   * full-access permission of "keep" at the node itself if useKeep is set)
+   * with a bounded amount of work as per the budget.  This can be called
+   * repeatedly to clear even large trees step by step.  Returns true if all
+   * permissions have been removed.
+   */
+  function revokeTreeBounded (PermissionsNode storage root,
+                              string[] memory path, bool useKeep,
+                              address keep, uint budget)
+      public returns (bool)
+  {
+    PermissionsNode storage node = retrieveNode (root, path, false);
+    (, uint removed) = revokeTreeBounded (node, useKeep, keep, budget);
+    root.size -= removed;
+
+    PermissionsMap storage full = node.fullAccess;
+    return node.keys.length == 0 && node.fallbackAccess.keys.length == 0
+        && (full.keys.length == 0
+              || (useKeep && full.keys.length == 1 && full.keys[0] == keep));
   }
 
   /* ************************************************************************ */
 
   /**
    * @dev Removes all expired permissions inside a PermissionsMap.
+   * Returns the number of removed entries.
    */
-  function expire (PermissionsMap storage map, uint256 atTime) private
+  function expire (PermissionsMap storage map, uint256 atTime)
+      private returns (uint removed)
   {
     /* removeEntry only affects (potentially) the elements from the removed
        index onwards, since it either pops the last element if that is the
@@ -442,7 +946,10 @@ library MovePermissions
       {
         address current = map.keys[uint (i)];
         if (map.forAddress[current].expiration < atTime)
-          removeEntry (map, current);
+          {
+            removeEntry (map, current);
+            ++removed;
+          }
       }
   }
 
@@ -450,12 +957,14 @@ library MovePermissions
    * @dev Revokes all expired permissions in the given subtree (i.e. permissions
    * with a time earlier than the atTime timestamp).  Any child nodes that
    * become empty will be removed as well (but not the initial node with
-   * which the method is called).
+   * which the method is called).  Returns the number of removed entries
+   * and nodes.
    */
-  function expireTree (PermissionsNode storage node, uint256 atTime) private
+  function expireTree (PermissionsNode storage node, uint256 atTime)
+      private returns (uint removed)
   {
-    expire (node.fullAccess, atTime);
-    expire (node.fallbackAccess, atTime);
+    removed = expire (node.fullAccess, atTime)
+                + expire (node.fallbackAccess, atTime);
 
     /* As with expire, we process the children in reverse order, so that
        we need only a single pass even if nodes are removed (swapped with
@@ -463,8 +972,9 @@ library MovePermissions
     for (int i = int (node.keys.length) - 1; i >= 0; --i)
       {
         string memory current = node.keys[uint (i)];
-        expireTree (node.children[current], atTime);
-        removeChildIfEmpty (node, current);
+        removed += expireTree (node.children[current], atTime);
+        if (removeChildIfEmpty (node, current))
+          ++removed;
       }
   }
 
@@ -474,14 +984,69 @@ library MovePermissions
    * have become empty will be cleaned out up to (not including) the root.
    */
   function expireTree (PermissionsNode storage root, string[] memory path,
-                       uint256 atTime) internal
+                       uint256 atTime) public
   {
-    expireTree (retrieveNode (root, path, false), atTime);
+    root.size -= expireTree (retrieveNode (root, path, false), atTime);
 
     /* Also remove parent nodes of the expired tree if they became empty
        (expireTree only removes empty nodes below the first node on which
        it gets called).  */
-    removeEmptyNodes (root, path, 0);
+    root.size -= removeEmptyNodes (root, path, 0);
+  }
+
+  /* ************************************************************************ */
+
+  /**
+   * @dev Copies all entries of a PermissionsMap into an empty one.
+   */
+  function copyMap (PermissionsMap storage from, PermissionsMap storage to)
+      private
+  {
+    for (uint i = 0; i < from.keys.length; ++i)
+      {
+        address key = from.keys[i];
+        to.forAddress[key] = from.forAddress[key];
+        to.keys.push (key);
+        assert (to.forAddress[key].indexAndOne == to.keys.length);
+      }
+  }
+
+  /**
+   * @dev Copies the permissions of a node and all its children
+   * into an empty node (which keeps its own indexAndOne).
+   */
+  function copyNode (PermissionsNode storage from, PermissionsNode storage to)
+      private
+  {
+    copyMap (from.fullAccess, to.fullAccess);
+    copyMap (from.fallbackAccess, to.fallbackAccess);
+
+    for (uint i = 0; i < from.keys.length; ++i)
+      {
+        string memory key = from.keys[i];
+        to.keys.push (key);
+
+        PermissionsNode storage child = to.children[key];
+        child.indexAndOne = to.keys.length;
+        copyNode (from.children[key], child);
+      }
+  }
+
+  /**
+   * @dev Copies an entire permissions tree (including the types,
+   * constraints and quota usage of all entries) to another root, which must
+   * not exist yet.  The source tree is left unchanged.
+   */
+  function copyTree (PermissionsNode storage from, PermissionsNode storage to)
+      public
+  {
+    require (to.indexAndOne == 0, "the target tree is not empty");
+    if (from.indexAndOne == 0)
+      return;
+
+    to.indexAndOne = from.indexAndOne;
+    to.size = from.size;
+    copyNode (from, to);
   }
 
   /* ************************************************************************ */
@@ -0,0 +1,134 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+pragma solidity ^0.8.13;
+
+import "./IMovePolicy.sol";
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @dev A move policy for unit tests, whose behaviour can be configured
+ * (including various ways of misbehaving).  It does not declare to
+ * implement IMovePolicy, since checkMove is not a view function here
+ * (so that it can try to modify state).
+ */
+contract MovePolicyTestHelper
+{
+
+  /** @dev The possible behaviours of checkMove.  */
+  enum Behaviour
+  {
+    /** @dev Accept all moves.  */
+    Accept,
+
+    /**
+     * @dev Reject all moves with a revert reason that includes the
+     * arguments passed (so that tests can check them).
+     */
+    Reject,
+
+    /** @dev Revert without a reason.  */
+    RevertWithoutReason,
+
+    /** @dev Revert with malformed Error(string) data.  */
+    MalformedReason,
+
+    /** @dev Return a value other than the checkMove selector.  */
+    InvalidResult,
+
+    /** @dev Return without any data.  */
+    NoResult,
+
+    /** @dev Run an endless loop (until all gas is consumed).  */
+    ConsumeAllGas,
+
+    /** @dev Try to modify state before accepting.  */
+    WriteState,
+
+    /**
+     * @dev Reject moves whose sub-object equals rejectedMove, and accept
+     * all others.
+     */
+    RejectMove
+  }
+
+  /** @dev The configured behaviour.  */
+  Behaviour public behaviour;
+
+  /** @dev Counter modified in the WriteState behaviour.  */
+  uint256 public counter;
+
+  /** @dev The move rejected in the RejectMove behaviour.  */
+  string public rejectedMove;
+
+  function setBehaviour (Behaviour b) public
+  {
+    behaviour = b;
+  }
+
+  function setRejectedMove (string memory mv) public
+  {
+    rejectedMove = mv;
+  }
+
+  function checkMove (uint256 tokenId, address owner, address operator,
+                      string[] calldata path, string calldata move,
+                      uint256 amount, address receiver)
+      external returns (bytes4)
+  {
+    if (behaviour == Behaviour.Reject)
+      {
+        bytes memory reason = abi.encodePacked (
+            Strings.toString (tokenId), " ",
+            Strings.toHexString (uint160 (owner), 20), " ",
+            Strings.toHexString (uint160 (operator), 20), " ");
+        for (uint i = 0; i < path.length; ++i)
+          reason = abi.encodePacked (reason, path[i], "/");
+        revert (string (abi.encodePacked (
+            reason, " ", move, " ", Strings.toString (amount), " ",
+            Strings.toHexString (uint160 (receiver), 20))));
+      }
+
+    if (behaviour == Behaviour.RevertWithoutReason)
+      revert ();
+
+    if (behaviour == Behaviour.MalformedReason)
+      {
+        /* Error(string) with an out-of-bounds offset for the string.  */
+        bytes memory data = abi.encodeWithSelector (
+            bytes4 (0x08c379a0), uint256 (1000), uint256 (5), "hello");
+        assembly
+          {
+            revert (add (data, 32), mload (data))
+          }
+      }
+
+    if (behaviour == Behaviour.InvalidResult)
+      return bytes4 (0x12345678);
+
+    if (behaviour == Behaviour.NoResult)
+      assembly
+        {
+          return (0, 0)
+        }
+
+    if (behaviour == Behaviour.ConsumeAllGas)
+      {
+        /* This must not write state, as that would fail right away.  */
+        uint256 loops = 0;
+        while (true)
+          ++loops;
+      }
+
+    if (behaviour == Behaviour.WriteState)
+      ++counter;
+
+    if (behaviour == Behaviour.RejectMove
+          && keccak256 (bytes (move)) == keccak256 (bytes (rejectedMove)))
+      revert ("rejected move");
+
+    return IMovePolicy.checkMove.selector;
+  }
+
+}
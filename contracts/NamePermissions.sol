@@ -4,8 +4,10 @@
 pragma solidity ^0.8.13;
 
 import "./MovePermissions.sol";
+import "./PermissionTrees.sol";
 
 import "@openzeppelin/contracts/utils/Context.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
 
 /**
  * @dev A base smart contract that stores a tree of move permissions for
@@ -19,11 +21,26 @@ import "@openzeppelin/contracts/utils/Context.sol";
  * to the XayaAccounts registry yet (and thus does not actually query
  * or process who really owns a name at the moment), and it also does not
  * yet implement actual move functions (just the permissions handling).
+ *
+ * Permissions can be restricted to sending moves or to managing the subtree
+ * (see MovePermissions.PermissionType), so that e.g. a session key for
+ * a game can be given access without also being able to re-delegate it.
+ *
+ * In addition to granting permissions directly, the owner or an operator
+ * with access can also sign a grant (as EIP-712 typed data), which then
+ * anyone can submit with grantWithSignature.
+ *
+ * Besides the per-name trees, each address can also have owner-wide trees,
+ * which give access to all names it owns (optionally restricted to
+ * a namespace).
  */
-contract NamePermissions is Context
+contract NamePermissions is Context, EIP712
 {
 
   using MovePermissions for MovePermissions.PermissionsNode;
+  using PermissionTrees
+      for mapping (uint256 => mapping (address
+                                       => MovePermissions.PermissionsNode));
 
   /* ************************************************************************ */
 
@@ -32,13 +49,83 @@ contract NamePermissions is Context
    * owned by a given account.
    */
   mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
-      private permissions;
+      internal permissions;
+
+  /**
+   * @dev The owner-wide permission trees, which apply to all names owned by
+   * an address in addition to their per-name trees.  They are keyed by the
+   * namespace they apply to (see PermissionTrees.ownerTreeKey, with the empty
+   * namespace meaning all namespaces) and the owner.  Owner-wide trees only
+   * give access to sending moves for the names, not to managing their
+   * per-name trees.
+   */
+  mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+      internal ownerPermissions;
+
+  /** @dev The maximum size of each permissions tree.  */
+  uint256 public constant MAX_TREE_SIZE = MAX_PERMISSION_TREE_SIZE;
+
+  /** @dev The types of operations that can be done with applyOperations.  */
+  enum OperationType
+  {
+    Grant,
+    Revoke,
+    ResetTree,
+    ExpireTree
+  }
+
+  /**
+   * @dev A single operation on a permissions tree, to be applied as part
+   * of a list with applyOperations.  The fields correspond to the
+   * arguments of the individual methods, and are ignored if the operation
+   * does not use them (e.g. operator for ResetTree).
+   */
+  struct PermissionOperation
+  {
+    OperationType opType;
+    string[] path;
+    address operator;
+    uint256 expiration;
+    bool fallbackOnly;
+  }
+
+  bytes32 private constant MIGRATION_TYPEHASH = keccak256 (
+      "MigrationConsent(uint256 tokenId,address from,address to,bool copy,"
+      "uint256 nonce,uint256 deadline)");
+
+  /**
+   * @dev The next nonce for signed grants and migration consents of each
+   * signer.  Each signature that is used increments the nonce, and signers
+   * can also increment it explicitly to cancel signatures that have not
+   * been used yet.
+   */
+  mapping (address => uint256) public grantNonces;
+
+  /** @dev Event fired when a signer's grant nonce is bumped explicitly.  */
+  event GrantNonceBumped (address indexed signer, uint256 nonce);
 
   /** @dev Event fired when a permission is granted.  */
   event PermissionGranted (uint256 indexed tokenId, address indexed owner,
                            string[] path, address operator, uint256 expiration,
                            bool fallbackOnly);
 
+  /**
+   * @dev Event fired when a permission is granted with a type other than
+   * the default (full access).  This follows the PermissionGranted event
+   * of the permission.
+   */
+  event PermissionTypeSet (uint256 indexed tokenId, address indexed owner,
+                           string[] path, address operator, bool fallbackOnly,
+                           MovePermissions.PermissionType permissionType);
+
+  /**
+   * @dev Event fired when move constraints are attached to a permission.
+   * This follows the PermissionGranted event of the permission.
+   */
+  event MoveConstraintsSet (uint256 indexed tokenId, address indexed owner,
+                            string[] path, address operator, bool fallbackOnly,
+                            MovePermissions.MoveConstraints constraints);
+
   /**
    * @dev Event fired when a particular permission is revoked.  Note that this
    * may or may not mean that some empty nodes in the permissions tree
@@ -49,11 +136,21 @@ contract NamePermissions is Context
 
   /**
    * @dev Event fired when an entire tree of permissions has been reset
-   * to just a single permission (for the message sender).
+   * to just a single permission (for the message sender).  If the message
+   * sender is not the owner, this event is followed by a PermissionGranted
+   * event for the sender's new permission.
    */
   event PermissionTreeReset (uint256 indexed tokenId, address indexed owner,
                              string[] path);
 
+  /**
+   * @dev Event fired when the permissions tree of a token has been copied
+   * (or moved, if copy is false) from one owner to another.  The individual
+   * permissions of the new tree do not emit any more events.
+   */
+  event PermissionTreeMigrated (uint256 indexed tokenId, address indexed from,
+                                address indexed to, bool copy);
+
   /**
    * @dev Event fired when permissions inside a subtree have been explicitly
    * expired.  Note that the individual permissions removed do not emit
@@ -62,6 +159,26 @@ contract NamePermissions is Context
   event PermissionTreeExpired (uint256 indexed tokenId, address indexed owner,
                                string[] path, uint256 atTime);
 
+  /**
+   * @dev Events fired for changes to owner-wide trees, corresponding to
+   * the PermissionGranted, PermissionRevoked, PermissionTreeReset and
+   * PermissionTreeExpired events of per-name trees.
+   */
+  event OwnerPermissionGranted (address indexed owner, string ns,
+                                string[] path, address operator,
+                                uint256 expiration, bool fallbackOnly);
+  event OwnerPermissionRevoked (address indexed owner, string ns,
+                                string[] path, address operator,
+                                bool fallbackOnly);
+  event OwnerPermissionTreeReset (address indexed owner, string ns,
+                                  string[] path);
+  event OwnerPermissionTreeExpired (address indexed owner, string ns,
+                                    string[] path, uint256 atTime);
+
+  constructor ()
+    EIP712 ("XayaDelegation", "1")
+  {}
+
   /* ************************************************************************ */
 
   /**
@@ -125,6 +242,54 @@ contract NamePermissions is Context
     return addrPerm.expiration;
   }
 
+  /**
+   * @dev Returns the type of a given operator permission inside the storage.
+   */
+  function getPermissionType (uint256 tokenId, address owner,
+                              string[] memory path, address operator,
+                              bool fallbackOnly)
+      public view returns (MovePermissions.PermissionType)
+  {
+    MovePermissions.AddressPermissions storage addrPerm
+        = retrieve (tokenId, owner, path, operator, fallbackOnly);
+    return addrPerm.permissionType;
+  }
+
+  /**
+   * @dev Returns the move constraints attached to a given operator
+   * permission inside the storage.
+   */
+  function getConstraints (uint256 tokenId, address owner, string[] memory path,
+                           address operator, bool fallbackOnly)
+      public view returns (MovePermissions.MoveConstraints memory)
+  {
+    MovePermissions.AddressPermissions storage addrPerm
+        = retrieve (tokenId, owner, path, operator, fallbackOnly);
+    return addrPerm.constraints;
+  }
+
+  /**
+   * @dev Returns the usage of the quotas of a given operator permission.
+   */
+  function getQuotaUsage (uint256 tokenId, address owner, string[] memory path,
+                          address operator, bool fallbackOnly)
+      public view returns (MovePermissions.QuotaUsage memory)
+  {
+    MovePermissions.AddressPermissions storage addrPerm
+        = retrieve (tokenId, owner, path, operator, fallbackOnly);
+    return addrPerm.usage;
+  }
+
+  /**
+   * @dev Returns the size of the permissions tree for a token and owner
+   * (see MAX_TREE_SIZE).
+   */
+  function getTreeSize (uint256 tokenId, address owner)
+      public view returns (uint256)
+  {
+    return permissions[tokenId][owner].size;
+  }
+
   /**
    * @dev Returns all defined keys (addresses with full access, addresses
    * with fallback access, and child paths) for the node at the given position
@@ -144,20 +309,116 @@ contract NamePermissions is Context
 
   /* ************************************************************************ */
 
+  /**
+   * @dev Returns the namespace of the name with the given token ID, which
+   * determines the owner-wide trees that apply to it.  Here, without
+   * access to the name registry, only the owner-wide trees for all
+   * namespaces apply.
+   */
+  function namespaceOf (uint256)
+      internal view virtual returns (string memory)
+  {
+    return "";
+  }
+
   /**
    * @dev Checks if the given address has access permissions to the
-   * given token and hierarchy level.  In addition to the actual rules
-   * specified in the permissions themselves, the owner address always
-   * has access.
+   * given token and hierarchy level, i.e. can send moves there.  In addition
+   * to the actual rules specified in the permissions themselves, the owner
+   * address always has access.  Access can be given by the per-name tree
+   * or an owner-wide tree of the owner.
    */
   function hasAccess (uint256 tokenId, address owner, string[] memory path,
                       address operator, uint256 atTime)
       public view returns (bool)
+  {
+    if (operator == owner
+          || permissions[tokenId][owner].check (path, operator, atTime))
+      return true;
+
+    return hasOwnerAccess (owner, namespaceOf (tokenId), path,
+                           operator, atTime);
+  }
+
+  /**
+   * @dev Checks if the given address has access to the given hierarchy
+   * level of names of the owner in the given namespace through one of
+   * the owner-wide trees (for that namespace or all namespaces).
+   */
+  function hasOwnerAccess (address owner, string memory ns,
+                           string[] memory path, address operator,
+                           uint256 atTime)
+      public view returns (bool)
   {
     if (operator == owner)
       return true;
 
-    return permissions[tokenId][owner].check (path, operator, atTime);
+    (bool found, ) = ownerPermissions.findOwnerEntry (owner, ns, path,
+                                                      operator, atTime);
+    return found;
+  }
+
+  /**
+   * @dev Checks if the given address is allowed to manage permissions
+   * (grant, revoke or reset them) at the given level and time.  This is
+   * the case for the owner, and operators with a full or admin-only
+   * permission without move constraints.
+   */
+  function canManage (uint256 tokenId, address owner, string[] memory path,
+                      address operator, uint256 atTime)
+      public view returns (bool)
+  {
+    return permissions.canManage (tokenId, owner, path, operator, atTime);
+  }
+
+  /**
+   * @dev Checks if the given operator is allowed to send a move with
+   * the given details at the current time.  ns must be the namespace
+   * of the token (for the owner-wide trees).  This takes into account the
+   * move constraints (including the move policy) and quotas of the
+   * permission that grants access (i.e. the one at the highest level
+   * of the tree).  If the move is allowed, it is recorded for the quotas
+   * and the empty string is returned.  Otherwise, an error message
+   * is returned.
+   *
+   * This also returns the storage slot of the permission entry through
+   * which access is granted (or zero for the owner), so that the recorded
+   * usage can be undone with releaseMoveAccess later in the same
+   * transaction if needed.  For multi-path moves, the slots returned for
+   * the previous paths are passed as charged, so that each permission
+   * records the move only once (see PermissionTrees.useMoveEntry).
+   */
+  function useMoveAccess (uint256 tokenId, address owner, string memory ns,
+                          string[] memory path, address operator,
+                          MovePermissions.MoveDetails memory m,
+                          uint256[] memory charged)
+      internal returns (string memory, uint256)
+  {
+    if (operator == owner)
+      return ("", 0);
+
+    return PermissionTrees.useMoveEntry (permissions, ownerPermissions,
+                                         tokenId, owner, ns, path, operator,
+                                         m, charged);
+  }
+
+  /**
+   * @dev Undoes the quota usage recorded by useMoveAccess for a move with
+   * the given cost (e.g. because sending it failed).  slot is the one
+   * returned by useMoveAccess.
+   */
+  function releaseMoveAccess (uint256 slot, uint256 cost)
+      internal
+  {
+    if (slot == 0)
+      return;
+
+    MovePermissions.AddressPermissions storage entry;
+    assembly
+      {
+        entry.slot := slot
+      }
+    MovePermissions.releaseMove (entry, cost);
   }
 
   /**
@@ -168,24 +429,87 @@ contract NamePermissions is Context
                   address operator, uint256 expiration, bool fallbackOnly)
       public
   {
-    require (hasAccess (tokenId, owner, path, _msgSender (), expiration),
-             "the sender has no access");
+    MovePermissions.MoveConstraints memory none;
+    grantAs (_msgSender (), tokenId, owner, path, operator,
+             expiration, fallbackOnly, MovePermissions.PermissionType.Full,
+             none);
+  }
+
+  /**
+   * @dev Grants a permission of the given type, e.g. one that only allows
+   * sending moves but not granting further permissions (MoveOnly), or one
+   * that only allows managing permissions in the subtree (AdminOnly).
+   * Note that an admin-only operator can still grant move permissions
+   * to other addresses (or itself).
+   */
+  function grantWithType (uint256 tokenId, address owner, string[] memory path,
+                          address operator, uint256 expiration,
+                          bool fallbackOnly,
+                          MovePermissions.PermissionType permissionType)
+      public
+  {
+    MovePermissions.MoveConstraints memory none;
+    grantAs (_msgSender (), tokenId, owner, path, operator,
+             expiration, fallbackOnly, permissionType, none);
+  }
+
+  /**
+   * @dev Grants a permission with move constraints attached to it, which
+   * restrict the moves the operator can send based on this permission
+   * (e.g. the WCHI payment or nonce, and quotas on the number of moves
+   * and WCHI spent).  An operator whose access is constrained cannot itself
+   * grant, revoke or reset permissions of others (i.e. the permission
+   * is implicitly move-only).
+   */
+  function grantWithConstraints (uint256 tokenId, address owner,
+                                 string[] memory path, address operator,
+                                 uint256 expiration, bool fallbackOnly,
+                                 MovePermissions.MoveConstraints memory c)
+      public
+  {
+    grantAs (_msgSender (), tokenId, owner, path, operator,
+             expiration, fallbackOnly, MovePermissions.PermissionType.Full, c);
+  }
+
+  /**
+   * @dev Grants a permission, checking that the given sender (which might
+   * be the message sender or signer of a grant) is allowed to do so.
+   */
+  function grantAs (address sender, uint256 tokenId, address owner,
+                    string[] memory path, address operator,
+                    uint256 expiration, bool fallbackOnly,
+                    MovePermissions.PermissionType permissionType,
+                    MovePermissions.MoveConstraints memory c)
+      private
+  {
+    permissions.grant (sender, PermissionTrees.Grant (
+        tokenId, owner, path, operator, expiration, fallbackOnly,
+        permissionType, c));
+  }
 
-    permissions[tokenId][owner].grant (path, operator,
-                                       expiration, fallbackOnly);
-    emit PermissionGranted (tokenId, owner, path, operator,
-                            expiration, fallbackOnly);
+  /**
+   * @dev Executes a grant that has been signed off-chain (see
+   * PermissionTrees.SignedGrant).  The signer must be allowed to grant
+   * the permission (as for grant), and the signature is only valid with
+   * the signer's current nonce and before the deadline.  Returns the
+   * signer's address.
+   */
+  function grantWithSignature (PermissionTrees.SignedGrant calldata g,
+                               bytes calldata signature)
+      public returns (address)
+  {
+    return permissions.grantWithSignature (grantNonces, _domainSeparatorV4 (),
+                                           g, signature);
   }
 
   /**
-   * @dev Checks if the root node for the given token and owner is empty
-   * (i.e. potentially set but with nothing in it) and removes it if so.
+   * @dev Increments the grant nonce of the message sender, which cancels
+   * all signed grants and migration consents that have not yet been used.
    */
-  function removeIfEmpty (uint256 tokenId, address owner) private
+  function bumpGrantNonce () public
   {
-    MovePermissions.PermissionsNode storage root = permissions[tokenId][owner];
-    if (root.indexAndOne != 0 && root.isEmpty ())
-      delete permissions[tokenId][owner];
+    uint256 nonce = ++grantNonces[_msgSender ()];
+    emit GrantNonceBumped (_msgSender (), nonce);
   }
 
   /**
@@ -196,16 +520,10 @@ contract NamePermissions is Context
                    address operator, bool fallbackOnly)
       public
   {
-    address sender = _msgSender ();
     /* Any address can revoke its own access, and also any access on levels
        where it has unlimited (in time) permissions.  */
-    require (sender == operator
-                || hasAccess (tokenId, owner, path, sender, type (uint256).max),
-             "the sender has no access");
-
-    permissions[tokenId][owner].revoke (path, operator, fallbackOnly);
-    removeIfEmpty (tokenId, owner);
-    emit PermissionRevoked (tokenId, owner, path, operator, fallbackOnly);
+    permissions.revoke (_msgSender (), tokenId, owner, path,
+                        operator, fallbackOnly);
   }
 
   /**
@@ -214,28 +532,33 @@ contract NamePermissions is Context
    * to reset an entire tree of permissions if desired, while making sure the
    * message sender retains permission (but they can explicitly revoke their
    * own as well afterwards).  Reverts if the message sender has no access
-   * to the requested level.
+   * to the requested level.  The sender's new permission has the same type
+   * as the one based on which they reset the tree, so that an admin-only
+   * operator does not gain move access.
    */
   function resetTree (uint256 tokenId, address owner, string[] memory path)
       public
   {
-    address sender = _msgSender ();
-    require (hasAccess (tokenId, owner, path, sender, type (uint256).max),
-             "the sender has no access");
-
-    MovePermissions.PermissionsNode storage root = permissions[tokenId][owner];
-    root.revokeTree (path);
-
-    /* If the message sender is not the owner, we add them back as only
-       permission at that level now (and then the subtree is by definition
-       not empty).  Otherwise, they have access in any case, and we might
-       be able to prune an empty tree.  */
-    if (sender != owner)
-      root.grant (path, sender, type (uint256).max, false);
-    else
-      removeIfEmpty (tokenId, owner);
+    bool done = resetTreeBounded (tokenId, owner, path, type (uint256).max);
+    assert (done);
+  }
 
-    emit PermissionTreeReset (tokenId, owner, path);
+  /**
+   * @dev Resets a subtree as per resetTree, but with a bounded amount
+   * of work (see MovePermissions.revokeTreeBounded), so that even large
+   * trees can be reset with multiple calls.  Until the reset is done
+   * (which is when this returns true), the subtree just has fewer
+   * permissions than before.  The PermissionTreeReset event is only
+   * emitted when the reset is done.
+   */
+  function resetTreeBounded (uint256 tokenId, address owner,
+                             string[] memory path, uint256 maxSteps)
+      public returns (bool)
+  {
+    /* The sender's own full-access entry at the reset level (if any)
+       is kept, so that they retain access while the reset is in progress.  */
+    return permissions.resetTreeBounded (_msgSender (), tokenId, owner, path,
+                                         maxSteps);
   }
 
   /**
@@ -248,9 +571,106 @@ contract NamePermissions is Context
   function expireTree (uint256 tokenId, address owner, string[] memory path)
       public
   {
-    permissions[tokenId][owner].expireTree (path, block.timestamp);
-    removeIfEmpty (tokenId, owner);
-    emit PermissionTreeExpired (tokenId, owner, path, block.timestamp);
+    permissions.expireTree (tokenId, owner, path, block.timestamp);
+  }
+
+  /**
+   * @dev Copies the entire permissions tree of the message sender for a token
+   * to a new owner (e.g. when the name is transferred to another wallet),
+   * or moves it if copy is false.  Since this gives operators access to
+   * the name when owned by the new owner, it requires the new owner's consent
+   * as EIP-712 signature of a MigrationConsent (using the new owner's
+   * grant nonce).  The new owner's tree must be empty.
+   */
+  function migrateTree (uint256 tokenId, address newOwner, bool copy,
+                        uint256 deadline, bytes calldata signature)
+      public
+  {
+    address sender = _msgSender ();
+    require (newOwner != sender, "cannot migrate to the same owner");
+    require (block.timestamp <= deadline, "the signature has expired");
+
+    uint256 nonce = grantNonces[newOwner];
+    bytes32 structHash = keccak256 (abi.encode (
+        MIGRATION_TYPEHASH, tokenId, sender, newOwner, copy, nonce, deadline));
+    require (PermissionTrees.recoverSigner (_hashTypedDataV4 (structHash),
+                                            signature) == newOwner,
+             "invalid consent signature");
+    grantNonces[newOwner] = nonce + 1;
+
+    permissions.migrateTree (tokenId, sender, newOwner, copy);
+  }
+
+  /**
+   * @dev Grants a permission in the owner-wide tree of an owner for the
+   * given namespace (or all namespaces if it is empty).  The authorisation
+   * checks work as for grant, but based on the owner-wide tree.
+   */
+  function grantOwnerWide (address owner, string memory ns,
+                           string[] memory path, address operator,
+                           uint256 expiration, bool fallbackOnly)
+      public
+  {
+    ownerPermissions.grantOwnerWide (_msgSender (), owner, ns, path,
+                                     operator, expiration, fallbackOnly);
+  }
+
+  /**
+   * @dev Revokes a permission in an owner-wide tree as per revoke.
+   */
+  function revokeOwnerWide (address owner, string memory ns,
+                            string[] memory path, address operator,
+                            bool fallbackOnly)
+      public
+  {
+    ownerPermissions.revokeOwnerWide (_msgSender (), owner, ns, path,
+                                      operator, fallbackOnly);
+  }
+
+  /**
+   * @dev Resets a subtree of an owner-wide tree as per resetTree.
+   */
+  function resetOwnerTree (address owner, string memory ns,
+                           string[] memory path)
+      public
+  {
+    ownerPermissions.resetOwnerTree (_msgSender (), owner, ns, path);
+  }
+
+  /**
+   * @dev Removes all expired permissions in a subtree of an owner-wide tree
+   * as per expireTree.  Everyone is allowed to call this.
+   */
+  function expireOwnerTree (address owner, string memory ns,
+                            string[] memory path)
+      public
+  {
+    ownerPermissions.expireOwnerTree (owner, ns, path, block.timestamp);
+  }
+
+  /**
+   * @dev Applies a list of operations in order, as if each of them were
+   * done with the individual methods (including their authorisation checks,
+   * which take the effect of the previous operations into account).
+   * If any operation fails, the whole call reverts.
+   */
+  function applyOperations (uint256 tokenId, address owner,
+                            PermissionOperation[] calldata ops)
+      public
+  {
+    for (uint i = 0; i < ops.length; ++i)
+      {
+        PermissionOperation calldata op = ops[i];
+        if (op.opType == OperationType.Grant)
+          grant (tokenId, owner, op.path, op.operator,
+                 op.expiration, op.fallbackOnly);
+        else if (op.opType == OperationType.Revoke)
+          revoke (tokenId, owner, op.path, op.operator, op.fallbackOnly);
+        else if (op.opType == OperationType.ResetTree)
+          resetTree (tokenId, owner, op.path);
+        else
+          expireTree (tokenId, owner, op.path);
+      }
   }
 
   /* ************************************************************************ */
@@ -0,0 +1,559 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+pragma solidity ^0.8.13;
+
+import "./MovePermissions.sol";
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @dev The maximum size of each permissions tree (number of nodes plus
+ * address entries).  This ensures that operations on entire trees
+ * like resetTree and expireTree always fit into a block.
+ */
+uint256 constant MAX_PERMISSION_TREE_SIZE = 256;
+
+/**
+ * @dev The logic for modifying the permission trees of NamePermissions
+ * (for all token IDs and owners, as well as the owner-wide trees), including
+ * the authorisation checks and the events.  The methods take the sender on
+ * whose behalf a change is done explicitly, and otherwise work as the
+ * corresponding methods of NamePermissions (where they are documented
+ * in more detail).
+ *
+ * This is a library with public methods, so that it is deployed on its own
+ * and linked into NamePermissions.  This keeps the code size of the main
+ * delegation contract below the limit.
+ */
+library PermissionTrees
+{
+
+  using MovePermissions for MovePermissions.PermissionsNode;
+
+  /* ************************************************************************ */
+
+  /** @dev A permission to be granted, with all its parameters.  */
+  struct Grant
+  {
+    uint256 tokenId;
+    address owner;
+    string[] path;
+    address operator;
+    uint256 expiration;
+    bool fallbackOnly;
+    MovePermissions.PermissionType permissionType;
+    MovePermissions.MoveConstraints constraints;
+  }
+
+  /**
+   * @dev A grant signed off-chain, which can be submitted by anyone
+   * with grantWithSignature.  The nonce must match the signer's current
+   * grant nonce, and the deadline is the latest timestamp at which the
+   * signature can be used.
+   */
+  struct SignedGrant
+  {
+    uint256 tokenId;
+    address owner;
+    string[] path;
+    address operator;
+    uint256 expiration;
+    bool fallbackOnly;
+    uint256 nonce;
+    uint256 deadline;
+  }
+
+  bytes32 private constant GRANT_TYPEHASH = keccak256 (
+      "Grant(uint256 tokenId,address owner,string[] path,address operator,"
+      "uint256 expiration,bool fallbackOnly,uint256 nonce,uint256 deadline)");
+
+  /* The events emitted by the library.  They are the same as the ones
+     declared (and documented) in NamePermissions.  */
+
+  event PermissionGranted (uint256 indexed tokenId, address indexed owner,
+                           string[] path, address operator, uint256 expiration,
+                           bool fallbackOnly);
+  event PermissionTypeSet (uint256 indexed tokenId, address indexed owner,
+                           string[] path, address operator, bool fallbackOnly,
+                           MovePermissions.PermissionType permissionType);
+  event MoveConstraintsSet (uint256 indexed tokenId, address indexed owner,
+                            string[] path, address operator, bool fallbackOnly,
+                            MovePermissions.MoveConstraints constraints);
+  event PermissionRevoked (uint256 indexed tokenId, address indexed owner,
+                           string[] path, address operator, bool fallbackOnly);
+  event PermissionTreeReset (uint256 indexed tokenId, address indexed owner,
+                             string[] path);
+  event PermissionTreeMigrated (uint256 indexed tokenId, address indexed from,
+                                address indexed to, bool copy);
+  event PermissionTreeExpired (uint256 indexed tokenId, address indexed owner,
+                               string[] path, uint256 atTime);
+
+  event OwnerPermissionGranted (address indexed owner, string ns,
+                                string[] path, address operator,
+                                uint256 expiration, bool fallbackOnly);
+  event OwnerPermissionRevoked (address indexed owner, string ns,
+                                string[] path, address operator,
+                                bool fallbackOnly);
+  event OwnerPermissionTreeReset (address indexed owner, string ns,
+                                  string[] path);
+  event OwnerPermissionTreeExpired (address indexed owner, string ns,
+                                    string[] path, uint256 atTime);
+
+  /* ************************************************************************ */
+
+  /**
+   * @dev Checks if the given address is allowed to manage permissions
+   * (grant, revoke or reset them) at the given level and time.
+   */
+  function canManage (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      uint256 tokenId, address owner, string[] memory path,
+      address operator, uint256 atTime)
+      public view returns (bool)
+  {
+    return canManage (trees[tokenId][owner], owner, path, operator, atTime);
+  }
+
+  /**
+   * @dev Checks if an address is allowed to manage permissions in the
+   * given tree of an owner.
+   */
+  function canManage (MovePermissions.PermissionsNode storage root,
+                      address owner, string[] memory path,
+                      address operator, uint256 atTime)
+      private view returns (bool res)
+  {
+    if (operator == owner)
+      return true;
+
+    (res, ) = root.find (path, operator, atTime, true);
+  }
+
+  /**
+   * @dev Finds the permission entry that grants an operator access to
+   * send moves for a name at the current time, looking at the per-name tree
+   * first and then at the owner-wide trees (see findOwnerEntry), and
+   * authorises the move based on it (see MovePermissions.authoriseMove).
+   * ns is the namespace of the name.  Returns an error message (or the
+   * empty string) and the storage slot of the entry.
+   *
+   * charged lists the slots of entries that the move has already been
+   * authorised with (for other paths of a multi-path move).  For those,
+   * only the constraints and policy are checked, so that the quotas of
+   * each grant apply once per move.
+   */
+  function useMoveEntry (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage ownerTrees,
+      uint256 tokenId, address owner, string memory ns, string[] memory path,
+      address operator, MovePermissions.MoveDetails memory m,
+      uint256[] memory charged)
+      public returns (string memory error, uint256 slot)
+  {
+    (bool found, MovePermissions.AddressPermissions storage entry)
+        = trees[tokenId][owner].find (path, operator, block.timestamp, false);
+    if (!found)
+      (found, entry) = findOwnerEntry (ownerTrees, owner, ns, path,
+                                       operator, block.timestamp);
+    if (!found)
+      return ("the message sender has no permission to send moves", 0);
+
+    assembly
+      {
+        slot := entry.slot
+      }
+
+    bool charge = true;
+    for (uint i = 0; i < charged.length; ++i)
+      if (charged[i] == slot)
+        charge = false;
+
+    error = MovePermissions.authoriseMove (entry, tokenId, owner, operator,
+                                           path, m, block.timestamp, charge);
+  }
+
+  /**
+   * @dev Finds the permission entry in the owner-wide trees that grants
+   * an operator access to send moves, checking the tree for the specific
+   * namespace first.
+   */
+  function findOwnerEntry (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address owner, string memory ns, string[] memory path,
+      address operator, uint256 atTime)
+      public view
+      returns (bool found, MovePermissions.AddressPermissions storage entry)
+  {
+    if (bytes (ns).length > 0)
+      {
+        (found, entry) = trees[ownerTreeKey (ns)][owner]
+            .find (path, operator, atTime, false);
+        if (found)
+          return (true, entry);
+      }
+
+    return trees[ownerTreeKey ("")][owner].find (path, operator, atTime,
+                                                 false);
+  }
+
+  /**
+   * @dev Recovers the signer of an EIP-712 digest (for signed grants
+   * and migration consents).
+   */
+  function recoverSigner (bytes32 digest, bytes memory signature)
+      public pure returns (address)
+  {
+    return ECDSA.recover (digest, signature);
+  }
+
+  /**
+   * @dev Returns the key under which the owner-wide trees applying to
+   * names in the given namespace are stored.  The empty namespace is
+   * used for trees that apply to names in all namespaces.
+   */
+  function ownerTreeKey (string memory ns) internal pure returns (uint256)
+  {
+    return uint256 (keccak256 (bytes (ns)));
+  }
+
+  /**
+   * @dev Checks if the root node for the given token and owner is empty
+   * (i.e. potentially set but with nothing in it) and removes it if so.
+   */
+  function removeIfEmpty (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      uint256 tokenId, address owner)
+      private
+  {
+    MovePermissions.PermissionsNode storage root = trees[tokenId][owner];
+    if (root.indexAndOne != 0 && root.isEmpty ())
+      delete trees[tokenId][owner];
+  }
+
+  /**
+   * @dev Stores a permission in a tree without any checks, enforcing
+   * the maximum size of the tree.
+   */
+  function store (MovePermissions.PermissionsNode storage root,
+                  string[] memory path, address operator, uint256 expiration,
+                  bool fallbackOnly,
+                  MovePermissions.PermissionType permissionType,
+                  MovePermissions.MoveConstraints memory c)
+      private
+  {
+    root.grant (path, operator, expiration, fallbackOnly, permissionType, c);
+    require (root.size <= MAX_PERMISSION_TREE_SIZE,
+             "the permissions tree is too large");
+  }
+
+  /**
+   * @dev Stores a permission in the tree without any checks, and emits
+   * the corresponding events.
+   */
+  function storeGrant (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      Grant memory g)
+      private
+  {
+    store (trees[g.tokenId][g.owner], g.path, g.operator, g.expiration,
+           g.fallbackOnly, g.permissionType, g.constraints);
+
+    emit PermissionGranted (g.tokenId, g.owner, g.path, g.operator,
+                            g.expiration, g.fallbackOnly);
+    if (g.permissionType != MovePermissions.PermissionType.Full)
+      emit PermissionTypeSet (g.tokenId, g.owner, g.path, g.operator,
+                              g.fallbackOnly, g.permissionType);
+    if (g.constraints.active)
+      emit MoveConstraintsSet (g.tokenId, g.owner, g.path, g.operator,
+                               g.fallbackOnly, g.constraints);
+  }
+
+  /**
+   * @dev Grants a permission, checking that the given sender is allowed
+   * to do so.
+   */
+  function grant (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address sender, Grant memory g)
+      public
+  {
+    require (canManage (trees[g.tokenId][g.owner], g.owner, g.path, sender,
+                        g.expiration),
+             "the sender has no access");
+    storeGrant (trees, g);
+  }
+
+  /**
+   * @dev Computes the EIP-712 hash of a path (array of strings).
+   */
+  function hashPath (string[] calldata path) private pure returns (bytes32)
+  {
+    bytes32[] memory hashes = new bytes32[] (path.length);
+    for (uint i = 0; i < path.length; ++i)
+      hashes[i] = keccak256 (bytes (path[i]));
+    return keccak256 (abi.encodePacked (hashes));
+  }
+
+  /**
+   * @dev Executes a grant that has been signed off-chain, checking and
+   * updating the signer's nonce in nonces.  domainSeparator is the EIP-712
+   * domain separator of the calling contract.  Returns the signer.
+   */
+  function grantWithSignature (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      mapping (address => uint256) storage nonces, bytes32 domainSeparator,
+      SignedGrant calldata g, bytes calldata signature)
+      public returns (address signer)
+  {
+    require (block.timestamp <= g.deadline, "the signature has expired");
+
+    bytes32 structHash = keccak256 (abi.encode (
+        GRANT_TYPEHASH, g.tokenId, g.owner, hashPath (g.path), g.operator,
+        g.expiration, g.fallbackOnly, g.nonce, g.deadline));
+    signer = ECDSA.recover (ECDSA.toTypedDataHash (domainSeparator, structHash),
+                            signature);
+
+    require (g.nonce == nonces[signer], "invalid nonce");
+    nonces[signer] = g.nonce + 1;
+
+    MovePermissions.MoveConstraints memory none;
+    grant (trees, signer, Grant (
+        g.tokenId, g.owner, g.path, g.operator, g.expiration, g.fallbackOnly,
+        MovePermissions.PermissionType.Full, none));
+  }
+
+  /**
+   * @dev Revokes a particular permission, checking that the sender
+   * is allowed to do so.
+   */
+  function revoke (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address sender, uint256 tokenId, address owner, string[] memory path,
+      address operator, bool fallbackOnly)
+      public
+  {
+    revokeEntry (trees, sender, tokenId, owner, path, operator, fallbackOnly);
+    emit PermissionRevoked (tokenId, owner, path, operator, fallbackOnly);
+  }
+
+  /**
+   * @dev Revokes a permission in the tree stored at the given key and owner
+   * (without emitting events).
+   */
+  function revokeEntry (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address sender, uint256 key, address owner, string[] memory path,
+      address operator, bool fallbackOnly)
+      private
+  {
+    MovePermissions.PermissionsNode storage root = trees[key][owner];
+
+    /* Any address can revoke its own access, and also any access on levels
+       where it has unlimited (in time) permissions.  */
+    require (sender == operator
+                || canManage (root, owner, path, sender, type (uint256).max),
+             "the sender has no access");
+
+    root.revoke (path, operator, fallbackOnly);
+    removeIfEmpty (trees, key, owner);
+  }
+
+  /**
+   * @dev Does the work of a bounded reset of the tree stored at the given
+   * key and owner (without emitting events).  Returns true if the reset is
+   * done.  In that case, if the sender is not the owner, it is granted back
+   * access at the reset level (with the type returned).  maxSteps must be
+   * positive, so that each call makes progress.
+   */
+  function resetEntries (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address sender, uint256 key, address owner, string[] memory path,
+      uint256 maxSteps)
+      private returns (bool, MovePermissions.PermissionType)
+  {
+    require (maxSteps > 0, "maxSteps must be positive");
+    MovePermissions.PermissionsNode storage root = trees[key][owner];
+    require (canManage (root, owner, path, sender, type (uint256).max),
+             "the sender has no access");
+
+    /* The sender's own full-access entry at the reset level (if any)
+       is kept, so that they retain access while the reset is in progress.  */
+    if (!root.revokeTreeBounded (path, sender != owner, sender, maxSteps))
+      return (false, MovePermissions.PermissionType.Full);
+
+    /* If the sender is not the owner, we add them back as only permission
+       at that level now (and then the subtree is by definition not empty),
+       with the same type as the permission based on which they reset the
+       tree.  Otherwise, they have access in any case, and we might be able
+       to prune an empty tree.  */
+    if (sender == owner)
+      {
+        removeIfEmpty (trees, key, owner);
+        return (true, MovePermissions.PermissionType.Full);
+      }
+
+    (, MovePermissions.AddressPermissions storage entry)
+        = root.find (path, sender, type (uint256).max, true);
+    MovePermissions.PermissionType permissionType = entry.permissionType;
+    MovePermissions.MoveConstraints memory none;
+    store (root, path, sender, type (uint256).max, false, permissionType, none);
+
+    return (true, permissionType);
+  }
+
+  /**
+   * @dev Resets a subtree on behalf of the sender with a bounded amount
+   * of work.  Returns true if the reset is done.
+   */
+  function resetTreeBounded (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address sender, uint256 tokenId, address owner, string[] memory path,
+      uint256 maxSteps)
+      public returns (bool)
+  {
+    (bool done, MovePermissions.PermissionType permissionType)
+        = resetEntries (trees, sender, tokenId, owner, path, maxSteps);
+    if (!done)
+      return false;
+
+    emit PermissionTreeReset (tokenId, owner, path);
+    if (sender != owner)
+      {
+        emit PermissionGranted (tokenId, owner, path, sender,
+                                type (uint256).max, false);
+        if (permissionType != MovePermissions.PermissionType.Full)
+          emit PermissionTypeSet (tokenId, owner, path, sender, false,
+                                  permissionType);
+      }
+
+    return true;
+  }
+
+  /**
+   * @dev Removes all permissions expired at the given time in a subtree.
+   */
+  function expireTree (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      uint256 tokenId, address owner, string[] memory path, uint256 atTime)
+      public
+  {
+    trees[tokenId][owner].expireTree (path, atTime);
+    removeIfEmpty (trees, tokenId, owner);
+    emit PermissionTreeExpired (tokenId, owner, path, atTime);
+  }
+
+  /**
+   * @dev Copies or moves the permissions tree of a token from one owner
+   * to another.  The consent of the new owner must have been checked
+   * already by the caller.
+   */
+  function migrateTree (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      uint256 tokenId, address from, address to, bool copy)
+      public
+  {
+    MovePermissions.PermissionsNode storage root = trees[tokenId][from];
+    MovePermissions.copyTree (root, trees[tokenId][to]);
+    if (!copy)
+      {
+        root.revokeTree (new string[] (0));
+        removeIfEmpty (trees, tokenId, from);
+      }
+
+    emit PermissionTreeMigrated (tokenId, from, to, copy);
+  }
+
+  /* ************************************************************************ */
+
+  /**
+   * @dev Grants a permission (with full access) in an owner-wide tree,
+   * checking that the given sender is allowed to do so.
+   */
+  function grantOwnerWide (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address sender, address owner, string memory ns, string[] memory path,
+      address operator, uint256 expiration, bool fallbackOnly)
+      public
+  {
+    MovePermissions.PermissionsNode storage root
+        = trees[ownerTreeKey (ns)][owner];
+    require (canManage (root, owner, path, sender, expiration),
+             "the sender has no access");
+
+    MovePermissions.MoveConstraints memory none;
+    store (root, path, operator, expiration, fallbackOnly,
+           MovePermissions.PermissionType.Full, none);
+    emit OwnerPermissionGranted (owner, ns, path, operator, expiration,
+                                 fallbackOnly);
+  }
+
+  /**
+   * @dev Revokes a particular permission in an owner-wide tree, checking
+   * that the sender is allowed to do so.
+   */
+  function revokeOwnerWide (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address sender, address owner, string memory ns, string[] memory path,
+      address operator, bool fallbackOnly)
+      public
+  {
+    revokeEntry (trees, sender, ownerTreeKey (ns), owner, path,
+                 operator, fallbackOnly);
+    emit OwnerPermissionRevoked (owner, ns, path, operator, fallbackOnly);
+  }
+
+  /**
+   * @dev Resets a subtree of an owner-wide tree on behalf of the sender.
+   */
+  function resetOwnerTree (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address sender, address owner, string memory ns, string[] memory path)
+      public
+  {
+    (bool done, ) = resetEntries (trees, sender, ownerTreeKey (ns), owner,
+                                  path, type (uint256).max);
+    assert (done);
+
+    emit OwnerPermissionTreeReset (owner, ns, path);
+    if (sender != owner)
+      emit OwnerPermissionGranted (owner, ns, path, sender,
+                                   type (uint256).max, false);
+  }
+
+  /**
+   * @dev Removes all permissions expired at the given time in a subtree
+   * of an owner-wide tree.
+   */
+  function expireOwnerTree (
+      mapping (uint256 => mapping (address => MovePermissions.PermissionsNode))
+          storage trees,
+      address owner, string memory ns, string[] memory path, uint256 atTime)
+      public
+  {
+    uint256 key = ownerTreeKey (ns);
+    trees[key][owner].expireTree (path, atTime);
+    removeIfEmpty (trees, key, owner);
+    emit OwnerPermissionTreeExpired (owner, ns, path, atTime);
+  }
+
+  /* ************************************************************************ */
+
+}
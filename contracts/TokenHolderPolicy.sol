@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+pragma solidity ^0.8.13;
+
+import "./IMovePolicy.sol";
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+
+/**
+ * @dev A sample move policy, which only allows moves by operators that
+ * hold at least one token of some ERC-721 contract (e.g. a membership NFT,
+ * or a Xaya name).
+ */
+contract TokenHolderPolicy is IMovePolicy
+{
+
+  /** @dev The token operators need to hold.  */
+  IERC721 public immutable token;
+
+  constructor (IERC721 t)
+  {
+    token = t;
+  }
+
+  function checkMove (uint256, address, address operator, string[] calldata,
+                      string calldata, uint256, address)
+      external view override returns (bytes4)
+  {
+    require (token.balanceOf (operator) > 0,
+             "the operator does not hold the required token");
+    return IMovePolicy.checkMove.selector;
+  }
+
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+pragma solidity ^0.8.13;
+
+import "./IMovePolicy.sol";
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @dev A sample move policy, which only allows moves while a tournament
+ * is running.  The time window of the tournament is set (and can be
+ * updated) by the organiser, i.e. the owner of this contract.
+ */
+contract TournamentPolicy is IMovePolicy, Ownable
+{
+
+  /** @dev The timestamp at which the tournament starts.  */
+  uint256 public start;
+
+  /** @dev The timestamp at which the tournament ends (exclusive).  */
+  uint256 public end;
+
+  /** @dev Event fired when the tournament window is changed.  */
+  event WindowChanged (uint256 start, uint256 end);
+
+  /**
+   * @dev Sets the time window of the tournament.
+   */
+  function setWindow (uint256 newStart, uint256 newEnd) public onlyOwner
+  {
+    require (newStart <= newEnd, "invalid tournament window");
+    start = newStart;
+    end = newEnd;
+    emit WindowChanged (newStart, newEnd);
+  }
+
+  function checkMove (uint256, address, address, string[] calldata,
+                      string calldata, uint256, address)
+      external view override returns (bytes4)
+  {
+    require (block.timestamp >= start && block.timestamp < end,
+             "the tournament is not running");
+    return IMovePolicy.checkMove.selector;
+  }
+
+}
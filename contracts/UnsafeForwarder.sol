@@ -5,7 +5,9 @@ pragma solidity ^0.8.13;
 
 /**
  * @dev Simple forwarding contract for ERC2771 testing.  This does not
- * verify anything, and just forwards every call directly.
+ * verify anything, and just forwards every call directly.  It is only
+ * meant for unit tests; real deployments (including local and staging
+ * setups) should use XayaForwarder instead.
  *
  * DO NOT USE IN PRODUCTION!
  */
@@ -4,6 +4,7 @@
 pragma solidity ^0.8.13;
 
 import "./JsonSubObject.sol";
+import "./MoveBatches.sol";
 import "./NamePermissions.sol";
 
 import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
@@ -35,6 +36,25 @@ contract XayaDelegation is NamePermissions, ERC2771Context, IERC721Receiver
    */
   bool private allowNameReceive;
 
+  /**
+   * @dev WCHI budgets that payers have granted to users, i.e. how much
+   * WCHI a payer is willing to spend on moves and registrations done
+   * by a given user (as _msgSender).  The maximum uint256 value means
+   * an unlimited budget.
+   */
+  mapping (address => mapping (address => uint256)) public sponsorBudget;
+
+  /** @dev Emitted when a payer sets the budget for a user.  */
+  event SponsorBudgetSet (address indexed payer, address indexed user,
+                          uint256 budget);
+
+  /** @dev Emitted when WCHI for a user is paid by some other payer.  */
+  event FeeSponsored (address indexed payer, address indexed user,
+                      uint256 amount);
+
+  /** @dev Emitted for each move of a non-atomic batch that failed.  */
+  event BatchedMoveFailed (uint256 index, string reason);
+
   /**
    * @dev Constructs the contract, fixing the XayaAccounts as well as forwarder
    * contracts.
@@ -62,6 +82,43 @@ contract XayaDelegation is NamePermissions, ERC2771Context, IERC721Receiver
 
   /* ************************************************************************ */
 
+  /**
+   * @dev Sets the WCHI budget that _msgSender as payer grants to
+   * the given user.  The payer also needs to approve WCHI for this contract
+   * for the budget to be usable.
+   */
+  function setSponsorBudget (address user, uint256 budget)
+      public
+  {
+    sponsorBudget[_msgSender ()][user] = budget;
+    emit SponsorBudgetSet (_msgSender (), user, budget);
+  }
+
+  /**
+   * @dev Obtains WCHI for a move or registration done by _msgSender from
+   * the given payer.  If the payer is not _msgSender itself, the cost is
+   * deducted from the payer's budget for _msgSender.
+   */
+  function pullWchi (address payer, uint256 cost) internal
+  {
+    if (cost == 0)
+      return;
+
+    if (payer != _msgSender ())
+      {
+        uint256 budget = sponsorBudget[payer][_msgSender ()];
+        require (budget >= cost, "sponsor budget exceeded");
+        if (budget != type (uint256).max)
+          sponsorBudget[payer][_msgSender ()] = budget - cost;
+        emit FeeSponsored (payer, _msgSender (), cost);
+      }
+
+    require (wchi.transferFrom (payer, address (this), cost),
+             "failed to obtain WCHI from payer");
+  }
+
+  /* ************************************************************************ */
+
   /**
    * @dev Registers a name for a given owner.  This registers the name,
    * transfers it, and then sets operator permissions for the delegation
@@ -73,12 +130,21 @@ contract XayaDelegation is NamePermissions, ERC2771Context, IERC721Receiver
    */
   function registerFor (string memory ns, string memory name,
                         address owner, bytes memory signature)
+      public returns (uint256)
+  {
+    return registerFor (ns, name, owner, signature, _msgSender ());
+  }
+
+  /**
+   * @dev Registers a name for a given owner as the other registerFor
+   * method, but with the WCHI paid for by the given payer.  If that is
+   * not _msgSender, it must have granted enough budget to _msgSender.
+   */
+  function registerFor (string memory ns, string memory name,
+                        address owner, bytes memory signature, address payer)
       public returns (uint256 tokenId)
   {
-    uint256 fee = accounts.policy ().checkRegistration (ns, name);
-    if (fee > 0)
-      require (wchi.transferFrom (_msgSender (), address (this), fee),
-               "failed to obtain WCHI from sender");
+    pullWchi (payer, accounts.policy ().checkRegistration (ns, name));
 
     allowNameReceive = true;
     tokenId = accounts.register (ns, name);
@@ -144,16 +210,108 @@ contract XayaDelegation is NamePermissions, ERC2771Context, IERC721Receiver
                                  uint256 amount, address receiver)
       public returns (uint256)
   {
-    require (hasAccess (ns, name, path, _msgSender (), block.timestamp),
-             "the message sender has no permission to send moves");
+    return sendHierarchicalMove (ns, name, path, mv, nonce, amount, receiver,
+                                 _msgSender ());
+  }
 
-    string memory fullMove = JsonSubObject.atPath (path, mv);
-    uint256 cost = accounts.policy ().checkMove (ns, fullMove) + amount;
-    if (cost > 0)
-      require (wchi.transferFrom (_msgSender (), address (this), cost),
-               "failed to obtain WCHI from sender");
+  /**
+   * @dev Sends a move as the other sendHierarchicalMove methods, but with
+   * the WCHI (fee and payment) paid for by the given payer.  If that is
+   * not _msgSender, it must have granted enough budget to _msgSender.
+   */
+  function sendHierarchicalMove (string memory ns, string memory name,
+                                 string[] memory path, string memory mv,
+                                 uint256 nonce,
+                                 uint256 amount, address receiver,
+                                 address payer)
+      public returns (uint256)
+  {
+    string[][] memory paths = new string[][] (1);
+    paths[0] = path;
+    string[] memory mvs = new string[] (1);
+    mvs[0] = mv;
+
+    return sendMove (ns, name, paths, mvs,
+                     MovePermissions.MoveDetails ("", nonce, amount, receiver,
+                                                  0),
+                     payer);
+  }
 
-    return accounts.move (ns, name, fullMove, nonce, amount, receiver);
+  /**
+   * @dev Sends a single move for the given name that contains several
+   * sub-objects at different paths (merged with JsonSubObject.atPaths),
+   * e.g. the moves for two games.  The _msgSender must have access to
+   * each of the paths, and each sub-object must satisfy the constraints
+   * and policy of the permission granting access to its path.  The move
+   * (with the fee and payment) counts once against the quotas of each
+   * distinct permission used.
+   * Any WCHI required will be paid for by _msgSender.
+   */
+  function sendMultiPathMove (string memory ns, string memory name,
+                              string[][] memory paths, string[] memory mvs,
+                              uint256 nonce, uint256 amount, address receiver)
+      public returns (uint256)
+  {
+    return sendMove (ns, name, paths, mvs,
+                     MovePermissions.MoveDetails ("", nonce, amount, receiver,
+                                                  0),
+                     _msgSender ());
+  }
+
+  /**
+   * @dev Sends a move made up of sub-objects at the given paths, with
+   * WCHI paid for by the given payer.  This implements sendHierarchicalMove
+   * and sendMultiPathMove.  The move and cost in the move details
+   * are filled in here.
+   */
+  function sendMove (string memory ns, string memory name,
+                     string[][] memory paths, string[] memory mvs,
+                     MovePermissions.MoveDetails memory details, address payer)
+      private returns (uint256)
+  {
+    string memory fullMove;
+    {
+      bool ok;
+      (ok, fullMove) = JsonSubObject.tryAtPaths (paths, mvs);
+      require (ok, fullMove);
+    }
+    details.cost = accounts.policy ().checkMove (ns, fullMove)
+                      + details.amount;
+
+    (uint256 tokenId, address owner) = idAndOwner (ns, name);
+    uint256[] memory slots = new uint256[] (paths.length);
+    for (uint i = 0; i < paths.length; ++i)
+      {
+        details.move = mvs[i];
+        string memory error;
+        (error, slots[i]) = useMoveAccess (tokenId, owner, ns, paths[i],
+                                           _msgSender (), details, slots);
+        require (bytes (error).length == 0, error);
+      }
+
+    pullWchi (payer, details.cost);
+    return accounts.move (ns, name, fullMove, details.nonce,
+                          details.amount, details.receiver);
+  }
+
+  /**
+   * @dev Sends a batch of moves, each as with sendHierarchicalMove.
+   * The WCHI for all of them is obtained from _msgSender with a single
+   * transfer.  If atomic is true, the whole batch reverts if any move
+   * fails.  Otherwise, failed moves are skipped (with BatchedMoveFailed
+   * emitted, and their WCHI and quota usage refunded), while the others
+   * are still sent.
+   * Returns which moves succeeded, and the nonces used for them.
+   */
+  function sendHierarchicalMoves (MoveBatches.BatchedMove[] calldata moves,
+                                  bool atomic)
+      public returns (bool[] memory success, uint256[] memory nonces)
+  {
+    (success, nonces) = MoveBatches.send (
+        permissions, ownerPermissions,
+        MoveBatches.BatchContext (accounts, accounts.policy (), wchi,
+                                  _msgSender ()),
+        moves, atomic);
   }
 
   /* ************************************************************************ */
@@ -168,6 +326,29 @@ contract XayaDelegation is NamePermissions, ERC2771Context, IERC721Receiver
     owner = accounts.ownerOf (tokenId);
   }
 
+  /**
+   * @dev Looks up the namespace of a name for the owner-wide trees.
+   */
+  function namespaceOf (uint256 tokenId)
+      internal view override returns (string memory ns)
+  {
+    (ns, ) = accounts.tokenIdToName (tokenId);
+  }
+
+  /**
+   * @dev Returns true if the permissions tree of the given token and owner
+   * is stale, i.e. it is not empty but the owner does not own the name
+   * (anymore).  Such a tree has no effect, but becomes active again if the
+   * name is transferred back to the owner.  It can be migrated to the
+   * new owner with migrateTree (with their consent).
+   */
+  function isStaleTree (uint256 tokenId, address owner)
+      public view returns (bool)
+  {
+    return permissionExists (tokenId, owner, new string[] (0))
+        && accounts.ownerOf (tokenId) != owner;
+  }
+
   /* Expose the methods for managing permissions from NamePermissions on a
      per-name basis, with automatic lookup of the tokenId and current owner.
 
@@ -192,6 +373,28 @@ contract XayaDelegation is NamePermissions, ERC2771Context, IERC721Receiver
     grant (tokenId, owner, path, operator, expiration, fallbackOnly);
   }
 
+  function grantWithType (string memory ns, string memory name,
+                          string[] memory path, address operator,
+                          uint256 expiration, bool fallbackOnly,
+                          MovePermissions.PermissionType permissionType)
+      public
+  {
+    (uint256 tokenId, address owner) = idAndOwner (ns, name);
+    grantWithType (tokenId, owner, path, operator, expiration,
+                   fallbackOnly, permissionType);
+  }
+
+  function grantWithConstraints (string memory ns, string memory name,
+                                 string[] memory path, address operator,
+                                 uint256 expiration, bool fallbackOnly,
+                                 MovePermissions.MoveConstraints memory c)
+      public
+  {
+    (uint256 tokenId, address owner) = idAndOwner (ns, name);
+    grantWithConstraints (tokenId, owner, path, operator, expiration,
+                          fallbackOnly, c);
+  }
+
   function revoke (string memory ns, string memory name, string[] memory path,
                    address operator, bool fallbackOnly)
       public
@@ -208,6 +411,14 @@ contract XayaDelegation is NamePermissions, ERC2771Context, IERC721Receiver
     resetTree (tokenId, owner, path);
   }
 
+  function resetTreeBounded (string memory ns, string memory name,
+                             string[] memory path, uint256 maxSteps)
+      public returns (bool)
+  {
+    (uint256 tokenId, address owner) = idAndOwner (ns, name);
+    return resetTreeBounded (tokenId, owner, path, maxSteps);
+  }
+
   function expireTree (string memory ns, string memory name,
                        string[] memory path)
       public
@@ -216,6 +427,14 @@ contract XayaDelegation is NamePermissions, ERC2771Context, IERC721Receiver
     expireTree (tokenId, owner, path);
   }
 
+  function applyOperations (string memory ns, string memory name,
+                            PermissionOperation[] calldata ops)
+      public
+  {
+    (uint256 tokenId, address owner) = idAndOwner (ns, name);
+    applyOperations (tokenId, owner, ops);
+  }
+
   /* ************************************************************************ */
 
   /* Explicitly specify that we want to use the ERC2771 variants for
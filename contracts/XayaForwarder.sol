@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+pragma solidity ^0.8.13;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+
+/**
+ * @dev An ERC2771 forwarder that verifies EIP-712 signed requests.
+ * This is based on OpenZeppelin's MinimalForwarder, but in addition
+ * supports deadlines for requests and executing a batch of requests
+ * atomically.  Each signer has a nonce, which must match the request
+ * and is incremented with each executed request (so that requests
+ * cannot be replayed).
+ */
+contract XayaForwarder is EIP712
+{
+
+  using ECDSA for bytes32;
+
+  /* ************************************************************************ */
+
+  /**
+   * @dev A request to be forwarded, which is signed by "from".
+   */
+  struct ForwardRequest
+  {
+
+    /** @dev The signer, which will be the _msgSender in the target call.  */
+    address from;
+
+    /** @dev The target contract.  */
+    address to;
+
+    /** @dev Value (in wei) to send with the call.  */
+    uint256 value;
+
+    /** @dev Gas limit for the forwarded call.  */
+    uint256 gas;
+
+    /** @dev The signer's nonce, which must match the current one.  */
+    uint256 nonce;
+
+    /** @dev Latest timestamp at which the request can be executed.  */
+    uint256 deadline;
+
+    /** @dev The calldata for the forwarded call.  */
+    bytes data;
+
+  }
+
+  bytes32 private constant TYPEHASH = keccak256 (
+      "ForwardRequest(address from,address to,uint256 value,uint256 gas,"
+      "uint256 nonce,uint256 deadline,bytes data)");
+
+  /** @dev The next nonce for each signer.  */
+  mapping (address => uint256) private nonces;
+
+  /** @dev Emitted when a request has been executed.  */
+  event Executed (address indexed from, uint256 nonce);
+
+  constructor ()
+    EIP712 ("XayaForwarder", "1")
+  {}
+
+  /* ************************************************************************ */
+
+  /**
+   * @dev Returns the current nonce of a signer address.
+   */
+  function getNonce (address from) public view returns (uint256)
+  {
+    return nonces[from];
+  }
+
+  /**
+   * @dev Returns the EIP-712 domain separator used for signatures.
+   */
+  function domainSeparator () public view returns (bytes32)
+  {
+    return _domainSeparatorV4 ();
+  }
+
+  /**
+   * @dev Checks if the given request is signed properly by "from", has
+   * the correct nonce and is not past its deadline.
+   */
+  function verify (ForwardRequest calldata req, bytes calldata signature)
+      public view returns (bool)
+  {
+    if (block.timestamp > req.deadline || nonces[req.from] != req.nonce)
+      return false;
+
+    bytes32 structHash = keccak256 (abi.encode (
+        TYPEHASH, req.from, req.to, req.value, req.gas,
+        req.nonce, req.deadline, keccak256 (req.data)));
+    address signer = _hashTypedDataV4 (structHash).recover (signature);
+
+    return signer == req.from;
+  }
+
+  /* ************************************************************************ */
+
+  /**
+   * @dev Extracts the revert reason from the return data of a failed call,
+   * if it contains an Error(string).  Returns the empty string otherwise.
+   */
+  function revertReason (bytes memory ret)
+      private pure returns (string memory)
+  {
+    if (ret.length < 68 || bytes4 (ret) != bytes4 (0x08c379a0))
+      return "";
+
+    /* Skip the four-byte selector, and decode the rest as string.  */
+    assembly
+      {
+        let len := mload (ret)
+        ret := add (ret, 4)
+        mstore (ret, sub (len, 4))
+      }
+    return abi.decode (ret, (string));
+  }
+
+  /**
+   * @dev Verifies and forwards a single request.  The value for the call
+   * is expected to be available in this contract already.
+   */
+  function forward (ForwardRequest calldata req, bytes calldata signature)
+      private returns (bytes memory)
+  {
+    require (verify (req, signature),
+             "signature does not match request or request expired");
+    nonces[req.from] = req.nonce + 1;
+
+    (bool ok, bytes memory ret) = req.to.call {gas: req.gas, value: req.value}
+        (abi.encodePacked (req.data, req.from));
+
+    /* Validate that the relayer has sent enough gas for the call.
+       See https://ronan.eth.link/blog/ethereum-gas-dangers/ and
+       OpenZeppelin's MinimalForwarder.  */
+    if (gasleft () <= req.gas / 63)
+      assembly
+        {
+          invalid ()
+        }
+
+    require (ok, string (abi.encodePacked ("forwarded call reverted: ",
+                                           revertReason (ret))));
+
+    emit Executed (req.from, req.nonce);
+    return ret;
+  }
+
+  /**
+   * @dev Executes a single signed request.  Reverts if the request is
+   * invalid or the forwarded call reverts.
+   */
+  function execute (ForwardRequest calldata req, bytes calldata signature)
+      public payable returns (bytes memory)
+  {
+    require (msg.value == req.value, "value mismatch");
+    return forward (req, signature);
+  }
+
+  /**
+   * @dev Executes a batch of signed requests atomically.  Reverts if any
+   * of them is invalid or reverts.
+   */
+  function executeBatch (ForwardRequest[] calldata reqs,
+                         bytes[] calldata signatures)
+      public payable returns (bytes[] memory res)
+  {
+    require (reqs.length == signatures.length,
+             "requests and signatures mismatch");
+
+    uint256 totalValue = 0;
+    for (uint i = 0; i < reqs.length; ++i)
+      totalValue += reqs[i].value;
+    require (msg.value == totalValue, "value mismatch");
+
+    res = new bytes[] (reqs.length);
+    for (uint i = 0; i < reqs.length; ++i)
+      res[i] = forward (reqs[i], signatures[i]);
+  }
+
+  /* ************************************************************************ */
+
+}
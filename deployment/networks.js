@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+/* Per-network configuration for the deployment (see migrations/1_base.js).
+   For each network, "accounts" is the XayaAccounts contract and "forwarder"
+   the trusted forwarder to use, while "confirmations" is the number of
+   confirmations to wait for on each transaction.  If no forwarder is set,
+   a new XayaForwarder is deployed.  This is the case for Mumbai and Polygon:
+   The forwarders of the 1.0.0 deployment there (recorded in its entries
+   of addresses.json) cannot be reused, as they are not a XayaForwarder.
+
+   Networks with "dev" set are local development chains, for which the
+   migration deploys XayaAccounts (with WCHI and a TestPolicy) and
+   a XayaForwarder itself.  */
+
+module.exports = {
+  local: {
+    dev: true,
+    confirmations: 0,
+  },
+  mumbai: {
+    accounts: "0xA0C1034c66f82e8EC5d6D3D14e0aA8Ca3fCAD281",
+    confirmations: 2,
+  },
+  polygon: {
+    accounts: "0x8C12253F71091b9582908C8a44F78870Ec6F304F",
+    confirmations: 2,
+  },
+};
@@ -0,0 +1,473 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+/* Implementation of the xaya-delegation command-line tool (see
+   bin/xaya-delegation), which inspects and edits the permissions of
+   a Xaya name through the name-based methods of XayaDelegation.  */
+
+const fs = require ("fs");
+const path = require ("path");
+const { parseArgs } = require ("util");
+
+const truffleContract = require ("@truffle/contract");
+
+const {
+  DelegationClient,
+  PermissionType,
+  maxUint256,
+} = require ("./client.js");
+const { getDeployment } = require ("./deployment.js");
+const { atPath } = require ("./jsonsubobject.js");
+const MovePermissions = require ("./movepermissions.js");
+
+const usage = `Usage: xaya-delegation [options] <command> <ns/name> [args]
+
+Commands:
+  show <ns/name>        Prints the owner and permissions tree of the name,
+                        or with --operator explains its access at --path
+  grant <ns/name>       Grants --operator access at --path
+  revoke <ns/name>      Revokes the access of --operator at --path
+  reset <ns/name>       Resets the permissions tree at --path
+  expire <ns/name>      Removes expired permissions in the tree at --path
+  takeover <ns/name>    Transfers the name to the delegation contract
+  send-move <ns/name>   Sends --move at --path
+
+Options:
+  --rpc <url>           JSON-RPC endpoint (default: $XAYA_RPC or
+                        http://127.0.0.1:8545), which must be able to
+                        sign transactions for the sender
+  --delegation <addr>   XayaDelegation contract (default: from the
+                        address book for the chain, or from the one of
+                        a local deployment in build/addresses.json)
+  --from <addr>         Sender of transactions (default: first account)
+  --path <keys>         Comma-separated JSON path (default: root)
+  --operator <addr>     Operator to grant, revoke or explain
+  --expires <time>      Expiration of a grant, as Unix timestamp or
+                        relative like 30d, 12h, 45m or 60s (default: never)
+  --fallback            Grant or revoke fallback-only access
+  --type <type>         Permission type for grants: full, move or admin
+  --max-steps <n>       Reset in multiple bounded transactions
+  --move <json>         Move to send at the path
+  --nonce <n>           Explicit nonce for the move
+  --amount <n>          WCHI payment attached to the move
+  --receiver <addr>     Receiver of the payment
+  --dry-run             Only check locally whether the command would work
+                        (access and JSON safety), without sending anything
+  --help                Prints this help
+`;
+
+const options = {
+  "rpc": {type: "string"},
+  "delegation": {type: "string"},
+  "from": {type: "string"},
+  "path": {type: "string"},
+  "operator": {type: "string"},
+  "expires": {type: "string"},
+  "fallback": {type: "boolean"},
+  "type": {type: "string"},
+  "max-steps": {type: "string"},
+  "move": {type: "string"},
+  "nonce": {type: "string"},
+  "amount": {type: "string"},
+  "receiver": {type: "string"},
+  "dry-run": {type: "boolean"},
+  "help": {type: "boolean"},
+};
+
+/** The address book written by migrations on local development chains.  */
+const devAddressBook = path.join (__dirname, "..", "build", "addresses.json");
+
+/** Units for relative expiration times, in seconds.  */
+const timeUnits = {s: 1, m: 60, h: 3600, d: 86400};
+
+/** Permission types by their name on the command line.  */
+const permissionTypes = {
+  full: PermissionType.Full,
+  move: PermissionType.MoveOnly,
+  admin: PermissionType.AdminOnly,
+};
+
+/**
+ * Error for invalid command-line arguments, which leads to the usage
+ * being printed.
+ */
+class UsageError extends Error
+{
+}
+
+/**
+ * Parses a name given as "ns/name".
+ */
+function parseName (str)
+{
+  if (str === undefined)
+    throw new UsageError ("no name specified");
+
+  const slash = str.indexOf ("/");
+  if (slash === -1)
+    throw new UsageError (`invalid name (expected ns/name): ${str}`);
+
+  return {ns: str.slice (0, slash), name: str.slice (slash + 1)};
+}
+
+/**
+ * Parses a comma-separated path.  An empty or missing path is the root.
+ */
+function parsePath (str)
+{
+  if (str === undefined || str === "")
+    return [];
+  return str.split (",");
+}
+
+/**
+ * Parses an expiration time, which is either an absolute Unix timestamp or
+ * a duration relative to the given current time.  Returns undefined (for
+ * unlimited) if no expiration is given.
+ */
+function parseExpiration (str, now)
+{
+  if (str === undefined)
+    return undefined;
+
+  const relative = /^([0-9]+)([smhd])$/.exec (str);
+  if (relative !== null)
+    {
+      const seconds = BigInt (relative[1]) * BigInt (timeUnits[relative[2]]);
+      return (BigInt (now) + seconds).toString ();
+    }
+
+  if (!/^[0-9]+$/.test (str))
+    throw new UsageError (`invalid expiration: ${str}`);
+  return str;
+}
+
+/**
+ * Returns the value of a required option, throwing if it is missing.
+ */
+function required (values, key)
+{
+  if (values[key] === undefined)
+    throw new UsageError (`--${key} is required`);
+  return values[key];
+}
+
+/**
+ * Connects to the delegation contract based on the options, and returns
+ * a DelegationClient for it (with the sender as default "from").
+ * If provider is set, it is used instead of the --rpc option.
+ */
+async function connect (values, provider)
+{
+  const XayaDelegation
+      = truffleContract (require ("../build/contracts/XayaDelegation.json"));
+  if (provider === undefined)
+    provider = values.rpc || process.env.XAYA_RPC || "http://127.0.0.1:8545";
+  XayaDelegation.setProvider (provider);
+
+  let address = values.delegation;
+  if (address === undefined)
+    {
+      const chainId = await XayaDelegation.web3.eth.getChainId ();
+      let deployment = getDeployment (chainId);
+      if (deployment === null && fs.existsSync (devAddressBook))
+        deployment = getDeployment (
+            chainId, JSON.parse (fs.readFileSync (devAddressBook, "utf8")));
+      if (deployment === null)
+        throw new Error (`no known deployment on chain ${chainId}`);
+      address = deployment.delegation;
+    }
+
+  let from = values.from;
+  if (from === undefined)
+    [from] = await XayaDelegation.web3.eth.getAccounts ();
+  XayaDelegation.defaults ({from});
+
+  return await DelegationClient.create (await XayaDelegation.at (address));
+}
+
+/**
+ * Returns the transaction options for sending from the client's
+ * default sender.
+ */
+function txOptions (client)
+{
+  return {from: client.sender ()};
+}
+
+/**
+ * Explains the access of an operator to a name and path based on the
+ * permissions tree read from the contract (as per MovePermissions.explain).
+ * If manage is true, the right to manage permissions is explained instead
+ * of the right to send moves.  The check is done at the given time,
+ * or the latest block's time if atTime is undefined.
+ *
+ * Owner-wide trees cannot be read from the contract, so if the per-name
+ * tree does not grant move access, the contract is asked whether one
+ * of them does.  In that case, the result has rule "owner-wide".
+ */
+async function explainAccess (client, target, operator, manage, atTime)
+{
+  const tokenId = await client.tokenId (target);
+  const owner = await client.accounts.ownerOf (tokenId);
+  const tree = await client.readTree (target);
+  if (atTime === undefined)
+    atTime = await client.latestTime ();
+
+  const res = MovePermissions.explain (tree, owner, target.path, operator,
+                                       atTime, manage);
+  if (res.access || manage)
+    return res;
+
+  if (await client.del.hasOwnerAccess (owner, target.ns, target.path,
+                                       operator, atTime))
+    return {
+      access: true,
+      rule: "owner-wide",
+      node: [],
+      reason: "access through an owner-wide tree of the owner",
+    };
+
+  return res;
+}
+
+/**
+ * Checks locally (for a dry run) that the sender has access to the
+ * target name and path, as needed for sending moves or (if manage
+ * is true) for managing permissions at the given time.  Throws if not.
+ * Note that the local check does not verify the move constraints
+ * themselves (e.g. quotas or policies).
+ */
+async function checkSenderAccess (client, target, manage, atTime)
+{
+  const sender = client.sender ();
+  const res = await explainAccess (client, target, sender, manage, atTime);
+  if (!res.access)
+    throw new Error (`${sender} has no access: ${res.reason}`);
+  return res;
+}
+
+/* ************************************************************************ */
+
+/* The implementations of the commands.  Each receives the client, the target
+   name (with path), the parsed option values and the output function.  */
+const commands = {
+
+  async show (client, target, values, out)
+  {
+    if (values.operator !== undefined)
+      {
+        out (JSON.stringify (await explainAccess (client, target,
+                                                  values.operator),
+                             null, 2));
+        return;
+      }
+
+    const tokenId = await client.tokenId (target);
+    out (JSON.stringify ({
+      ns: target.ns,
+      name: target.name,
+      tokenId: tokenId.toString (),
+      owner: await client.accounts.ownerOf (tokenId),
+      tree: await client.readTree (target),
+    }, null, 2));
+  },
+
+  async grant (client, target, values, out)
+  {
+    const grant = {
+      ...target,
+      operator: required (values, "operator"),
+      expiration: parseExpiration (values.expires,
+                                   await client.latestTime ()),
+      fallbackOnly: !!values.fallback,
+    };
+    if (values.type !== undefined)
+      {
+        if (!(values.type in permissionTypes))
+          throw new UsageError (`invalid permission type: ${values.type}`);
+        grant.type = permissionTypes[values.type];
+      }
+
+    if (values["dry-run"])
+      {
+        /* Like the contract, require the sender's access to last
+           at least as long as the granted permission.  */
+        const expiration = grant.expiration === undefined
+            ? maxUint256 : grant.expiration;
+        const res = await checkSenderAccess (client, target, true,
+                                             expiration);
+        out (`dry run: would grant access (sender: ${res.reason})`);
+        return;
+      }
+
+    const tx = await client.grant (grant, txOptions (client));
+    out (`transaction: ${tx.tx}`);
+  },
+
+  async revoke (client, target, values, out)
+  {
+    const revoke = {
+      ...target,
+      operator: required (values, "operator"),
+      fallbackOnly: !!values.fallback,
+    };
+
+    if (values["dry-run"])
+      {
+        /* Everyone can revoke their own access.  */
+        if (revoke.operator.toLowerCase () !== client.sender ().toLowerCase ())
+          await checkSenderAccess (client, target, true, maxUint256);
+        out ("dry run: would revoke access");
+        return;
+      }
+
+    const tx = await client.revoke (revoke, txOptions (client));
+    out (`transaction: ${tx.tx}`);
+  },
+
+  async reset (client, target, values, out)
+  {
+    if (values["dry-run"])
+      {
+        await checkSenderAccess (client, target, true, maxUint256);
+        out ("dry run: would reset the tree");
+        return;
+      }
+
+    if (values["max-steps"] === undefined)
+      {
+        const tx = await client.resetTree (target, txOptions (client));
+        out (`transaction: ${tx.tx}`);
+        return;
+      }
+
+    const maxSteps = values["max-steps"];
+    if (!/^[0-9]+$/.test (maxSteps) || BigInt (maxSteps) === 0n)
+      throw new UsageError (`invalid max steps: ${maxSteps}`);
+
+    const count = await client.resetTreeBounded ({
+      ...target,
+      maxSteps,
+    }, txOptions (client));
+    out (`reset done in ${count} transactions`);
+  },
+
+  async expire (client, target, values, out)
+  {
+    if (values["dry-run"])
+      {
+        out ("dry run: would expire the tree");
+        return;
+      }
+
+    const tx = await client.expireTree (target, txOptions (client));
+    out (`transaction: ${tx.tx}`);
+  },
+
+  async takeover (client, target, values, out)
+  {
+    const owner = await client.owner (target);
+    if (owner.toLowerCase () !== client.sender ().toLowerCase ())
+      throw new Error (`only the owner ${owner} can take over the name`);
+
+    if (values["dry-run"])
+      {
+        out ("dry run: would take over the name");
+        return;
+      }
+
+    const tx = await client.del.takeOverName (target.ns, target.name,
+                                             txOptions (client));
+    out (`transaction: ${tx.tx}`);
+  },
+
+  async "send-move" (client, target, values, out)
+  {
+    const move = {...target, move: required (values, "move")};
+    if (values.nonce !== undefined)
+      move.nonce = values.nonce;
+    if (values.amount !== undefined)
+      move.payment = {
+        amount: values.amount,
+        receiver: required (values, "receiver"),
+      };
+
+    if (values["dry-run"])
+      {
+        /* atPath throws for moves that the contract would reject.  */
+        const full = atPath (move.path, move.move);
+        await checkSenderAccess (client, target);
+        const cost = await client.moveCost (move);
+        await client.checkWchi (client.sender (), cost);
+
+        out (`dry run: would send move ${full} (cost: ${cost} WCHI)`);
+        return;
+      }
+
+    const tx = await client.sendMove (move, txOptions (client));
+    out (`transaction: ${tx.tx}`);
+  },
+
+};
+
+/* ************************************************************************ */
+
+/**
+ * Runs the command-line tool with the given arguments (without the node
+ * and script names).  Output is written with the out and err functions
+ * (by default to the console).  If a provider is passed, it is used
+ * instead of connecting to the --rpc endpoint.  Returns the exit code.
+ */
+async function run (argv, {out, err, provider} = {})
+{
+  out = out || console.log;
+  err = err || console.error;
+
+  try
+    {
+      const {values, positionals} = parseArgs ({
+        args: argv,
+        options,
+        allowPositionals: true,
+      });
+
+      if (values.help)
+        {
+          out (usage);
+          return 0;
+        }
+
+      const [command, name, ...extra] = positionals;
+      if (command === undefined)
+        throw new UsageError ("no command specified");
+      if (!Object.prototype.hasOwnProperty.call (commands, command))
+        throw new UsageError (`unknown command: ${command}`);
+      if (extra.length > 0)
+        throw new UsageError (`unexpected arguments: ${extra.join (" ")}`);
+
+      const target = {...parseName (name), path: parsePath (values.path)};
+      const client = await connect (values, provider);
+      await commands[command] (client, target, values, out);
+      return 0;
+    }
+  catch (e)
+    {
+      err (`error: ${e.message}`);
+      const parseError
+          = e.code !== undefined && e.code.startsWith ("ERR_PARSE_ARGS_");
+      if (e instanceof UsageError || parseError)
+        {
+          err (usage);
+          return 2;
+        }
+      return 1;
+    }
+}
+
+module.exports = {
+  parseExpiration,
+  parseName,
+  parsePath,
+  run,
+};
@@ -0,0 +1,690 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const truffleContract = require ("@truffle/contract");
+
+const { atPath, atPaths } = require ("./jsonsubobject.js");
+const { permissionPlan } = require ("./plan.js");
+const { readTree } = require ("./treereader.js");
+
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/IXayaPolicy.json");
+const erc20Data = require ("@openzeppelin/contracts/build/contracts/IERC20.json");
+
+const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+const zeroAddress = "0x0000000000000000000000000000000000000000";
+
+/**
+ * @typedef {Object} NameSpec
+ * @property {string} ns The namespace of the Xaya name.
+ * @property {string} name The name (without namespace) itself.
+ */
+
+/**
+ * @typedef {Object} Payment
+ * @property {number|string|BN} amount WCHI amount attached to the move.
+ * @property {string} receiver Address receiving the payment.
+ */
+
+/**
+ * @typedef {Object} MoveRequest
+ * @property {string} ns The namespace of the account to move with.
+ * @property {string} name The name of the account to move with.
+ * @property {string[]} path JSON path at which the move is placed.
+ * @property {string|Object} move The sub-object at the path, either as
+ *     already serialised JSON string or as object (which gets stringified).
+ * @property {number|string|BN} [nonce] Explicit nonce for the move.
+ * @property {Payment} [payment] Optional WCHI payment attached to the move.
+ */
+
+/**
+ * Types of permissions, matching the PermissionType enum of MovePermissions.
+ * Full permissions allow sending moves and managing permissions, while
+ * the others allow only one of them.
+ */
+const PermissionType = {
+  Full: 0,
+  MoveOnly: 1,
+  AdminOnly: 2,
+};
+
+/**
+ * Nonce policies for move constraints, matching the NoncePolicy enum
+ * of MovePermissions.
+ */
+const NoncePolicy = {
+  Any: 0,
+  AutoOnly: 1,
+  ExplicitOnly: 2,
+};
+
+/**
+ * Constructs the MoveConstraints struct for the contract from the
+ * given options.  Unspecified options do not restrict moves (e.g. any
+ * amount and receiver for WCHI payments, no limit on the length,
+ * no quotas and no move policy).
+ */
+function moveConstraints ({maxAmount, receivers, noncePolicy, maxMoveLength,
+                           maxMoves, window, maxWchi, policy})
+{
+  const orMax = (val) => (val === undefined ? maxUint256 : val).toString ();
+  return {
+    active: true,
+    maxAmount: orMax (maxAmount),
+    receivers: receivers || [],
+    noncePolicy: noncePolicy || NoncePolicy.Any,
+    maxMoveLength: (maxMoveLength || 0).toString (),
+    maxMoves: orMax (maxMoves),
+    window: (window || 0).toString (),
+    maxWchi: orMax (maxWchi),
+    policy: policy || zeroAddress,
+  };
+}
+
+/**
+ * Returns the move string for a move given either as string already
+ * or as JSON value.
+ */
+function serialiseMove (move)
+{
+  return typeof move === "string" ? move : JSON.stringify (move);
+}
+
+/**
+ * Constructs a truffle contract abstraction from the given build data,
+ * using the same provider and defaults as an existing contract instance.
+ */
+function linkedContract (data, instance)
+{
+  const res = truffleContract (data);
+  res.setProvider (instance.constructor.currentProvider);
+  res.defaults (instance.constructor.defaults ());
+  return res;
+}
+
+/**
+ * Client for the XayaDelegation contract, which exposes the name-based
+ * methods in a convenient form (taking care of overload selection,
+ * serialisation of moves and WCHI allowance checks).
+ */
+class DelegationClient
+{
+
+  /**
+   * Constructs the client directly from truffle contract instances
+   * of XayaDelegation, the XayaAccounts registry and the WCHI token.
+   * Most users will want to use DelegationClient.create instead.
+   */
+  constructor (del, accounts, wchi)
+  {
+    this.del = del;
+    this.accounts = accounts;
+    this.wchi = wchi;
+  }
+
+  /**
+   * Creates a client instance for the given truffle contract instance
+   * of XayaDelegation, looking up the linked contracts from it.
+   */
+  static async create (del)
+  {
+    const XayaAccounts = linkedContract (accountsData, del);
+    const IERC20 = linkedContract (erc20Data, del);
+
+    const accounts = await XayaAccounts.at (await del.accounts ());
+    const wchi = await IERC20.at (await del.wchi ());
+
+    return new DelegationClient (del, accounts, wchi);
+  }
+
+  /**
+   * Creates a client for the XayaDelegation contract deployed at the
+   * given address, using the given web3 provider.  Transaction defaults
+   * (like the "from" address) can be passed as well.
+   */
+  static async at (provider, address, defaults)
+  {
+    const XayaDelegation
+        = truffleContract (require ("../build/contracts/XayaDelegation.json"));
+    XayaDelegation.setProvider (provider);
+    if (defaults !== undefined)
+      XayaDelegation.defaults (defaults);
+
+    return await DelegationClient.create (await XayaDelegation.at (address));
+  }
+
+  /* ************************************************************************ */
+
+  /**
+   * Returns the address that will be used to send transactions,
+   * based on the passed options and the contract's defaults.
+   */
+  sender (txOptions)
+  {
+    if (txOptions !== undefined && txOptions.from !== undefined)
+      return txOptions.from;
+
+    const from = this.del.constructor.defaults ().from;
+    if (from === undefined)
+      throw new Error ("no sender address specified");
+
+    return from;
+  }
+
+  /**
+   * Returns the token ID of a given name.
+   */
+  async tokenId ({ns, name})
+  {
+    return await this.accounts.tokenIdForName (ns, name);
+  }
+
+  /**
+   * Returns the current owner address of a given name.
+   */
+  async owner ({ns, name})
+  {
+    return await this.accounts.ownerOf (await this.tokenId ({ns, name}));
+  }
+
+  /**
+   * Returns the timestamp of the latest block, which is used as default
+   * time for access checks.
+   */
+  async latestTime ()
+  {
+    const web3 = this.del.constructor.web3;
+    const block = await web3.eth.getBlock ("latest");
+    return block.timestamp;
+  }
+
+  /* ************************************************************************ */
+
+  /**
+   * Checks whether an operator has access to the given name and path
+   * at some time (by default the latest block's timestamp).
+   */
+  async hasAccess ({ns, name, path, operator, atTime})
+  {
+    if (atTime === undefined)
+      atTime = await this.latestTime ();
+
+    return await this.del.methods[
+        "hasAccess(string,string,string[],address,uint256)"] (
+            ns, name, path, operator, atTime);
+  }
+
+  /**
+   * Grants a permission for the given name.  By default, the permission
+   * is unlimited in time and not fallback-only.  If constraints are given
+   * (see moveConstraints), they are attached to the permission.  Otherwise,
+   * a permission type (see PermissionType) other than Full can be given.
+   * Constrained permissions are always implicitly move-only.
+   */
+  async grant ({ns, name, path, operator, expiration, fallbackOnly,
+                constraints, type},
+               txOptions)
+  {
+    if (expiration === undefined)
+      expiration = maxUint256;
+
+    if (constraints !== undefined && type !== undefined)
+      throw new Error ("constraints and type cannot be combined");
+
+    if (type !== undefined && type !== PermissionType.Full)
+      return await this.del.methods[
+          "grantWithType(string,string,string[],address,uint256,bool,uint8)"] (
+              ns, name, path, operator, expiration, !!fallbackOnly, type,
+              txOptions || {});
+
+    if (constraints !== undefined)
+      return await this.del.methods[
+          "grantWithConstraints(string,string,string[],address,uint256,bool,"
+              + "(bool,uint256,address[],uint8,uint256,uint256,uint256,"
+              + "uint256,address))"] (
+              ns, name, path, operator, expiration, !!fallbackOnly,
+              moveConstraints (constraints), txOptions || {});
+
+    return await this.del.methods[
+        "grant(string,string,string[],address,uint256,bool)"] (
+            ns, name, path, operator, expiration, !!fallbackOnly,
+            txOptions || {});
+  }
+
+  /**
+   * Returns the type (see PermissionType) of a permission of a name
+   * (for its current owner).
+   */
+  async getPermissionType ({ns, name, path, operator, fallbackOnly})
+  {
+    const tokenId = await this.tokenId ({ns, name});
+    const owner = await this.accounts.ownerOf (tokenId);
+    const res = await this.del.getPermissionType (tokenId, owner, path,
+                                                  operator, !!fallbackOnly);
+    return Number (res);
+  }
+
+  /**
+   * Returns the move constraints attached to a permission of a name
+   * (for its current owner), or null if there are none.
+   */
+  async getConstraints ({ns, name, path, operator, fallbackOnly})
+  {
+    const tokenId = await this.tokenId ({ns, name});
+    const owner = await this.accounts.ownerOf (tokenId);
+    const res = await this.del.getConstraints (tokenId, owner, path, operator,
+                                               !!fallbackOnly);
+    if (!res.active)
+      return null;
+
+    return {
+      maxAmount: res.maxAmount.toString (),
+      receivers: res.receivers,
+      noncePolicy: Number (res.noncePolicy),
+      maxMoveLength: Number (res.maxMoveLength),
+      maxMoves: res.maxMoves.toString (),
+      window: Number (res.window),
+      maxWchi: res.maxWchi.toString (),
+      policy: res.policy,
+    };
+  }
+
+  /**
+   * Returns the usage of the quotas of a permission (for the current owner
+   * of the name), as the number of moves in the current window (which
+   * started at windowStart) and the total WCHI spent.
+   */
+  async getQuotaUsage ({ns, name, path, operator, fallbackOnly})
+  {
+    const tokenId = await this.tokenId ({ns, name});
+    const owner = await this.accounts.ownerOf (tokenId);
+    const res = await this.del.getQuotaUsage (tokenId, owner, path, operator,
+                                              !!fallbackOnly);
+    return {
+      windowStart: Number (res.windowStart),
+      moves: Number (res.moves),
+      wchiSpent: res.wchiSpent.toString (),
+    };
+  }
+
+  /**
+   * Signs a grant for the given name off-chain, which can then be submitted
+   * by anyone with grantWithSignature.  The options specify the signer
+   * address and optionally its private key (for local signing), as well as
+   * an explicit nonce and deadline.  Returns {grant, signature}.
+   */
+  async signGrant ({ns, name, path, operator, expiration, fallbackOnly},
+                   {signer, privateKey, nonce, deadline})
+  {
+    /* permit.js uses the constants defined here, so it is only loaded
+       when needed (rather than at the top, which would be circular).  */
+    const { createSignedGrant } = require ("./permit.js");
+
+    const tokenId = await this.tokenId ({ns, name});
+    const owner = await this.accounts.ownerOf (tokenId);
+    return await createSignedGrant (this.del, {
+      tokenId, owner, path, operator, expiration, fallbackOnly,
+      signer, nonce, deadline,
+    }, privateKey);
+  }
+
+  /**
+   * Submits a grant signed with signGrant.
+   */
+  async grantWithSignature ({grant, signature}, txOptions)
+  {
+    return await this.del.grantWithSignature (grant, signature,
+                                              txOptions || {});
+  }
+
+  /**
+   * Signs the consent of the current owner of a name for taking over
+   * (or copying) the permissions tree of a previous owner "from".
+   * The options specify optionally the private key of the current owner
+   * (for local signing), an explicit nonce and a deadline.
+   * Returns {consent, signature}, which the previous owner can submit
+   * with migrateTree.
+   */
+  async signMigrationConsent ({ns, name, from, copy},
+                              {privateKey, nonce, deadline})
+  {
+    const { signMigrationConsent } = require ("./permit.js");
+
+    const tokenId = await this.tokenId ({ns, name});
+    const to = await this.accounts.ownerOf (tokenId);
+    return await signMigrationConsent (this.del, {
+      tokenId, from, to, copy, nonce, deadline,
+    }, privateKey);
+  }
+
+  /**
+   * Migrates a permissions tree based on a consent signed with
+   * signMigrationConsent.  This must be sent by the previous owner.
+   */
+  async migrateTree ({consent, signature}, txOptions)
+  {
+    return await this.del.migrateTree (consent.tokenId, consent.to,
+                                       consent.copy, consent.deadline,
+                                       signature, txOptions || {});
+  }
+
+  /**
+   * Returns the addresses of all previous owners of a name that still
+   * have a (stale) permissions tree for it.  They are found based on the
+   * events emitted by the delegation contract.
+   */
+  async staleTrees ({ns, name})
+  {
+    const tokenId = await this.tokenId ({ns, name});
+
+    const query = {
+      filter: {tokenId: tokenId.toString ()},
+      fromBlock: 0,
+      toBlock: "latest",
+    };
+    const owners = new Set ();
+    for (const ev of await this.del.getPastEvents ("PermissionGranted", query))
+      owners.add (ev.args.owner);
+    for (const ev of await this.del.getPastEvents ("PermissionTreeMigrated",
+                                                   query))
+      owners.add (ev.args.to);
+
+    const res = [];
+    for (const owner of owners)
+      if (await this.del.isStaleTree (tokenId, owner))
+        res.push (owner);
+    return res;
+  }
+
+  /**
+   * Revokes a permission for the given name.
+   */
+  async revoke ({ns, name, path, operator, fallbackOnly}, txOptions)
+  {
+    return await this.del.methods[
+        "revoke(string,string,string[],address,bool)"] (
+            ns, name, path, operator, !!fallbackOnly, txOptions || {});
+  }
+
+  /**
+   * Resets the permissions tree at the given name and path.
+   */
+  async resetTree ({ns, name, path}, txOptions)
+  {
+    return await this.del.methods["resetTree(string,string,string[])"] (
+        ns, name, path, txOptions || {});
+  }
+
+  /**
+   * Resets the permissions tree at the given name and path with a bounded
+   * amount of work per transaction.  This sends resetTreeBounded
+   * transactions with the given (positive) maxSteps until the reset is done,
+   * and returns the number of transactions sent.  Throws if a transaction
+   * does not finish the reset and also does not shrink the tree, as that
+   * would otherwise loop forever.
+   */
+  async resetTreeBounded ({ns, name, path, maxSteps}, txOptions)
+  {
+    if (!(BigInt (maxSteps) > 0n))
+      throw new Error ("maxSteps must be positive");
+
+    const tokenId = await this.tokenId ({ns, name});
+    const owner = await this.accounts.ownerOf (tokenId);
+    const treeSize = async () => {
+      return BigInt (await this.del.getTreeSize (tokenId, owner));
+    };
+
+    const method = this.del.methods[
+        "resetTreeBounded(string,string,string[],uint256)"];
+    let size = await treeSize ();
+    for (let count = 1; ; ++count)
+      {
+        /* The PermissionTreeReset event is only emitted by the call
+           that completes the reset.  */
+        const tx = await method (ns, name, path, maxSteps, txOptions || {});
+        if (tx.logs.some ((l) => l.event === "PermissionTreeReset"))
+          return count;
+
+        const newSize = await treeSize ();
+        if (newSize >= size)
+          throw new Error (`resetTreeBounded made no progress in ${tx.tx}`);
+        size = newSize;
+      }
+  }
+
+  /**
+   * Removes expired permissions in the tree at the given name and path.
+   */
+  async expireTree ({ns, name, path}, txOptions)
+  {
+    return await this.del.methods["expireTree(string,string,string[])"] (
+        ns, name, path, txOptions || {});
+  }
+
+  /**
+   * Grants a permission in the owner-wide tree of an owner, which applies
+   * to all names of the owner in the namespace ns (or all namespaces if
+   * ns is not given).  Expiration and fallbackOnly are as for grant.
+   */
+  async grantOwnerWide ({owner, ns, path, operator, expiration, fallbackOnly},
+                        txOptions)
+  {
+    if (expiration === undefined)
+      expiration = maxUint256;
+
+    return await this.del.grantOwnerWide (owner, ns || "", path, operator,
+                                          expiration, !!fallbackOnly,
+                                          txOptions || {});
+  }
+
+  /**
+   * Revokes a permission in the owner-wide tree of an owner.
+   */
+  async revokeOwnerWide ({owner, ns, path, operator, fallbackOnly}, txOptions)
+  {
+    return await this.del.revokeOwnerWide (owner, ns || "", path, operator,
+                                           !!fallbackOnly, txOptions || {});
+  }
+
+  /**
+   * Resets the owner-wide tree of an owner at the given path.
+   */
+  async resetOwnerTree ({owner, ns, path}, txOptions)
+  {
+    return await this.del.resetOwnerTree (owner, ns || "", path,
+                                          txOptions || {});
+  }
+
+  /**
+   * Removes expired permissions in the owner-wide tree of an owner.
+   */
+  async expireOwnerTree ({owner, ns, path}, txOptions)
+  {
+    return await this.del.expireOwnerTree (owner, ns || "", path,
+                                           txOptions || {});
+  }
+
+  /**
+   * Applies a list of operations (see plan.js) atomically for the given name.
+   */
+  async applyOperations ({ns, name}, ops, txOptions)
+  {
+    return await this.del.methods[
+        "applyOperations(string,string,(uint8,string[],address,uint256,bool)[])"] (
+            ns, name, ops, txOptions || {});
+  }
+
+  /**
+   * Reads the current permissions tree of a name, and applies the operations
+   * needed to turn it into the desired tree.  Returns the operations that
+   * were applied (which may be empty, in which case no transaction is sent).
+   */
+  async applyPlan ({ns, name}, desired, txOptions)
+  {
+    txOptions = txOptions || {};
+
+    const tokenId = await this.tokenId ({ns, name});
+    const owner = await this.accounts.ownerOf (tokenId);
+    const current = await readTree (this.del, tokenId, owner);
+
+    const ops = permissionPlan (current, desired, {
+      sender: this.sender (txOptions),
+      owner,
+    });
+    if (ops.length > 0)
+      await this.applyOperations ({ns, name}, ops, txOptions);
+
+    return ops;
+  }
+
+  /**
+   * Reads the full permissions tree of a name for its current owner.
+   * The options are passed on to readTree.
+   */
+  async readTree ({ns, name}, options)
+  {
+    const tokenId = await this.tokenId ({ns, name});
+    const owner = await this.accounts.ownerOf (tokenId);
+    return await readTree (this.del, tokenId, owner, options);
+  }
+
+  /* ************************************************************************ */
+
+  /**
+   * Computes the WCHI cost (move fee plus attached payment) for sending
+   * the given move request.  The request has either a single path and move,
+   * or a list of parts (each with path and move) as for sendMultiPathMove.
+   * This throws if the move would be rejected by the JSON sub-object checks
+   * of the contract.
+   */
+  async moveCost ({ns, path, move, parts, payment})
+  {
+    const IXayaPolicy = linkedContract (policyData, this.del);
+    const policy = await IXayaPolicy.at (await this.accounts.policy ());
+
+    let full;
+    if (parts !== undefined)
+      full = atPaths (parts.map ((p) => p.path),
+                      parts.map ((p) => serialiseMove (p.move)));
+    else
+      full = atPath (path, serialiseMove (move));
+    const fee = await policy.checkMove.call (ns, full);
+
+    if (payment === undefined)
+      return fee;
+    const web3 = this.del.constructor.web3;
+    return fee.add (web3.utils.toBN (payment.amount));
+  }
+
+  /**
+   * Computes the WCHI fee for registering the given name.
+   */
+  async registrationCost ({ns, name})
+  {
+    const IXayaPolicy = linkedContract (policyData, this.del);
+    const policy = await IXayaPolicy.at (await this.accounts.policy ());
+    return await policy.checkRegistration.call (ns, name);
+  }
+
+  /**
+   * Verifies that the sender has enough WCHI balance and allowance
+   * for the delegation contract to cover the given cost.  Throws if not.
+   */
+  async checkWchi (from, cost)
+  {
+    const balance = await this.wchi.balanceOf (from);
+    if (balance.lt (cost))
+      throw new Error (`insufficient WCHI balance: ${balance} < ${cost}`);
+
+    const allowance = await this.wchi.allowance (from, this.del.address);
+    if (allowance.lt (cost))
+      throw new Error (
+          `insufficient WCHI allowance for delegation: ${allowance} < ${cost}`);
+  }
+
+  /**
+   * Approves the delegation contract to spend the sender's WCHI, by default
+   * with unlimited allowance.
+   */
+  async approveWchi (amount, txOptions)
+  {
+    if (amount === undefined)
+      amount = maxUint256;
+
+    return await this.wchi.approve (this.del.address, amount,
+                                    txOptions || {});
+  }
+
+  /**
+   * Sends a move through the delegation contract.  If neither nonce nor
+   * payment are specified, the simple overload of sendHierarchicalMove
+   * is used; otherwise the extended one.  Before sending, the move is
+   * validated locally and the WCHI needed is checked against the sender's
+   * balance and allowance.
+   */
+  async sendMove ({ns, name, path, move, nonce, payment}, txOptions)
+  {
+    txOptions = txOptions || {};
+    const mv = serialiseMove (move);
+
+    const cost = await this.moveCost ({ns, path, move: mv, payment});
+    if (!cost.isZero ())
+      await this.checkWchi (this.sender (txOptions), cost);
+
+    if (nonce === undefined && payment === undefined)
+      return await this.del.methods[
+          "sendHierarchicalMove(string,string,string[],string)"] (
+              ns, name, path, mv, txOptions);
+
+    if (nonce === undefined)
+      nonce = maxUint256;
+    if (payment === undefined)
+      payment = {amount: 0, receiver: zeroAddress};
+
+    return await this.del.methods[
+        "sendHierarchicalMove(string,string,string[],string,"
+            + "uint256,uint256,address)"] (
+            ns, name, path, mv, nonce, payment.amount, payment.receiver,
+            txOptions);
+  }
+
+  /**
+   * Sends a single move made up of several parts (each with path and move)
+   * through sendMultiPathMove, e.g. moves for two games at once.  The nonce
+   * and payment are optional as for sendMove, and the move is validated
+   * locally and the WCHI needed checked before sending as well.
+   */
+  async sendMultiPathMove ({ns, name, parts, nonce, payment}, txOptions)
+  {
+    txOptions = txOptions || {};
+    const paths = parts.map ((p) => p.path);
+    const mvs = parts.map ((p) => serialiseMove (p.move));
+
+    const cost = await this.moveCost ({ns, parts, payment});
+    if (!cost.isZero ())
+      await this.checkWchi (this.sender (txOptions), cost);
+
+    if (nonce === undefined)
+      nonce = maxUint256;
+    if (payment === undefined)
+      payment = {amount: 0, receiver: zeroAddress};
+
+    return await this.del.sendMultiPathMove (
+        ns, name, paths, mvs, nonce, payment.amount, payment.receiver,
+        txOptions);
+  }
+
+  /* ************************************************************************ */
+
+}
+
+module.exports = {
+  DelegationClient,
+  NoncePolicy,
+  PermissionType,
+  moveConstraints,
+  maxUint256,
+  zeroAddress,
+};
@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const fs = require ("fs");
+const sigUtil = require ("@metamask/eth-sig-util");
+const truffleContract = require ("@truffle/contract");
+
+const { DelegationClient, maxUint256 } = require ("./client.js");
+const { forwardRequestTypedData } = require ("./forwarder.js");
+
+/**
+ * The address book of our own deployments, keyed by chain ID.  Until the
+ * contract is redeployed on a chain, its entry may still be the audited
+ * 1.0.0 deployment (see the README), which is marked with its version.
+ */
+const addressBook = require ("../deployment/addresses.json");
+
+/**
+ * Versions of deployments in the address book that have a different
+ * interface than the current contract, and thus cannot be used with
+ * this library.
+ */
+const incompatibleVersions = ["1.0.0"];
+
+/**
+ * @typedef {Object} Deployment
+ * @property {string} network Name of the network (as in truffle-config.js).
+ * @property {string} [version] Version of an older deployment, which is
+ *     not set for deployments of the current contract.
+ * @property {string} accounts Address of the XayaAccounts contract.
+ * @property {string} forwarder Address of the trusted forwarder.
+ * @property {string} delegation Address of the XayaDelegation contract.
+ * @property {string} [wchi] Address of the WCHI token.
+ * @property {Object<string, string>} [libraries] Addresses of the linked
+ *     libraries (JsonSubObject, MovePermissions, PermissionTrees and
+ *     MoveBatches)
+ *     by name.
+ */
+
+/**
+ * Returns the deployment for the given chain ID from the address book,
+ * or null if there is none.  Deployments of an incompatible older version
+ * (which are still in addressBook) are ignored.
+ */
+function getDeployment (chainId, book)
+{
+  const entry = (book || addressBook)[chainId.toString ()];
+  if (entry === undefined || incompatibleVersions.includes (entry.version))
+    return null;
+  return entry;
+}
+
+/**
+ * Sets the deployment for a chain ID in the address book stored in the
+ * given file.  Entries for other chains are kept (if the file exists).
+ */
+function updateAddressBook (file, chainId, deployment)
+{
+  const book = fs.existsSync (file)
+      ? JSON.parse (fs.readFileSync (file, "utf8"))
+      : {};
+  book[chainId.toString ()] = deployment;
+  fs.writeFileSync (file, JSON.stringify (book, null, 2) + "\n");
+}
+
+/**
+ * Checks if the contract at the given address is a XayaForwarder (as
+ * opposed to e.g. the forwarder of the 1.0.0 deployment, which does
+ * not support deadlines and batches), by comparing its EIP-712 domain
+ * separator to the expected one.
+ */
+async function isXayaForwarder (web3, address)
+{
+  const XayaForwarder
+      = truffleContract (require ("../build/contracts/XayaForwarder.json"));
+  XayaForwarder.setProvider (web3.currentProvider);
+
+  let actual;
+  try
+    {
+      const fwd = await XayaForwarder.at (address);
+      actual = await fwd.domainSeparator ();
+    }
+  catch (err)
+    {
+      return false;
+    }
+
+  const data = forwardRequestTypedData ({}, {
+    chainId: await web3.eth.getChainId (),
+    verifyingContract: address,
+  });
+  const expected = sigUtil.TypedDataUtils.hashStruct (
+      "EIP712Domain", data.domain, data.types,
+      sigUtil.SignTypedDataVersion.V4);
+  return actual.toLowerCase () === `0x${expected.toString ("hex")}`;
+}
+
+/**
+ * Performs sanity checks on a deployed XayaDelegation contract (a truffle
+ * instance), comparing it against the expected XayaAccounts and forwarder
+ * addresses.  The forwarder must also be a XayaForwarder.  Returns a list
+ * of problems found, which is empty if everything is fine.
+ */
+async function verifyDeployment (del, {accounts, forwarder})
+{
+  const problems = [];
+  const sameAddress = (a, b) => a.toLowerCase () === b.toLowerCase ();
+
+  const client = await DelegationClient.create (del);
+  if (!sameAddress (client.accounts.address, accounts))
+    problems.push (`accounts contract is ${client.accounts.address}`
+                      + ` instead of ${accounts}`);
+
+  const wchiToken = await client.accounts.wchiToken ();
+  if (!sameAddress (client.wchi.address, wchiToken))
+    problems.push (`WCHI token is ${client.wchi.address}`
+                      + ` instead of ${wchiToken}`);
+
+  const allowance
+      = await client.wchi.allowance (del.address, client.accounts.address);
+  if (allowance.toString () !== maxUint256)
+    problems.push (`WCHI allowance for the accounts contract is ${allowance}`);
+
+  if (!(await del.isTrustedForwarder (forwarder)))
+    problems.push (`${forwarder} is not the trusted forwarder`);
+  if (!(await isXayaForwarder (del.constructor.web3, forwarder)))
+    problems.push (`${forwarder} is not a XayaForwarder`);
+
+  return problems;
+}
+
+module.exports = {
+  addressBook,
+  getDeployment,
+  updateAddressBook,
+  verifyDeployment,
+};
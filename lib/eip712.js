@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const sigUtil = require ("@metamask/eth-sig-util");
+
+/**
+ * EIP-712 type definition of the domain as used by OpenZeppelin's EIP712
+ * (and thus all our contracts).
+ */
+const domainType = [
+  {name: "name", type: "string"},
+  {name: "version", type: "string"},
+  {name: "chainId", type: "uint256"},
+  {name: "verifyingContract", type: "address"},
+];
+
+/**
+ * Signs EIP-712 typed data for the given signer address.  If a private
+ * key (hex string) is given, the signature is done locally.  Otherwise
+ * the provider of web3 is asked to sign with eth_signTypedData_v4, which
+ * requires it to manage the key for the signer.
+ */
+async function signTypedData (web3, from, data, privateKey)
+{
+  if (privateKey !== undefined)
+    return sigUtil.signTypedData ({
+      privateKey: Buffer.from (privateKey.replace (/^0x/, ""), "hex"),
+      data,
+      version: sigUtil.SignTypedDataVersion.V4,
+    });
+
+  return await new Promise ((resolve, reject) => {
+    web3.currentProvider.send ({
+      jsonrpc: "2.0",
+      id: Date.now (),
+      method: "eth_signTypedData_v4",
+      params: [from, data],
+    }, (err, res) => {
+      if (err)
+        return reject (err);
+      if (res.error)
+        return reject (new Error (res.error.message));
+      resolve (res.result);
+    });
+  });
+}
+
+module.exports = {
+  domainType,
+  signTypedData,
+};
@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const { maxUint256 } = require ("./client.js");
+const { domainType, signTypedData } = require ("./eip712.js");
+
+/** Default gas limit for forwarded calls.  */
+const defaultGas = 1000000;
+
+/**
+ * EIP-712 type definitions matching XayaForwarder.
+ */
+const forwarderTypes = {
+  EIP712Domain: domainType,
+  ForwardRequest: [
+    {name: "from", type: "address"},
+    {name: "to", type: "address"},
+    {name: "value", type: "uint256"},
+    {name: "gas", type: "uint256"},
+    {name: "nonce", type: "uint256"},
+    {name: "deadline", type: "uint256"},
+    {name: "data", type: "bytes"},
+  ],
+};
+
+/**
+ * Returns the EIP-712 typed data (as used by eth_signTypedData_v4) for
+ * the given ForwardRequest and forwarder contract.
+ */
+function forwardRequestTypedData (req, {chainId, verifyingContract})
+{
+  return {
+    types: forwarderTypes,
+    domain: {
+      name: "XayaForwarder",
+      version: "1",
+      chainId,
+      verifyingContract,
+    },
+    primaryType: "ForwardRequest",
+    message: req,
+  };
+}
+
+/**
+ * Constructs a ForwardRequest for the XayaForwarder truffle instance fwd.
+ * The call is given by "to" and "data" (e.g. as returned from the
+ * request method of a truffle contract function).  If not specified
+ * explicitly, the nonce is queried from the forwarder, there is no value,
+ * a default gas limit and no deadline.
+ */
+async function buildForwardRequest (fwd, {from, to, data, value, gas,
+                                          nonce, deadline})
+{
+  if (nonce === undefined)
+    nonce = await fwd.getNonce (from);
+
+  return {
+    from,
+    to,
+    value: (value || 0).toString (),
+    gas: (gas || defaultGas).toString (),
+    nonce: nonce.toString (),
+    deadline: (deadline || maxUint256).toString (),
+    data,
+  };
+}
+
+/**
+ * Signs a ForwardRequest for the forwarder instance fwd.  If a private
+ * key (hex string) is given, the signature is done locally.  Otherwise
+ * the provider is asked to sign with eth_signTypedData_v4, which requires
+ * it to manage the key for req.from.
+ */
+async function signForwardRequest (fwd, req, privateKey)
+{
+  const web3 = fwd.constructor.web3;
+  const data = forwardRequestTypedData (req, {
+    chainId: await web3.eth.getChainId (),
+    verifyingContract: fwd.address,
+  });
+
+  return await signTypedData (web3, req.from, data, privateKey);
+}
+
+/**
+ * Builds and signs a ForwardRequest in one go.  Returns the request
+ * and signature as {request, signature}, which can be passed to
+ * the forwarder's execute method by a relayer.
+ */
+async function createSignedRequest (fwd, options, privateKey)
+{
+  const request = await buildForwardRequest (fwd, options);
+  const signature = await signForwardRequest (fwd, request, privateKey);
+  return {request, signature};
+}
+
+module.exports = {
+  forwarderTypes,
+  forwardRequestTypedData,
+  buildForwardRequest,
+  signForwardRequest,
+  createSignedRequest,
+};
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const client = require ("./client.js");
+const deployment = require ("./deployment.js");
+const forwarder = require ("./forwarder.js");
+const indexer = require ("./indexer.js");
+const permit = require ("./permit.js");
+const plan = require ("./plan.js");
+const query = require ("./query.js");
+const relayer = require ("./relayer.js");
+const server = require ("./server.js");
+const sponsorship = require ("./sponsorship.js");
+const treereader = require ("./treereader.js");
+
+module.exports = {
+  ...client,
+  ...deployment,
+  ...forwarder,
+  ...indexer,
+  ...permit,
+  ...plan,
+  ...query,
+  ...relayer,
+  ...server,
+  ...sponsorship,
+  ...treereader,
+
+  /* Ports of the Solidity libraries are exported as namespaces
+     with the same name as the library.  */
+  JsonSubObject: require ("./jsonsubobject.js"),
+  MovePermissions: require ("./movepermissions.js"),
+};
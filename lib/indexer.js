@@ -0,0 +1,393 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const fs = require ("fs");
+
+const MovePermissions = require ("./movepermissions.js");
+const { emptyNode } = require ("./treereader.js");
+
+/**
+ * Returns true if the owner-wide trees of an owner (by namespace) contain
+ * one for the given namespace.  Only own properties are considered, so that
+ * namespaces like "constructor" work.
+ */
+function hasNamespace (forOwner, ns)
+{
+  return Object.prototype.hasOwnProperty.call (forOwner, ns);
+}
+
+/**
+ * Indexer that keeps a local replica of all permission trees of
+ * a NamePermissions (or XayaDelegation) contract, based on the events
+ * emitted by it.  This includes the owner-wide trees (by owner and
+ * namespace).  The trees have the same format as returned by readTree.
+ */
+class PermissionIndexer
+{
+
+  /**
+   * Constructs an empty indexer.  It will process events starting
+   * at the given block (zero if not specified).
+   */
+  constructor (fromBlock)
+  {
+    /* Trees by token ID (decimal string) and lower-case owner.  */
+    this.trees = {};
+
+    /* Owner-wide trees by lower-case owner and namespace (with the empty
+       namespace for the trees applying to all namespaces).  */
+    this.ownerTrees = {};
+
+    /* Owner addresses (as seen in the events) by lower-case key.  */
+    this.owners = {};
+
+    /* The next block from which events will be processed.  */
+    this.nextBlock = fromBlock || 0;
+  }
+
+  /**
+   * Returns the tree for a given token ID and owner, or an empty tree if
+   * there are no permissions.  The returned object must not be modified.
+   */
+  getTree (tokenId, owner)
+  {
+    const forToken = this.trees[tokenId.toString ()];
+    if (forToken === undefined)
+      return emptyNode ();
+
+    const tree = forToken[owner.toLowerCase ()];
+    return tree === undefined ? emptyNode () : tree;
+  }
+
+  /**
+   * Returns a list of all token ID and owner combinations for which
+   * (non-empty) permission trees exist.
+   */
+  getAllTrees ()
+  {
+    const res = [];
+    for (const [tokenId, forToken] of Object.entries (this.trees))
+      for (const [key, tree] of Object.entries (forToken))
+        res.push ({tokenId, owner: this.owners[key], tree});
+    return res;
+  }
+
+  /**
+   * Returns the tree for a token ID and owner, creating it if necessary.
+   */
+  getOrCreateTree (tokenId, owner)
+  {
+    tokenId = tokenId.toString ();
+    const key = owner.toLowerCase ();
+
+    if (this.trees[tokenId] === undefined)
+      this.trees[tokenId] = {};
+    if (this.trees[tokenId][key] === undefined)
+      {
+        this.trees[tokenId][key] = emptyNode ();
+        this.owners[key] = owner;
+      }
+
+    return this.trees[tokenId][key];
+  }
+
+  /**
+   * Removes the tree for a token ID and owner if it is empty, corresponding
+   * to NamePermissions.removeIfEmpty.
+   */
+  removeIfEmpty (tokenId, owner)
+  {
+    tokenId = tokenId.toString ();
+    const key = owner.toLowerCase ();
+
+    const forToken = this.trees[tokenId];
+    if (forToken === undefined || forToken[key] === undefined)
+      return;
+    if (!MovePermissions.isEmpty (forToken[key]))
+      return;
+
+    delete forToken[key];
+    if (Object.keys (forToken).length === 0)
+      delete this.trees[tokenId];
+  }
+
+  /**
+   * Returns the owner-wide tree of an owner for the given namespace,
+   * or an empty tree if there are no permissions.  The returned object
+   * must not be modified.
+   */
+  getOwnerTree (owner, ns)
+  {
+    const forOwner = this.ownerTrees[owner.toLowerCase ()];
+    if (forOwner === undefined || !hasNamespace (forOwner, ns))
+      return emptyNode ();
+    return forOwner[ns];
+  }
+
+  /**
+   * Returns the owner-wide trees that apply to names of an owner in
+   * the given namespace, in the order in which the contract checks them
+   * (see PermissionTrees.findOwnerEntry).  The result can be passed
+   * to MovePermissions.explain and hasAccess.
+   */
+  ownerTreesFor (owner, ns)
+  {
+    const res = [];
+    if (ns !== "")
+      res.push ({ns, tree: this.getOwnerTree (owner, ns)});
+    res.push ({ns: "", tree: this.getOwnerTree (owner, "")});
+    return res;
+  }
+
+  /**
+   * Returns a list of all owner and namespace combinations for which
+   * (non-empty) owner-wide trees exist.
+   */
+  getAllOwnerTrees ()
+  {
+    const res = [];
+    for (const [key, forOwner] of Object.entries (this.ownerTrees))
+      for (const [ns, tree] of Object.entries (forOwner))
+        res.push ({owner: this.owners[key], ns, tree});
+    return res;
+  }
+
+  /**
+   * Returns the owner-wide tree of an owner and namespace, creating it
+   * if necessary.
+   */
+  getOrCreateOwnerTree (owner, ns)
+  {
+    const key = owner.toLowerCase ();
+
+    if (this.ownerTrees[key] === undefined)
+      {
+        this.ownerTrees[key] = {};
+        this.owners[key] = owner;
+      }
+    if (!hasNamespace (this.ownerTrees[key], ns))
+      Object.defineProperty (this.ownerTrees[key], ns, {
+        value: emptyNode (),
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+
+    return this.ownerTrees[key][ns];
+  }
+
+  /**
+   * Removes the owner-wide tree of an owner and namespace if it is empty.
+   */
+  removeOwnerTreeIfEmpty (owner, ns)
+  {
+    const key = owner.toLowerCase ();
+
+    const forOwner = this.ownerTrees[key];
+    if (forOwner === undefined || !hasNamespace (forOwner, ns))
+      return;
+    if (!MovePermissions.isEmpty (forOwner[ns]))
+      return;
+
+    delete forOwner[ns];
+    if (Object.keys (forOwner).length === 0)
+      delete this.ownerTrees[key];
+  }
+
+  /**
+   * Copies the tree of a token from one owner to another (whose tree
+   * is empty), and removes the original tree unless copy is set.
+   */
+  migrateTree (tokenId, from, to, copy)
+  {
+    const tree = JSON.parse (JSON.stringify (this.getTree (tokenId, from)));
+    Object.assign (this.getOrCreateTree (tokenId, to), tree);
+    this.removeIfEmpty (tokenId, to);
+
+    if (!copy)
+      {
+        MovePermissions.revokeTree (this.getOrCreateTree (tokenId, from), []);
+        this.removeIfEmpty (tokenId, from);
+      }
+  }
+
+  /**
+   * Applies a single event (as returned by truffle or web3) to the state.
+   * Events not related to permissions are ignored.
+   */
+  applyEvent (ev)
+  {
+    const args = ev.args || ev.returnValues;
+    switch (ev.event)
+      {
+      case "PermissionGranted":
+        MovePermissions.grant (
+            this.getOrCreateTree (args.tokenId, args.owner),
+            args.path, args.operator, args.expiration, args.fallbackOnly);
+        break;
+
+      case "PermissionTypeSet":
+        MovePermissions.restrict (
+            this.getOrCreateTree (args.tokenId, args.owner),
+            args.path, args.operator, args.fallbackOnly,
+            {permissionType: Number (args.permissionType)});
+        break;
+
+      case "MoveConstraintsSet":
+        MovePermissions.restrict (
+            this.getOrCreateTree (args.tokenId, args.owner),
+            args.path, args.operator, args.fallbackOnly,
+            {constrained: args.constraints.active});
+        break;
+
+      case "PermissionRevoked":
+        MovePermissions.revoke (
+            this.getOrCreateTree (args.tokenId, args.owner),
+            args.path, args.operator, args.fallbackOnly);
+        this.removeIfEmpty (args.tokenId, args.owner);
+        break;
+
+      case "PermissionTreeReset":
+        /* If the sender was not the owner, a PermissionGranted event
+           follows which re-adds the sender's permission.  */
+        MovePermissions.revokeTree (
+            this.getOrCreateTree (args.tokenId, args.owner), args.path);
+        this.removeIfEmpty (args.tokenId, args.owner);
+        break;
+
+      case "PermissionTreeMigrated":
+        this.migrateTree (args.tokenId, args.from, args.to, args.copy);
+        break;
+
+      case "PermissionTreeExpired":
+        MovePermissions.expireTree (
+            this.getOrCreateTree (args.tokenId, args.owner),
+            args.path, args.atTime.toString ());
+        this.removeIfEmpty (args.tokenId, args.owner);
+        break;
+
+      case "OwnerPermissionGranted":
+        MovePermissions.grant (
+            this.getOrCreateOwnerTree (args.owner, args.ns),
+            args.path, args.operator, args.expiration, args.fallbackOnly);
+        break;
+
+      case "OwnerPermissionRevoked":
+        MovePermissions.revoke (
+            this.getOrCreateOwnerTree (args.owner, args.ns),
+            args.path, args.operator, args.fallbackOnly);
+        this.removeOwnerTreeIfEmpty (args.owner, args.ns);
+        break;
+
+      case "OwnerPermissionTreeReset":
+        /* As for PermissionTreeReset, a grant to the sender may follow.  */
+        MovePermissions.revokeTree (
+            this.getOrCreateOwnerTree (args.owner, args.ns), args.path);
+        this.removeOwnerTreeIfEmpty (args.owner, args.ns);
+        break;
+
+      case "OwnerPermissionTreeExpired":
+        MovePermissions.expireTree (
+            this.getOrCreateOwnerTree (args.owner, args.ns),
+            args.path, args.atTime.toString ());
+        this.removeOwnerTreeIfEmpty (args.owner, args.ns);
+        break;
+
+      default:
+        break;
+      }
+  }
+
+  /**
+   * Applies a list of events, which are sorted by their position
+   * in the blockchain first.
+   */
+  applyEvents (events)
+  {
+    const sorted = [...events].sort ((a, b) => {
+      if (a.blockNumber !== b.blockNumber)
+        return a.blockNumber - b.blockNumber;
+      return a.logIndex - b.logIndex;
+    });
+
+    for (const ev of sorted)
+      this.applyEvent (ev);
+  }
+
+  /**
+   * Fetches all new events from the given truffle contract instance
+   * up to the given block (by default the latest one) and applies them.
+   */
+  async sync (contract, toBlock)
+  {
+    if (toBlock === undefined)
+      toBlock = await contract.constructor.web3.eth.getBlockNumber ();
+    if (toBlock < this.nextBlock)
+      return;
+
+    const events = await contract.getPastEvents ("allEvents", {
+      fromBlock: this.nextBlock,
+      toBlock,
+    });
+    this.applyEvents (events);
+
+    this.nextBlock = toBlock + 1;
+  }
+
+  /* ************************************************************************ */
+
+  /**
+   * Returns the state as plain JSON object.
+   */
+  toJSON ()
+  {
+    return {
+      nextBlock: this.nextBlock,
+      owners: this.owners,
+      trees: this.trees,
+      ownerTrees: this.ownerTrees,
+    };
+  }
+
+  /**
+   * Constructs an indexer from a JSON state as returned by toJSON.
+   */
+  static fromJSON (data)
+  {
+    const res = new PermissionIndexer (data.nextBlock);
+    res.owners = data.owners;
+    res.trees = data.trees;
+    res.ownerTrees = data.ownerTrees;
+    return res;
+  }
+
+  /**
+   * Saves the state to a JSON file.  The data is written to a temporary
+   * file first and then moved, so that the file is replaced atomically.
+   */
+  save (file)
+  {
+    const tmp = file + ".tmp";
+    fs.writeFileSync (tmp, JSON.stringify (this.toJSON ()));
+    fs.renameSync (tmp, file);
+  }
+
+  /**
+   * Loads the state from a JSON file as written by save.  If the file
+   * does not exist, an empty indexer starting at fromBlock is returned.
+   */
+  static load (file, fromBlock)
+  {
+    if (!fs.existsSync (file))
+      return new PermissionIndexer (fromBlock);
+
+    return PermissionIndexer.fromJSON (JSON.parse (fs.readFileSync (file)));
+  }
+
+  /* ************************************************************************ */
+
+}
+
+module.exports = {
+  PermissionIndexer,
+};
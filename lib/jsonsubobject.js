@@ -0,0 +1,209 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+/* This module mirrors the JsonSubObject Solidity library, so that the full
+   move built by XayaDelegation.sendHierarchicalMove (or sendMultiPathMove)
+   can be computed and validated locally.  The checks and escaping operate
+   on the UTF-8 bytes of the strings, exactly like the Solidity code, and
+   thus yield identical results.  */
+
+const OPEN_BRACE = "{".charCodeAt (0);
+const CLOSE_BRACE = "}".charCodeAt (0);
+const OPEN_BRACKET = "[".charCodeAt (0);
+const CLOSE_BRACKET = "]".charCodeAt (0);
+const QUOTE = "\"".charCodeAt (0);
+const BACKSLASH = "\\".charCodeAt (0);
+
+/** Characters allowed in values other than objects, arrays and strings.  */
+const TOKEN_CHARS = /^[0-9a-zA-Z+\-.]+$/;
+
+/**
+ * Checks if a string is a "safe" JSON value serialisation, as per
+ * JsonSubObject.isSafe.
+ */
+function isSafe (str)
+{
+  const data = Buffer.from (str, "utf8");
+
+  if (data.length < 1)
+    return false;
+
+  switch (data[0])
+    {
+    case OPEN_BRACE:
+      return isSafeNested (data, OPEN_BRACE, CLOSE_BRACE);
+    case OPEN_BRACKET:
+      return isSafeNested (data, OPEN_BRACKET, CLOSE_BRACKET);
+    case QUOTE:
+      return isSafeString (data);
+    default:
+      /* The token characters are all ASCII, so we can check them on
+         the string directly.  */
+      return TOKEN_CHARS.test (str);
+    }
+}
+
+/**
+ * Checks if an object or array value is safe, as per
+ * JsonSubObject.isSafeNested.
+ */
+function isSafeNested (data, open, close)
+{
+  let depth = 1;
+  let openString = false;
+  let afterBackslash = false;
+
+  for (let i = 1; i < data.length; ++i)
+    {
+      if (openString)
+        {
+          if (afterBackslash)
+            {
+              afterBackslash = false;
+              continue;
+            }
+
+          if (data[i] === QUOTE)
+            openString = false;
+          else if (data[i] === BACKSLASH)
+            afterBackslash = true;
+
+          continue;
+        }
+
+      if (data[i] === QUOTE)
+        openString = true;
+      else if (data[i] === open)
+        ++depth;
+      else if (data[i] === close)
+        {
+          --depth;
+          if (depth === 0 && i + 1 !== data.length)
+            return false;
+        }
+    }
+
+  return depth === 0;
+}
+
+/**
+ * Checks if a string literal value is safe, as per
+ * JsonSubObject.isSafeString.
+ */
+function isSafeString (data)
+{
+  let afterBackslash = false;
+  for (let i = 1; i < data.length; ++i)
+    {
+      if (afterBackslash)
+        afterBackslash = false;
+      else if (data[i] === BACKSLASH)
+        afterBackslash = true;
+      else if (data[i] === QUOTE)
+        return i + 1 === data.length;
+    }
+
+  return false;
+}
+
+/**
+ * Escapes a path key for use in a JSON string literal, as per
+ * JsonSubObject.escapeKey.
+ */
+function escapeKey (str)
+{
+  const data = Buffer.from (str, "utf8");
+
+  const res = [];
+  for (const c of data)
+    if (c === QUOTE || c === BACKSLASH)
+      res.push (BACKSLASH, c);
+    else if (c < 0x20)
+      res.push (...Buffer.from ("\\u" + c.toString (16).padStart (4, "0")));
+    else
+      res.push (c);
+
+  return Buffer.from (res).toString ("utf8");
+}
+
+/**
+ * Builds the JSON string with the sub-object placed at the given path,
+ * as per JsonSubObject.atPath.  Throws an error with the same message
+ * as the revert reason in cases where the Solidity code reverts.
+ */
+function atPath (path, subObject)
+{
+  if (!isSafe (subObject))
+    throw new Error ("possible JSON injection attempt");
+
+  let res = subObject;
+  for (let i = path.length - 1; i >= 0; --i)
+    res = "{\"" + escapeKey (path[i]) + "\":" + res + "}";
+
+  return res;
+}
+
+/**
+ * Builds the merged object for the given parts (indices into paths and
+ * subObjects), whose paths share the same prefix up to depth, as per
+ * JsonSubObject.mergeAt.
+ */
+function mergeAt (paths, subObjects, parts, depth)
+{
+  if (parts.length === 1 && paths[parts[0]].length === depth)
+    return subObjects[parts[0]];
+
+  for (const p of parts)
+    if (paths[p].length === depth)
+      throw new Error ("overlapping paths");
+
+  let res = "{";
+  const done = new Array (parts.length).fill (false);
+  for (let i = 0; i < parts.length; ++i)
+    {
+      if (done[i])
+        continue;
+
+      const key = paths[parts[i]][depth];
+
+      const group = [];
+      for (let j = i; j < parts.length; ++j)
+        if (paths[parts[j]][depth] === key)
+          {
+            done[j] = true;
+            group.push (parts[j]);
+          }
+
+      res += (i === 0 ? "" : ",") + "\"" + escapeKey (key) + "\":"
+                + mergeAt (paths, subObjects, group, depth + 1);
+    }
+
+  return res + "}";
+}
+
+/**
+ * Builds the JSON string with several sub-objects placed at their paths
+ * (merging shared prefixes), as per JsonSubObject.atPaths.  Throws an error
+ * with the same message as the revert reason where the Solidity code
+ * reverts.
+ */
+function atPaths (paths, subObjects)
+{
+  if (paths.length === 0 || paths.length !== subObjects.length)
+    throw new Error ("invalid number of sub-objects");
+  if (paths.length === 1)
+    return atPath (paths[0], subObjects[0]);
+
+  for (const subObject of subObjects)
+    if (!isSafe (subObject))
+      throw new Error ("possible JSON injection attempt");
+
+  return mergeAt (paths, subObjects, paths.map ((_, i) => i), 0);
+}
+
+module.exports = {
+  atPath,
+  atPaths,
+  escapeKey,
+  isSafe,
+};
@@ -0,0 +1,462 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+/* This module implements the access checks of MovePermissions.check and
+   NamePermissions.hasAccess in pure JavaScript, operating on permission
+   trees as returned by readTree.  This allows simulating access checks
+   locally, without any RPC calls.  It also implements the updates to
+   the trees done by the library (including the pruning of empty nodes),
+   so that trees can be maintained locally based on events.
+
+   Like grantsRight in the library, the checks take the permission types
+   and move constraints of entries into account:  Constrained entries
+   allow sending moves but not managing permissions.  The constraints
+   themselves (e.g. quotas or policies) are not checked here, though.  */
+
+const { PermissionType } = require ("./client.js");
+const { emptyNode, getChild, setChild } = require ("./treereader.js");
+
+/** The key of wildcard child nodes (see MovePermissions.WILDCARD_KEY).  */
+const wildcardKey = "*";
+
+/**
+ * Returns the key under which an operator is stored in a permissions map
+ * of a tree node, or null if there is no entry.  Addresses are compared
+ * case-insensitively.
+ */
+function findKey (map, operator)
+{
+  const needle = operator.toLowerCase ();
+  for (const key of Object.keys (map))
+    if (key.toLowerCase () === needle)
+      return key;
+  return null;
+}
+
+/**
+ * Looks up the expiration of an operator in a permissions map of a tree
+ * node.  Returns the expiration as BigInt, or null if there is no entry.
+ */
+function getExpiration (map, operator)
+{
+  const key = findKey (map, operator);
+  if (key === null)
+    return null;
+  return BigInt (map[key]);
+}
+
+/**
+ * Returns the name of the map in a tree node that holds the restrictions
+ * (see PermissionsTree) of the full or fallback entries.
+ */
+function restrictionsField (fallbackOnly)
+{
+  return fallbackOnly ? "fallbackRestrictions" : "fullRestrictions";
+}
+
+/**
+ * Returns the restriction of an operator's full or fallback entry
+ * in a tree node, or null if the entry is unrestricted (or missing).
+ */
+function getRestriction (node, operator, fallbackOnly)
+{
+  const map = node[restrictionsField (fallbackOnly)];
+  if (map === undefined)
+    return null;
+  const key = findKey (map, operator);
+  if (key === null)
+    return null;
+  return map[key];
+}
+
+/**
+ * Checks if an operator's entry in a tree node grants the right to send
+ * moves or (if manage is true) to manage permissions, corresponding to
+ * MovePermissions.grantsRight.
+ */
+function grantsRight (node, operator, fallbackOnly, manage)
+{
+  const restriction = getRestriction (node, operator, fallbackOnly);
+  if (restriction === null)
+    return true;
+
+  if (manage)
+    return restriction.permissionType !== PermissionType.MoveOnly
+        && !restriction.constrained;
+  return restriction.permissionType !== PermissionType.AdminOnly;
+}
+
+/**
+ * Checks access for an operator and path in the given tree, and returns
+ * a structure explaining the result.  This has the following fields:
+ *  - access: true if access is granted
+ *  - rule: "full" or "fallback" for granted access, "none" if denied
+ *  - node: the path of the node at which the decision was made (which
+ *    contains the wildcard key for levels matched by a wildcard node)
+ *  - expiration: the expiration of the entry that granted access (if any)
+ *  - reason: a human-readable explanation
+ *
+ * By default, this checks for the right to send moves.  If manage is true,
+ * the right to manage permissions is checked instead.  Entries not granting
+ * the requested right are ignored, as in MovePermissions.find.
+ */
+function explainCheck (tree, path, operator, atTime, manage)
+{
+  atTime = BigInt (atTime);
+  if (atTime === 0n)
+    throw new Error ("atTime must not be zero");
+
+  let node = tree;
+  const nodePath = [];
+  for (let nextPath = 0; ; ++nextPath)
+    {
+      const full = getExpiration (node.fullAccess, operator);
+      if (full !== null && full >= atTime
+            && grantsRight (node, operator, false, manage))
+        return {
+          access: true,
+          rule: "full",
+          node: nodePath,
+          expiration: full.toString (),
+          reason: `full access at ${JSON.stringify (nodePath)}`,
+        };
+
+      if (nextPath === path.length)
+        return {
+          access: false,
+          rule: "none",
+          node: nodePath,
+          reason: "no full access at or above the requested level",
+        };
+
+      /* An explicit child takes precedence over a wildcard child, and
+         fallback access applies only if there is neither.  */
+      let key = path[nextPath];
+      if (getChild (node, key) === undefined)
+        key = wildcardKey;
+      if (getChild (node, key) !== undefined)
+        {
+          node = getChild (node, key);
+          nodePath.push (key);
+          continue;
+        }
+
+      const fallback = getExpiration (node.fallbackAccess, operator);
+      if (fallback !== null && fallback >= atTime
+            && grantsRight (node, operator, true, manage))
+        return {
+          access: true,
+          rule: "fallback",
+          node: nodePath,
+          expiration: fallback.toString (),
+          reason: `fallback access at ${JSON.stringify (nodePath)}`
+                    + ` for missing child ${JSON.stringify (path[nextPath])}`,
+        };
+
+      return {
+        access: false,
+        rule: "none",
+        node: nodePath,
+        reason: `no fallback access at ${JSON.stringify (nodePath)}`
+                  + ` for missing child ${JSON.stringify (path[nextPath])}`,
+      };
+    }
+}
+
+/**
+ * Checks if an operator has access to send moves in the given tree,
+ * corresponding to MovePermissions.check.
+ */
+function check (tree, path, operator, atTime)
+{
+  return explainCheck (tree, path, operator, atTime).access;
+}
+
+/**
+ * Explains the access of an operator for the tree of a particular owner,
+ * corresponding to NamePermissions.hasAccess (i.e. the owner always has
+ * access in addition to the rules in the tree).  The result has the
+ * same form as from explainCheck, with rule "owner" for the owner.
+ * If manage is true, the right to manage permissions is explained
+ * instead, corresponding to NamePermissions.canManage.
+ *
+ * ownerTrees optionally lists the owner-wide trees of the owner as
+ * {ns, tree} in the order the contract checks them (i.e. the tree for the
+ * name's namespace before the one for all namespaces, see ownerTreesFor
+ * of PermissionIndexer).  If the per-name tree does not grant move access,
+ * they are consulted as well.  If one of them grants access, the result
+ * has an extra field ownerWide with the namespace of that tree.
+ */
+function explain (tree, owner, path, operator, atTime, manage, ownerTrees)
+{
+  if (operator.toLowerCase () === owner.toLowerCase ())
+    return {
+      access: true,
+      rule: "owner",
+      node: [],
+      reason: "the operator is the owner",
+    };
+
+  const res = explainCheck (tree, path, operator, atTime, manage);
+  if (res.access || manage || ownerTrees === undefined)
+    return res;
+
+  /* Owner-wide trees only give access to sending moves.  */
+  for (const {ns, tree: ownerTree} of ownerTrees)
+    {
+      const ownerRes = explainCheck (ownerTree, path, operator, atTime);
+      if (ownerRes.access)
+        return {
+          ...ownerRes,
+          ownerWide: ns,
+          reason: `owner-wide tree for namespace ${JSON.stringify (ns)}: `
+                    + ownerRes.reason,
+        };
+    }
+
+  return res;
+}
+
+/**
+ * Checks if an operator has access for the tree of a particular owner,
+ * corresponding to NamePermissions.hasAccess.  ownerTrees are the
+ * owner-wide trees to consult as well (see explain).
+ */
+function hasAccess (tree, owner, path, operator, atTime, ownerTrees)
+{
+  return explain (tree, owner, path, operator, atTime, false,
+                  ownerTrees).access;
+}
+
+/**
+ * Checks if an operator can manage permissions at the given path for the
+ * tree of a particular owner, corresponding to NamePermissions.canManage.
+ */
+function canManage (tree, owner, path, operator, atTime)
+{
+  return explain (tree, owner, path, operator, atTime, true).access;
+}
+
+/* ************************************************************************ */
+
+/**
+ * Returns the node at the given path in a tree, or null if it (or one of its
+ * parents) does not exist.
+ */
+function retrieveNode (tree, path)
+{
+  let node = tree;
+  for (const key of path)
+    {
+      node = getChild (node, key);
+      if (node === undefined)
+        return null;
+    }
+  return node;
+}
+
+/**
+ * Checks if a tree node is empty, i.e. has no children and no permissions.
+ */
+function isEmpty (node)
+{
+  return Object.keys (node.children).length === 0
+      && Object.keys (node.fullAccess).length === 0
+      && Object.keys (node.fallbackAccess).length === 0;
+}
+
+/**
+ * Sets the restriction of the full or fallback entry with the given key
+ * in a node, or removes it if restriction is null.  The restrictions map
+ * is only present in the node while it is non-empty.
+ */
+function setRestriction (node, key, fallbackOnly, restriction)
+{
+  const field = restrictionsField (fallbackOnly);
+  if (restriction !== null)
+    {
+      if (node[field] === undefined)
+        node[field] = {};
+      node[field][key] = restriction;
+      return;
+    }
+
+  if (node[field] === undefined)
+    return;
+  delete node[field][key];
+  if (Object.keys (node[field]).length === 0)
+    delete node[field];
+}
+
+/**
+ * Grants a permission in the tree, creating nodes along the path as needed.
+ * Like MovePermissions.grant, this does not check any authorisation.
+ * The entry is unrestricted afterwards (a plain grant resets the type
+ * to Full and removes constraints); use restrict to change that.
+ */
+function grant (tree, path, operator, expiration, fallbackOnly)
+{
+  let node = tree;
+  for (const key of path)
+    {
+      if (getChild (node, key) === undefined)
+        setChild (node, key, emptyNode ());
+      node = getChild (node, key);
+    }
+
+  const map = fallbackOnly ? node.fallbackAccess : node.fullAccess;
+  const key = findKey (map, operator);
+  if (key === null)
+    map[operator] = expiration.toString ();
+  else
+    {
+      map[key] = expiration.toString ();
+      setRestriction (node, key, fallbackOnly, null);
+    }
+}
+
+/**
+ * Updates the restriction of an existing entry in the tree, corresponding
+ * to the PermissionTypeSet and MoveConstraintsSet events.  The changes
+ * are merged into the current restriction, i.e. can contain only one of
+ * permissionType and constrained.
+ */
+function restrict (tree, path, operator, fallbackOnly, changes)
+{
+  const node = retrieveNode (tree, path);
+  if (node === null)
+    return;
+  const key = findKey (fallbackOnly ? node.fallbackAccess : node.fullAccess,
+                       operator);
+  if (key === null)
+    return;
+
+  const restriction = {
+    permissionType: PermissionType.Full,
+    constrained: false,
+    ...getRestriction (node, key, fallbackOnly),
+    ...changes,
+  };
+
+  if (restriction.permissionType === PermissionType.Full
+        && !restriction.constrained)
+    setRestriction (node, key, fallbackOnly, null);
+  else
+    setRestriction (node, key, fallbackOnly, restriction);
+}
+
+/**
+ * Removes all empty nodes along the given path, starting from the leaf.
+ * The root node itself is never removed.
+ */
+function removeEmptyNodes (tree, path)
+{
+  const nodes = [tree];
+  for (const key of path)
+    {
+      const child = getChild (nodes[nodes.length - 1], key);
+      if (child === undefined)
+        break;
+      nodes.push (child);
+    }
+
+  for (let i = nodes.length - 1; i > 0; --i)
+    {
+      if (!isEmpty (nodes[i]))
+        break;
+      delete nodes[i - 1].children[path[i - 1]];
+    }
+}
+
+/**
+ * Revokes a particular permission in the tree, and prunes nodes that
+ * become empty, as per MovePermissions.revoke.
+ */
+function revoke (tree, path, operator, fallbackOnly)
+{
+  const node = retrieveNode (tree, path);
+  if (node !== null)
+    {
+      const map = fallbackOnly ? node.fallbackAccess : node.fullAccess;
+      const key = findKey (map, operator);
+      if (key !== null)
+        {
+          delete map[key];
+          setRestriction (node, key, fallbackOnly, null);
+        }
+    }
+
+  removeEmptyNodes (tree, path);
+}
+
+/**
+ * Revokes all permissions in the subtree at the given path, as per
+ * MovePermissions.revokeTree.  The node at the path itself remains
+ * (if it exists), but is empty afterwards.
+ */
+function revokeTree (tree, path)
+{
+  const node = retrieveNode (tree, path);
+  if (node === null)
+    return;
+
+  node.fullAccess = {};
+  node.fallbackAccess = {};
+  node.children = {};
+  delete node.fullRestrictions;
+  delete node.fallbackRestrictions;
+}
+
+/**
+ * Removes all permissions expired at the given time (i.e. with expiration
+ * earlier than atTime) in the subtree at the given path, and prunes
+ * empty nodes as per MovePermissions.expireTree.
+ */
+function expireTree (tree, path, atTime)
+{
+  atTime = BigInt (atTime);
+
+  const expireNode = (node) => {
+    for (const fallbackOnly of [false, true])
+      {
+        const map = fallbackOnly ? node.fallbackAccess : node.fullAccess;
+        for (const [key, expiration] of Object.entries (map))
+          if (BigInt (expiration) < atTime)
+            {
+              delete map[key];
+              setRestriction (node, key, fallbackOnly, null);
+            }
+      }
+
+    for (const [key, child] of Object.entries (node.children))
+      {
+        expireNode (child);
+        if (isEmpty (child))
+          delete node.children[key];
+      }
+  };
+
+  const node = retrieveNode (tree, path);
+  if (node !== null)
+    expireNode (node);
+
+  removeEmptyNodes (tree, path);
+}
+
+module.exports = {
+  wildcardKey,
+
+  canManage,
+  check,
+  explain,
+  explainCheck,
+  hasAccess,
+
+  expireTree,
+  grant,
+  isEmpty,
+  restrict,
+  retrieveNode,
+  revoke,
+  revokeTree,
+};
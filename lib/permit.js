@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const { maxUint256 } = require ("./client.js");
+const { domainType, signTypedData } = require ("./eip712.js");
+
+/**
+ * EIP-712 type definitions matching the signed grants of NamePermissions.
+ */
+const grantTypes = {
+  EIP712Domain: domainType,
+  Grant: [
+    {name: "tokenId", type: "uint256"},
+    {name: "owner", type: "address"},
+    {name: "path", type: "string[]"},
+    {name: "operator", type: "address"},
+    {name: "expiration", type: "uint256"},
+    {name: "fallbackOnly", type: "bool"},
+    {name: "nonce", type: "uint256"},
+    {name: "deadline", type: "uint256"},
+  ],
+};
+
+/**
+ * EIP-712 type definitions matching the migration consents
+ * of NamePermissions.migrateTree.
+ */
+const migrationTypes = {
+  EIP712Domain: domainType,
+  MigrationConsent: [
+    {name: "tokenId", type: "uint256"},
+    {name: "from", type: "address"},
+    {name: "to", type: "address"},
+    {name: "copy", type: "bool"},
+    {name: "nonce", type: "uint256"},
+    {name: "deadline", type: "uint256"},
+  ],
+};
+
+/**
+ * Returns the EIP-712 domain of a NamePermissions (XayaDelegation) contract.
+ */
+function delegationDomain ({chainId, verifyingContract})
+{
+  return {
+    name: "XayaDelegation",
+    version: "1",
+    chainId,
+    verifyingContract,
+  };
+}
+
+/**
+ * Returns the EIP-712 typed data (as used by eth_signTypedData_v4) for
+ * the given signed grant and NamePermissions (XayaDelegation) contract.
+ */
+function grantTypedData (grant, contract)
+{
+  return {
+    types: grantTypes,
+    domain: delegationDomain (contract),
+    primaryType: "Grant",
+    message: grant,
+  };
+}
+
+/**
+ * Returns the EIP-712 typed data for a migration consent.
+ */
+function migrationTypedData (consent, contract)
+{
+  return {
+    types: migrationTypes,
+    domain: delegationDomain (contract),
+    primaryType: "MigrationConsent",
+    message: consent,
+  };
+}
+
+/**
+ * Returns the chain ID and address of the given truffle instance,
+ * as needed for the EIP-712 domain.
+ */
+async function contractInfo (np)
+{
+  return {
+    chainId: await np.constructor.web3.eth.getChainId (),
+    verifyingContract: np.address,
+  };
+}
+
+/**
+ * Constructs a signed grant (without the signature) for the
+ * NamePermissions truffle instance np.  If not specified explicitly,
+ * the nonce is the signer's current grant nonce, and there is neither
+ * an expiration of the permission nor a deadline for the signature.
+ */
+async function buildSignedGrant (np, {tokenId, owner, path, operator,
+                                      expiration, fallbackOnly,
+                                      signer, nonce, deadline})
+{
+  if (nonce === undefined)
+    nonce = await np.grantNonces (signer);
+  if (expiration === undefined)
+    expiration = maxUint256;
+  if (deadline === undefined)
+    deadline = maxUint256;
+
+  return {
+    tokenId: tokenId.toString (),
+    owner,
+    path,
+    operator,
+    expiration: expiration.toString (),
+    fallbackOnly: !!fallbackOnly,
+    nonce: nonce.toString (),
+    deadline: deadline.toString (),
+  };
+}
+
+/**
+ * Signs a grant for the NamePermissions instance np with the given signer
+ * address.  If a private key is given, the signature is done locally,
+ * and otherwise through the provider (see signTypedData).
+ */
+async function signGrant (np, grant, signer, privateKey)
+{
+  const data = grantTypedData (grant, await contractInfo (np));
+  return await signTypedData (np.constructor.web3, signer, data, privateKey);
+}
+
+/**
+ * Builds and signs a grant in one go.  Returns {grant, signature}, which
+ * can be passed to grantWithSignature by anyone.
+ */
+async function createSignedGrant (np, options, privateKey)
+{
+  const grant = await buildSignedGrant (np, options);
+  const signature = await signGrant (np, grant, options.signer, privateKey);
+  return {grant, signature};
+}
+
+/**
+ * Creates and signs the consent of the new owner "to" for migrating
+ * the permissions tree of a token from the previous owner "from" (or copying
+ * it if copy is set).  The nonce defaults to the new owner's current grant
+ * nonce, and there is no deadline by default.  Returns {consent, signature},
+ * where the previous owner can then call migrateTree with the values.
+ */
+async function signMigrationConsent (np, {tokenId, from, to, copy,
+                                          nonce, deadline},
+                                     privateKey)
+{
+  if (nonce === undefined)
+    nonce = await np.grantNonces (to);
+  if (deadline === undefined)
+    deadline = maxUint256;
+
+  const consent = {
+    tokenId: tokenId.toString (),
+    from,
+    to,
+    copy: !!copy,
+    nonce: nonce.toString (),
+    deadline: deadline.toString (),
+  };
+
+  const data = migrationTypedData (consent, await contractInfo (np));
+  const signature = await signTypedData (np.constructor.web3, to, data,
+                                         privateKey);
+  return {consent, signature};
+}
+
+module.exports = {
+  grantTypes,
+  grantTypedData,
+  buildSignedGrant,
+  signGrant,
+  createSignedGrant,
+
+  migrationTypes,
+  migrationTypedData,
+  signMigrationConsent,
+};
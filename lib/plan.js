@@ -0,0 +1,216 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const { emptyNode, getChild } = require ("./treereader.js");
+
+const zeroAddress = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Operation types for NamePermissions.applyOperations, matching the
+ * OperationType enum of the contract.
+ */
+const OperationType = {
+  Grant: 0,
+  Revoke: 1,
+  ResetTree: 2,
+  ExpireTree: 3,
+};
+
+/**
+ * Constructs an operation for applyOperations.  Fields that are not
+ * specified are filled in with defaults (which the contract ignores
+ * for operations that do not use them).
+ */
+function operation (opType, path, {operator, expiration, fallbackOnly} = {})
+{
+  return {
+    opType,
+    path,
+    operator: operator || zeroAddress,
+    expiration: expiration === undefined ? "0" : expiration.toString (),
+    fallbackOnly: !!fallbackOnly,
+  };
+}
+
+/**
+ * Converts a permissions map of a tree node to a Map from lower-case
+ * address to the original address and expiration (as BigInt).
+ */
+function normaliseMap (map)
+{
+  const res = new Map ();
+  for (const [operator, expiration] of Object.entries (map))
+    res.set (operator.toLowerCase (), {operator, expiration: BigInt (expiration)});
+  return res;
+}
+
+/**
+ * Converts a restrictions map of a tree node (which may be missing) to
+ * a Map from lower-case address to the restriction.
+ */
+function normaliseRestrictions (map)
+{
+  const res = new Map ();
+  for (const [operator, restriction] of Object.entries (map || {}))
+    res.set (operator.toLowerCase (), restriction);
+  return res;
+}
+
+/**
+ * Returns true if two restrictions (or null for unrestricted) are equal.
+ */
+function sameRestriction (a, b)
+{
+  if (a === null || b === null)
+    return a === b;
+  return a.permissionType === b.permissionType
+            && a.constrained === b.constrained;
+}
+
+/**
+ * Counts the number of permission entries in a tree.
+ */
+function countEntries (tree)
+{
+  let res = Object.keys (tree.fullAccess).length
+              + Object.keys (tree.fallbackAccess).length;
+  for (const child of Object.values (tree.children))
+    res += countEntries (child);
+  return res;
+}
+
+/**
+ * Computes the operations needed to turn the permissions map at a node
+ * of the current tree into the desired one.  Grants and revokes are
+ * added to ops.grants and ops.revokes.  Since grant cannot lower an existing
+ * expiration, those are done by a revoke followed by a new grant, which
+ * are added as pair (array of the two operations) to ops.lowered.
+ *
+ * The restrictions maps are those of the current and desired nodes
+ * matching the permissions maps.  A plain grant resets the type and
+ * constraints of a permission, so entries that would need a grant and
+ * have (or should have) a restriction cannot be planned; for them,
+ * this throws.  Restricted entries that stay unchanged or are removed
+ * entirely are fine.
+ */
+function diffMap (current, desired, curRestrictions, desRestrictions,
+                  path, fallbackOnly, ops)
+{
+  const cur = normaliseMap (current);
+  const des = normaliseMap (desired);
+  const curRestr = normaliseRestrictions (curRestrictions);
+  const desRestr = normaliseRestrictions (desRestrictions);
+
+  for (const [key, {operator, expiration}] of des)
+    {
+      const existing = cur.get (key);
+      const restriction = desRestr.get (key) || null;
+      const existingRestriction
+          = existing === undefined ? null : curRestr.get (key) || null;
+
+      if (existing !== undefined && existing.expiration === expiration
+            && sameRestriction (existingRestriction, restriction))
+        continue;
+      if (restriction !== null || existingRestriction !== null)
+        throw new Error (
+            `cannot plan a change to the restricted permission of ${operator}`
+              + ` at "${path.join ("/")}"`);
+
+      const grant = operation (OperationType.Grant, path,
+                               {operator, expiration, fallbackOnly});
+      if (existing === undefined || existing.expiration < expiration)
+        ops.grants.push (grant);
+      else
+        ops.lowered.push ([
+          operation (OperationType.Revoke, path, {operator, fallbackOnly}),
+          grant,
+        ]);
+    }
+
+  for (const [key, {operator}] of cur)
+    if (!des.has (key))
+      ops.revokes.push (operation (OperationType.Revoke, path,
+                                   {operator, fallbackOnly}));
+}
+
+/**
+ * Recursively computes the operations for the subtree at path.
+ */
+function diffTree (current, desired, path, canReset, ops)
+{
+  /* If nothing is desired in the subtree and there is more than one
+     entry to remove, a single resetTree is cheaper.  */
+  if (canReset && countEntries (desired) === 0 && countEntries (current) > 1)
+    {
+      ops.resets.push (operation (OperationType.ResetTree, path));
+      return;
+    }
+
+  diffMap (current.fullAccess, desired.fullAccess,
+           current.fullRestrictions, desired.fullRestrictions,
+           path, false, ops);
+  diffMap (current.fallbackAccess, desired.fallbackAccess,
+           current.fallbackRestrictions, desired.fallbackRestrictions,
+           path, true, ops);
+
+  const keys = new Set ([
+    ...Object.keys (current.children),
+    ...Object.keys (desired.children),
+  ]);
+  for (const key of [...keys].sort ())
+    diffTree (getChild (current, key) || emptyNode (),
+              getChild (desired, key) || emptyNode (),
+              [...path, key], canReset, ops);
+}
+
+/**
+ * Computes a list of operations for applyOperations that turns the
+ * current permissions tree (e.g. as returned by readTree) into the desired
+ * one, which is given in the same format.  The operations are ordered so
+ * that the sender keeps its own permissions until the end:  First resets,
+ * then grants, then revokes (with changes to the sender's own permissions
+ * last).  Lowered expirations are applied as revoke followed by grant;
+ * for the sender's own permissions, this only works if the sender has
+ * access through some other permission as well (e.g. as the owner).
+ *
+ * The operations can only express plain grants, so this throws if a
+ * permission with a type other than Full or with move constraints
+ * (see fullRestrictions and fallbackRestrictions of the tree nodes) would
+ * have to be granted or changed.  Such permissions can be left as they
+ * are or revoked, though.
+ *
+ * options.sender is the address that will apply the operations, and
+ * options.owner the owner of the name.  If both are given and equal,
+ * subtrees that should become empty are removed with resetTree instead
+ * of revoking each entry.
+ */
+function permissionPlan (current, desired, options)
+{
+  const {sender, owner} = options || {};
+  const canReset = sender !== undefined && owner !== undefined
+                      && sender.toLowerCase () === owner.toLowerCase ();
+
+  const ops = {resets: [], grants: [], revokes: [], lowered: []};
+  diffTree (current || emptyNode (), desired || emptyNode (), [],
+            canReset, ops);
+
+  const isOwn = (op) => {
+    return sender !== undefined
+              && op.operator.toLowerCase () === sender.toLowerCase ();
+  };
+
+  return [
+    ...ops.resets,
+    ...ops.lowered.filter (([op]) => !isOwn (op)).flat (),
+    ...ops.grants,
+    ...ops.revokes.filter (op => !isOwn (op)),
+    ...ops.lowered.filter (([op]) => isOwn (op)).flat (),
+    ...ops.revokes.filter (isOwn),
+  ];
+}
+
+module.exports = {
+  OperationType,
+  operation,
+  permissionPlan,
+};
@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+/**
+ * @typedef {Object} GrantInfo
+ * @property {boolean} ownerWide True if the permission is defined in an
+ *     owner-wide tree, i.e. applies to all names of the owner (in the
+ *     namespace ns, or all namespaces if ns is empty).
+ * @property {string} tokenId The token ID of the name (decimal string),
+ *     or null for owner-wide permissions.
+ * @property {string} ns The namespace of the name (or owner-wide tree).
+ * @property {string} name The name itself (without namespace), or null
+ *     for owner-wide permissions.
+ * @property {string} owner The owner for which the permission is defined.
+ * @property {boolean} current True if the owner is the current owner of
+ *     the name.  Permissions are tied to the owner, so they are only in
+ *     effect for the current owner (but would become active again if the
+ *     name is transferred back to a previous owner).  Owner-wide permissions
+ *     always apply to the names currently owned, so this is always true
+ *     for them.
+ * @property {string[]} path The path at which the permission is granted.
+ * @property {string} operator The operator address.
+ * @property {boolean} fallbackOnly Whether this is a fallback permission.
+ * @property {string} expiration The expiration timestamp (decimal string).
+ */
+
+/**
+ * Calls the callback for all permission entries in the given tree, passing
+ * the path, operator, expiration and fallbackOnly flag.
+ */
+function forEachEntry (tree, cb, path)
+{
+  if (path === undefined)
+    path = [];
+
+  for (const [operator, expiration] of Object.entries (tree.fullAccess))
+    cb (path, operator, expiration, false);
+  for (const [operator, expiration] of Object.entries (tree.fallbackAccess))
+    cb (path, operator, expiration, true);
+
+  for (const [key, child] of Object.entries (tree.children))
+    forEachEntry (child, cb, [...path, key]);
+}
+
+/**
+ * Operator-centric queries on the permissions maintained by
+ * a PermissionIndexer.  The XayaAccounts contract (truffle instance)
+ * is used to look up names and current owners of token IDs.
+ */
+class PermissionQuery
+{
+
+  /**
+   * Constructs the query layer for the given indexer and XayaAccounts
+   * contract instance.
+   */
+  constructor (indexer, accounts)
+  {
+    this.indexer = indexer;
+    this.accounts = accounts;
+
+    /* Cache of names by token ID.  They never change for a token.  */
+    this.names = new Map ();
+  }
+
+  /**
+   * Returns the namespace and name for a token ID.
+   */
+  async getName (tokenId)
+  {
+    if (!this.names.has (tokenId))
+      {
+        const res = await this.accounts.tokenIdToName (tokenId);
+        this.names.set (tokenId, {ns: res[0], name: res[1]});
+      }
+    return this.names.get (tokenId);
+  }
+
+  /**
+   * Returns all grants matching the given filter function, which gets
+   * the operator, expiration (as BigInt) and fallbackOnly flag.
+   * If currentOnly is set, only trees for the current owner of each
+   * name are considered (and all owner-wide trees).
+   */
+  async findGrants (filter, currentOnly)
+  {
+    const res = [];
+    const owners = new Map ();
+
+    const matching = (tree) => {
+      const entries = [];
+      forEachEntry (tree, (path, operator, expiration, fallbackOnly) => {
+        if (filter (operator, BigInt (expiration), fallbackOnly))
+          entries.push ({path, operator, expiration, fallbackOnly});
+      });
+      return entries;
+    };
+
+    for (const {tokenId, owner, tree} of this.indexer.getAllTrees ())
+      {
+        const entries = matching (tree);
+        if (entries.length === 0)
+          continue;
+
+        if (!owners.has (tokenId))
+          owners.set (tokenId, await this.accounts.ownerOf (tokenId));
+        const current
+            = owners.get (tokenId).toLowerCase () === owner.toLowerCase ();
+        if (currentOnly && !current)
+          continue;
+
+        const {ns, name} = await this.getName (tokenId);
+        for (const e of entries)
+          res.push ({ownerWide: false, tokenId, ns, name, owner, current,
+                     ...e});
+      }
+
+    for (const {owner, ns, tree} of this.indexer.getAllOwnerTrees ())
+      for (const e of matching (tree))
+        res.push ({ownerWide: true, tokenId: null, ns, name: null, owner,
+                   current: true, ...e});
+
+    return res;
+  }
+
+  /**
+   * Returns all grants (full and fallback) for the given operator.
+   * If atTime is given, only grants that are still valid at that time
+   * are returned.
+   */
+  async grantsForOperator (operator, {atTime, currentOnly} = {})
+  {
+    const needle = operator.toLowerCase ();
+    const minExpiration = atTime === undefined ? 0n : BigInt (atTime);
+    return await this.findGrants ((op, expiration) => {
+      return op.toLowerCase () === needle && expiration >= minExpiration;
+    }, currentOnly);
+  }
+
+  /**
+   * Returns all grants that expire within the given window (both ends
+   * inclusive), optionally only for a particular operator.
+   */
+  async expiringWithin (from, to, {operator, currentOnly} = {})
+  {
+    from = BigInt (from);
+    to = BigInt (to);
+    const needle = operator === undefined ? null : operator.toLowerCase ();
+    return await this.findGrants ((op, expiration) => {
+      if (needle !== null && op.toLowerCase () !== needle)
+        return false;
+      return expiration >= from && expiration <= to;
+    }, currentOnly);
+  }
+
+  /**
+   * Returns all fallback-only grants for the given operator.
+   */
+  async fallbackGrants (operator, {atTime, currentOnly} = {})
+  {
+    const all = await this.grantsForOperator (operator, {atTime, currentOnly});
+    return all.filter (g => g.fallbackOnly);
+  }
+
+}
+
+module.exports = {
+  PermissionQuery,
+  forEachEntry,
+};
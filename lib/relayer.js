@@ -0,0 +1,478 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const http = require ("http");
+
+const { atPath } = require ("./jsonsubobject.js");
+const { SponsorshipDenied } = require ("./sponsorship.js");
+
+/** Names of XayaDelegation methods (all overloads) that can be relayed.  */
+const relayedMethods = ["sendHierarchicalMove", "registerFor", "grant", "revoke"];
+
+/** Default maximum gas that a forwarded call may request.  */
+const defaultMaxGas = 2000000;
+
+/** Default maximum size (in bytes) of request bodies for the HTTP server.  */
+const defaultMaxBodySize = 64 * 1024;
+
+/**
+ * Error thrown when a request is rejected by the relayer (before sending
+ * any transaction).
+ */
+class RelayRejected extends Error
+{
+}
+
+/**
+ * Error for HTTP requests whose body is too large, resulting in a 413
+ * response.
+ */
+class BodyTooLarge extends Error
+{
+}
+
+/**
+ * A relayer for meta transactions to XayaDelegation.  It accepts signed
+ * ForwardRequests for XayaForwarder (fwd), checks that they call one of
+ * the whitelisted methods on the delegation contract (del) and are likely
+ * to succeed, and then executes them with transactions from its own
+ * account (which pays for the gas).
+ *
+ * The relayer assigns nonces for its own transactions itself, so that
+ * multiple requests can be in flight at the same time.  The status of each
+ * accepted request can be queried by its ID.
+ */
+class Relayer
+{
+
+  /**
+   * Constructs the relayer for the given truffle instances of XayaForwarder
+   * and XayaDelegation.  options.from is the relayer's account, which must
+   * be available for signing in the provider.  options.maxGas optionally
+   * sets the maximum gas a request may ask for.  If options.sponsorship
+   * is set to a SponsorshipPolicy, requests with WCHI paid for by its
+   * payer are relayed if the policy accepts them.
+   */
+  constructor (fwd, del, {from, maxGas, sponsorship})
+  {
+    this.fwd = fwd;
+    this.del = del;
+    this.from = from;
+    this.maxGas = BigInt (maxGas || defaultMaxGas);
+    this.sponsorship = sponsorship;
+    this.web3 = fwd.constructor.web3;
+
+    /* The whitelisted methods by their four-byte selector.  */
+    this.methods = new Map ();
+    for (const entry of del.abi)
+      if (entry.type === "function" && relayedMethods.includes (entry.name))
+        this.methods.set (this.web3.eth.abi.encodeFunctionSignature (entry),
+                          entry);
+
+    /* Status of all accepted requests by ID.  */
+    this.requests = new Map ();
+    this.lastId = 0;
+
+    /* Signer and nonce ("from:nonce") of requests that have not yet been
+       confirmed or failed, so that duplicates are rejected.  */
+    this.inFlight = new Set ();
+
+    /* Validation of requests is serialised per signer (by lower-case
+       address) through these promise chains, see submit.  */
+    this.validating = new Map ();
+
+    /* Next nonce to use for our own transactions.  This is undefined if
+       it needs to be (re)loaded from the node.  */
+    this.nonce = undefined;
+
+    /* Sending is serialised through this promise chain, so that nonces
+       are assigned and used in order.  */
+    this.queue = Promise.resolve ();
+  }
+
+  /**
+   * Decodes the call data of a request and returns the method name and
+   * arguments, or throws if the method is not whitelisted.
+   */
+  decodeCall (data)
+  {
+    if (typeof data !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test (data))
+      throw new RelayRejected ("invalid call data");
+
+    const entry = this.methods.get (data.slice (0, 10).toLowerCase ());
+    if (entry === undefined)
+      throw new RelayRejected ("method is not allowed for relaying");
+
+    let args;
+    try
+      {
+        args = this.web3.eth.abi.decodeParameters (entry.inputs,
+                                                   "0x" + data.slice (10));
+      }
+    catch (err)
+      {
+        throw new RelayRejected ("invalid call data");
+      }
+
+    return {method: entry.name, args};
+  }
+
+  /**
+   * Simulates the checks done by sendHierarchicalMove for the given
+   * arguments and sender, throwing if the move would be rejected.
+   */
+  async checkMove (args, from)
+  {
+    try
+      {
+        atPath (args.path, args.mv);
+      }
+    catch (err)
+      {
+        throw new RelayRejected (`invalid move: ${err.message}`);
+      }
+
+    const block = await this.web3.eth.getBlock ("latest");
+    let access;
+    try
+      {
+        access = await this.del.methods[
+            "hasAccess(string,string,string[],address,uint256)"] (
+                args.ns, args.name, args.path, from, block.timestamp);
+      }
+    catch (err)
+      {
+        throw new RelayRejected (`failed to check access: ${err.message}`);
+      }
+    if (!access)
+      throw new RelayRejected ("the signer has no permission to send moves");
+  }
+
+  /**
+   * Checks if a call that has WCHI paid for by someone else than
+   * the signer should be relayed according to the sponsorship policy.
+   * Returns the sponsored cost.
+   */
+  async checkSponsorship (method, args, from)
+  {
+    if (this.sponsorship === undefined)
+      throw new RelayRejected ("sponsorship is not available");
+
+    try
+      {
+        return await this.sponsorship.evaluate ({method, args, from});
+      }
+    catch (err)
+      {
+        if (err instanceof SponsorshipDenied)
+          throw new RelayRejected (`sponsorship denied: ${err.message}`);
+        throw err;
+      }
+  }
+
+  /**
+   * Validates a signed request, throwing RelayRejected if it should not
+   * be relayed.  Returns the decoded method name, estimated gas and
+   * sponsored WCHI cost (undefined if not sponsored).
+   */
+  async validate (request, signature)
+  {
+    if (typeof request.to !== "string"
+          || request.to.toLowerCase () !== this.del.address.toLowerCase ())
+      throw new RelayRejected ("requests must target the delegation contract");
+
+    let value, gas;
+    try
+      {
+        value = BigInt (request.value);
+        gas = BigInt (request.gas);
+      }
+    catch (err)
+      {
+        throw new RelayRejected ("invalid value or gas");
+      }
+    if (value !== 0n)
+      throw new RelayRejected ("requests with value are not relayed");
+    if (gas > this.maxGas)
+      throw new RelayRejected ("requested gas is too high");
+
+    const {method, args} = this.decodeCall (request.data);
+
+    let valid;
+    try
+      {
+        valid = await this.fwd.verify (request, signature);
+      }
+    catch (err)
+      {
+        throw new RelayRejected (`invalid request: ${err.message}`);
+      }
+    if (!valid)
+      throw new RelayRejected ("invalid signature, nonce or deadline");
+
+    if (method === "sendHierarchicalMove")
+      await this.checkMove (args, request.from);
+
+    let sponsored;
+    if (args.payer !== undefined
+          && args.payer.toLowerCase () !== request.from.toLowerCase ())
+      sponsored = await this.checkSponsorship (method, args, request.from);
+
+    /* Simulate the full execution, which also gives us the gas needed.  */
+    let estimate;
+    try
+      {
+        estimate = await this.fwd.execute.estimateGas (request, signature,
+                                                       {from: this.from});
+      }
+    catch (err)
+      {
+        throw new RelayRejected (`request would fail: ${err.message}`);
+      }
+
+    return {method, gas: estimate, sponsored};
+  }
+
+  /**
+   * Validates a signed request and queues it for execution.  Returns the
+   * ID of the request, with which its status can be queried.  Throws
+   * RelayRejected if the request is not acceptable.
+   */
+  async submit (request, signature)
+  {
+    if (typeof request !== "object" || request === null
+          || typeof signature !== "string")
+      throw new RelayRejected ("request and signature are required");
+
+    /* Mark the request as in flight right away, so that concurrent
+       submissions of the same request are detected.  */
+    const key = `${request.from}:${request.nonce}`.toLowerCase ();
+    if (this.inFlight.has (key))
+      throw new RelayRejected ("request is already pending");
+    this.inFlight.add (key);
+
+    /* Requests of the same signer are validated one after the other, and
+       a sponsored cost is recorded before the next one is validated.  Thus
+       the sponsorship policy sees the costs of all earlier requests, and
+       concurrent requests cannot exceed the user's limit together.  The cost
+       is released again if the request fails in the end.  */
+    let method, gas, sponsored;
+    const done = (failed) => {
+      this.inFlight.delete (key);
+      if (failed && sponsored !== undefined)
+        this.sponsorship.release (request.from, sponsored);
+    };
+
+    const signer = String (request.from).toLowerCase ();
+    const validated = (this.validating.get (signer) || Promise.resolve ())
+        .then (async () => {
+          const res = await this.validate (request, signature);
+          if (res.sponsored !== undefined)
+            this.sponsorship.record (request.from, res.sponsored);
+          return res;
+        });
+    const tail = validated.catch (() => {});
+    this.validating.set (signer, tail);
+
+    try
+      {
+        ({method, gas, sponsored} = await validated);
+      }
+    catch (err)
+      {
+        done (false);
+        throw err;
+      }
+    finally
+      {
+        if (this.validating.get (signer) === tail)
+          this.validating.delete (signer);
+      }
+
+    const id = String (++this.lastId);
+    const status = {
+      id,
+      status: "pending",
+      from: request.from,
+      method,
+    };
+    this.requests.set (id, status);
+
+    this.queue = this.queue.then (
+        () => this.send (status, request, signature, gas, done));
+
+    return id;
+  }
+
+  /**
+   * Sends the transaction for an accepted request with the next nonce.
+   * This resolves once the transaction is submitted, and updates the
+   * status in the background when it is confirmed or fails.  done is
+   * called with whether or not the request failed once that is known.
+   */
+  async send (status, request, signature, gas, done)
+  {
+    const fail = (err) => {
+      status.status = "failed";
+      status.error = err.message;
+      done (true);
+    };
+
+    if (this.nonce === undefined)
+      {
+        try
+          {
+            this.nonce = await this.web3.eth.getTransactionCount (this.from,
+                                                                  "pending");
+          }
+        catch (err)
+          {
+            return fail (err);
+          }
+      }
+
+    /* Add a margin on top of the estimate, since the forwarder requires
+       some gas left after the call.  */
+    const sent = this.fwd.contract.methods.execute (request, signature)
+        .send ({
+          from: this.from,
+          nonce: this.nonce,
+          gas: Math.ceil (gas * 1.2),
+        });
+    status.nonce = this.nonce;
+    sent.then (() => {
+      status.status = "confirmed";
+      done (false);
+    }, fail);
+
+    try
+      {
+        await new Promise ((resolve, reject) => {
+          sent.once ("transactionHash", (hash) => {
+            status.status = "submitted";
+            status.txHash = hash;
+            resolve ();
+          });
+          sent.once ("error", reject);
+        });
+        ++this.nonce;
+      }
+    catch (err)
+      {
+        /* We don't know what happened with the nonce, so reload it from
+           the node for the next transaction.  */
+        this.nonce = undefined;
+      }
+  }
+
+  /**
+   * Returns the status of a request by ID, or null if it is not known.
+   * The status field is one of "pending" (not yet sent), "submitted"
+   * (transaction sent), "confirmed" and "failed" (with an error message).
+   */
+  getStatus (id)
+  {
+    const res = this.requests.get (id);
+    if (res === undefined)
+      return null;
+    return {...res};
+  }
+
+}
+
+/**
+ * Reads the body of an HTTP request and parses it as JSON.  If the body
+ * is larger than maxSize bytes, the promise is rejected with BodyTooLarge
+ * as soon as that is known, and the rest of the body is discarded.
+ */
+function readJson (req, maxSize)
+{
+  return new Promise ((resolve, reject) => {
+    let body = "";
+    let size = 0;
+    req.on ("data", chunk => {
+      size += chunk.length;
+      if (size > maxSize)
+        reject (new BodyTooLarge (`the request body exceeds ${maxSize} bytes`));
+      else
+        body += chunk;
+    });
+    req.on ("end", () => {
+      if (size > maxSize)
+        return;
+      try
+        {
+          resolve (JSON.parse (body));
+        }
+      catch (err)
+        {
+          reject (new RelayRejected ("invalid JSON body"));
+        }
+    });
+    req.on ("error", reject);
+  });
+}
+
+/**
+ * Creates an HTTP server (not yet listening) for the given Relayer.
+ * The supported endpoints are:
+ *
+ *  - POST /relay with a JSON body {request, signature}, which returns
+ *    the request's ID on success (202) or the rejection reason (400)
+ *  - GET /status/<id> with the request's status
+ *
+ * options.maxBodySize optionally sets the maximum size (in bytes) of
+ * request bodies.  Larger ones are rejected with status 413.
+ */
+function createRelayerServer (relayer, options)
+{
+  const maxBodySize = (options && options.maxBodySize) || defaultMaxBodySize;
+
+  return http.createServer (async (req, res) => {
+    const reply = (status, data) => {
+      res.writeHead (status, {"Content-Type": "application/json"});
+      res.end (JSON.stringify (data));
+    };
+
+    try
+      {
+        const url = new URL (req.url, "http://localhost");
+
+        if (url.pathname === "/relay")
+          {
+            if (req.method !== "POST")
+              return reply (405, {error: "only POST is supported"});
+            const body = await readJson (req, maxBodySize);
+            const id = await relayer.submit (body.request, body.signature);
+            return reply (202, relayer.getStatus (id));
+          }
+
+        const match = /^\/status\/([^/]+)$/.exec (url.pathname);
+        if (match !== null)
+          {
+            if (req.method !== "GET")
+              return reply (405, {error: "only GET is supported"});
+            const status = relayer.getStatus (match[1]);
+            if (status === null)
+              return reply (404, {error: "unknown request"});
+            return reply (200, status);
+          }
+
+        return reply (404, {error: "not found"});
+      }
+    catch (err)
+      {
+        if (err instanceof BodyTooLarge)
+          return reply (413, {error: err.message});
+        if (err instanceof RelayRejected)
+          return reply (400, {error: err.message});
+        return reply (500, {error: err.message});
+      }
+  });
+}
+
+module.exports = {
+  Relayer,
+  RelayRejected,
+  createRelayerServer,
+};
@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const http = require ("http");
+
+/**
+ * Error class for requests that are invalid, resulting in a 400 response.
+ */
+class BadRequest extends Error
+{
+}
+
+/**
+ * Parses a boolean flag from a query parameter.
+ */
+function parseFlag (value)
+{
+  return value === "1" || value === "true";
+}
+
+/**
+ * Parses an optional integer (timestamp) from a query parameter.
+ */
+function parseTime (value, field)
+{
+  if (value === null)
+    return undefined;
+  if (!/^[0-9]+$/.test (value))
+    throw new BadRequest (`invalid ${field}: ${value}`);
+  return value;
+}
+
+/**
+ * Parses an address from a path component.
+ */
+function parseAddress (value)
+{
+  if (!/^0x[0-9a-fA-F]{40}$/.test (value))
+    throw new BadRequest (`invalid address: ${value}`);
+  return value;
+}
+
+/**
+ * Handles a single request with the given URL against the query layer.
+ * Returns the response data, or null if the path is not known.
+ */
+async function handleQuery (query, url)
+{
+  const params = url.searchParams;
+  const currentOnly = parseFlag (params.get ("currentOnly"));
+
+  let match = /^\/operator\/([^/]+)\/(grants|fallback)$/.exec (url.pathname);
+  if (match !== null)
+    {
+      const operator = parseAddress (match[1]);
+      const atTime = parseTime (params.get ("atTime"), "atTime");
+      if (match[2] === "grants")
+        return await query.grantsForOperator (operator, {atTime, currentOnly});
+      return await query.fallbackGrants (operator, {atTime, currentOnly});
+    }
+
+  if (url.pathname === "/expiring")
+    {
+      const from = parseTime (params.get ("from"), "from");
+      const to = parseTime (params.get ("to"), "to");
+      if (from === undefined || to === undefined)
+        throw new BadRequest ("from and to are required");
+
+      const operatorParam = params.get ("operator");
+      const operator
+          = operatorParam === null ? undefined : parseAddress (operatorParam);
+
+      return await query.expiringWithin (from, to, {operator, currentOnly});
+    }
+
+  return null;
+}
+
+/**
+ * Creates an HTTP server (not yet listening) that answers JSON queries
+ * against the given PermissionQuery instance.  The supported endpoints
+ * (all GET) are:
+ *
+ *  - /operator/<address>/grants?atTime=&currentOnly=
+ *  - /operator/<address>/fallback?atTime=&currentOnly=
+ *  - /expiring?from=&to=&operator=&currentOnly=
+ *
+ * If options.beforeQuery is set, it is called (and awaited) before
+ * answering each query, e.g. to sync the underlying indexer.  Queries
+ * arriving while a call is still in progress wait for that call instead
+ * of starting another one, so that the calls never overlap.
+ */
+function createQueryServer (query, options)
+{
+  const beforeQuery = (options && options.beforeQuery) || (async () => {});
+
+  let inFlight = null;
+  const prepare = () => {
+    if (inFlight === null)
+      inFlight = (async () => {
+        try
+          {
+            await beforeQuery ();
+          }
+        finally
+          {
+            inFlight = null;
+          }
+      }) ();
+    return inFlight;
+  };
+
+  return http.createServer (async (req, res) => {
+    const reply = (status, data) => {
+      res.writeHead (status, {"Content-Type": "application/json"});
+      res.end (JSON.stringify (data));
+    };
+
+    if (req.method !== "GET")
+      return reply (405, {error: "only GET is supported"});
+
+    try
+      {
+        await prepare ();
+        const url = new URL (req.url, "http://localhost");
+        const data = await handleQuery (query, url);
+        if (data === null)
+          return reply (404, {error: "not found"});
+        return reply (200, data);
+      }
+    catch (err)
+      {
+        if (err instanceof BadRequest)
+          return reply (400, {error: err.message});
+        return reply (500, {error: err.message});
+      }
+  });
+}
+
+module.exports = {
+  createQueryServer,
+};
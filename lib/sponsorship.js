@@ -0,0 +1,168 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+/**
+ * Error thrown when a request is not eligible for sponsorship.
+ */
+class SponsorshipDenied extends Error
+{
+}
+
+/**
+ * Policy for a payer (paymaster) that sponsors the WCHI of moves and
+ * registrations done by other users, through the payer-variants of
+ * sendHierarchicalMove and registerFor.  The contract itself enforces
+ * the on-chain budget granted by the payer to each user; this class
+ * decides off-chain which requests should be sponsored at all, e.g. in
+ * a relayer.
+ *
+ * The supported options are:
+ *  - payer: The payer address (required).
+ *  - namespaces: If set, an array of the namespaces that are sponsored.
+ *  - maxCost: If set, the maximum WCHI cost of a single request.
+ *  - userLimit: If set, the maximum WCHI spent in total per user
+ *    (as tracked by this instance through record and release).
+ *  - allowPayments: If true, WCHI payments attached to moves are
+ *    sponsored as well.  Otherwise only fees are.
+ */
+class SponsorshipPolicy
+{
+
+  /**
+   * Constructs the policy based on a DelegationClient, which is used
+   * to compute costs and check the payer's WCHI.
+   */
+  constructor (client, {payer, namespaces, maxCost, userLimit, allowPayments})
+  {
+    if (payer === undefined)
+      throw new Error ("payer is required");
+
+    this.client = client;
+    this.payer = payer;
+    this.namespaces = namespaces;
+    this.maxCost = maxCost === undefined ? undefined : BigInt (maxCost);
+    this.userLimit = userLimit === undefined ? undefined : BigInt (userLimit);
+    this.allowPayments = !!allowPayments;
+
+    /* WCHI spent per user (by lower-case address) as BigInt.  */
+    this.spentByUser = new Map ();
+  }
+
+  /**
+   * Returns the WCHI recorded as spent for the given user.
+   */
+  spent (user)
+  {
+    return this.spentByUser.get (user.toLowerCase ()) || 0n;
+  }
+
+  /**
+   * Records that the given cost has been sponsored for a user.
+   */
+  record (user, cost)
+  {
+    const key = user.toLowerCase ();
+    this.spentByUser.set (key, this.spent (key) + BigInt (cost.toString ()));
+  }
+
+  /**
+   * Releases a cost previously recorded for a user, e.g. because the
+   * sponsored request failed in the end.
+   */
+  release (user, cost)
+  {
+    const key = user.toLowerCase ();
+    this.spentByUser.set (key, this.spent (key) - BigInt (cost.toString ()));
+  }
+
+  /**
+   * Computes the WCHI cost of a sponsored call, given the method name
+   * and decoded arguments.
+   */
+  async cost (method, args)
+  {
+    switch (method)
+      {
+      case "sendHierarchicalMove":
+        {
+          const amount = args.amount === undefined ? "0" : args.amount;
+          if (!this.allowPayments && BigInt (amount) !== 0n)
+            throw new SponsorshipDenied ("payments are not sponsored");
+
+          let res;
+          try
+            {
+              res = await this.client.moveCost ({
+                ns: args.ns,
+                path: args.path,
+                move: args.mv,
+                payment: {amount},
+              });
+            }
+          catch (err)
+            {
+              throw new SponsorshipDenied (`invalid move: ${err.message}`);
+            }
+          return BigInt (res.toString ());
+        }
+
+      case "registerFor":
+        {
+          const res = await this.client.registrationCost (args);
+          return BigInt (res.toString ());
+        }
+
+      default:
+        throw new SponsorshipDenied (`${method} cannot be sponsored`);
+      }
+  }
+
+  /**
+   * Checks whether a call done by the given user (_msgSender) should be
+   * sponsored.  Returns the WCHI cost (as BigInt) if so, and throws
+   * SponsorshipDenied otherwise.
+   */
+  async evaluate ({method, args, from})
+  {
+    if (args.payer === undefined
+          || args.payer.toLowerCase () !== this.payer.toLowerCase ())
+      throw new SponsorshipDenied ("the request is not paid by this payer");
+
+    if (this.namespaces !== undefined && !this.namespaces.includes (args.ns))
+      throw new SponsorshipDenied (`namespace ${args.ns} is not sponsored`);
+
+    const cost = await this.cost (method, args);
+    if (this.maxCost !== undefined && cost > this.maxCost)
+      throw new SponsorshipDenied (
+          `cost ${cost} exceeds the maximum of ${this.maxCost}`);
+    if (this.userLimit !== undefined
+          && this.spent (from) + cost > this.userLimit)
+      throw new SponsorshipDenied ("the user's sponsorship limit is exhausted");
+
+    if (cost === 0n)
+      return cost;
+
+    const budget = await this.client.del.sponsorBudget (this.payer, from);
+    if (BigInt (budget.toString ()) < cost)
+      throw new SponsorshipDenied ("the on-chain budget is insufficient");
+
+    try
+      {
+        const web3 = this.client.del.constructor.web3;
+        await this.client.checkWchi (this.payer,
+                                     web3.utils.toBN (cost.toString ()));
+      }
+    catch (err)
+      {
+        throw new SponsorshipDenied (err.message);
+      }
+
+    return cost;
+  }
+
+}
+
+module.exports = {
+  SponsorshipDenied,
+  SponsorshipPolicy,
+};
@@ -0,0 +1,210 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+/**
+ * @typedef {Object} PermissionsTree
+ * @property {Object<string, string>} fullAccess Addresses with full access
+ *     at the node, mapped to their expiration timestamp (as decimal string).
+ * @property {Object<string, string>} fallbackAccess Addresses with fallback
+ *     access at the node, mapped to their expiration timestamp.
+ * @property {Object<string, PermissionsTree>} children Explicitly defined
+ *     child nodes by their path key.
+ * @property {Object<string, Restriction>} [fullRestrictions] Restrictions
+ *     of the full-access entries, for those that have any.  The field is
+ *     only present if there are such entries.
+ * @property {Object<string, Restriction>} [fallbackRestrictions]
+ *     Restrictions of the fallback entries, like fullRestrictions.
+ */
+
+/**
+ * @typedef {Object} Restriction
+ * @property {number} permissionType The type of the permission (see
+ *     PermissionType).
+ * @property {boolean} constrained True if move constraints are attached.
+ */
+
+/**
+ * Returns a new, empty permissions tree node.
+ */
+function emptyNode ()
+{
+  return {
+    fullAccess: {},
+    fallbackAccess: {},
+    children: {},
+  };
+}
+
+/**
+ * Returns the explicitly defined child of a tree node with the given key,
+ * or undefined if there is none.  Only own properties of the children
+ * object are considered, so that path keys like "constructor" do not pick
+ * up members of Object.prototype.
+ */
+function getChild (node, key)
+{
+  if (!Object.prototype.hasOwnProperty.call (node.children, key))
+    return undefined;
+  return node.children[key];
+}
+
+/**
+ * Sets the child of a tree node with the given key.  The child is defined
+ * as own property, so that this works also for the key "__proto__".
+ */
+function setChild (node, key, child)
+{
+  Object.defineProperty (node.children, key, {
+    value: child,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * Runs the given async tasks (functions returning promises), with at most
+ * batchSize of them in flight at the same time.  Returns the results
+ * in the order of the tasks.
+ */
+async function runBatched (tasks, batchSize)
+{
+  const res = [];
+  for (let i = 0; i < tasks.length; i += batchSize)
+    {
+      const batch = tasks.slice (i, i + batchSize);
+      res.push (...await Promise.all (batch.map (t => t ())));
+    }
+  return res;
+}
+
+/**
+ * Reads the expiration and restriction of a single entry from a source
+ * (see readTreeFrom).  The restriction is null if the entry has the type
+ * Full and no constraints (or the source does not provide them).
+ */
+async function readEntry (source, path, operator, fallbackOnly)
+{
+  const expiration = await source.getExpiration (path, operator, fallbackOnly);
+  if (source.getRestriction === undefined)
+    return {expiration, restriction: null};
+
+  const restriction
+      = await source.getRestriction (path, operator, fallbackOnly);
+  /* Type 0 is PermissionType.Full (which is not imported here, as the
+     client module depends on this one).  */
+  if (restriction.permissionType === 0 && !restriction.constrained)
+    return {expiration, restriction: null};
+  return {expiration, restriction};
+}
+
+/**
+ * Reads a full permissions tree from some data source.  The source must
+ * provide the methods getDefinedKeys (path) and getExpiration (path,
+ * operator, fallbackOnly) with the same semantics as the corresponding
+ * methods of NamePermissions.  If the source also provides
+ * getRestriction (path, operator, fallbackOnly), returning a Restriction
+ * for each entry, then those are included in the tree as well.
+ *
+ * The tree is processed level by level.  The view calls for each level
+ * are run in batches of options.batchSize concurrent requests (by default,
+ * all calls are done sequentially).
+ */
+async function readTreeFrom (source, options)
+{
+  const batchSize = (options && options.batchSize) || 1;
+
+  const root = emptyNode ();
+  let level = [{path: [], node: root}];
+  while (level.length > 0)
+    {
+      const keys = await runBatched (
+          level.map (e => () => source.getDefinedKeys (e.path)), batchSize);
+
+      const next = [];
+      const tasks = [];
+      const targets = [];
+      for (let i = 0; i < level.length; ++i)
+        {
+          const {path, node} = level[i];
+          const [children, fullAccess, fallbackAccess] = keys[i];
+
+          for (const operator of fullAccess)
+            {
+              tasks.push (() => readEntry (source, path, operator, false));
+              targets.push ({node, operator, fallbackOnly: false});
+            }
+          for (const operator of fallbackAccess)
+            {
+              tasks.push (() => readEntry (source, path, operator, true));
+              targets.push ({node, operator, fallbackOnly: true});
+            }
+
+          for (const key of children)
+            {
+              const child = emptyNode ();
+              setChild (node, key, child);
+              next.push ({path: [...path, key], node: child});
+            }
+        }
+
+      const entries = await runBatched (tasks, batchSize);
+      for (let i = 0; i < targets.length; ++i)
+        {
+          const {node, operator, fallbackOnly} = targets[i];
+          const {expiration, restriction} = entries[i];
+          node[fallbackOnly ? "fallbackAccess" : "fullAccess"][operator]
+              = expiration.toString ();
+
+          if (restriction === null)
+            continue;
+          const field = fallbackOnly ? "fallbackRestrictions"
+                                    : "fullRestrictions";
+          if (node[field] === undefined)
+            node[field] = {};
+          node[field][operator] = restriction;
+        }
+
+      level = next;
+    }
+
+  return root;
+}
+
+/**
+ * Reads the full permissions tree for a given token ID and owner
+ * from a NamePermissions (or XayaDelegation) truffle contract instance.
+ */
+async function readTree (np, tokenId, owner, options)
+{
+  const source = {
+    getDefinedKeys: async (path) => {
+      const res = await np.getDefinedKeys (tokenId, owner, path);
+      return [res[0], res[1], res[2]];
+    },
+    getExpiration: async (path, operator, fallbackOnly) => {
+      return await np.getExpiration (tokenId, owner, path,
+                                     operator, fallbackOnly);
+    },
+    getRestriction: async (path, operator, fallbackOnly) => {
+      const [permissionType, constraints] = await Promise.all ([
+        np.getPermissionType (tokenId, owner, path, operator, fallbackOnly),
+        np.getConstraints (tokenId, owner, path, operator, fallbackOnly),
+      ]);
+      return {
+        permissionType: Number (permissionType),
+        constrained: constraints.active,
+      };
+    },
+  };
+
+  return await readTreeFrom (source, options);
+}
+
+module.exports = {
+  emptyNode,
+  getChild,
+  setChild,
+  readTree,
+  readTreeFrom,
+};
@@ -1,26 +1,136 @@
 // SPDX-License-Identifier: MIT
 // Copyright (C) 2022 Autonomous Worlds Ltd
 
+const path = require ("path");
 const truffleContract = require ("@truffle/contract");
-const { networks } = require ("../truffle-config.js");
 
+const networks = require ("../deployment/networks.js");
+const {
+  updateAddressBook,
+  verifyDeployment,
+} = require ("../lib/deployment.js");
+
+const JsonSubObject = artifacts.require ("JsonSubObject");
+const JsonSubObjectTestHelper = artifacts.require ("JsonSubObjectTestHelper");
+const MoveBatches = artifacts.require ("MoveBatches");
+const MovePermissions = artifacts.require ("MovePermissions");
+const MovePermissionsTestHelper
+    = artifacts.require ("MovePermissionsTestHelper");
+const NamePermissions = artifacts.require ("NamePermissions");
+const PermissionTrees = artifacts.require ("PermissionTrees");
 const XayaDelegation = artifacts.require ("XayaDelegation");
+const XayaForwarder = artifacts.require ("XayaForwarder");
 
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
 const accountsData
     = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
-const XayaAccounts = truffleContract (accountsData);
-XayaAccounts.setProvider (XayaDelegation.currentProvider);
 
-module.exports = async function (deployer, network)
+/**
+ * Returns a truffle contract abstraction for the given build data,
+ * using the same provider as our own contracts.
+ */
+function externalContract (data, from)
+{
+  const res = truffleContract (data);
+  res.setProvider (XayaDelegation.currentProvider);
+  res.defaults ({from});
+  return res;
+}
+
+/**
+ * Deploys XayaAccounts (with WCHI and a TestPolicy) as well as a
+ * XayaForwarder for a local development chain.  Returns the addresses
+ * in the form of a network configuration.
+ */
+async function deployDevContracts (deployer, from)
+{
+  const wchi = await externalContract (wchiData, from).new ();
+  const policy = await externalContract (policyData, from).new ();
+  const acc = await externalContract (accountsData, from).new (
+      wchi.address, policy.address);
+  await deployer.deploy (XayaForwarder);
+
+  return {
+    accounts: acc.address,
+    forwarder: XayaForwarder.address,
+  };
+}
+
+module.exports = async function (deployer, network, accounts)
   {
-    /* This script is for the real deployment.  Unit tests use custom deployment
-       on a per-test basis as needed, so we want to skip deployment entirely
-       for them.  */
+    /* The JsonSubObject, MovePermissions, PermissionTrees and MoveBatches
+       libraries are deployed on their own and linked into the contracts
+       using them.  Unit tests deploy those contracts themselves, but they
+       need the libraries linked, so we do this on all networks.  */
+    await deployer.deploy (JsonSubObject);
+    await deployer.link (JsonSubObject, [
+      JsonSubObjectTestHelper,
+      MoveBatches,
+      XayaDelegation,
+    ]);
+
+    await deployer.deploy (MovePermissions);
+    await deployer.link (MovePermissions, [
+      MovePermissionsTestHelper,
+      MoveBatches,
+      PermissionTrees,
+      NamePermissions,
+      XayaDelegation,
+    ]);
+
+    await deployer.deploy (PermissionTrees);
+    await deployer.link (PermissionTrees, [
+      MoveBatches,
+      NamePermissions,
+      XayaDelegation,
+    ]);
+
+    await deployer.deploy (MoveBatches);
+    await deployer.link (MoveBatches, XayaDelegation);
+
+    /* The rest of this script is for the real deployment.  Unit tests use
+       custom deployment on a per-test basis as needed, so we want to skip
+       deployment entirely for them.  */
     if (network === "test" || network === "soliditycoverage")
       return;
 
-    const acc = await XayaAccounts.deployed ();
+    let config = networks[network];
+    if (config === undefined)
+      throw new Error (`no deployment configuration for network ${network}`);
+    if (config.dev)
+      config = {...config, ...await deployDevContracts (deployer, accounts[0])};
+    else if (config.forwarder === undefined)
+      {
+        await deployer.deploy (XayaForwarder);
+        config = {...config, forwarder: XayaForwarder.address};
+      }
+
+    await deployer.deploy (XayaDelegation, config.accounts, config.forwarder);
+    const del = await XayaDelegation.deployed ();
+
+    const problems = await verifyDeployment (del, config);
+    if (problems.length > 0)
+      throw new Error ("deployment failed sanity checks:\n"
+                          + problems.join ("\n"));
 
-    await deployer.deploy (XayaDelegation, acc.address,
-                           networks[network].forwarder);
+    /* The address book of development chains is only written to the
+       build directory, as those deployments are temporary.  */
+    const book = config.dev
+        ? path.join (__dirname, "..", "build", "addresses.json")
+        : path.join (__dirname, "..", "deployment", "addresses.json");
+    updateAddressBook (book, await web3.eth.getChainId (), {
+      network,
+      accounts: config.accounts,
+      forwarder: config.forwarder,
+      delegation: del.address,
+      wchi: await del.wchi (),
+      libraries: {
+        JsonSubObject: JsonSubObject.address,
+        MovePermissions: MovePermissions.address,
+        PermissionTrees: PermissionTrees.address,
+        MoveBatches: MoveBatches.address,
+      },
+    });
   };
@@ -0,0 +1,218 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const truffleContract = require ("@truffle/contract");
+const { time } = require ("@openzeppelin/test-helpers");
+
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const WCHI = truffleContract (wchiData);
+WCHI.setProvider (web3.currentProvider);
+
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
+const TestPolicy = truffleContract (policyData);
+TestPolicy.setProvider (web3.currentProvider);
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const XayaAccounts = truffleContract (accountsData);
+XayaAccounts.setProvider (web3.currentProvider);
+
+const XayaDelegation = artifacts.require ("XayaDelegation");
+
+const {
+  parseExpiration,
+  parseName,
+  parsePath,
+  run,
+} = require ("../lib/cli.js");
+const { PermissionType, maxUint256 } = require ("../lib");
+
+contract ("CLI", accounts => {
+  let supply = accounts[0];
+  let owner = accounts[1];
+  let operator = accounts[2];
+
+  let wchi, acc, del;
+  beforeEach (async () => {
+    wchi = await WCHI.new ({from: supply});
+    const policy = await TestPolicy.new ({from: supply});
+    acc = await XayaAccounts.new (wchi.address, policy.address, {from: supply});
+    del = await XayaDelegation.new (acc.address, accounts[9]);
+
+    await acc.register ("p", "x", {from: owner});
+    await acc.setApprovalForAll (del.address, true, {from: owner});
+    await wchi.transfer (operator, 1000, {from: supply});
+    await wchi.approve (del.address, 1000, {from: operator});
+  });
+
+  /**
+   * Runs the CLI with the given arguments (plus the delegation contract)
+   * against the test chain.  Returns the exit code and output lines.
+   */
+  const cli = async (...args) => {
+    const out = [];
+    const err = [];
+    const code = await run (["--delegation", del.address, ...args], {
+      out: (line) => out.push (line),
+      err: (line) => err.push (line),
+      provider: web3.currentProvider,
+    });
+    return {code, out, err};
+  };
+
+  /**
+   * Runs the CLI and returns the parsed JSON output of the show command.
+   */
+  const show = async (...args) => {
+    const res = await cli ("show", "p/x", ...args);
+    assert.equal (res.code, 0);
+    return JSON.parse (res.out[0]);
+  };
+
+  const getAllMoves = async () => {
+    return await acc.getPastEvents ("Move", {fromBlock: 0, toBlock: "latest"});
+  };
+
+  /* ************************************************************************ */
+
+  it ("parses arguments", async () => {
+    assert.deepEqual (parseName ("p/domob/x"), {ns: "p", name: "domob/x"});
+    assert.throws (() => parseName ("domob"), "invalid name");
+
+    assert.deepEqual (parsePath (undefined), []);
+    assert.deepEqual (parsePath (""), []);
+    assert.deepEqual (parsePath ("g,tn"), ["g", "tn"]);
+
+    assert.isUndefined (parseExpiration (undefined, 100));
+    assert.equal (parseExpiration ("12345", 100), "12345");
+    assert.equal (parseExpiration ("30s", 100), "130");
+    assert.equal (parseExpiration ("2d", 100), `${100 + 2 * 86400}`);
+    assert.throws (() => parseExpiration ("1w", 100), "invalid expiration");
+  });
+
+  it ("reports usage errors", async () => {
+    let res = await cli ("foo", "p/x");
+    assert.equal (res.code, 2);
+    assert.include (res.err[0], "unknown command");
+
+    res = await cli ("grant", "p/x", "--from", owner);
+    assert.equal (res.code, 2);
+    assert.include (res.err[0], "--operator is required");
+
+    res = await cli ("show", "p/x", "--invalid");
+    assert.equal (res.code, 2);
+
+    res = await cli ("reset", "p/x", "--from", owner, "--max-steps", "0");
+    assert.equal (res.code, 2);
+    assert.include (res.err[0], "invalid max steps");
+  });
+
+  it ("manages permissions", async () => {
+    let res = await cli ("--from", owner, "grant", "p/x", "--path", "g,tn",
+                         "--operator", operator, "--expires", "1h");
+    assert.equal (res.code, 0);
+    assert.include (res.out[0], "transaction:");
+    res = await cli ("--from", owner, "grant", "p/x", "--path", "g",
+                     "--operator", operator, "--fallback", "--type", "move");
+    assert.equal (res.code, 0);
+
+    const shown = await show ();
+    assert.equal (shown.owner, owner);
+    const node = shown.tree.children["g"].children["tn"];
+    assert.deepEqual (Object.keys (node.fullAccess), [operator]);
+    assert.isAbove (Number (node.fullAccess[operator]),
+                    (await time.latest ()).toNumber ());
+    assert.equal (await del.getPermissionType (
+                      await acc.tokenIdForName ("p", "x"), owner, ["g"],
+                      operator, true),
+                  1);
+
+    const explained = await show ("--path", "g,tn", "--operator", operator);
+    assert.isTrue (explained.access);
+    assert.equal (explained.rule, "full");
+
+    res = await cli ("--from", owner, "revoke", "p/x", "--path", "g,tn",
+                     "--operator", operator);
+    assert.equal (res.code, 0);
+    assert.isFalse ((await show ("--path", "g,tn", "--operator", operator))
+                        .rule === "full");
+
+    /* The move-only fallback permission allows sending moves, but not
+       granting permissions.  */
+    assert.deepEqual ((await show ()).tree.children["g"].fallbackRestrictions, {
+      [operator]: {permissionType: PermissionType.MoveOnly, constrained: false},
+    });
+    assert.isTrue ((await show ("--path", "g,other", "--operator", operator))
+                        .access);
+    res = await cli ("--from", operator, "--dry-run", "grant", "p/x",
+                     "--path", "g,other", "--operator", owner);
+    assert.equal (res.code, 1);
+    assert.include (res.err[0], "has no access");
+
+    /* The operator cannot reset the tree, and the dry run detects that.  */
+    res = await cli ("--from", operator, "--dry-run", "reset", "p/x");
+    assert.equal (res.code, 1);
+    assert.include (res.err[0], "has no access");
+
+    res = await cli ("--from", owner, "reset", "p/x", "--max-steps", "1");
+    assert.equal (res.code, 0);
+    assert.include (res.out[0], "reset done");
+    assert.deepEqual ((await show ()).tree.children, {});
+  });
+
+  it ("sends moves", async () => {
+    await cli ("--from", owner, "grant", "p/x", "--path", "g",
+               "--operator", operator);
+
+    /* Dry runs check JSON safety and access locally.  */
+    let res = await cli ("--from", operator, "--dry-run", "send-move", "p/x",
+                         "--path", "g", "--move", "{},\"other\":{}");
+    assert.equal (res.code, 1);
+    assert.include (res.err[0], "possible JSON injection attempt");
+    res = await cli ("--from", operator, "--dry-run", "send-move", "p/x",
+                     "--path", "other", "--move", "{}");
+    assert.equal (res.code, 1);
+    assert.include (res.err[0], "has no access");
+    res = await cli ("--from", operator, "--dry-run", "send-move", "p/x",
+                     "--path", "g", "--move", "{\"x\":1}");
+    assert.equal (res.code, 0);
+    assert.include (res.out[0], "{\"g\":{\"x\":1}}");
+    assert.deepEqual (await getAllMoves (), []);
+
+    res = await cli ("--from", operator, "send-move", "p/x", "--path", "g",
+                     "--move", "{\"x\":1}", "--amount", "10",
+                     "--receiver", owner);
+    assert.equal (res.code, 0);
+    const moves = await getAllMoves ();
+    assert.equal (moves.length, 1);
+    assert.equal (moves[0].args.mv, "{\"g\":{\"x\":1}}");
+    assert.equal (moves[0].args.amount, 10);
+
+    /* Access through owner-wide trees is recognised as well.  */
+    await del.grantOwnerWide (owner, "p", ["s"], operator, maxUint256, false,
+                              {from: owner});
+    assert.equal ((await show ("--path", "s", "--operator", operator)).rule,
+                  "owner-wide");
+    res = await cli ("--from", operator, "--dry-run", "send-move", "p/x",
+                     "--path", "s", "--move", "{}");
+    assert.equal (res.code, 0);
+  });
+
+  it ("takes over names", async () => {
+    let res = await cli ("--from", operator, "takeover", "p/x");
+    assert.equal (res.code, 1);
+    assert.include (res.err[0], "only the owner");
+
+    res = await cli ("--from", owner, "--dry-run", "takeover", "p/x");
+    assert.equal (res.code, 0);
+    assert.equal ((await show ()).owner, owner);
+
+    res = await cli ("--from", owner, "takeover", "p/x");
+    assert.equal (res.code, 0);
+    assert.equal ((await show ()).owner, del.address);
+    assert.isTrue ((await show ("--operator", owner)).access);
+  });
+
+  /* ************************************************************************ */
+
+});
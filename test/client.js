@@ -0,0 +1,380 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const truffleContract = require ("@truffle/contract");
+const { time } = require ("@openzeppelin/test-helpers");
+
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const WCHI = truffleContract (wchiData);
+WCHI.setProvider (web3.currentProvider);
+
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
+const TestPolicy = truffleContract (policyData);
+TestPolicy.setProvider (web3.currentProvider);
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const XayaAccounts = truffleContract (accountsData);
+XayaAccounts.setProvider (web3.currentProvider);
+
+const XayaDelegation = artifacts.require ("XayaDelegation");
+
+const {
+  DelegationClient,
+  NoncePolicy,
+  PermissionType,
+  maxUint256,
+  zeroAddress,
+} = require ("../lib");
+
+contract ("DelegationClient", accounts => {
+  let supply = accounts[0];
+  let owner = accounts[1];
+  let operator = accounts[2];
+  let other = accounts[3];
+
+  let wchi, acc, del, client;
+  beforeEach (async () => {
+    wchi = await WCHI.new ({from: supply});
+    const policy = await TestPolicy.new ({from: supply});
+    acc = await XayaAccounts.new (wchi.address, policy.address, {from: supply});
+    del = await XayaDelegation.new (acc.address, accounts[9]);
+    client = await DelegationClient.create (del);
+
+    /* The name p/x is owned by the owner account, and the delegation contract
+       is approved for it.  The operator has WCHI to pay for moves.  */
+    await acc.register ("p", "x", {from: owner});
+    await acc.setApprovalForAll (del.address, true, {from: owner});
+    await wchi.transfer (operator, 1000, {from: supply});
+  });
+
+  const getAllMoves = async () => {
+    return await acc.getPastEvents ("Move", {fromBlock: 0, toBlock: "latest"});
+  };
+
+  /* ************************************************************************ */
+
+  it ("looks up the linked contracts", async () => {
+    assert.equal (client.accounts.address, acc.address);
+    assert.equal (client.wchi.address, wchi.address);
+  });
+
+  it ("resolves names", async () => {
+    const tokenId = await client.tokenId ({ns: "p", name: "x"});
+    assert.equal (tokenId.toString (),
+                  (await acc.tokenIdForName ("p", "x")).toString ());
+    assert.equal (await client.owner ({ns: "p", name: "x"}), owner);
+  });
+
+  it ("reads the permissions tree", async () => {
+    await client.grant ({ns: "p", name: "x", path: ["g"], operator,
+                         expiration: 100},
+                        {from: owner});
+
+    const tree = await client.readTree ({ns: "p", name: "x"});
+    assert.deepEqual (tree.children["g"].fullAccess, {[operator]: "100"});
+  });
+
+  it ("manages permissions", async () => {
+    await time.advanceBlock ();
+    const start = (await time.latest ()).toNumber ();
+
+    const target = {ns: "p", name: "x", operator};
+    assert.isFalse (await client.hasAccess ({...target, path: ["g"]}));
+
+    await client.grant ({...target, path: ["g", "tn"]}, {from: owner});
+    await client.grant ({...target, path: ["g"], expiration: start + 100,
+                         fallbackOnly: true},
+                        {from: owner});
+    assert.isTrue (await client.hasAccess ({...target, path: ["g", "tn"]}));
+    assert.isTrue (await client.hasAccess ({...target, path: ["g", "foo"]}));
+    assert.isFalse (await client.hasAccess ({...target, path: ["g", "foo"],
+                                             atTime: start + 101}));
+
+    /* After revoking the explicit permission, the fallback one applies.  */
+    await client.revoke ({...target, path: ["g", "tn"]}, {from: owner});
+    assert.isTrue (await client.hasAccess ({...target, path: ["g", "tn"],
+                                            atTime: start + 100}));
+    assert.isFalse (await client.hasAccess ({...target, path: ["g", "tn"],
+                                             atTime: start + 101}));
+
+    await time.increase (200);
+    await client.expireTree ({ns: "p", name: "x", path: []}, {from: other});
+    const tokenId = await client.tokenId ({ns: "p", name: "x"});
+    assert.isFalse (await del.permissionExists (tokenId, owner, []));
+
+    await client.grant ({...target, path: ["g"]}, {from: owner});
+    await client.resetTree ({ns: "p", name: "x", path: []}, {from: owner});
+    assert.isFalse (await del.permissionExists (tokenId, owner, []));
+  });
+
+  it ("resets trees in bounded steps", async () => {
+    for (const key of ["a", "b", "c", "d"])
+      await client.grant ({ns: "p", name: "x", path: ["g", key], operator},
+                          {from: owner});
+
+    /* A zero budget would never make progress.  */
+    let error = null;
+    try
+      {
+        await client.resetTreeBounded (
+            {ns: "p", name: "x", path: [], maxSteps: 0}, {from: owner});
+      }
+    catch (err)
+      {
+        error = err;
+      }
+    assert.include (error.message, "maxSteps must be positive");
+
+    const calls = await client.resetTreeBounded (
+        {ns: "p", name: "x", path: [], maxSteps: 2}, {from: owner});
+    assert.isAbove (calls, 1);
+    const tokenId = await client.tokenId ({ns: "p", name: "x"});
+    assert.isFalse (await del.permissionExists (tokenId, owner, []));
+  });
+
+  it ("manages owner-wide permissions", async () => {
+    const target = {ns: "p", name: "x", path: ["g"], operator};
+    await client.grantOwnerWide ({owner, path: ["g"], operator},
+                                 {from: owner});
+    assert.isTrue (await client.hasAccess (target));
+
+    await client.revokeOwnerWide ({owner, path: ["g"], operator},
+                                  {from: owner});
+    assert.isFalse (await client.hasAccess (target));
+
+    await client.grantOwnerWide ({owner, ns: "p", path: [], operator,
+                                  expiration: 1},
+                                 {from: owner});
+    await client.expireOwnerTree ({owner, ns: "p", path: []},
+                                  {from: operator});
+    await client.grantOwnerWide ({owner, ns: "p", path: [], operator},
+                                 {from: owner});
+    assert.isTrue (await client.hasAccess (target));
+    await client.resetOwnerTree ({owner, ns: "p", path: []}, {from: owner});
+    assert.isFalse (await client.hasAccess (target));
+  });
+
+  it ("grants permissions with constraints", async () => {
+    const target = {ns: "p", name: "x", path: ["g"], operator};
+    assert.isNull (await client.getConstraints (target));
+
+    await client.grant ({...target, constraints: {
+      maxAmount: 0,
+      noncePolicy: NoncePolicy.AutoOnly,
+    }}, {from: owner});
+    assert.deepEqual (await client.getConstraints (target), {
+      maxAmount: "0",
+      receivers: [],
+      noncePolicy: NoncePolicy.AutoOnly,
+      maxMoveLength: 0,
+      maxMoves: maxUint256,
+      window: 0,
+      maxWchi: maxUint256,
+      policy: zeroAddress,
+    });
+    assert.isTrue (await client.hasAccess (target));
+
+    await client.approveWchi (undefined, {from: operator});
+    await client.sendMove ({ns: "p", name: "x", path: ["g"], move: "{}"},
+                           {from: operator});
+    const usage = await client.getQuotaUsage (target);
+    assert.equal (usage.moves, 1);
+    assert.equal (usage.wchiSpent, "8");
+
+    await client.grant (target, {from: owner});
+    assert.isNull (await client.getConstraints (target));
+  });
+
+  it ("grants permissions of different types", async () => {
+    const target = {ns: "p", name: "x", path: ["g"], operator};
+    await client.grant ({...target, type: PermissionType.AdminOnly},
+                        {from: owner});
+    assert.equal (await client.getPermissionType (target),
+                  PermissionType.AdminOnly);
+    assert.isFalse (await client.hasAccess (target));
+
+    await client.grant ({...target, path: ["g", "tn"], operator: other,
+                         type: PermissionType.MoveOnly},
+                        {from: operator});
+    assert.isTrue (await client.hasAccess ({...target, path: ["g", "tn"],
+                                            operator: other}));
+
+    await client.grant (target, {from: owner});
+    assert.equal (await client.getPermissionType (target),
+                  PermissionType.Full);
+    assert.isTrue (await client.hasAccess (target));
+  });
+
+  it ("signs grants off-chain", async () => {
+    /* The signer is a local key with access to g, which is not known
+       to the node at all.  */
+    const signer = web3.eth.accounts.create ();
+    await client.grant ({ns: "p", name: "x", path: ["g"],
+                         operator: signer.address},
+                        {from: owner});
+
+    const target = {ns: "p", name: "x", path: ["g", "tn"], operator};
+    const signed = await client.signGrant (target, {
+      signer: signer.address,
+      privateKey: signer.privateKey,
+    });
+    assert.equal (signed.grant.owner, owner);
+    assert.equal (signed.grant.nonce, "0");
+
+    assert.isFalse (await client.hasAccess (target));
+    await client.grantWithSignature (signed, {from: other});
+    assert.isTrue (await client.hasAccess (target));
+  });
+
+  it ("finds and migrates stale trees", async () => {
+    const target = {ns: "p", name: "x", path: ["g"], operator};
+    await client.grant (target, {from: owner});
+    assert.deepEqual (await client.staleTrees ({ns: "p", name: "x"}), []);
+
+    const tokenId = await client.tokenId ({ns: "p", name: "x"});
+    await acc.transferFrom (owner, other, tokenId, {from: owner});
+    assert.deepEqual (await client.staleTrees ({ns: "p", name: "x"}),
+                      [owner]);
+    assert.isFalse (await client.hasAccess (target));
+
+    const signed = await client.signMigrationConsent (
+        {ns: "p", name: "x", from: owner, copy: true}, {});
+    assert.equal (signed.consent.to, other);
+    await client.migrateTree (signed, {from: owner});
+    assert.isTrue (await client.hasAccess (target));
+
+    /* The copy remains for the previous owner.  */
+    assert.deepEqual (await client.staleTrees ({ns: "p", name: "x"}),
+                      [owner]);
+  });
+
+  it ("sends moves", async () => {
+    await client.grant ({ns: "p", name: "x", path: ["g"], operator},
+                        {from: owner});
+    await client.approveWchi (undefined, {from: operator});
+
+    await client.sendMove ({ns: "p", name: "x", path: ["g", "tn"],
+                            move: {foo: 42}},
+                           {from: operator});
+    await client.sendMove ({ns: "p", name: "x", path: ["g"],
+                            move: "{}", nonce: 1,
+                            payment: {amount: 10, receiver: other}},
+                           {from: operator});
+
+    const moves = await getAllMoves ();
+    assert.equal (moves.length, 2);
+    assert.equal (moves[0].args.mv, "{\"g\":{\"tn\":{\"foo\":42}}}");
+    assert.equal (moves[1].args.mv, "{\"g\":{}}");
+    assert.equal (moves[1].args.nonce, 1);
+    assert.equal (moves[1].args.amount, 10);
+    assert.equal (moves[1].args.receiver, other);
+
+    /* Fees are one unit per byte of the full move.  */
+    const fees = moves[0].args.mv.length + moves[1].args.mv.length;
+    assert.equal (await wchi.balanceOf (operator), 1000 - fees - 10);
+    assert.equal (await wchi.balanceOf (other), 10);
+  });
+
+  it ("sends multi-path moves", async () => {
+    await client.grant ({ns: "p", name: "x", path: ["a"], operator},
+                        {from: owner});
+    await client.grant ({ns: "p", name: "x", path: ["b"], operator},
+                        {from: owner});
+    await client.approveWchi (undefined, {from: operator});
+
+    const parts = [
+      {path: ["a"], move: {foo: 42}},
+      {path: ["b", "c"], move: "{}"},
+    ];
+    await client.sendMultiPathMove ({ns: "p", name: "x", parts},
+                                    {from: operator});
+
+    const moves = await getAllMoves ();
+    assert.equal (moves.length, 1);
+    assert.equal (moves[0].args.mv, "{\"a\":{\"foo\":42},\"b\":{\"c\":{}}}");
+    assert.equal (await wchi.balanceOf (operator),
+                  1000 - moves[0].args.mv.length);
+  });
+
+  it ("computes the move cost", async () => {
+    assert.equal (await client.moveCost ({ns: "p", path: ["g"], move: "{}"}),
+                  8);
+    assert.equal (await client.moveCost ({ns: "p", path: [], move: {a: 1},
+                                          payment: {amount: 5}}),
+                  7 + 5);
+    assert.equal (await client.moveCost ({ns: "p", parts: [
+                    {path: ["a"], move: "{}"},
+                    {path: ["b"], move: {}},
+                  ]}),
+                  15);
+  });
+
+  it ("computes the registration cost", async () => {
+    assert.equal (await client.registrationCost ({ns: "p", name: "x"}), 0);
+    assert.equal (await client.registrationCost ({ns: "p", name: "abc"}),
+                  300);
+  });
+
+  it ("validates moves locally", async () => {
+    await client.grant ({ns: "p", name: "x", path: [], operator},
+                        {from: owner});
+    await client.approveWchi (undefined, {from: operator});
+
+    let error = null;
+    try
+      {
+        await client.sendMove ({ns: "p", name: "x", path: ["g"],
+                                move: "{},\"other\":{\"x\":1}"},
+                               {from: operator});
+      }
+    catch (err)
+      {
+        error = err;
+      }
+    assert.include (error.message, "possible JSON injection attempt");
+    assert.deepEqual (await getAllMoves (), []);
+  });
+
+  it ("checks the WCHI allowance and balance", async () => {
+    await client.grant ({ns: "p", name: "x", path: [], operator: other},
+                        {from: owner});
+    await client.grant ({ns: "p", name: "x", path: [], operator},
+                        {from: owner});
+
+    const sendFrom = async (from) => {
+      await client.sendMove ({ns: "p", name: "x", path: [], move: "{}",
+                              payment: {amount: 100, receiver: owner}},
+                             {from});
+    };
+
+    let error = null;
+    try
+      {
+        await sendFrom (operator);
+      }
+    catch (err)
+      {
+        error = err;
+      }
+    assert.include (error.message, "insufficient WCHI allowance");
+
+    error = null;
+    try
+      {
+        await sendFrom (other);
+      }
+    catch (err)
+      {
+        error = err;
+      }
+    assert.include (error.message, "insufficient WCHI balance");
+
+    await client.approveWchi (102, {from: operator});
+    await sendFrom (operator);
+    assert.equal ((await getAllMoves ()).length, 1);
+  });
+
+  /* ************************************************************************ */
+
+});
@@ -20,8 +20,17 @@ XayaAccounts.setProvider (web3.currentProvider);
 
 const UnsafeForwarder = artifacts.require ("UnsafeForwarder");
 const XayaDelegation = artifacts.require ("XayaDelegation");
+const XayaForwarder = artifacts.require ("XayaForwarder");
+
+const { createSignedRequest, signMigrationConsent } = require ("../lib");
 
 const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+const zeroAddress = "0x0000000000000000000000000000000000000000";
+
+/* Meta transactions are sent through XayaForwarder with real signatures
+   by default.  When the environment variable UNSAFE_FORWARDER is set,
+   the tests use UnsafeForwarder instead, which skips signing.  */
+const useUnsafeForwarder = !!process.env.UNSAFE_FORWARDER;
 
 contract ("XayaDelegation", accounts => {
   let wchiSupply = accounts[0];
@@ -36,7 +45,9 @@ contract ("XayaDelegation", accounts => {
     wchi = await WCHI.new ({from: wchiSupply});
     const policy = await TestPolicy.new ({from: feeReceiver});
     acc = await XayaAccounts.new (wchi.address, policy.address, {from: owner});
-    fwd = await UnsafeForwarder.new ();
+    fwd = useUnsafeForwarder
+        ? await UnsafeForwarder.new ()
+        : await XayaForwarder.new ();
     del = await XayaDelegation.new (acc.address, fwd.address);
 
     /* The kiloChi account will have 1000 CHI-sat to begin with, and has
@@ -51,10 +62,34 @@ contract ("XayaDelegation", accounts => {
     bob = wallet[1];
   });
 
-  /* Helper method to send a meta transaction via our forwarder.  */
+  /* Helper method to send a meta transaction via our forwarder.  Unless
+     UnsafeForwarder is used, the request is signed by "from" (with the
+     private key if it is one of our wallet accounts, or through the node
+     otherwise) and then sent by the relayer.  */
   const sendMetaTx = async (from, req) => {
     req = await req;
-    await fwd.exec (req.to, req.data, from);
+    if (useUnsafeForwarder)
+      {
+        await fwd.exec (req.to, req.data, from);
+        return;
+      }
+
+    const wallet = web3.eth.accounts.wallet[from];
+    const signed = await createSignedRequest (
+        fwd, {from, to: req.to, data: req.data},
+        wallet ? wallet.privateKey : undefined);
+    /* The forwarder requires some gas left after the call.  Estimates can
+       be too low for that (e.g. with storage refunds), so we send enough
+       for the full request gas (which is at most 63/64 of what is available
+       for the call) plus some overhead instead.  */
+    const gas = Math.ceil (signed.request.gas * 64 / 63) + 200000;
+    await fwd.execute (signed.request, signed.signature,
+                       {from: relayer, gas});
+  };
+
+  /* Helper method to retrieve all moves sent so far.  */
+  const getAllMoves = async () => {
+    return await acc.getPastEvents ("Move", {fromBlock: 0, toBlock: "latest"});
   };
 
   /* Helper method to construct the permit signature with the given wallet.  */
@@ -203,6 +238,105 @@ contract ("XayaDelegation", accounts => {
     assert.equal (await wchi.balanceOf (kiloChi), 1000 - 20);
   });
 
+  it ("ties permissions to the owner of a name", async () => {
+    const oldOwner = accounts[3];
+    const newOwner = accounts[4];
+    await acc.register ("p", "m", {from: oldOwner});
+    const tokenId = await acc.tokenIdForName ("p", "m");
+    for (const a of [oldOwner, newOwner])
+      await acc.setApprovalForAll (del.address, true, {from: a});
+
+    const grant
+        = del.methods["grant(string,string,string[],address,uint256,bool)"];
+    const fcn
+        = del.methods["sendHierarchicalMove(string,string,string[],string)"];
+    const transfer = async (from, to) => {
+      await acc.transferFrom (from, to, tokenId, {from});
+    };
+
+    await grant ("p", "m", ["g"], kiloChi, maxUint256, false,
+                 {from: oldOwner});
+    await fcn ("p", "m", ["g"], "{}", {from: kiloChi});
+    assert.isFalse (await del.isStaleTree (tokenId, oldOwner));
+
+    /* After a transfer, the permissions are no longer in effect.  */
+    await transfer (oldOwner, newOwner);
+    await truffleAssert.reverts (
+        fcn ("p", "m", ["g"], "{}", {from: kiloChi}),
+        "has no permission");
+    assert.isTrue (await del.isStaleTree (tokenId, oldOwner));
+    assert.isFalse (await del.isStaleTree (tokenId, newOwner));
+
+    /* They are back when the name returns to the previous owner.  */
+    await transfer (newOwner, oldOwner);
+    await fcn ("p", "m", ["g"], "{}", {from: kiloChi});
+    assert.isFalse (await del.isStaleTree (tokenId, oldOwner));
+
+    /* The tree can be migrated to the new owner with their consent.  */
+    await transfer (oldOwner, newOwner);
+    const {consent, signature} = await signMigrationConsent (del, {
+      tokenId, from: oldOwner, to: newOwner, copy: false,
+    });
+    await del.migrateTree (tokenId, newOwner, false, consent.deadline,
+                           signature, {from: oldOwner});
+    assert.isFalse (await del.isStaleTree (tokenId, oldOwner));
+    await fcn ("p", "m", ["g"], "{}", {from: kiloChi});
+
+    /* Since the tree has been moved, it is gone for the old owner.  */
+    await transfer (newOwner, oldOwner);
+    await truffleAssert.reverts (
+        fcn ("p", "m", ["g"], "{}", {from: kiloChi}),
+        "has no permission");
+    assert.isTrue (await del.isStaleTree (tokenId, newOwner));
+
+    assert.equal ((await getAllMoves ()).length, 3);
+  });
+
+  it ("supports owner-wide permissions for all names", async () => {
+    const holder = accounts[3];
+    const other = accounts[4];
+    for (const name of ["a", "b"])
+      await acc.register ("p", name, {from: holder});
+    await acc.register ("g", "c", {from: holder});
+    await acc.setApprovalForAll (del.address, true, {from: holder});
+
+    const fcn
+        = del.methods["sendHierarchicalMove(string,string,string[],string)"];
+
+    /* A single grant covers all names of the holder.  */
+    await truffleAssert.reverts (
+        fcn ("p", "a", ["g"], "{}", {from: kiloChi}),
+        "has no permission");
+    await del.grantOwnerWide (holder, "", ["g"], kiloChi, maxUint256, false,
+                              {from: holder});
+    for (const [ns, name] of [["p", "a"], ["p", "b"], ["g", "c"]])
+      await fcn (ns, name, ["g", "x"], "{}", {from: kiloChi});
+    await truffleAssert.reverts (
+        fcn ("p", "a", ["other"], "{}", {from: kiloChi}),
+        "has no permission");
+
+    /* Access ends when a name is transferred away, but stays for the
+       other names.  */
+    const tokenId = await acc.tokenIdForName ("p", "a");
+    await acc.transferFrom (holder, other, tokenId, {from: holder});
+    await truffleAssert.reverts (
+        fcn ("p", "a", ["g"], "{}", {from: kiloChi}),
+        "has no permission");
+    await fcn ("p", "b", ["g"], "{}", {from: kiloChi});
+
+    /* A namespace filter restricts the grant to names in that namespace.  */
+    await del.revokeOwnerWide (holder, "", ["g"], kiloChi, false,
+                               {from: holder});
+    await del.grantOwnerWide (holder, "p", [], kiloChi, maxUint256, false,
+                              {from: holder});
+    await fcn ("p", "b", ["x"], "{}", {from: kiloChi});
+    await truffleAssert.reverts (
+        fcn ("g", "c", ["x"], "{}", {from: kiloChi}),
+        "has no permission");
+
+    assert.equal ((await getAllMoves ()).length, 5);
+  });
+
   it ("handles WCHI payment for moves correctly", async () => {
     const sgn = await permitSignature (alice);
     await del.registerFor ("p", "x", alice.address, sgn, {from: kiloChi});
@@ -233,6 +367,374 @@ contract ("XayaDelegation", accounts => {
         "reverted");
   });
 
+  it ("enforces move constraints", async () => {
+    const nameOwner = accounts[3];
+    await wchi.transfer (nameOwner, 1000, {from: wchiSupply});
+    await wchi.approve (del.address, maxUint256, {from: nameOwner});
+    const fcn
+        = del.methods["sendHierarchicalMove(string,string,string[],string,"
+                      + "uint256,uint256,address)"];
+
+    const unconstrained = {
+      active: true,
+      maxAmount: maxUint256,
+      receivers: [],
+      noncePolicy: 0,
+      maxMoveLength: 0,
+      maxMoves: maxUint256,
+      window: 0,
+      maxWchi: maxUint256,
+      policy: zeroAddress,
+    };
+    /* Each case specifies constraints (relative to unconstrained) and
+       moves (as mv, nonce, amount and receiver) that are allowed and
+       rejected based on them.  All moves are at g/x.  */
+    const cases = [
+      {
+        constraints: {maxMoveLength: 8},
+        ok: [['{"a":10}', maxUint256, 0, zeroAddress]],
+        bad: [['{"a":100}', maxUint256, 0, zeroAddress, "move is too long"]],
+      },
+      {
+        constraints: {maxAmount: 0},
+        ok: [["{}", maxUint256, 0, zeroAddress]],
+        bad: [["{}", maxUint256, 1, alice.address, "amount is too high"]],
+      },
+      {
+        constraints: {maxAmount: 10, receivers: [alice.address]},
+        ok: [
+          ["{}", maxUint256, 10, alice.address],
+          ["{}", maxUint256, 0, zeroAddress],
+        ],
+        bad: [
+          ["{}", maxUint256, 11, alice.address, "amount is too high"],
+          ["{}", maxUint256, 5, bob.address, "receiver is not allowed"],
+        ],
+      },
+      {
+        constraints: {noncePolicy: 1},
+        ok: [["{}", maxUint256, 0, zeroAddress]],
+        bad: [["{}", 0, 0, zeroAddress, "explicit nonces are not allowed"]],
+      },
+      {
+        constraints: {noncePolicy: 2},
+        ok: [["{}", 0, 0, zeroAddress]],
+        bad: [["{}", maxUint256, 0, zeroAddress, "explicit nonce is required"]],
+      },
+    ];
+
+    /* We use single-letter names, which can be registered for free.  */
+    let cnt = 0;
+    for (const fallbackOnly of [false, true])
+      for (const c of cases)
+        {
+          const name = String.fromCharCode ("a".charCodeAt (0) + cnt++);
+          await acc.register ("p", name, {from: nameOwner});
+          await acc.setApprovalForAll (del.address, true, {from: nameOwner});
+
+          /* With fallback access at g, the operator has access to g/x since
+             there is no explicit node for it.  */
+          const constraints = {...unconstrained, ...c.constraints};
+          const tx = await del.grantWithConstraints (
+              "p", name, ["g"], kiloChi, maxUint256, fallbackOnly, constraints,
+              {from: nameOwner});
+          truffleAssert.eventEmitted (tx, "MoveConstraintsSet");
+
+          const tokenId = await acc.tokenIdForName ("p", name);
+          const stored = await del.getConstraints (tokenId, nameOwner, ["g"],
+                                                   kiloChi, fallbackOnly);
+          assert.isTrue (stored.active);
+          assert.equal (stored.maxAmount, constraints.maxAmount.toString ());
+          assert.deepEqual (stored.receivers, constraints.receivers);
+          assert.equal (stored.noncePolicy, constraints.noncePolicy);
+          assert.equal (stored.maxMoveLength,
+                        constraints.maxMoveLength.toString ());
+
+          for (const [mv, nonce, amount, receiver, reason] of c.bad)
+            await truffleAssert.reverts (
+                fcn ("p", name, ["g", "x"], mv, nonce, amount, receiver,
+                     {from: kiloChi}),
+                reason);
+          for (const [mv, nonce, amount, receiver] of c.ok)
+            await fcn ("p", name, ["g", "x"], mv, nonce, amount, receiver,
+                       {from: kiloChi});
+
+          /* The owner is not restricted by constraints of others.  */
+          const [mv, nonce, amount, receiver] = c.bad[0];
+          if (nonce === maxUint256)
+            await fcn ("p", name, ["g", "x"], mv, nonce, amount, receiver,
+                       {from: nameOwner});
+        }
+  });
+
+  it ("restricts management by constrained operators", async () => {
+    const nameOwner = accounts[3];
+    await acc.register ("p", "x", {from: nameOwner});
+    await acc.setApprovalForAll (del.address, true, {from: nameOwner});
+
+    const constraints = {
+      active: true,
+      maxAmount: 0,
+      receivers: [],
+      noncePolicy: 0,
+      maxMoveLength: 0,
+      maxMoves: maxUint256,
+      window: 0,
+      maxWchi: maxUint256,
+      policy: zeroAddress,
+    };
+    await del.grantWithConstraints ("p", "x", [], kiloChi, maxUint256, false,
+                                    constraints, {from: nameOwner});
+    assert.isTrue (await del.hasAccess ("p", "x", ["g"], kiloChi, 1));
+
+    const grant
+        = del.methods["grant(string,string,string[],address,uint256,bool)"];
+    await truffleAssert.reverts (
+        grant ("p", "x", ["g"], kiloChi, maxUint256, false, {from: kiloChi}),
+        "the sender has no access");
+    await truffleAssert.reverts (
+        del.methods["resetTree(string,string,string[])"] (
+            "p", "x", [], {from: kiloChi}),
+        "the sender has no access");
+
+    /* Constraints are also enforced in batches.  */
+    const tx = await del.sendHierarchicalMoves ([{
+      ns: "p",
+      name: "x",
+      path: [],
+      mv: "{}",
+      nonce: maxUint256,
+      amount: 1,
+      receiver: alice.address,
+    }], false, {from: kiloChi});
+    truffleAssert.eventEmitted (tx, "BatchedMoveFailed", ev => {
+      return ev.reason === "the payment amount is too high";
+    });
+
+    /* A normal grant by the owner replaces the constraints.  */
+    await grant ("p", "x", [], kiloChi, maxUint256, false, {from: nameOwner});
+    const tokenId = await acc.tokenIdForName ("p", "x");
+    assert.isFalse (
+        (await del.getConstraints (tokenId, nameOwner, [], kiloChi, false))
+            .active);
+    await grant ("p", "x", ["g"], bob.address, maxUint256, false,
+                 {from: kiloChi});
+  });
+
+  it ("enforces move quotas", async () => {
+    const nameOwner = accounts[3];
+    const other = accounts[4];
+    await acc.register ("p", "x", {from: nameOwner});
+    await acc.setApprovalForAll (del.address, true, {from: nameOwner});
+    await wchi.transfer (other, 1000, {from: wchiSupply});
+    await wchi.approve (del.address, maxUint256, {from: other});
+
+    /* Both operators can send two moves per 100 seconds, and spend
+       up to 31 WCHI in total.  */
+    const quotas = {
+      active: true,
+      maxAmount: maxUint256,
+      receivers: [],
+      noncePolicy: 0,
+      maxMoveLength: 0,
+      maxMoves: 2,
+      window: 100,
+      maxWchi: 31,
+      policy: zeroAddress,
+    };
+    for (const op of [kiloChi, other])
+      await del.grantWithConstraints ("p", "x", ["g"], op, maxUint256, false,
+                                      quotas, {from: nameOwner});
+
+    const fcn
+        = del.methods["sendHierarchicalMove(string,string,string[],string)"];
+    const tokenId = await acc.tokenIdForName ("p", "x");
+    const usage = async (op) => {
+      const res = await del.getQuotaUsage (tokenId, nameOwner, ["g"], op,
+                                           false);
+      return [Number (res.moves), Number (res.wchiSpent)];
+    };
+
+    /* Each move is {"g":{}} and costs 8 WCHI.  */
+    await fcn ("p", "x", ["g"], "{}", {from: kiloChi});
+    await fcn ("p", "x", ["g", "tn"], "{}", {from: kiloChi});
+    await truffleAssert.reverts (
+        fcn ("p", "x", ["g"], "{}", {from: kiloChi}),
+        "the move quota is exhausted");
+    assert.deepEqual (await usage (kiloChi), [2, 8 + 15]);
+
+    /* The quotas are tracked per operator.  */
+    await fcn ("p", "x", ["g"], "{}", {from: other});
+    assert.deepEqual (await usage (other), [1, 8]);
+
+    /* After the window is over, more moves can be sent.  But the WCHI
+       quota is for the total.  Batches of moves count as well.  */
+    await time.increase (101);
+    const batch = {
+      ns: "p",
+      name: "x",
+      path: ["g"],
+      mv: "{}",
+      nonce: maxUint256,
+      amount: 0,
+      receiver: zeroAddress,
+    };
+    await del.sendHierarchicalMoves ([batch], true, {from: kiloChi});
+    assert.deepEqual (await usage (kiloChi), [1, 8 + 15 + 8]);
+    await truffleAssert.reverts (
+        fcn ("p", "x", ["g"], "{}", {from: kiloChi}),
+        "the WCHI quota is exhausted");
+    await truffleAssert.reverts (
+        del.sendHierarchicalMoves ([batch], true, {from: kiloChi}),
+        "the WCHI quota is exhausted");
+
+    /* Granting the permission again resets the usage.  */
+    await del.grantWithConstraints ("p", "x", ["g"], kiloChi, maxUint256,
+                                    false, quotas, {from: nameOwner});
+    assert.deepEqual (await usage (kiloChi), [0, 0]);
+
+    /* Moves in non-atomic batches that fail only when sent (here because
+       of a nonce mismatch) do not count against the quotas.  */
+    const tx = await del.sendHierarchicalMoves (
+        [batch, {...batch, nonce: 100}], false, {from: kiloChi});
+    assert.deepEqual (
+        tx.logs.filter (l => l.event === "BatchedMoveFailed")
+            .map (l => [l.args.index.toNumber (), l.args.reason]),
+        [[1, "nonce mismatch"]]);
+    assert.deepEqual (await usage (kiloChi), [1, 8]);
+
+    await fcn ("p", "x", ["g"], "{}", {from: kiloChi});
+    assert.deepEqual (await usage (kiloChi), [2, 16]);
+
+    assert.equal ((await getAllMoves ()).length, 6);
+  });
+
+  it ("counts multi-path moves once per permission", async () => {
+    const nameOwner = accounts[3];
+    await acc.register ("p", "x", {from: nameOwner});
+    await acc.setApprovalForAll (del.address, true, {from: nameOwner});
+
+    const quotas = {
+      active: true,
+      maxAmount: maxUint256,
+      receivers: [],
+      noncePolicy: 0,
+      maxMoveLength: 3,
+      maxMoves: 2,
+      window: 0,
+      maxWchi: 1000,
+      policy: zeroAddress,
+    };
+    for (const path of [["g"], ["s"]])
+      await del.grantWithConstraints ("p", "x", path, kiloChi, maxUint256,
+                                      false, quotas, {from: nameOwner});
+
+    const send = (paths, mvs) => {
+      return del.sendMultiPathMove ("p", "x", paths, mvs, maxUint256, 0,
+                                    zeroAddress, {from: kiloChi});
+    };
+    const tokenId = await acc.tokenIdForName ("p", "x");
+    const usage = async (path) => {
+      const res = await del.getQuotaUsage (tokenId, nameOwner, path, kiloChi,
+                                           false);
+      return [Number (res.moves), Number (res.wchiSpent)];
+    };
+
+    /* Both paths use the permission at g, which records the move (with
+       its cost for {"g":{"a":1,"b":2}}) only once.  */
+    await send ([["g", "a"], ["g", "b"]], ["1", "2"]);
+    assert.deepEqual (await usage (["g"]), [1, 19]);
+
+    /* Each distinct permission records the move.  */
+    await send ([["g", "a"], ["s"]], ["1", "2"]);
+    assert.deepEqual (await usage (["g"]), [2, 19 + 19]);
+    assert.deepEqual (await usage (["s"]), [1, 19]);
+
+    /* The constraints are still checked for each path.  */
+    await truffleAssert.reverts (send ([["s", "a"], ["s", "b"]], ["1", "1234"]),
+                                 "the move is too long");
+    await truffleAssert.reverts (send ([["s"], ["g"]], ["1", "2"]),
+                                 "the move quota is exhausted");
+    assert.deepEqual (await usage (["s"]), [1, 19]);
+
+    assert.equal ((await getAllMoves ()).length, 2);
+  });
+
+  it ("supports sponsored WCHI payments", async () => {
+    /* kiloChi acts as payer for moves and registrations done by bob, who
+       has no WCHI at all.  */
+    const sgn = await permitSignature (alice);
+    await del.registerFor ("p", "x", alice.address, sgn, {from: kiloChi});
+    await sendMetaTx (
+        alice.address,
+        del.grant.request ("p", "x", [], bob.address, maxUint256, false));
+
+    const move
+        = del.methods["sendHierarchicalMove(string,string,string[],string,"
+                      + "uint256,uint256,address,address)"];
+    const register
+        = del.methods["registerFor(string,string,address,bytes,address)"];
+
+    await truffleAssert.reverts (
+        sendMetaTx (
+            bob.address,
+            move.request ("p", "x", [], "{}", maxUint256, 0, zeroAddress,
+                          kiloChi)),
+        "sponsor budget exceeded");
+
+    await del.setSponsorBudget (bob.address, 10, {from: kiloChi});
+    assert.equal (await del.sponsorBudget (kiloChi, bob.address), 10);
+    await sendMetaTx (
+        bob.address,
+        move.request ("p", "x", [], "{}", maxUint256, 0, zeroAddress,
+                      kiloChi));
+    await sendMetaTx (
+        bob.address,
+        move.request ("p", "x", [], "{}", maxUint256, 5, alice.address,
+                      kiloChi));
+    assert.equal (await wchi.balanceOf (kiloChi), 1000 - 2 - (2 + 5));
+    assert.equal (await wchi.balanceOf (alice.address), 5);
+    assert.equal (await del.sponsorBudget (kiloChi, bob.address), 1);
+
+    await truffleAssert.reverts (
+        sendMetaTx (
+            bob.address,
+            move.request ("p", "x", [], "{}", maxUint256, 0, zeroAddress,
+                          kiloChi)),
+        "sponsor budget exceeded");
+
+    /* Free registrations work regardless of the budget, others need
+       enough budget.  */
+    const bobSgn = await permitSignature (bob);
+    await sendMetaTx (
+        bob.address, register.request ("p", "y", bob.address, bobSgn, kiloChi));
+    await truffleAssert.reverts (
+        sendMetaTx (
+            bob.address,
+            register.request ("p", "zz", bob.address, bobSgn, kiloChi)),
+        "sponsor budget exceeded");
+
+    /* An unlimited budget is not reduced.  */
+    const tx = await del.setSponsorBudget (bob.address, maxUint256,
+                                           {from: kiloChi});
+    truffleAssert.eventEmitted (tx, "SponsorBudgetSet", (ev) => {
+      return ev.payer === kiloChi && ev.user === bob.address
+                && ev.budget.toString () === maxUint256;
+    });
+    await sendMetaTx (
+        bob.address,
+        register.request ("p", "zz", bob.address, bobSgn, kiloChi));
+    assert.equal (await del.sponsorBudget (kiloChi, bob.address), maxUint256);
+    assert.equal (await wchi.balanceOf (kiloChi), 1000 - 9 - 200);
+    assert.equal (await acc.ownerOf (await acc.tokenIdForName ("p", "zz")),
+                  bob.address);
+
+    /* When the payer is the sender, no budget is needed.  */
+    await register ("p", "kc", alice.address, sgn, kiloChi, {from: kiloChi});
+    assert.equal (await wchi.balanceOf (kiloChi), 1000 - 9 - 200 - 200);
+    assert.equal (await del.sponsorBudget (kiloChi, kiloChi), 0);
+  });
+
   it ("sends the correct hierarchical moves", async () => {
     const sgn = await permitSignature (alice);
     await del.registerFor ("p", "x", alice.address, sgn, {from: kiloChi});
@@ -247,10 +749,6 @@ contract ("XayaDelegation", accounts => {
         fcn ("p", "x", ["sub"], "null},\"other\":{\"foo\":42", {from: kiloChi}),
         "possible JSON injection attempt");
 
-    const getAllMoves = async () => {
-      return await acc.getPastEvents ("Move",
-                                      {fromBlock: 0, toBlock: "latest"});
-    };
     assert.deepEqual (await getAllMoves (), []);
 
     await sendMetaTx (
@@ -261,6 +759,205 @@ contract ("XayaDelegation", accounts => {
     assert.equal (moves[0].args.name, "x");
     assert.equal (moves[0].args.mv, "{\"sub\":{\"foo\":42}}");
     assert.equal (moves[0].args.mover, del.address);
+
+    /* Keys are escaped, and values can be of any JSON type.  */
+    await fcn ("p", "x", ["sub", "a\"b"], "[1,true]", {from: kiloChi});
+    assert.equal ((await getAllMoves ())[1].args.mv,
+                  "{\"sub\":{\"a\\\"b\":[1,true]}}");
+  });
+
+  it ("sends multi-path moves", async () => {
+    const sgn = await permitSignature (alice);
+    await del.registerFor ("p", "x", alice.address, sgn, {from: kiloChi});
+    await sendMetaTx (
+        alice.address,
+        del.grant.request ("p", "x", ["g", "a"], kiloChi, maxUint256, false));
+    await sendMetaTx (
+        alice.address,
+        del.grant.request ("p", "x", ["g", "b"], kiloChi, maxUint256, false));
+
+    /* Access is needed for each of the paths.  */
+    await truffleAssert.reverts (
+        del.sendMultiPathMove ("p", "x", [["g", "a"], ["g", "c"]],
+                               ["{}", "{}"], maxUint256, 0, zeroAddress,
+                               {from: kiloChi}),
+        "has no permission");
+
+    /* Injection attempts and overlapping paths are rejected.  */
+    await truffleAssert.reverts (
+        del.sendMultiPathMove ("p", "x", [["g", "a"], ["g", "b"]],
+                               ["{\"x\":\"", "\"}"], maxUint256, 0,
+                               zeroAddress, {from: kiloChi}),
+        "possible JSON injection attempt");
+    await truffleAssert.reverts (
+        del.sendMultiPathMove ("p", "x", [["g", "a"], ["g", "a", "y"]],
+                               ["{}", "{}"], maxUint256, 0, zeroAddress,
+                               {from: kiloChi}),
+        "overlapping paths");
+
+    assert.deepEqual (await getAllMoves (), []);
+
+    await sendMetaTx (
+        kiloChi,
+        del.sendMultiPathMove.request (
+            "p", "x", [["g", "b"], ["g", "a"]], ["{\"x\":1}", "{}"],
+            maxUint256, 5, alice.address));
+    const moves = await getAllMoves ();
+    assert.equal (moves.length, 1);
+    const mv = "{\"g\":{\"b\":{\"x\":1},\"a\":{}}}";
+    assert.equal (moves[0].args.mv, mv);
+    assert.equal (moves[0].args.amount, 5);
+
+    /* The fee is charged once for the merged move.  */
+    assert.equal (await wchi.balanceOf (kiloChi), 1000 - mv.length - 5);
+    assert.equal (await wchi.balanceOf (alice.address), 5);
+  });
+
+  /* ************************************************************************ */
+
+  /**
+   * Registers the given names for alice, and grants kiloChi access
+   * to send moves with them.
+   */
+  const setupBatchNames = async (names) => {
+    const sgn = await permitSignature (alice);
+    for (const name of names)
+      {
+        await del.registerFor ("p", name, alice.address, sgn, {from: kiloChi});
+        await sendMetaTx (
+            alice.address,
+            del.grant.request ("p", name, [], kiloChi, maxUint256, false));
+      }
+  };
+
+  /**
+   * Returns a move for a batch, which is by default with the given name
+   * at path ["g"] and without explicit nonce or payment.
+   */
+  const batchedMove = (name, mv, options) => {
+    return {
+      ns: "p",
+      name,
+      path: ["g"],
+      mv,
+      nonce: maxUint256,
+      amount: 0,
+      receiver: zeroAddress,
+      ...options,
+    };
+  };
+
+  it ("sends batches of moves", async () => {
+    await setupBatchNames (["a", "b", "c"]);
+
+    /* Each move is {"g":{}} and costs 8 WCHI.  */
+    const moves = ["a", "b", "c"].map (name => batchedMove (name, "{}"));
+    const res = await del.sendHierarchicalMoves.call (moves, true,
+                                                      {from: kiloChi});
+    assert.deepEqual (res.success, [true, true, true]);
+    assert.deepEqual (res.nonces.map (n => n.toNumber ()), [0, 0, 0]);
+
+    await del.sendHierarchicalMoves (moves, true, {from: kiloChi});
+    await del.sendHierarchicalMoves ([moves[0]], true, {from: kiloChi});
+    assert.equal (await wchi.balanceOf (kiloChi), 1000 - 4 * 8);
+
+    const sent = await getAllMoves ();
+    assert.deepEqual (sent.map (m => m.args.name), ["a", "b", "c", "a"]);
+    assert.deepEqual (sent.map (m => m.args.nonce.toNumber ()), [0, 0, 0, 1]);
+    for (const m of sent)
+      assert.equal (m.args.mv, "{\"g\":{}}");
+  });
+
+  it ("reverts atomic batches of moves", async () => {
+    await setupBatchNames (["a", "b"]);
+    await del.registerFor ("p", "d", alice.address,
+                           await permitSignature (alice), {from: kiloChi});
+
+    const ok = batchedMove ("a", "{}");
+    const failures = [
+      [batchedMove ("d", "{}"), "has no permission"],
+      [batchedMove ("zzz", "{}"), "name does not exist"],
+      [batchedMove ("b", "{}}"), "possible JSON injection attempt"],
+      [batchedMove ("b", "{}", {nonce: 5}), "nonce mismatch"],
+      [batchedMove ("b", "{}", {amount: 1}), "non-zero amount"],
+    ];
+    for (const [m, reason] of failures)
+      await truffleAssert.reverts (
+          del.sendHierarchicalMoves ([ok, m], true, {from: kiloChi}),
+          reason);
+
+    assert.deepEqual (await getAllMoves (), []);
+    assert.equal (await wchi.balanceOf (kiloChi), 1000);
+  });
+
+  it ("reports failures in non-atomic batches of moves", async () => {
+    await setupBatchNames (["a", "b", "c"]);
+    await del.registerFor ("p", "d", alice.address,
+                           await permitSignature (alice), {from: kiloChi});
+
+    const moves = [
+      batchedMove ("a", "{}"),
+      batchedMove ("d", "{}"),
+      batchedMove ("b", "{}}"),
+      batchedMove ("c", "{}", {nonce: 5}),
+      batchedMove ("b", "{}", {amount: 3, receiver: alice.address}),
+    ];
+
+    const res = await del.sendHierarchicalMoves.call (moves, false,
+                                                      {from: kiloChi});
+    assert.deepEqual (res.success, [true, false, false, false, true]);
+
+    const tx = await del.sendHierarchicalMoves (moves, false, {from: kiloChi});
+    const failed = tx.logs
+        .filter (l => l.event === "BatchedMoveFailed")
+        .map (l => [l.args.index.toNumber (), l.args.reason]);
+    assert.deepEqual (failed, [
+      [1, "the message sender has no permission to send moves"],
+      [2, "possible JSON injection attempt"],
+      [3, "nonce mismatch"],
+    ]);
+
+    assert.deepEqual ((await getAllMoves ()).map (m => m.args.name),
+                      ["a", "b"]);
+
+    /* The WCHI for the failed move with nonce mismatch has been
+       obtained initially, but is refunded.  */
+    assert.equal (await wchi.balanceOf (kiloChi), 1000 - 8 - (8 + 3));
+    assert.equal (await wchi.balanceOf (alice.address), 3);
+    assert.equal (await wchi.balanceOf (del.address), 0);
+  });
+
+  it ("saves gas with batched moves", async () => {
+    const names = ["a", "b", "c", "d", "e"];
+    await setupBatchNames (names);
+
+    const fcn
+        = del.methods["sendHierarchicalMove(string,string,string[],string)"];
+    let individualGas = 0;
+    for (const name of names)
+      {
+        const tx = await fcn ("p", name, ["g"], "{\"x\":1}", {from: kiloChi});
+        individualGas += tx.receipt.gasUsed;
+      }
+    const individual = await getAllMoves ();
+
+    const tx = await del.sendHierarchicalMoves (
+        names.map (name => batchedMove (name, "{\"x\":1}")), true,
+        {from: kiloChi});
+    const batchGas = tx.receipt.gasUsed;
+    const batched = (await getAllMoves ()).slice (names.length);
+
+    /* The results should be the same, just with the next nonces.  */
+    assert.equal (batched.length, individual.length);
+    for (let i = 0; i < batched.length; ++i)
+      {
+        assert.equal (batched[i].args.name, individual[i].args.name);
+        assert.equal (batched[i].args.mv, individual[i].args.mv);
+        assert.equal (batched[i].args.nonce.toNumber (),
+                      individual[i].args.nonce.toNumber () + 1);
+      }
+
+    assert.isBelow (batchGas, individualGas);
   });
 
   /* ************************************************************************ */
@@ -316,6 +1013,38 @@ contract ("XayaDelegation", accounts => {
     assert.isFalse (await del.permissionExists (tokenId, alice.address, []));
   });
 
+  it ("applies lists of permission operations by name", async () => {
+    const sgn = await permitSignature (alice);
+    await del.registerFor ("p", "x", alice.address, sgn, {from: kiloChi});
+    const tokenId = await acc.tokenIdForName ("p", "x");
+
+    const applyOperations
+        = del.methods["applyOperations(string,string,"
+                      + "(uint8,string[],address,uint256,bool)[])"];
+    await sendMetaTx (alice.address, applyOperations.request ("p", "x", [
+      {
+        opType: 0,
+        path: ["g"],
+        operator: bob.address,
+        expiration: maxUint256,
+        fallbackOnly: false,
+      },
+      {
+        opType: 0,
+        path: [],
+        operator: kiloChi,
+        expiration: 100,
+        fallbackOnly: true,
+      },
+    ]));
+
+    assert.isTrue (await del.permissionExists (
+        tokenId, alice.address, ["g"], bob.address, false));
+    assert.equal (await del.getExpiration (tokenId, alice.address, [],
+                                           kiloChi, true),
+                  100);
+  });
+
   /* ************************************************************************ */
 
 });
@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const fs = require ("fs");
+const os = require ("os");
+const path = require ("path");
+
+const truffleContract = require ("@truffle/contract");
+
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const WCHI = truffleContract (wchiData);
+WCHI.setProvider (web3.currentProvider);
+
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
+const TestPolicy = truffleContract (policyData);
+TestPolicy.setProvider (web3.currentProvider);
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const XayaAccounts = truffleContract (accountsData);
+XayaAccounts.setProvider (web3.currentProvider);
+
+const XayaDelegation = artifacts.require ("XayaDelegation");
+const XayaForwarder = artifacts.require ("XayaForwarder");
+
+const {
+  addressBook,
+  getDeployment,
+  updateAddressBook,
+  verifyDeployment,
+} = require ("../lib");
+
+contract ("Deployment", accounts => {
+  let supply = accounts[0];
+
+  let acc, fwd, del;
+  before (async () => {
+    const wchi = await WCHI.new ({from: supply});
+    const policy = await TestPolicy.new ({from: supply});
+    acc = await XayaAccounts.new (wchi.address, policy.address, {from: supply});
+    fwd = await XayaForwarder.new ();
+    del = await XayaDelegation.new (acc.address, fwd.address);
+  });
+
+  it ("verifies a correct deployment", async () => {
+    assert.deepEqual (await verifyDeployment (del, {
+      accounts: acc.address,
+      forwarder: fwd.address,
+    }), []);
+  });
+
+  it ("detects problems with a deployment", async () => {
+    const problems = await verifyDeployment (del, {
+      accounts: accounts[1],
+      forwarder: accounts[2],
+    });
+    assert.equal (problems.length, 3);
+    assert.include (problems[0], "accounts contract is");
+    assert.include (problems[1], "is not the trusted forwarder");
+    assert.include (problems[2], "is not a XayaForwarder");
+  });
+
+  it ("requires a XayaForwarder", async () => {
+    /* Some other contract (like the forwarder of the 1.0.0 deployment)
+       is rejected even if it is the trusted forwarder.  */
+    const other = await XayaDelegation.new (acc.address, acc.address);
+    assert.deepEqual (await verifyDeployment (other, {
+      accounts: acc.address,
+      forwarder: acc.address,
+    }), [`${acc.address} is not a XayaForwarder`]);
+  });
+
+  it ("marks the 1.0.0 deployments in the address book", async () => {
+    /* The 1.0.0 deployments on Polygon and Mumbai are kept in the address
+       book, but have a different interface and are thus not returned
+       by getDeployment.  */
+    assert.equal (addressBook["137"].version, "1.0.0");
+    assert.equal (addressBook["137"].delegation,
+                  "0xEB4c2EF7874628B646B8A59e4A309B94e14C2a6B");
+    assert.equal (addressBook["80001"].version, "1.0.0");
+    assert.equal (addressBook["80001"].network, "mumbai");
+
+    assert.isNull (getDeployment (137));
+    assert.isNull (getDeployment ("80001"));
+    assert.isNull (getDeployment (1));
+  });
+
+  it ("updates address books", async () => {
+    const dir = fs.mkdtempSync (path.join (os.tmpdir (), "delegation-"));
+    const file = path.join (dir, "addresses.json");
+    try
+      {
+        updateAddressBook (file, 1, {network: "foo", delegation: "0x1"});
+        updateAddressBook (file, 2, {network: "bar", delegation: "0x2"});
+        updateAddressBook (file, 1, {network: "foo", delegation: "0x3"});
+
+        const book = JSON.parse (fs.readFileSync (file, "utf8"));
+        assert.deepEqual (book, {
+          "1": {network: "foo", delegation: "0x3"},
+          "2": {network: "bar", delegation: "0x2"},
+        });
+        assert.equal (getDeployment (2, book).network, "bar");
+
+        updateAddressBook (file, 2, {network: "bar", version: "1.0.0"});
+        assert.isNull (getDeployment (
+            2, JSON.parse (fs.readFileSync (file, "utf8"))));
+      }
+    finally
+      {
+        fs.rmSync (dir, {recursive: true});
+      }
+  });
+
+});
@@ -0,0 +1,191 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const truffleAssert = require ("truffle-assertions");
+const { time } = require ("@openzeppelin/test-helpers");
+
+const NamePermissions = artifacts.require ("NamePermissions");
+const XayaForwarder = artifacts.require ("XayaForwarder");
+
+const {
+  buildForwardRequest,
+  signForwardRequest,
+  createSignedRequest,
+} = require ("../lib");
+
+contract ("XayaForwarder", accounts => {
+  let relayer = accounts[0];
+  let operator = accounts[1];
+
+  let fwd, np, signer, other;
+  beforeEach (async () => {
+    fwd = await XayaForwarder.new ();
+
+    /* NamePermissions is not ERC2771-aware, so calls forwarded to it
+       will have the forwarder as msg.sender.  We only use it as generic
+       target contract.  The forwarder grants permissions "as owner".  */
+    np = await NamePermissions.new ();
+
+    const wallet = web3.eth.accounts.wallet.create (2);
+    signer = wallet[0];
+    other = wallet[1];
+  });
+
+  /**
+   * Returns the call data for a grant with the forwarder as owner,
+   * so that the forwarded call always succeeds.
+   */
+  const grantRequest = async (tokenId, expiration) => {
+    return await np.grant.request (tokenId, fwd.address, [], operator,
+                                   expiration, false);
+  };
+
+  /**
+   * Builds and signs a request with the given options (which can override
+   * the defaults).  The signature is made by the "signer" wallet.
+   */
+  const signedRequest = async (call, options) => {
+    return await createSignedRequest (fwd, {
+      from: signer.address,
+      to: call.to,
+      data: call.data,
+      ...options,
+    }, signer.privateKey);
+  };
+
+  const hasGrant = async (tokenId) => {
+    return await np.permissionExists (tokenId, fwd.address, [], operator,
+                                      false);
+  };
+
+  /* ************************************************************************ */
+
+  it ("verifies and executes signed requests", async () => {
+    const {request, signature} = await signedRequest (await grantRequest (1, 10));
+    assert.isTrue (await fwd.verify (request, signature));
+
+    assert.equal ((await fwd.getNonce (signer.address)).toNumber (), 0);
+    const tx = await fwd.execute (request, signature, {from: relayer});
+    truffleAssert.eventEmitted (tx, "Executed", (ev) => {
+      return ev.from === signer.address && ev.nonce.toNumber () === 0;
+    });
+    assert.equal ((await fwd.getNonce (signer.address)).toNumber (), 1);
+    assert.isTrue (await hasGrant (1));
+  });
+
+  it ("supports signing through the provider", async () => {
+    const call = await grantRequest (1, 10);
+    const request = await buildForwardRequest (fwd, {
+      from: accounts[2],
+      to: call.to,
+      data: call.data,
+    });
+    const signature = await signForwardRequest (fwd, request);
+    await fwd.execute (request, signature, {from: relayer});
+    assert.isTrue (await hasGrant (1));
+  });
+
+  it ("rejects invalid signatures", async () => {
+    const {request, signature} = await signedRequest (await grantRequest (1, 10));
+
+    const wrongFrom = {...request, from: other.address};
+    assert.isFalse (await fwd.verify (wrongFrom, signature));
+    await truffleAssert.reverts (
+        fwd.execute (wrongFrom, signature, {from: relayer}),
+        "signature does not match");
+
+    const wrongData = {...request, data: (await grantRequest (2, 10)).data};
+    assert.isFalse (await fwd.verify (wrongData, signature));
+    await truffleAssert.reverts (
+        fwd.execute (wrongData, signature, {from: relayer}),
+        "signature does not match");
+
+    assert.isFalse (await hasGrant (1));
+    assert.isFalse (await hasGrant (2));
+  });
+
+  it ("enforces nonces", async () => {
+    const first = await signedRequest (await grantRequest (1, 10));
+    const second = await signedRequest (await grantRequest (2, 10), {nonce: 1});
+
+    /* The second request cannot be executed before the first.  */
+    assert.isFalse (await fwd.verify (second.request, second.signature));
+    await truffleAssert.reverts (
+        fwd.execute (second.request, second.signature, {from: relayer}),
+        "signature does not match");
+
+    await fwd.execute (first.request, first.signature, {from: relayer});
+    await fwd.execute (second.request, second.signature, {from: relayer});
+    assert.isTrue (await hasGrant (1));
+    assert.isTrue (await hasGrant (2));
+
+    /* Replaying is not possible.  */
+    await truffleAssert.reverts (
+        fwd.execute (first.request, first.signature, {from: relayer}),
+        "signature does not match");
+  });
+
+  it ("enforces the deadline", async () => {
+    await time.advanceBlock ();
+    const now = (await time.latest ()).toNumber ();
+    const {request, signature}
+        = await signedRequest (await grantRequest (1, 10), {deadline: now + 100});
+    assert.isTrue (await fwd.verify (request, signature));
+
+    await time.increase (200);
+    assert.isFalse (await fwd.verify (request, signature));
+    await truffleAssert.reverts (
+        fwd.execute (request, signature, {from: relayer}),
+        "request expired");
+    assert.isFalse (await hasGrant (1));
+  });
+
+  it ("checks the value", async () => {
+    const {request, signature}
+        = await signedRequest (await grantRequest (1, 10), {value: 1});
+    await truffleAssert.reverts (
+        fwd.execute (request, signature, {from: relayer}),
+        "value mismatch");
+  });
+
+  it ("forwards reverts", async () => {
+    /* A grant for an owner other than the forwarder itself fails, since the
+       forwarder has no access there.  */
+    const call = await np.grant.request (1, other.address, [], operator,
+                                         10, false);
+    const {request, signature} = await signedRequest (call);
+    await truffleAssert.reverts (
+        fwd.execute (request, signature, {from: relayer}),
+        "forwarded call reverted: the sender has no access");
+    assert.equal ((await fwd.getNonce (signer.address)).toNumber (), 0);
+  });
+
+  it ("executes batches atomically", async () => {
+    const first = await signedRequest (await grantRequest (1, 10));
+    const second = await signedRequest (await grantRequest (2, 10), {nonce: 1});
+    const failing = await signedRequest (
+        await np.grant.request (3, other.address, [], operator, 10, false),
+        {nonce: 2});
+
+    await truffleAssert.reverts (
+        fwd.executeBatch ([first.request, second.request],
+                          [first.signature], {from: relayer}),
+        "requests and signatures mismatch");
+    await truffleAssert.reverts (
+        fwd.executeBatch (
+            [first.request, second.request, failing.request],
+            [first.signature, second.signature, failing.signature],
+            {from: relayer}),
+        "forwarded call reverted");
+    assert.isFalse (await hasGrant (1));
+    assert.isFalse (await hasGrant (2));
+
+    await fwd.executeBatch ([first.request, second.request],
+                            [first.signature, second.signature],
+                            {from: relayer});
+    assert.isTrue (await hasGrant (1));
+    assert.isTrue (await hasGrant (2));
+    assert.equal ((await fwd.getNonce (signer.address)).toNumber (), 2);
+  });
+
+});
@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+/* Gas profiling of the main code paths (permission checks, JSON sub-object
+   construction and tree operations).  The gas used by each measured
+   transaction is written to a report in the build directory, and compared
+   against the baseline in gas-baseline.json.  A measurement that exceeds
+   its baseline (plus the configured tolerance) fails the test.
+
+   When run with the environment variable GAS_BASELINE_UPDATE set,
+   the baseline file is rewritten with the current values instead.  */
+
+const fs = require ("fs");
+const path = require ("path");
+
+const truffleContract = require ("@truffle/contract");
+
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const WCHI = truffleContract (wchiData);
+WCHI.setProvider (web3.currentProvider);
+
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
+const TestPolicy = truffleContract (policyData);
+TestPolicy.setProvider (web3.currentProvider);
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const XayaAccounts = truffleContract (accountsData);
+XayaAccounts.setProvider (web3.currentProvider);
+
+const XayaDelegation = artifacts.require ("XayaDelegation");
+
+const {
+  DelegationClient,
+  OperationType,
+  operation,
+  maxUint256,
+} = require ("../lib");
+
+const baselineFile = path.join (__dirname, "gas-baseline.json");
+const reportFile = path.join (__dirname, "..", "build", "gas-report.json");
+const updateBaseline = !!process.env.GAS_BASELINE_UPDATE;
+
+const baseline = JSON.parse (fs.readFileSync (baselineFile, "utf8"));
+
+contract ("Gas", accounts => {
+  let supply = accounts[0];
+  let owner = accounts[1];
+  let operator = accounts[2];
+
+  /* All measurements taken (in order), as {name, gasUsed, baseline}.  */
+  const measurements = [];
+
+  let client;
+  beforeEach (async () => {
+    const wchi = await WCHI.new ({from: supply});
+    const policy = await TestPolicy.new ({from: supply});
+    const acc = await XayaAccounts.new (wchi.address, policy.address,
+                                        {from: supply});
+    const del = await XayaDelegation.new (acc.address, accounts[9]);
+    client = await DelegationClient.create (del);
+
+    await acc.register ("p", "x", {from: owner});
+    await acc.setApprovalForAll (del.address, true, {from: owner});
+    await wchi.transfer (operator, 1000000, {from: supply});
+    await client.approveWchi (undefined, {from: operator});
+  });
+
+  after (async () => {
+    const exceeded = measurements.filter ((m) => {
+      return m.baseline !== null && m.gasUsed > limit (m.baseline);
+    });
+
+    fs.mkdirSync (path.dirname (reportFile), {recursive: true});
+    fs.writeFileSync (reportFile, JSON.stringify ({
+      tolerance: baseline.tolerance,
+      measurements,
+      exceeded: exceeded.map ((m) => m.name),
+    }, null, 2) + "\n");
+
+    if (updateBaseline)
+      {
+        const gas = {};
+        for (const m of measurements)
+          gas[m.name] = m.gasUsed;
+        fs.writeFileSync (baselineFile, JSON.stringify ({
+          tolerance: baseline.tolerance,
+          gas,
+        }, null, 2) + "\n");
+      }
+  });
+
+  /**
+   * Returns the maximum allowed gas for a given baseline value.
+   */
+  const limit = (value) => {
+    return Math.floor (value * (1 + baseline.tolerance));
+  };
+
+  /**
+   * Records the gas used by a transaction under the given name, and checks
+   * it against the baseline (unless the baseline is being updated).
+   */
+  const record = (name, tx) => {
+    const gasUsed = tx.receipt.gasUsed;
+    const expected = name in baseline.gas ? baseline.gas[name] : null;
+    measurements.push ({name, gasUsed, baseline: expected});
+
+    if (updateBaseline)
+      return;
+    assert.isNotNull (expected, `no gas baseline for ${name}`);
+    assert.isAtMost (gasUsed, limit (expected),
+                     `gas used for ${name} exceeds the baseline`);
+  };
+
+  /**
+   * Grants the given number of permissions with applyOperations (in batches
+   * to keep each transaction below the block gas limit).
+   */
+  const grantMany = async (count, pathFcn, expiration) => {
+    const ops = [];
+    for (let i = 0; i < count; ++i)
+      ops.push (operation (OperationType.Grant, pathFcn (i), {
+        operator: accounts[3 + i % 5],
+        expiration,
+      }));
+
+    const batch = 20;
+    for (let i = 0; i < ops.length; i += batch)
+      await client.applyOperations ({ns: "p", name: "x"},
+                                    ops.slice (i, i + batch), {from: owner});
+  };
+
+  /* ************************************************************************ */
+
+  /* The operator has access only at the full path, so that the permissions
+     check walks the entire tree down to it.  */
+  for (const depth of [0, 1, 4, 8])
+    for (const size of [10, 100, 1000])
+      it (`sendHierarchicalMove depth=${depth} size=${size}`, async () => {
+        const movePath = Array (depth).fill ("a");
+        await client.grant ({ns: "p", name: "x", path: movePath, operator},
+                            {from: owner});
+
+        /* The move is a JSON object of exactly the given size.  */
+        const move = `{"x":"${"y".repeat (size - 8)}"}`;
+        assert.equal (move.length, size);
+
+        const tx = await client.sendMove ({ns: "p", name: "x", path: movePath,
+                                           move},
+                                          {from: operator});
+        record (`sendHierarchicalMove depth=${depth} size=${size}`, tx);
+      });
+
+  /* Each part of the multi-path move is at its own path of depth two (with
+     a shared first key) and has size 100.  */
+  for (const parts of [2, 4])
+    it (`sendMultiPathMove parts=${parts}`, async () => {
+      await client.grant ({ns: "p", name: "x", path: ["g"], operator},
+                          {from: owner});
+
+      const move = `{"x":"${"y".repeat (92)}"}`;
+      const tx = await client.sendMultiPathMove ({
+        ns: "p",
+        name: "x",
+        parts: Array.from ({length: parts}, (_, i) => ({
+          path: ["g", `${i}`],
+          move,
+        })),
+      }, {from: operator});
+      record (`sendMultiPathMove parts=${parts}`, tx);
+    });
+
+  /* The measured grant adds a new child node next to "width" existing ones,
+     and the revoke removes it again (pruning the then empty node).  */
+  for (const width of [0, 10, 50])
+    it (`grant and revoke width=${width}`, async () => {
+      await grantMany (width, (i) => ["w", `${i}`], maxUint256);
+
+      const target = {ns: "p", name: "x", path: ["w", "new"], operator};
+      record (`grant width=${width}`,
+              await client.grant (target, {from: owner}));
+      record (`revoke width=${width}`,
+              await client.revoke (target, {from: owner}));
+    });
+
+  for (const entries of [1, 10, 50])
+    it (`expireTree entries=${entries}`, async () => {
+      await grantMany (entries, (i) => ["e", `${i}`], 1);
+
+      const tx = await client.expireTree ({ns: "p", name: "x", path: ["e"]},
+                                          {from: operator});
+      record (`expireTree entries=${entries}`, tx);
+    });
+
+  /* ************************************************************************ */
+
+});
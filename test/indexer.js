@@ -0,0 +1,393 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const fs = require ("fs");
+const os = require ("os");
+const path = require ("path");
+const { time } = require ("@openzeppelin/test-helpers");
+
+const NamePermissions = artifacts.require ("NamePermissions");
+
+const {
+  MovePermissions,
+  PermissionIndexer,
+  PermissionType,
+  emptyNode,
+  moveConstraints,
+  readTree,
+  signMigrationConsent,
+} = require ("../lib");
+
+const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+
+contract ("PermissionIndexer", acc => {
+  let np, indexer;
+  beforeEach (async () => {
+    np = await NamePermissions.new ();
+    indexer = new PermissionIndexer ();
+  });
+
+  /**
+   * Syncs the indexer and checks that its state for the given token IDs
+   * and owners matches the on-chain state.
+   */
+  const expectConsistent = async (pairs) => {
+    await indexer.sync (np);
+    for (const [tokenId, owner] of pairs)
+      assert.deepEqual (indexer.getTree (tokenId, owner),
+                        await readTree (np, tokenId, owner, {batchSize: 10}),
+                        `tree for ${tokenId} and ${owner}`);
+  };
+
+  it ("handles grants and revocations", async () => {
+    await np.grant (1, acc[0], ["g", "tn"], acc[1], 100, false,
+                    {from: acc[0]});
+    await np.grant (1, acc[0], ["g", "tn"], acc[1], 200, false,
+                    {from: acc[0]});
+    await np.grant (1, acc[0], ["g"], acc[2], maxUint256, true,
+                    {from: acc[0]});
+    await np.grant (2, acc[1], [], acc[0], 50, false, {from: acc[1]});
+    await expectConsistent ([[1, acc[0]], [2, acc[1]], [1, acc[1]]]);
+
+    assert.deepEqual (indexer.getTree (1, acc[0]).children["g"], {
+      fullAccess: {},
+      fallbackAccess: {[acc[2]]: maxUint256},
+      children: {
+        "tn": {
+          fullAccess: {[acc[1]]: "200"},
+          fallbackAccess: {},
+          children: {},
+        },
+      },
+    });
+
+    /* Revoking prunes the empty "tn" node, and afterwards the empty tree
+       for token 2 entirely.  */
+    await np.revoke (1, acc[0], ["g", "tn"], acc[1], false, {from: acc[1]});
+    await np.revoke (2, acc[1], [], acc[0], false, {from: acc[1]});
+    await expectConsistent ([[1, acc[0]], [2, acc[1]]]);
+
+    assert.deepEqual (indexer.getTree (1, acc[0]).children["g"].children, {});
+    assert.deepEqual (indexer.getAllTrees ().map (t => [t.tokenId, t.owner]),
+                      [["1", acc[0]]]);
+  });
+
+  it ("handles tree resets", async () => {
+    await np.grant (1, acc[0], ["g"], acc[1], maxUint256, false,
+                    {from: acc[0]});
+    await np.grant (1, acc[0], ["g", "tn"], acc[2], 10, false,
+                    {from: acc[0]});
+    await np.grant (1, acc[0], ["g", "tn", "x"], acc[3], 10, true,
+                    {from: acc[0]});
+    await np.grant (1, acc[0], ["s"], acc[2], 10, true, {from: acc[0]});
+
+    /* A reset by the owner at some inner node leaves that node
+       empty but in place.  */
+    await np.resetTree (1, acc[0], ["g", "tn"], {from: acc[0]});
+    await expectConsistent ([[1, acc[0]]]);
+    assert.deepEqual (indexer.getTree (1, acc[0]).children["g"].children["tn"],
+                      emptyNode ());
+
+    /* A reset by another address leaves just their own permission.  */
+    await np.resetTree (1, acc[0], ["g"], {from: acc[1]});
+    await expectConsistent ([[1, acc[0]]]);
+    assert.deepEqual (indexer.getTree (1, acc[0]).children["g"], {
+      fullAccess: {[acc[1]]: maxUint256},
+      fallbackAccess: {},
+      children: {},
+    });
+
+    await np.resetTree (1, acc[0], [], {from: acc[0]});
+    await expectConsistent ([[1, acc[0]]]);
+    assert.deepEqual (indexer.getAllTrees (), []);
+  });
+
+  it ("handles permission types and constraints", async () => {
+    await np.grantWithType (1, acc[0], ["g"], acc[1], maxUint256, false,
+                            PermissionType.AdminOnly, {from: acc[0]});
+    await np.grantWithType (1, acc[0], ["g", "tn"], acc[2], 100, true,
+                            PermissionType.MoveOnly, {from: acc[0]});
+    await np.grantWithConstraints (1, acc[0], ["g", "tn"], acc[3], 100, false,
+                                   moveConstraints ({maxMoves: 1}),
+                                   {from: acc[0]});
+    await expectConsistent ([[1, acc[0]]]);
+    assert.deepEqual (indexer.getTree (1, acc[0]).children["g"]
+                          .children["tn"].fullRestrictions, {
+      [acc[3]]: {permissionType: PermissionType.Full, constrained: true},
+    });
+
+    /* Plain grants remove the restrictions again.  */
+    await np.grant (1, acc[0], ["g", "tn"], acc[3], 100, false,
+                    {from: acc[0]});
+    await np.grant (1, acc[0], ["g", "tn"], acc[2], 100, true,
+                    {from: acc[0]});
+    await expectConsistent ([[1, acc[0]]]);
+    assert.deepEqual (indexer.getTree (1, acc[0]).children["g"]
+                          .children["tn"], {
+      fullAccess: {[acc[3]]: "100"},
+      fallbackAccess: {[acc[2]]: "100"},
+      children: {},
+    });
+
+    /* A reset by the admin-only operator keeps their type.  */
+    await np.grantWithType (1, acc[0], ["g", "tn"], acc[2], 100, true,
+                            PermissionType.MoveOnly, {from: acc[0]});
+    await np.resetTree (1, acc[0], ["g"], {from: acc[1]});
+    await expectConsistent ([[1, acc[0]]]);
+    assert.deepEqual (indexer.getTree (1, acc[0]).children["g"]
+                          .fullRestrictions, {
+      [acc[1]]: {permissionType: PermissionType.AdminOnly, constrained: false},
+    });
+
+    await np.revoke (1, acc[0], ["g"], acc[1], false, {from: acc[0]});
+    await expectConsistent ([[1, acc[0]]]);
+    assert.deepEqual (indexer.getAllTrees (), []);
+  });
+
+  it ("handles tree migrations", async () => {
+    await np.grant (1, acc[0], ["g"], acc[2], maxUint256, false,
+                    {from: acc[0]});
+    await np.grantWithType (1, acc[0], ["g", "tn"], acc[3], 10, true,
+                            PermissionType.MoveOnly, {from: acc[0]});
+
+    const migrate = async (from, to, copy) => {
+      const {consent, signature}
+          = await signMigrationConsent (np, {tokenId: 1, from, to, copy});
+      await np.migrateTree (1, to, copy, consent.deadline, signature,
+                            {from});
+    };
+
+    await migrate (acc[0], acc[1], true);
+    await expectConsistent ([[1, acc[0]], [1, acc[1]]]);
+    assert.deepEqual (indexer.getTree (1, acc[1]),
+                      indexer.getTree (1, acc[0]));
+
+    /* The copy is independent of the original tree.  */
+    await np.revoke (1, acc[1], ["g"], acc[2], false, {from: acc[1]});
+    await expectConsistent ([[1, acc[0]], [1, acc[1]]]);
+
+    await migrate (acc[0], acc[4], false);
+    await expectConsistent ([[1, acc[0]], [1, acc[1]], [1, acc[4]]]);
+    assert.deepEqual (indexer.getAllTrees ().map (t => t.owner).sort (),
+                      [acc[1], acc[4]].sort ());
+  });
+
+  it ("handles expiration", async () => {
+    await time.advanceBlock ();
+    const start = (await time.latest ()).toNumber ();
+
+    await np.grant (1, acc[0], [], acc[1], start + 100, true, {from: acc[0]});
+    await np.grantWithType (1, acc[0], ["g"], acc[1], start + 10, false,
+                            PermissionType.MoveOnly, {from: acc[0]});
+    await np.grant (1, acc[0], ["g", "x", "y"], acc[2], start + 10, false,
+                    {from: acc[0]});
+    await np.grant (1, acc[0], ["s", "x"], acc[2], start + 10, false,
+                    {from: acc[0]});
+    await np.grant (1, acc[0], ["s"], acc[3], start + 200, false,
+                    {from: acc[0]});
+
+    await time.increase (50);
+    await np.expireTree (1, acc[0], ["g"]);
+    await expectConsistent ([[1, acc[0]]]);
+    assert.deepEqual (Object.keys (indexer.getTree (1, acc[0]).children),
+                      ["s"]);
+
+    await np.expireTree (1, acc[0], ["s", "x"]);
+    await expectConsistent ([[1, acc[0]]]);
+
+    await time.increase (200);
+    await np.expireTree (1, acc[0], []);
+    await expectConsistent ([[1, acc[0]]]);
+    assert.deepEqual (indexer.getAllTrees (), []);
+  });
+
+  it ("stays consistent for random operations", async () => {
+    await time.advanceBlock ();
+    const start = (await time.latest ()).toNumber ();
+
+    const keys = ["a", "constructor", "__proto__"];
+    const owners = [acc[0], acc[1]];
+    const operators = acc.slice (0, 5);
+    const pairs = [];
+    for (const tokenId of [1, 2])
+      for (const owner of owners)
+        pairs.push ([tokenId, owner]);
+
+    const randomInt = (n) => Math.floor (Math.random () * n);
+    const randomElement = (arr) => arr[randomInt (arr.length)];
+    const randomPath = () => {
+      const res = [];
+      const len = randomInt (4);
+      for (let i = 0; i < len; ++i)
+        res.push (randomElement (keys));
+      return res;
+    };
+
+    let expiration = start;
+    for (let round = 0; round < 4; ++round)
+      {
+        for (let i = 0; i < 15; ++i)
+          {
+            const [tokenId, owner] = randomElement (pairs);
+            const path = randomPath ();
+            const operator = randomElement (operators);
+            const fallback = Math.random () < 0.3;
+
+            /* Some operations may fail (e.g. a reset from an address
+               without access), which is fine.  */
+            try
+              {
+                switch (randomInt (6))
+                  {
+                  case 0:
+                    await np.revoke (tokenId, owner, path, operator, fallback,
+                                     {from: owner});
+                    break;
+                  case 1:
+                    await np.resetTree (tokenId, owner, path,
+                                        {from: operator});
+                    break;
+                  case 2:
+                    await np.expireTree (tokenId, owner, path);
+                    break;
+                  case 3:
+                    await np.grantWithType (tokenId, owner, path, operator,
+                                            maxUint256, fallback,
+                                            randomInt (3), {from: owner});
+                    break;
+                  default:
+                    expiration += 5;
+                    await np.grant (tokenId, owner, path, operator,
+                                    expiration, fallback, {from: owner});
+                    break;
+                  }
+              }
+            catch (err)
+              {
+                assert.include (err.message, "revert");
+              }
+          }
+
+        await time.increase (30);
+        await expectConsistent (pairs);
+      }
+  });
+
+  it ("handles owner-wide trees", async () => {
+    await time.advanceBlock ();
+    const start = (await time.latest ()).toNumber ();
+
+    await np.grantOwnerWide (acc[0], "p", ["g"], acc[1], maxUint256, false,
+                             {from: acc[0]});
+    await np.grantOwnerWide (acc[0], "p", ["g", "x"], acc[2], start + 10,
+                             false, {from: acc[0]});
+    await np.grantOwnerWide (acc[0], "", [], acc[2], maxUint256, true,
+                             {from: acc[0]});
+    await np.grantOwnerWide (acc[1], "p", [], acc[3], maxUint256, false,
+                             {from: acc[1]});
+    /* Namespaces that are members of Object.prototype work as well.  */
+    await np.grantOwnerWide (acc[1], "__proto__", ["g"], acc[2], maxUint256,
+                             false, {from: acc[1]});
+    await indexer.sync (np);
+
+    assert.deepEqual (indexer.getOwnerTree (acc[0], "p").children["g"], {
+      fullAccess: {[acc[1]]: maxUint256},
+      fallbackAccess: {},
+      children: {
+        "x": {
+          fullAccess: {[acc[2]]: (start + 10).toString ()},
+          fallbackAccess: {},
+          children: {},
+        },
+      },
+    });
+    assert.deepEqual (indexer.getOwnerTree (acc[0], "q"), emptyNode ());
+    assert.deepEqual (indexer.getOwnerTree (acc[0], "constructor"),
+                      emptyNode ());
+    assert.deepEqual (
+        indexer.getAllOwnerTrees ().map (t => [t.owner, t.ns]).sort (),
+        [
+          [acc[0], ""], [acc[0], "p"], [acc[1], "p"], [acc[1], "__proto__"],
+        ].sort ());
+
+    /* Checks that the local access checks (with an empty per-name tree)
+       agree with the contract.  */
+    const expectSameAccess = async (atTime) => {
+      await indexer.sync (np);
+      for (const owner of acc.slice (0, 2))
+        for (const ns of ["", "p", "q", "constructor", "__proto__"])
+          for (const operator of acc.slice (1, 4))
+            for (const path of [[], ["g"], ["g", "x"], ["s"]])
+              {
+                const local = MovePermissions.hasAccess (
+                    emptyNode (), owner, path, operator, atTime,
+                    indexer.ownerTreesFor (owner, ns));
+                const onChain = await np.hasOwnerAccess (owner, ns, path,
+                                                         operator, atTime);
+                assert.equal (local, onChain,
+                              `${owner} ${ns} ${operator} ${path}`);
+              }
+    };
+    await expectSameAccess (start + 5);
+
+    await np.resetOwnerTree (acc[0], "p", ["g"], {from: acc[1]});
+    await np.revokeOwnerWide (acc[0], "", [], acc[2], true, {from: acc[0]});
+    await expectSameAccess (start + 5);
+    assert.deepEqual (indexer.getOwnerTree (acc[0], "p").children["g"], {
+      fullAccess: {[acc[1]]: maxUint256},
+      fallbackAccess: {},
+      children: {},
+    });
+    assert.deepEqual (indexer.getOwnerTree (acc[0], ""), emptyNode ());
+
+    await np.grantOwnerWide (acc[0], "p", ["g", "x"], acc[2], start + 10,
+                             false, {from: acc[0]});
+    await time.increase (50);
+    await np.expireOwnerTree (acc[0], "p", []);
+    await expectSameAccess (start + 5);
+    assert.deepEqual (indexer.getOwnerTree (acc[0], "p").children["g"]
+                          .children, {});
+
+    await np.revokeOwnerWide (acc[0], "p", ["g"], acc[1], false,
+                              {from: acc[0]});
+    await np.revokeOwnerWide (acc[1], "p", [], acc[3], false, {from: acc[1]});
+    await np.revokeOwnerWide (acc[1], "__proto__", ["g"], acc[2], false,
+                              {from: acc[1]});
+    await indexer.sync (np);
+    assert.deepEqual (indexer.getAllOwnerTrees (), []);
+  });
+
+  it ("persists the state", async () => {
+    await np.grant (1, acc[0], ["g"], acc[1], 100, false, {from: acc[0]});
+    await np.grantOwnerWide (acc[0], "p", [], acc[1], 100, false,
+                             {from: acc[0]});
+    await indexer.sync (np);
+
+    const dir = fs.mkdtempSync (path.join (os.tmpdir (), "indexer-"));
+    const file = path.join (dir, "state.json");
+    try
+      {
+        const empty = PermissionIndexer.load (file, 42);
+        assert.equal (empty.nextBlock, 42);
+        assert.deepEqual (empty.getAllTrees (), []);
+
+        indexer.save (file);
+        const loaded = PermissionIndexer.load (file);
+        assert.equal (loaded.nextBlock, indexer.nextBlock);
+        assert.deepEqual (loaded.getAllTrees (), indexer.getAllTrees ());
+        assert.deepEqual (loaded.getAllOwnerTrees (),
+                          indexer.getAllOwnerTrees ());
+
+        /* The loaded indexer continues processing new events.  */
+        await np.grant (1, acc[0], ["g"], acc[2], 100, false, {from: acc[0]});
+        await loaded.sync (np);
+        assert.deepEqual (loaded.getTree (1, acc[0]),
+                          await readTree (np, 1, acc[0]));
+      }
+    finally
+      {
+        fs.rmSync (dir, {recursive: true});
+      }
+  });
+
+});
@@ -32,6 +32,16 @@ contract ("JsonSubObject", accounts => {
       "{}",
       "{\"abc\": [1, 2, 3]}",
       "{\"foo\": \"}}}\\\"}}}\"}",
+      "[]",
+      "[1, {\"a\": \"]\"}, [[]]]",
+      "\"\"",
+      "\"foo \\\"bar\\\\\"",
+      "\"€\"",
+      "123",
+      "-1.5e+3",
+      "true",
+      "false",
+      "null",
     ];
 
     for (const str of validStrings)
@@ -41,19 +51,22 @@ contract ("JsonSubObject", accounts => {
 
   it ("rejects invalid sub-objects", async () => {
     const invalidStrings = [
-      /* Only JSON objects without leading or trailing whitespace are allowed
+      /* Only JSON values without leading or trailing whitespace are allowed
          for simplicity.  */
       "",
       " {}",
       "{} ",
-      "123",
-      "null",
-      "[1, 2, 3]",
+      "1 ",
+      "\"foo\"\n",
 
       /* Unmatched strings or brackets.  */
       "{\"foo}",
       "{\"foo\":{\"bar\":42}",
       "{\"foo\":{\"bar\":42}}}",
+      "[1, 2",
+      "[1]]",
+      "\"foo",
+      "\"foo\\\"",
 
       /* This would be an actual injection attack.  */
       "{},\"other\":{\"injection\":true}",
@@ -67,31 +80,168 @@ contract ("JsonSubObject", accounts => {
       await truffleAssert.reverts (so.atPath (["x"], str), "injection");
   });
 
-  it ("accepts valid path keys", async () => {
-    const validKeys = [
+  it ("accepts arbitrary path keys", async () => {
+    const keys = [
       "",
       "abc",
       "äöü",
       "a-b-c 1 2 3 & 4",
+      "possible\"injection",
+      "escaping closing quote\\",
+      "\\\"",
+      "\":{},\"other\":{\"",
+      "\\u0022",
+      "new\nline\ttab\u0000\u001f\u007f",
+      "😀",
     ];
 
-    for (const str of validKeys)
+    for (const str of keys)
       {
         let expected = {};
-        expected[str] = {};
-        assert.deepEqual (JSON.parse (await so.atPath ([str], "{}")), expected);
+        expected[str] = {"y": 42};
+        assert.deepEqual (JSON.parse (await so.atPath ([str, "y"], "42")),
+                          expected);
       }
+
+    assert.equal (await so.atPath (["a\"b\\", "\n"], "{}"),
+                  "{\"a\\\"b\\\\\":{\"\\u000a\":{}}}");
   });
 
-  it ("rejects invalid path keys", async () => {
-    const invalidKeys = [
-      "possible\"injection",
-      "escaping closing quote\\",
+  it ("never lets adversarial values escape their path", async () => {
+    /* Values that start out like a valid JSON value of some type, followed
+       by attempts to close the surrounding object and inject other data.
+       Each combination must either be rejected or produce a full move that
+       is invalid JSON, unless the value itself is valid JSON (in which case
+       it must end up at exactly its path).  */
+    const prefixes = [
+      "1", "-2.5e3", "true", "null",
+      "\"a\"", "\"a\\\\\"", "\"a\\\"", "\"}\"",
+      "[1]", "[\"]\"]", "[{}]",
+      "{}", "{\"a\":\"}\"}", "{\"a\":[}",
+    ];
+    const suffixes = [
+      "",
+      " ",
+      "}",
+      "]",
+      "\"",
+      ",\"other\":1",
+      "},\"other\":{\"a\":1",
+      "]},\"other\":{\"a\":[1",
+      "\"},\"other\":{\"a\":\"",
+      "}},\"other\":{\"a\":{\"b\":1",
+    ];
+
+    const tryParse = (str) => {
+      try
+        {
+          return JSON.parse (str);
+        }
+      catch (err)
+        {
+          return undefined;
+        }
+    };
+
+    for (const prefix of prefixes)
+      for (const suffix of suffixes)
+        {
+          const value = prefix + suffix;
+          const parsedValue = tryParse (value);
+
+          let full;
+          try
+            {
+              full = await so.atPath (["g", "x"], value);
+            }
+          catch (err)
+            {
+              assert.include (err.message, "injection", value);
+              /* Valid values without surrounding whitespace must be
+                 accepted.  */
+              assert.isFalse (parsedValue !== undefined
+                                  && value.trim () === value,
+                              `valid value rejected: ${value}`);
+              continue;
+            }
+
+          const parsedFull = tryParse (full);
+          if (parsedFull === undefined)
+            continue;
+
+          assert.isDefined (parsedValue, `escaped its path: ${value}`);
+          assert.deepEqual (parsedFull, {"g": {"x": parsedValue}}, value);
+        }
+  });
+
+  it ("merges multiple paths", async () => {
+    /* A single part is the same as atPath.  */
+    assert.equal (await so.atPaths ([["x", "y"]], ["{\"a\":1}"]),
+                  await so.atPath (["x", "y"], "{\"a\":1}"));
+
+    /* Shared prefixes are built once, and keys are ordered by their
+       first occurrence.  */
+    assert.equal (await so.atPaths ([["g", "b"], ["g", "a"], ["x"]],
+                                    ["{\"b\":1}", "{}", "{\"x\":true}"]),
+                  "{\"g\":{\"b\":{\"b\":1},\"a\":{}},"
+                      + "\"x\":{\"x\":true}}");
+    assert.deepEqual (
+        JSON.parse (await so.atPaths (
+            [["g", "a", "1"], ["h"], ["g", "b"], ["g", "a", "2"]],
+            ["{}", "{\"h\":[]}", "{\"s\":\"}\"}", "{}"])),
+        {
+          "g": {"a": {"1": {}, "2": {}}, "b": {"s": "}"}},
+          "h": {"h": []},
+        });
+
+    /* Keys are escaped (and compared as the raw strings), and the values
+       can be of any type.  */
+    assert.deepEqual (
+        JSON.parse (await so.atPaths ([["g", "a\"b"], ["g", "a\\"], ["n"]],
+                                      ["1", "[true]", "\"x\""])),
+        {"g": {"a\"b": 1, "a\\": [true]}, "n": "x"});
+  });
+
+  it ("rejects duplicate or overlapping paths", async () => {
+    const invalidPaths = [
+      [["x"], ["x"]],
+      [["g", "a"], ["g", "a"]],
+      [["g"], ["g", "a"]],
+      [["g", "a", "b"], ["h"], ["g", "a"]],
+      [[], ["x"]],
+      [[], []],
+    ];
+
+    for (const paths of invalidPaths)
+      await truffleAssert.reverts (
+          so.atPaths (paths, paths.map (() => "{}")), "overlapping paths");
+  });
+
+  it ("rejects invalid multi-path arguments", async () => {
+    await truffleAssert.reverts (so.atPaths ([], []),
+                                 "invalid number of sub-objects");
+    await truffleAssert.reverts (so.atPaths ([["x"], ["y"]], ["{}"]),
+                                 "invalid number of sub-objects");
+  });
+
+  it ("rejects injection attempts in any part", async () => {
+    /* Each part on its own would need to be a valid value, and the
+       injection attempts must not be able to combine across parts
+       (e.g. one opening a string that the next one closes).  */
+    const attempts = [
+      ["{}", "{},\"other\":{}"],
+      ["{},\"other\":{}", "{}"],
+      ["{\"a\":\"", "\"}"],
+      ["{\"a\":{", "}}"],
+      ["{}}", "{{}"],
+      ["\"a", "b\""],
+      ["[1", "2]"],
+      ["1,\"other\":2", "3"],
     ];
 
-    for (const str of invalidKeys)
-      await truffleAssert.reverts (so.atPath (["x", str, "y"], "{}"),
-                                   "invalid path key");
+    for (const subObjects of attempts)
+      await truffleAssert.reverts (so.atPaths ([["x"], ["y"]], subObjects),
+                                   "injection");
   });
 
 });
@@ -0,0 +1,273 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const JsonSubObjectTestHelper = artifacts.require ("JsonSubObjectTestHelper");
+
+const { JsonSubObject } = require ("../lib");
+
+contract ("JsonSubObject.js", accounts => {
+  let so;
+  before (async () => {
+    so = await JsonSubObjectTestHelper.new ();
+  });
+
+  /**
+   * Runs the given method (atPath or atPaths) for the arguments both with
+   * the Solidity contract and the JavaScript implementation, and asserts
+   * that they either return the same string or fail with the same error.
+   */
+  const expectSame = async (method, ...args) => {
+    const describe = `${method} (${args.map (JSON.stringify).join (", ")})`;
+
+    let expected;
+    try
+      {
+        expected = {result: await so[method] (...args)};
+      }
+    catch (err)
+      {
+        const match = /revert (.*)$/m.exec (err.message);
+        assert.isNotNull (match, `unexpected error for ${describe}`);
+        expected = {error: match[1]};
+      }
+
+    let actual;
+    try
+      {
+        actual = {result: JsonSubObject[method] (...args)};
+      }
+    catch (err)
+      {
+        actual = {error: err.message};
+      }
+
+    assert.deepEqual (actual, expected, describe);
+  };
+
+  const expectSameResult = async (path, subObject) => {
+    await expectSame ("atPath", path, subObject);
+  };
+
+  /* The random tests below use a seeded pseudo-random generator, so that
+     failures can be reproduced.  The seed is chosen randomly unless given
+     with the environment variable FUZZ_SEED, and is printed if a test
+     fails.  Each test starts from the same seed.  */
+  const seed = process.env.FUZZ_SEED !== undefined
+      ? Number (process.env.FUZZ_SEED)
+      : Math.floor (Math.random () * 2**32);
+
+  /**
+   * Returns a function that generates pseudo-random numbers in [0, 1)
+   * from the given seed (with the Mulberry32 algorithm).
+   */
+  const seededRandom = (s) => {
+    let state = s >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul (t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul (t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  let random;
+  beforeEach (() => {
+    random = seededRandom (seed);
+  });
+  afterEach (function () {
+    if (this.currentTest.state === "failed")
+      console.log (`    random seed: ${seed} (rerun with FUZZ_SEED=${seed})`);
+  });
+
+  const randomInt = (n) => Math.floor (random () * n);
+  const randomElement = (arr) => arr[randomInt (arr.length)];
+
+  /* Characters used for generating random strings.  These are mostly the
+     ones relevant to the JSON syntax (including numbers), together with
+     some non-ASCII characters (that are multi-byte in UTF-8), whitespace
+     and control characters.  */
+  const alphabet = [
+    "{", "}", "[", "]", "\"", "\\", ":", ",",
+    " ", "\n", "\t", "\u0001", "a", "1", "e", "-", ".",
+    "ä", "€", "😀",
+  ];
+
+  const randomString = (maxLength) => {
+    const len = randomInt (maxLength + 1);
+    let res = "";
+    for (let i = 0; i < len; ++i)
+      res += randomElement (alphabet);
+    return res;
+  };
+
+  /**
+   * Returns a random, valid JSON object serialisation.
+   */
+  const randomObject = (depth) => {
+    const res = {};
+    const len = randomInt (3);
+    for (let i = 0; i < len; ++i)
+      {
+        const key = randomString (3);
+        switch (randomInt (4))
+          {
+          case 0:
+            res[key] = randomString (4);
+            break;
+          case 1:
+            res[key] = [randomInt (100), null];
+            break;
+          default:
+            res[key] = depth > 0 ? randomObject (depth - 1) : {};
+            break;
+          }
+      }
+    return res;
+  };
+
+  /**
+   * Returns a random, valid JSON value serialisation of any type.
+   */
+  const randomValue = () => {
+    switch (randomInt (6))
+      {
+      case 0:
+        return JSON.stringify (randomString (4));
+      case 1:
+        return JSON.stringify (randomInt (1000) - 500);
+      case 2:
+        return randomElement (["true", "false", "null", "1.5e-3"]);
+      case 3:
+        return JSON.stringify ([randomString (2), randomObject (1)]);
+      default:
+        return JSON.stringify (randomObject (2));
+      }
+  };
+
+  /**
+   * Mutates a string randomly by inserting, deleting or replacing
+   * a few characters.
+   */
+  const mutate = (str) => {
+    const chars = Array.from (str);
+    const num = 1 + randomInt (3);
+    for (let i = 0; i < num; ++i)
+      {
+        const pos = randomInt (chars.length + 1);
+        switch (randomInt (3))
+          {
+          case 0:
+            chars.splice (pos, 0, randomElement (alphabet));
+            break;
+          case 1:
+            chars.splice (pos, 1);
+            break;
+          default:
+            chars[pos] = randomElement (alphabet);
+            break;
+          }
+      }
+    return chars.join ("");
+  };
+
+  const randomPath = () => {
+    const res = [];
+    const len = randomInt (3);
+    for (let i = 0; i < len; ++i)
+      res.push (random () < 0.8 ? "key" + randomInt (10)
+                                : randomString (3));
+    return res;
+  };
+
+  it ("agrees on fixed examples", async () => {
+    const examples = [
+      [[], "{}"],
+      [["x", "y"], "{\"foo\": \"}}}\\\"}}}\"}"],
+      [["ä"], "{\"€\":[1,2,3]}"],
+      [["x"], ""],
+      [["x"], " {}"],
+      [["x"], "{} "],
+      [["x"], "{}\n"],
+      [["x"], "null"],
+      [["x"], "{\"abc\": \"string\\\\\"},\"other\":{\"injection\":true}"],
+      [["x", "possible\"injection", "y"], "{}"],
+      [["x", "escaping\\"], "{}"],
+      [["a\"b"], "{"],
+      [["new\nline\u0000\u001f"], "1"],
+      [["x"], "[1,{\"a\":\"]\"}]"],
+      [["x"], "[1]]"],
+      [["x"], "\"a\\\"b\""],
+      [["x"], "\"a\"b\""],
+      [["x"], "-1.5e+3"],
+      [["x"], "1,\"other\":2"],
+      [["x"], "true "],
+      [["x"], "😀"],
+    ];
+
+    for (const [path, subObject] of examples)
+      await expectSameResult (path, subObject);
+  });
+
+  it ("agrees on random strings", async () => {
+    for (let i = 0; i < 100; ++i)
+      await expectSameResult (randomPath (), "{" + randomString (10));
+    for (let i = 0; i < 50; ++i)
+      await expectSameResult (randomPath (), randomString (10));
+  });
+
+  it ("agrees on mutated JSON objects", async () => {
+    for (let i = 0; i < 100; ++i)
+      {
+        const str = JSON.stringify (randomObject (2));
+        const path = randomPath ();
+        await expectSameResult (path, str);
+        await expectSameResult (path, mutate (str));
+      }
+  });
+
+  it ("agrees on mutated JSON values", async () => {
+    for (let i = 0; i < 100; ++i)
+      {
+        const str = randomValue ();
+        const path = randomPath ();
+        await expectSameResult (path, str);
+        await expectSameResult (path, mutate (str));
+      }
+  });
+
+  it ("agrees on merging multiple paths", async () => {
+    const examples = [
+      [[], []],
+      [[["x"]], ["{}", "{}"]],
+      [[["x"], ["y"]], ["{}", "{}"]],
+      [[["g", "b"], ["g", "a"], ["x"]], ["{\"b\":1}", "{}", "{}"]],
+      [[["g"], ["g", "a"]], ["{}", "{}"]],
+      [[["g", "a"], ["g", "a"]], ["{}", "{}"]],
+      [[[], []], ["{}", "{}"]],
+      [[["x"], ["y", "in\"jection"]], ["{}", "{}"]],
+      [[["x"], ["y"]], ["{\"a\":\"", "\"}"]],
+      [[["x"], ["y"]], ["{}", "{},\"other\":{}"]],
+    ];
+
+    for (const [paths, subObjects] of examples)
+      await expectSame ("atPaths", paths, subObjects);
+  });
+
+  it ("agrees on random multi-path moves", async () => {
+    for (let i = 0; i < 100; ++i)
+      {
+        const num = 1 + randomInt (4);
+        const paths = [];
+        const subObjects = [];
+        for (let j = 0; j < num; ++j)
+          {
+            paths.push (randomPath ());
+            const str = randomValue ();
+            subObjects.push (random () < 0.8 ? str : mutate (str));
+          }
+        await expectSame ("atPaths", paths, subObjects);
+      }
+  });
+
+});
@@ -203,4 +203,50 @@ contract ("MovePermissions", acc => {
     await expectKeys ([], [], [], []);
   });
 
+  it ("handles wildcard children", async () => {
+    await mp.grant ([], acc[0], maxUint256, true);
+    await mp.grant (["g"], acc[4], maxUint256, true);
+    await mp.grant (["g", "*"], acc[1], maxUint256, false);
+    await mp.grant (["g", "tn"], acc[2], maxUint256, false);
+    await mp.grant (["g", "*", "chat"], acc[3], 5, false);
+    await expectKeys (["g"], ["*", "tn"], [], [acc[4]]);
+
+    /* The wildcard applies to all keys without an explicit node, but
+       only for a single level (and not to the parent itself).  */
+    assert.isTrue (await mp.check (["g", "id"], acc[1], 1));
+    assert.isTrue (await mp.check (["g", "id", "x"], acc[1], 1));
+    assert.isTrue (await mp.check (["g", "*"], acc[1], 1));
+    assert.isFalse (await mp.check (["g"], acc[1], 1));
+    assert.isFalse (await mp.check (["s", "id"], acc[1], 1));
+    assert.isTrue (await mp.check (["g", "id", "chat"], acc[3], 1));
+    assert.isFalse (await mp.check (["g", "id"], acc[3], 1));
+
+    /* Explicit children take precedence over the wildcard.  */
+    assert.isFalse (await mp.check (["g", "tn"], acc[1], 1));
+    assert.isTrue (await mp.check (["g", "tn"], acc[2], 1));
+    assert.isFalse (await mp.check (["g", "tn", "chat"], acc[3], 1));
+
+    /* The wildcard takes precedence over fallback access, which only
+       applies where there is neither an explicit nor a wildcard child.  */
+    assert.isFalse (await mp.check (["g", "id"], acc[4], 1));
+    assert.isTrue (await mp.check (["s"], acc[0], 1));
+    assert.isFalse (await mp.check (["g", "id"], acc[0], 1));
+
+    /* When the explicit node is pruned, the wildcard applies to it.  */
+    await mp.revoke (["g", "tn"], acc[2], false);
+    await expectKeys (["g"], ["*"], [], [acc[4]]);
+    assert.isTrue (await mp.check (["g", "tn"], acc[1], 1));
+
+    /* Expiring and revoking work on the wildcard node as on all others,
+       and when it is pruned, fallback access applies again.  */
+    await mp.expireTree (["g"], 10);
+    await expectKeys (["g", "*"], [], [acc[1]], []);
+    assert.isFalse (await mp.check (["g", "id", "chat"], acc[3], 1));
+    await mp.revoke (["g", "*"], acc[1], false);
+    assert.isTrue (await mp.isEmpty (["g", "*"]));
+    await expectKeys (["g"], [], [], [acc[4]]);
+    assert.isFalse (await mp.check (["g", "id"], acc[1], 1));
+    assert.isTrue (await mp.check (["g", "id"], acc[4], 1));
+  });
+
 });
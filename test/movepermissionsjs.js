@@ -0,0 +1,247 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const MovePermissionsTestHelper
+    = artifacts.require ("MovePermissionsTestHelper");
+
+const {
+  MovePermissions,
+  PermissionType,
+  emptyNode,
+  readTreeFrom,
+} = require ("../lib");
+
+const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+
+contract ("MovePermissions.js", acc => {
+
+  /**
+   * Reads the tree from a MovePermissionsTestHelper instance.
+   */
+  const readHelperTree = async (mp) => {
+    return await readTreeFrom ({
+      getDefinedKeys: async (path) => {
+        const res = await mp.getKeys (path);
+        return [res[0], res[1], res[2]];
+      },
+      getExpiration: async (path, operator, fallbackOnly) => {
+        const res = await mp.getTimestamps (path, operator);
+        return res[fallbackOnly ? 1 : 0];
+      },
+    }, {batchSize: 10});
+  };
+
+  it ("explains access decisions", async () => {
+    const tree = {
+      fullAccess: {[acc[1]]: "10"},
+      fallbackAccess: {[acc[2]]: maxUint256},
+      children: {
+        "g": {
+          fullAccess: {[acc[3]]: "100"},
+          fallbackAccess: {},
+          children: {},
+        },
+      },
+    };
+
+    const explain = (path, operator, atTime) => {
+      const res = MovePermissions.explain (tree, acc[0], path,
+                                           operator, atTime);
+      return [res.access, res.rule, res.node];
+    };
+
+    assert.deepEqual (explain (["g"], acc[0], 1000), [true, "owner", []]);
+    assert.deepEqual (explain (["g", "x"], acc[1], 10), [true, "full", []]);
+    assert.deepEqual (explain (["g", "x"], acc[3], 50),
+                      [true, "full", ["g"]]);
+    assert.deepEqual (explain (["g", "x"], acc[3], 101),
+                      [false, "none", ["g"]]);
+    assert.deepEqual (explain (["s"], acc[2], 1000), [true, "fallback", []]);
+    assert.deepEqual (explain (["g"], acc[2], 1), [false, "none", ["g"]]);
+    assert.deepEqual (explain ([], acc[2], 1), [false, "none", []]);
+    assert.deepEqual (explain (["s"], acc[3], 1), [false, "none", []]);
+
+    /* Members of Object.prototype are not mistaken for child nodes.  */
+    assert.deepEqual (explain (["constructor"], acc[2], 1000),
+                      [true, "fallback", []]);
+    assert.deepEqual (explain (["__proto__", "x"], acc[2], 1000),
+                      [true, "fallback", []]);
+    const other = emptyNode ();
+    MovePermissions.grant (other, ["__proto__"], acc[1], 10, false);
+    assert.deepEqual (Object.keys (other.children), ["__proto__"]);
+    assert.isTrue (MovePermissions.check (other, ["__proto__", "x"],
+                                          acc[1], 5));
+    assert.isFalse (MovePermissions.check (other, ["constructor"], acc[1], 5));
+    MovePermissions.revoke (other, ["__proto__"], acc[1], false);
+    assert.deepEqual (other, emptyNode ());
+
+    /* Wildcard children apply to keys without an explicit child, and take
+       precedence over fallback access.  */
+    tree.children["*"] = {
+      fullAccess: {[acc[4]]: maxUint256},
+      fallbackAccess: {},
+      children: {},
+    };
+    assert.deepEqual (explain (["s", "x"], acc[4], 1), [true, "full", ["*"]]);
+    assert.deepEqual (explain (["g"], acc[4], 1), [false, "none", ["g"]]);
+    assert.deepEqual (explain (["s"], acc[2], 1), [false, "none", ["*"]]);
+    assert.deepEqual (explain (["g", "x"], acc[2], 1000),
+                      [false, "none", ["g"]]);
+
+    /* Addresses are matched case-insensitively.  */
+    assert.isTrue (MovePermissions.hasAccess (tree, acc[0], ["g"],
+                                              acc[3].toLowerCase (), 1));
+    assert.isTrue (MovePermissions.hasAccess (tree, acc[0].toLowerCase (),
+                                              ["x"], acc[0], 1));
+
+    assert.throws (() => MovePermissions.check (tree, [], acc[1], 0),
+                   "must not be zero");
+    assert.isFalse (MovePermissions.check (emptyNode (), [], acc[1], 1));
+  });
+
+  it ("takes restrictions into account", async () => {
+    const tree = {
+      fullAccess: {[acc[1]]: maxUint256, [acc[2]]: maxUint256},
+      fallbackAccess: {[acc[3]]: maxUint256},
+      children: {
+        "g": {
+          fullAccess: {[acc[3]]: maxUint256},
+          fallbackAccess: {},
+          children: {},
+        },
+      },
+      fullRestrictions: {
+        [acc[1]]: {permissionType: PermissionType.MoveOnly, constrained: false},
+        [acc[2]]: {permissionType: PermissionType.Full, constrained: true},
+      },
+      fallbackRestrictions: {
+        [acc[3]]: {permissionType: PermissionType.AdminOnly,
+                   constrained: false},
+      },
+    };
+
+    const explain = (path, operator, manage) => {
+      const res = MovePermissions.explain (tree, acc[0], path,
+                                           operator, 1, manage);
+      return [res.access, res.rule, res.node];
+    };
+
+    assert.deepEqual (explain (["x"], acc[1], false), [true, "full", []]);
+    assert.deepEqual (explain (["x"], acc[1], true), [false, "none", []]);
+    assert.deepEqual (explain (["x"], acc[2], false), [true, "full", []]);
+    assert.deepEqual (explain (["x"], acc[2], true), [false, "none", []]);
+    assert.deepEqual (explain (["x"], acc[3], false), [false, "none", []]);
+    assert.deepEqual (explain (["x"], acc[3], true), [true, "fallback", []]);
+    assert.deepEqual (explain (["g"], acc[3], false), [true, "full", ["g"]]);
+    assert.deepEqual (explain (["x"], acc[0], true), [true, "owner", []]);
+    assert.isFalse (MovePermissions.canManage (tree, acc[0], [],
+                                               acc[1].toLowerCase (), 1));
+
+    /* A plain grant removes the restriction, and revoking removes
+       it as well.  */
+    MovePermissions.grant (tree, [], acc[1].toLowerCase (), 10, false);
+    assert.isTrue (MovePermissions.canManage (tree, acc[0], [], acc[1], 1));
+    MovePermissions.revoke (tree, [], acc[2], false);
+    MovePermissions.revoke (tree, [], acc[3], true);
+    assert.deepEqual (tree, {
+      fullAccess: {[acc[1]]: "10"},
+      fallbackAccess: {},
+      children: tree.children,
+    });
+  });
+
+  it ("consults owner-wide trees", async () => {
+    const tree = {
+      fullAccess: {},
+      fallbackAccess: {},
+      children: {
+        "g": {
+          fullAccess: {[acc[1]]: "10"},
+          fallbackAccess: {},
+          children: {},
+        },
+      },
+    };
+    const nsTree = {
+      fullAccess: {},
+      fallbackAccess: {[acc[2]]: maxUint256},
+      children: {},
+    };
+    const allTree = {
+      fullAccess: {[acc[1]]: maxUint256, [acc[2]]: maxUint256},
+      fallbackAccess: {},
+      children: {},
+    };
+    const ownerTrees = [{ns: "p", tree: nsTree}, {ns: "", tree: allTree}];
+
+    const explain = (path, operator, atTime, manage) => {
+      const res = MovePermissions.explain (tree, acc[0], path, operator,
+                                           atTime, manage, ownerTrees);
+      return [res.access, res.rule, res.ownerWide];
+    };
+
+    /* The per-name tree is checked first, then the namespace's tree
+       and then the one for all namespaces.  */
+    assert.deepEqual (explain (["g"], acc[1], 5), [true, "full", undefined]);
+    assert.deepEqual (explain (["g"], acc[1], 50), [true, "full", ""]);
+    assert.deepEqual (explain (["s"], acc[2], 50), [true, "fallback", "p"]);
+    assert.deepEqual (explain ([], acc[2], 50), [true, "full", ""]);
+    assert.deepEqual (explain ([], acc[3], 50), [false, "none", undefined]);
+
+    /* Owner-wide trees do not allow managing permissions.  */
+    assert.deepEqual (explain (["g"], acc[1], 50, true),
+                      [false, "none", undefined]);
+
+    assert.isTrue (MovePermissions.hasAccess (tree, acc[0], ["s"], acc[2], 50,
+                                              ownerTrees));
+    assert.isFalse (MovePermissions.hasAccess (tree, acc[0], ["s"], acc[2],
+                                               50));
+  });
+
+  it ("agrees with the Solidity implementation", async () => {
+    /* Keys that are members of Object.prototype must not confuse the
+       lookups of child nodes.  */
+    const keys = ["a", "b", "constructor", "__proto__", "*"];
+    const operators = acc.slice (0, 4);
+    const randomElement = (arr) => {
+      return arr[Math.floor (Math.random () * arr.length)];
+    };
+    const randomPath = (maxDepth) => {
+      const depth = Math.floor (Math.random () * (maxDepth + 1));
+      const res = [];
+      for (let i = 0; i < depth; ++i)
+        res.push (randomElement (keys));
+      return res;
+    };
+
+    for (let round = 0; round < 2; ++round)
+      {
+        const mp = await MovePermissionsTestHelper.new ();
+
+        /* Build a random tree, including some revocations that lead to
+           pruning of nodes.  We use increasing expiration times, so that
+           grants never fail.  */
+        for (let i = 1; i <= 25; ++i)
+          await mp.grant (randomPath (3), randomElement (operators),
+                          10 * i, Math.random () < 0.3);
+        for (let i = 0; i < 5; ++i)
+          await mp.revoke (randomPath (3), randomElement (operators),
+                           Math.random () < 0.3);
+
+        const tree = await readHelperTree (mp);
+        for (let i = 0; i < 50; ++i)
+          {
+            const path = randomPath (4);
+            const operator = randomElement (operators);
+            const atTime = 1 + Math.floor (Math.random () * 270);
+
+            const expected = await mp.check (path, operator, atTime);
+            assert.equal (MovePermissions.check (tree, path, operator, atTime),
+                          expected,
+                          `check ${JSON.stringify (path)} for ${operator}`
+                            + ` at ${atTime}`);
+          }
+      }
+  });
+
+});
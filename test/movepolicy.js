@@ -0,0 +1,249 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const truffleAssert = require ("truffle-assertions");
+const truffleContract = require ("@truffle/contract");
+const { time } = require ("@openzeppelin/test-helpers");
+
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const WCHI = truffleContract (wchiData);
+WCHI.setProvider (web3.currentProvider);
+
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
+const TestPolicy = truffleContract (policyData);
+TestPolicy.setProvider (web3.currentProvider);
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const XayaAccounts = truffleContract (accountsData);
+XayaAccounts.setProvider (web3.currentProvider);
+
+const MovePolicyTestHelper = artifacts.require ("MovePolicyTestHelper");
+const TokenHolderPolicy = artifacts.require ("TokenHolderPolicy");
+const TournamentPolicy = artifacts.require ("TournamentPolicy");
+const XayaDelegation = artifacts.require ("XayaDelegation");
+
+const {
+  DelegationClient,
+  maxUint256,
+  zeroAddress,
+} = require ("../lib");
+
+/* Behaviours of MovePolicyTestHelper.  */
+const Behaviour = {
+  Accept: 0,
+  Reject: 1,
+  RevertWithoutReason: 2,
+  MalformedReason: 3,
+  InvalidResult: 4,
+  NoResult: 5,
+  ConsumeAllGas: 6,
+  WriteState: 7,
+  RejectMove: 8,
+};
+
+contract ("Move policies", accounts => {
+  let supply = accounts[0];
+  let owner = accounts[1];
+  let operator = accounts[2];
+  let organiser = accounts[3];
+
+  let acc, del, client;
+  beforeEach (async () => {
+    const wchi = await WCHI.new ({from: supply});
+    const policy = await TestPolicy.new ({from: supply});
+    acc = await XayaAccounts.new (wchi.address, policy.address, {from: supply});
+    del = await XayaDelegation.new (acc.address, accounts[9]);
+    client = await DelegationClient.create (del);
+
+    await acc.register ("p", "x", {from: owner});
+    await acc.setApprovalForAll (del.address, true, {from: owner});
+    for (const a of [owner, operator])
+      {
+        await wchi.transfer (a, 1000000, {from: supply});
+        await client.approveWchi (undefined, {from: a});
+      }
+  });
+
+  const getAllMoves = async () => {
+    return await acc.getPastEvents ("Move", {fromBlock: 0, toBlock: "latest"});
+  };
+
+  /**
+   * Grants the operator access at path g with the given policy attached.
+   */
+  const grantWithPolicy = async (policy) => {
+    await client.grant ({ns: "p", name: "x", path: ["g"], operator,
+                         constraints: {policy}},
+                        {from: owner});
+  };
+
+  /**
+   * Sends a move as the operator directly through the contract (so that
+   * the client's local checks do not interfere).
+   */
+  const sendMove = async (path, mv, amount, receiver, from) => {
+    return await del.methods[
+        "sendHierarchicalMove(string,string,string[],string,"
+            + "uint256,uint256,address)"] (
+        "p", "x", path, mv, maxUint256, amount || 0, receiver || zeroAddress,
+        {from: from || operator});
+  };
+
+  /* ************************************************************************ */
+
+  it ("allows moves only during the tournament", async () => {
+    const policy = await TournamentPolicy.new ({from: organiser});
+    await grantWithPolicy (policy.address);
+    assert.equal ((await client.getConstraints ({
+      ns: "p", name: "x", path: ["g"], operator,
+    })).policy, policy.address);
+
+    const now = (await time.latest ()).toNumber ();
+    await policy.setWindow (now + 100, now + 200, {from: organiser});
+    await truffleAssert.reverts (
+        policy.setWindow (now, now + 1000, {from: operator}),
+        "caller is not the owner");
+
+    await truffleAssert.reverts (
+        sendMove (["g"], "{}"),
+        "the move policy rejected the move: the tournament is not running");
+
+    await time.increase (150);
+    await sendMove (["g", "a"], "{}");
+
+    await time.increase (100);
+    await truffleAssert.reverts (
+        sendMove (["g"], "{}"),
+        "the move policy rejected the move: the tournament is not running");
+
+    /* The owner is not affected by the policy.  */
+    await sendMove (["g"], "{}", 0, zeroAddress, owner);
+
+    assert.equal ((await getAllMoves ()).length, 2);
+  });
+
+  it ("allows moves only for token holders", async () => {
+    /* The token is the Xaya accounts contract, i.e. the operator needs
+       to own some Xaya name.  */
+    const policy = await TokenHolderPolicy.new (acc.address);
+    await grantWithPolicy (policy.address);
+
+    await truffleAssert.reverts (
+        sendMove (["g"], "{}"),
+        "the operator does not hold the required token");
+
+    await acc.register ("p", "y", {from: supply});
+    const tokenId = await acc.tokenIdForName ("p", "y");
+    await acc.transferFrom (supply, operator, tokenId, {from: supply});
+    await sendMove (["g"], "{}");
+    assert.equal ((await getAllMoves ()).length, 1);
+  });
+
+  it ("passes the move details to the policy", async () => {
+    const policy = await MovePolicyTestHelper.new ();
+    await policy.setBehaviour (Behaviour.Reject);
+    await grantWithPolicy (policy.address);
+
+    const tokenId = await acc.tokenIdForName ("p", "x");
+    const expected = `${tokenId} ${owner.toLowerCase ()}`
+        + ` ${operator.toLowerCase ()} g/a/ [1,2] 42`
+        + ` ${accounts[5].toLowerCase ()}`;
+    await truffleAssert.reverts (
+        sendMove (["g", "a"], "[1,2]", 42, accounts[5]),
+        `the move policy rejected the move: ${expected}`);
+
+    /* For multi-path moves, each part is checked on its own.  */
+    await truffleAssert.reverts (
+        del.sendMultiPathMove ("p", "x", [["g", "b"], ["g", "c"]],
+                               ["1", "2"], maxUint256, 0, zeroAddress,
+                               {from: operator}),
+        "g/b/ 1 0");
+
+    /* This holds also for later parts using the same permission (even
+       though the quotas count the move only once).  */
+    await policy.setBehaviour (Behaviour.RejectMove);
+    await policy.setRejectedMove ("2");
+    const multi = (mvs) => del.sendMultiPathMove (
+        "p", "x", [["g", "b"], ["g", "c"]], mvs, maxUint256, 0, zeroAddress,
+        {from: operator});
+    await truffleAssert.reverts (
+        multi (["1", "2"]), "the move policy rejected the move: rejected move");
+    await multi (["1", "3"]);
+    assert.equal ((await getAllMoves ()).length, 1);
+  });
+
+  it ("checks the other constraints before the policy", async () => {
+    const policy = await MovePolicyTestHelper.new ();
+    await policy.setBehaviour (Behaviour.Reject);
+    await client.grant ({ns: "p", name: "x", path: ["g"], operator,
+                         constraints: {policy: policy.address, maxAmount: 0}},
+                        {from: owner});
+
+    await truffleAssert.reverts (sendMove (["g"], "{}", 1, owner),
+                                 "the payment amount is too high");
+  });
+
+  it ("rejects moves for misbehaving policies", async () => {
+    const policy = await MovePolicyTestHelper.new ();
+    await grantWithPolicy (policy.address);
+
+    const cases = [
+      [Behaviour.RevertWithoutReason, "the move policy failed"],
+      [Behaviour.MalformedReason, "the move policy failed"],
+      [Behaviour.InvalidResult, "the move policy returned an invalid result"],
+      [Behaviour.NoResult, "the move policy returned an invalid result"],
+      [Behaviour.ConsumeAllGas, "the move policy failed"],
+      [Behaviour.WriteState, "the move policy failed"],
+    ];
+    for (const [behaviour, reason] of cases)
+      {
+        await policy.setBehaviour (behaviour);
+        await truffleAssert.reverts (sendMove (["g"], "{}"), reason);
+      }
+    assert.equal (await policy.counter (), 0);
+
+    await policy.setBehaviour (Behaviour.Accept);
+    await sendMove (["g"], "{}");
+
+    await grantWithPolicy (accounts[5]);
+    await truffleAssert.reverts (sendMove (["g"], "{}"),
+                                 "the move policy is not a contract");
+
+    assert.equal ((await getAllMoves ()).length, 1);
+  });
+
+  it ("bounds the gas of policies in batches", async () => {
+    const policy = await MovePolicyTestHelper.new ();
+    await policy.setBehaviour (Behaviour.ConsumeAllGas);
+    await grantWithPolicy (policy.address);
+
+    await acc.register ("p", "y", {from: owner});
+    await client.grant ({ns: "p", name: "y", path: ["g"], operator},
+                        {from: owner});
+
+    const move = (name) => ({
+      ns: "p",
+      name,
+      path: ["g"],
+      mv: "{}",
+      nonce: maxUint256,
+      amount: 0,
+      receiver: zeroAddress,
+    });
+    const tx = await del.sendHierarchicalMoves ([move ("x"), move ("y")],
+                                                false, {from: operator});
+
+    const failed = tx.logs
+        .filter (l => l.event === "BatchedMoveFailed")
+        .map (l => [l.args.index.toNumber (), l.args.reason]);
+    assert.deepEqual (failed, [[0, "the move policy failed"]]);
+    assert.deepEqual ((await getAllMoves ()).map (m => m.args.name), ["y"]);
+
+    /* The policy consumed (at most) its bounded gas.  */
+    assert.isBelow (tx.receipt.gasUsed, 500000);
+  });
+
+  /* ************************************************************************ */
+
+});
@@ -6,6 +6,8 @@ const { time } = require ("@openzeppelin/test-helpers");
 
 const NamePermissions = artifacts.require ("NamePermissions");
 
+const { createSignedGrant, signMigrationConsent } = require ("../lib");
+
 const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
 
 contract ("NamePermissions", acc => {
@@ -161,8 +163,13 @@ contract ("NamePermissions", acc => {
     assert.isTrue (await np.permissionExists (1, acc[0], ["g", "foo"]));
 
     /* Test resetting an existing node, which should clean out the subtree.
-       The sender will keep access.  */
-    await np.resetTree (1, acc[0], ["g"], {from: acc[1]});
+       The sender will keep access, which is also reflected in an event.  */
+    const tx = await np.resetTree (1, acc[0], ["g"], {from: acc[1]});
+    truffleAssert.eventEmitted (tx, "PermissionTreeReset");
+    truffleAssert.eventEmitted (tx, "PermissionGranted", (ev) => {
+      return ev.operator === acc[1] && ev.expiration.toString () === maxUint256
+                && !ev.fallbackOnly;
+    });
     assert.isTrue (await np.permissionExists (1, acc[0], ["g"]));
     assert.isFalse (await np.permissionExists (1, acc[0], ["g", "foo"]));
     assert.isFalse (await np.permissionExists (1, acc[0], ["g", "id"]));
@@ -174,6 +181,295 @@ contract ("NamePermissions", acc => {
     assert.isTrue (await np.hasAccess (1, acc[0], [], acc[0], maxUint256));
   });
 
+  /**
+   * Grants many permissions in batches of operations.  Each entry of grants
+   * is [path, operator].
+   */
+  const grantMany = async (tokenId, owner, grants) => {
+    const batch = 20;
+    for (let i = 0; i < grants.length; i += batch)
+      await np.applyOperations (tokenId, owner,
+          grants.slice (i, i + batch).map (([path, operator]) => ({
+            opType: 0,
+            path,
+            operator,
+            expiration: maxUint256,
+            fallbackOnly: false,
+          })),
+          {from: owner});
+  };
+
+  it ("limits the size of trees", async () => {
+    const maxSize = (await np.MAX_TREE_SIZE ()).toNumber ();
+    assert.equal (maxSize, 256);
+    assert.equal (await np.getTreeSize (1, acc[0]), 0);
+
+    /* Each grant below creates a node and an entry, plus there is the
+       node "n" in between.  */
+    const grants = [];
+    for (let i = 0; i < (maxSize - 2) / 2; ++i)
+      grants.push ([["n", `${i}`], acc[1]]);
+    await grantMany (1, acc[0], grants);
+    assert.equal (await np.getTreeSize (1, acc[0]), maxSize - 1);
+
+    /* Re-granting an existing entry does not change the size.  */
+    await grant (1, acc[0], ["n", "0"], acc[1], maxUint256, false);
+    await grant (1, acc[0], ["n", "0"], acc[2], maxUint256, false);
+    assert.equal (await np.getTreeSize (1, acc[0]), maxSize);
+    await truffleAssert.reverts (
+        grant (1, acc[0], ["n", "0"], acc[3], maxUint256, false),
+        "the permissions tree is too large");
+
+    /* Trees of other owners or tokens are independent.  */
+    await grant (2, acc[0], ["n"], acc[3], maxUint256, false);
+    await grant (1, acc[1], ["n"], acc[3], maxUint256, false);
+
+    /* Revoking and expiring keeps the size up-to-date.  */
+    await np.revoke (1, acc[0], ["n", "1"], acc[1], false, {from: acc[0]});
+    assert.equal (await np.getTreeSize (1, acc[0]), maxSize - 2);
+    await grant (1, acc[0], ["n", "0"], acc[3], 1, false);
+    assert.equal (await np.getTreeSize (1, acc[0]), maxSize - 1);
+    await np.expireTree (1, acc[0], ["n", "0"]);
+    assert.equal (await np.getTreeSize (1, acc[0]), maxSize - 2);
+
+    /* A full tree is too large to reset in one go with the (low) gas
+       limit of the test chain, but can be reset in bounded steps.  */
+    await truffleAssert.fails (np.resetTree (1, acc[0], [], {from: acc[0]}));
+    for (let i = 0; i < 3; ++i)
+      await np.resetTreeBounded (1, acc[0], [], 100, {from: acc[0]});
+    assert.equal (await np.getTreeSize (1, acc[0]), 0);
+    assert.isFalse (await np.permissionExists (1, acc[0], []));
+  });
+
+  it ("resets large trees in bounded steps", async () => {
+    await grant (1, acc[0], ["g"], acc[1], maxUint256, false);
+
+    /* Build a tree below g (by the operator with access there), which
+       has both wide and deep parts, as well as fallback entries.  */
+    const grants = [];
+    for (let i = 0; i < 40; ++i)
+      grants.push ([["g", `${i % 8}`, `${i}`], acc[2 + i % 5]]);
+    for (let i = 0; i < 20; ++i)
+      grants.push ([["g", "deep", ...Array (i).fill ("x")], acc[2]]);
+    await grantMany (1, acc[0], [[["g"], acc[2]], ...grants]);
+    await np.grant (1, acc[0], ["g", "0"], acc[3], maxUint256, true,
+                    {from: acc[1]});
+    const sizeBefore = (await np.getTreeSize (1, acc[0])).toNumber ();
+    assert.isAbove (sizeBefore, 100);
+
+    /* Resetting with a small budget needs multiple calls, but always
+       finishes.  The sender keeps access throughout, and the event is
+       only emitted at the end.  */
+    let calls = 0;
+    while (true)
+      {
+        ++calls;
+        assert.isBelow (calls, sizeBefore);
+
+        const done = await np.resetTreeBounded.call (1, acc[0], ["g"], 10,
+                                                     {from: acc[1]});
+        const tx = await np.resetTreeBounded (1, acc[0], ["g"], 10,
+                                              {from: acc[1]});
+        assert.isTrue (await np.canManage (1, acc[0], ["g"], acc[1],
+                                           maxUint256));
+        assert.isFalse (await np.hasAccess (1, acc[0], ["g", "0", "0"],
+                                            acc[3], maxUint256));
+
+        if (!done)
+          {
+            truffleAssert.eventNotEmitted (tx, "PermissionTreeReset");
+            continue;
+          }
+
+        truffleAssert.eventEmitted (tx, "PermissionTreeReset");
+        break;
+      }
+    assert.isAbove (calls, 10);
+
+    assert.isTrue (await np.permissionExists (1, acc[0], ["g"], acc[1],
+                                              false));
+    assert.isFalse (await np.permissionExists (1, acc[0], ["g"], acc[2],
+                                               false));
+    assert.isFalse (await np.permissionExists (1, acc[0], ["g", "0"]));
+    assert.isFalse (await np.permissionExists (1, acc[0], ["g", "deep"]));
+    assert.equal (await np.getTreeSize (1, acc[0]), 2);
+
+    /* With an unlimited budget, everything is done in one go.  */
+    await grantMany (1, acc[0], grants);
+    await np.resetTree (1, acc[0], ["g"], {from: acc[1]});
+    assert.equal (await np.getTreeSize (1, acc[0]), 2);
+
+    /* A zero budget would never make progress.  */
+    await truffleAssert.reverts (
+        np.resetTreeBounded (1, acc[0], ["g"], 0, {from: acc[1]}),
+        "maxSteps must be positive");
+  });
+
+  it ("resets wildcard nodes before explicit ones", async () => {
+    /* The operator has access to all of g except for the explicit nodes,
+       and must not gain access to them while the tree is reset.  */
+    await grant (1, acc[0], ["g", "*"], acc[1], maxUint256, false);
+    for (const key of ["tn", "id", "sv"])
+      await grant (1, acc[0], ["g", key], acc[2], maxUint256, false);
+
+    while (!(await np.resetTreeBounded.call (1, acc[0], ["g"], 1,
+                                             {from: acc[0]})))
+      {
+        await np.resetTreeBounded (1, acc[0], ["g"], 1, {from: acc[0]});
+        for (const key of ["tn", "id", "sv"])
+          assert.isFalse (await np.hasAccess (1, acc[0], ["g", key],
+                                              acc[1], 1));
+      }
+    await np.resetTreeBounded (1, acc[0], ["g"], 1, {from: acc[0]});
+    for (const key of ["*", "tn", "id", "sv"])
+      assert.isFalse (await np.permissionExists (1, acc[0], ["g", key]));
+  });
+
+  it ("separates move and admin permissions", async () => {
+    const moveOnly = 1;
+    const adminOnly = 2;
+
+    /* acc[1] is a session key that can send moves for g, and acc[2] is
+       an admin for g that cannot send moves itself.  */
+    await np.grantWithType (1, acc[0], ["g"], acc[1], maxUint256, false,
+                            moveOnly, {from: acc[0]});
+    let tx = await np.grantWithType (1, acc[0], ["g"], acc[2], maxUint256,
+                                     false, adminOnly, {from: acc[0]});
+    truffleAssert.eventEmitted (tx, "PermissionTypeSet", (ev) => {
+      return ev.operator === acc[2] && ev.permissionType.toNumber () === 2;
+    });
+    await grant (1, acc[0], ["g"], acc[3], maxUint256, false);
+
+    assert.equal (await np.getPermissionType (1, acc[0], ["g"], acc[1], false),
+                  moveOnly);
+    assert.equal (await np.getPermissionType (1, acc[0], ["g"], acc[2], false),
+                  adminOnly);
+    assert.equal (await np.getPermissionType (1, acc[0], ["g"], acc[3], false),
+                  0);
+
+    assert.isTrue (await np.hasAccess (1, acc[0], ["g", "tn"], acc[1], 1));
+    assert.isFalse (await np.canManage (1, acc[0], ["g", "tn"], acc[1], 1));
+    assert.isFalse (await np.hasAccess (1, acc[0], ["g", "tn"], acc[2], 1));
+    assert.isTrue (await np.canManage (1, acc[0], ["g", "tn"], acc[2], 1));
+    assert.isTrue (await np.hasAccess (1, acc[0], ["g", "tn"], acc[3], 1));
+    assert.isTrue (await np.canManage (1, acc[0], ["g", "tn"], acc[3], 1));
+
+    /* The session key cannot re-delegate its access, nor revoke or reset
+       other permissions.  But it can revoke its own.  */
+    await truffleAssert.reverts (
+        np.grant (1, acc[0], ["g", "tn"], acc[4], 10, false, {from: acc[1]}),
+        "the sender has no access");
+    await truffleAssert.reverts (
+        np.grantWithType (1, acc[0], ["g", "tn"], acc[4], 10, false, moveOnly,
+                          {from: acc[1]}),
+        "the sender has no access");
+    await truffleAssert.reverts (
+        np.revoke (1, acc[0], ["g"], acc[3], false, {from: acc[1]}),
+        "the sender has no access");
+    await truffleAssert.reverts (
+        np.resetTree (1, acc[0], ["g"], {from: acc[1]}),
+        "the sender has no access");
+
+    /* The admin can grant and revoke permissions in the subtree.  */
+    await np.grantWithType (1, acc[0], ["g", "tn"], acc[4], maxUint256, false,
+                            moveOnly, {from: acc[2]});
+    assert.isTrue (await np.hasAccess (1, acc[0], ["g", "tn"], acc[4], 1));
+    await np.revoke (1, acc[0], ["g", "tn"], acc[4], false, {from: acc[2]});
+    assert.isFalse (await np.hasAccess (1, acc[0], ["g", "tn"], acc[4], 1));
+    await np.revoke (1, acc[0], ["g"], acc[1], false, {from: acc[2]});
+    assert.isFalse (await np.hasAccess (1, acc[0], ["g"], acc[1], 1));
+    await truffleAssert.reverts (
+        np.grant (1, acc[0], [], acc[4], 10, false, {from: acc[2]}),
+        "the sender has no access");
+
+    /* Resetting the tree keeps the admin-only type of the sender.  */
+    tx = await np.resetTree (1, acc[0], ["g"], {from: acc[2]});
+    truffleAssert.eventEmitted (tx, "PermissionTypeSet", (ev) => {
+      return ev.operator === acc[2] && ev.permissionType.toNumber () === 2;
+    });
+    assert.isFalse (await np.permissionExists (1, acc[0], ["g"], acc[3],
+                                               false));
+    assert.isFalse (await np.hasAccess (1, acc[0], ["g"], acc[2], 1));
+    assert.isTrue (await np.canManage (1, acc[0], ["g"], acc[2], 1));
+
+    /* Re-granting a permission replaces its type.  */
+    await grant (1, acc[0], ["g"], acc[2], maxUint256, false);
+    assert.isTrue (await np.hasAccess (1, acc[0], ["g"], acc[2], 1));
+  });
+
+  it ("combines permissions of different types", async () => {
+    const moveOnly = 1;
+    const adminOnly = 2;
+
+    /* Entries that do not grant the requested right are skipped, so that
+       e.g. admin access at the root and move access deeper down can
+       be combined for the same operator.  */
+    await np.grantWithType (1, acc[0], [], acc[1], maxUint256, false,
+                            adminOnly, {from: acc[0]});
+    await np.grantWithType (1, acc[0], ["g"], acc[1], maxUint256, false,
+                            moveOnly, {from: acc[0]});
+    assert.isTrue (await np.hasAccess (1, acc[0], ["g", "tn"], acc[1], 1));
+    assert.isFalse (await np.hasAccess (1, acc[0], ["x"], acc[1], 1));
+    assert.isTrue (await np.canManage (1, acc[0], ["g", "tn"], acc[1], 1));
+
+    /* Fallback permissions can be typed as well.  */
+    await np.grantWithType (1, acc[0], [], acc[2], maxUint256, true,
+                            moveOnly, {from: acc[0]});
+    assert.isTrue (await np.hasAccess (1, acc[0], ["x"], acc[2], 1));
+    assert.isFalse (await np.canManage (1, acc[0], ["x"], acc[2], 1));
+    await truffleAssert.reverts (
+        np.grant (1, acc[0], ["x"], acc[3], 10, false, {from: acc[2]}),
+        "the sender has no access");
+  });
+
+  it ("applies lists of operations", async () => {
+    const op = (opType, path, operator, expiration, fallbackOnly) => {
+      return {
+        opType,
+        path,
+        operator: operator || acc[0],
+        expiration: expiration || 0,
+        fallbackOnly: !!fallbackOnly,
+      };
+    };
+    const [GRANT, REVOKE, RESET, EXPIRE] = [0, 1, 2, 3];
+
+    await grant (1, acc[0], [], acc[1], maxUint256, false);
+    await grant (1, acc[0], ["old"], acc[2], 1, false);
+    await grant (1, acc[0], ["x", "y"], acc[3], maxUint256, false);
+
+    const tx = await np.applyOperations (1, acc[0], [
+      op (GRANT, ["g"], acc[2], maxUint256, true),
+      op (GRANT, ["g", "tn"], acc[3], 100),
+      op (EXPIRE, ["old"]),
+      op (RESET, ["x"]),
+      op (REVOKE, [], acc[1]),
+    ], {from: acc[1]});
+    truffleAssert.eventEmitted (tx, "PermissionGranted");
+    truffleAssert.eventEmitted (tx, "PermissionTreeExpired");
+    truffleAssert.eventEmitted (tx, "PermissionTreeReset");
+    truffleAssert.eventEmitted (tx, "PermissionRevoked");
+
+    assert.isTrue (await np.permissionExists (1, acc[0], ["g"], acc[2], true));
+    assert.isTrue (await np.permissionExists (1, acc[0], ["g", "tn"],
+                                              acc[3], false));
+    assert.isFalse (await np.permissionExists (1, acc[0], ["old"]));
+    assert.isFalse (await np.permissionExists (1, acc[0], ["x", "y"]));
+    assert.isTrue (await np.permissionExists (1, acc[0], ["x"], acc[1], false));
+    assert.isFalse (await np.permissionExists (1, acc[0], [], acc[1], false));
+
+    /* The authorisation checks take previous operations into account,
+       and the whole list is reverted if one fails.  */
+    await truffleAssert.reverts (
+        np.applyOperations (1, acc[0], [
+          op (REVOKE, ["x"], acc[1]),
+          op (GRANT, ["x"], acc[4], maxUint256),
+        ], {from: acc[1]}),
+        "the sender has no access");
+    assert.isTrue (await np.permissionExists (1, acc[0], ["x"], acc[1], false));
+    assert.isFalse (await np.permissionExists (1, acc[0], ["x"], acc[4], false));
+  });
+
   it ("allows expiring of permissions", async () => {
     await time.advanceBlock ();
     const start = (await time.latest ()).toNumber ();
@@ -209,4 +505,249 @@ contract ("NamePermissions", acc => {
     assert.isFalse (await np.hasAccess (1, acc[0], ["g"], acc[2], 1));
   });
 
+  it ("grants permissions with signatures", async () => {
+    await time.advanceBlock ();
+    const start = (await time.latest ()).toNumber ();
+
+    await grant (1, acc[0], ["g"], acc[1], maxUint256, false);
+
+    const sign = (signer, path, operator, options) => {
+      return createSignedGrant (np, {
+        tokenId: 1,
+        owner: acc[0],
+        path,
+        operator,
+        signer,
+        ...options,
+      });
+    };
+    const submit = ({grant, signature}) => {
+      return np.grantWithSignature (grant, signature, {from: acc[5]});
+    };
+
+    /* Both the owner and an operator with access can sign grants,
+       which can be submitted by anyone.  */
+    let signed = await sign (acc[0], [], acc[2], {expiration: 100});
+    let tx = await submit (signed);
+    truffleAssert.eventEmitted (tx, "PermissionGranted", ev => {
+      return ev.operator === acc[2] && ev.expiration.toNumber () === 100;
+    });
+    assert.equal (await np.grantNonces (acc[0]), 1);
+
+    tx = await submit (await sign (acc[1], ["g", "tn"], acc[3],
+                                   {fallbackOnly: true}));
+    truffleAssert.eventEmitted (tx, "PermissionGranted");
+    assert.isTrue (await np.permissionExists (1, acc[0], ["g", "tn"],
+                                              acc[3], true));
+    assert.equal (await np.grantNonces (acc[1]), 1);
+
+    /* Signatures cannot be replayed.  */
+    await truffleAssert.reverts (submit (signed), "invalid nonce");
+    await truffleAssert.reverts (
+        submit (await sign (acc[0], [], acc[2], {nonce: 0})),
+        "invalid nonce");
+    await truffleAssert.reverts (
+        submit (await sign (acc[0], [], acc[2], {nonce: 2})),
+        "invalid nonce");
+
+    /* Signers without access cannot grant.  */
+    await truffleAssert.reverts (
+        submit (await sign (acc[1], ["h"], acc[3])),
+        "the sender has no access");
+    await truffleAssert.reverts (
+        submit (await sign (acc[4], ["g"], acc[4])),
+        "the sender has no access");
+
+    /* Tampering with the signed data changes the signer.  */
+    signed = await sign (acc[1], ["g", "id"], acc[3]);
+    await truffleAssert.reverts (
+        submit ({...signed, grant: {...signed.grant, path: ["h"]}}));
+    await truffleAssert.reverts (
+        submit ({...signed, grant: {...signed.grant, operator: acc[4]}}));
+
+    /* Expired deadlines are rejected.  */
+    await truffleAssert.reverts (
+        submit (await sign (acc[0], ["x"], acc[2], {deadline: start - 1})),
+        "the signature has expired");
+    tx = await submit (await sign (acc[0], ["x"], acc[2],
+                                   {deadline: start + 1000}));
+    truffleAssert.eventEmitted (tx, "PermissionGranted");
+  });
+
+  it ("allows cancelling signed grants", async () => {
+    const pending = await createSignedGrant (np, {
+      tokenId: 1,
+      owner: acc[0],
+      path: [],
+      operator: acc[1],
+      signer: acc[0],
+    });
+
+    const tx = await np.bumpGrantNonce ({from: acc[0]});
+    truffleAssert.eventEmitted (tx, "GrantNonceBumped", ev => {
+      return ev.signer === acc[0] && ev.nonce.toNumber () === 1;
+    });
+    assert.equal (await np.grantNonces (acc[0]), 1);
+    assert.equal (await np.grantNonces (acc[1]), 0);
+
+    await truffleAssert.reverts (
+        np.grantWithSignature (pending.grant, pending.signature),
+        "invalid nonce");
+    assert.isFalse (await np.permissionExists (1, acc[0], []));
+  });
+
+  it ("migrates trees with consent", async () => {
+    await time.advanceBlock ();
+    const start = (await time.latest ()).toNumber ();
+
+    await grant (1, acc[0], ["g"], acc[2], maxUint256, true);
+    await np.grantWithType (1, acc[0], ["g", "tn"], acc[3], 100, false, 1,
+                            {from: acc[0]});
+
+    const consent = (from, to, copy, options) => {
+      return signMigrationConsent (np, {tokenId: 1, from, to, copy,
+                                        ...options});
+    };
+    const migrate = (from, {consent, signature}) => {
+      return np.migrateTree (consent.tokenId, consent.to, consent.copy,
+                             consent.deadline, signature, {from});
+    };
+
+    /* The consent must be signed by the new owner, for exactly the
+       migration done, and must not be expired.  */
+    let signed = await consent (acc[0], acc[1], true);
+    await truffleAssert.reverts (
+        migrate (acc[4], signed), "invalid consent signature");
+    await truffleAssert.reverts (
+        migrate (acc[0], {...signed, consent: {...signed.consent,
+                                               copy: false}}),
+        "invalid consent signature");
+    await truffleAssert.reverts (
+        migrate (acc[0], await consent (acc[0], acc[1], true,
+                                        {deadline: start - 1})),
+        "the signature has expired");
+    await truffleAssert.reverts (
+        migrate (acc[0], await consent (acc[0], acc[0], true)),
+        "cannot migrate to the same owner");
+
+    /* Copy the tree, which keeps the original one.  */
+    let tx = await migrate (acc[0], signed);
+    truffleAssert.eventEmitted (tx, "PermissionTreeMigrated", ev => {
+      return ev.from === acc[0] && ev.to === acc[1] && ev.copy;
+    });
+    assert.equal (await np.grantNonces (acc[1]), 1);
+    for (const owner of [acc[0], acc[1]])
+      {
+        assert.isTrue (await np.hasAccess (1, owner, ["g", "x"], acc[2], 1));
+        assert.equal (
+            await np.getExpiration (1, owner, ["g", "tn"], acc[3], false),
+            100);
+        assert.equal (
+            await np.getPermissionType (1, owner, ["g", "tn"], acc[3], false),
+            1);
+      }
+    await truffleAssert.reverts (migrate (acc[0], signed), "invalid consent");
+
+    /* The target tree must be empty.  */
+    await truffleAssert.reverts (
+        migrate (acc[0], await consent (acc[0], acc[1], false)),
+        "the target tree is not empty");
+
+    /* Move the copy on to another owner, which removes it.  */
+    tx = await migrate (acc[1], await consent (acc[1], acc[4], false));
+    truffleAssert.eventEmitted (tx, "PermissionTreeMigrated", ev => {
+      return ev.from === acc[1] && ev.to === acc[4] && !ev.copy;
+    });
+    assert.isFalse (await np.permissionExists (1, acc[1], []));
+    assert.isTrue (await np.hasAccess (1, acc[4], ["g", "x"], acc[2], 1));
+    assert.isTrue (await np.hasAccess (1, acc[0], ["g", "x"], acc[2], 1));
+
+    /* Migrating an empty tree does nothing (but is not an error).  */
+    await migrate (acc[5], await consent (acc[5], acc[1], false));
+    assert.isFalse (await np.permissionExists (1, acc[1], []));
+  });
+
+  it ("handles owner-wide permissions", async () => {
+    await time.advanceBlock ();
+    const start = (await time.latest ()).toNumber ();
+
+    /* A grant in the owner-wide tree applies to all names of the owner
+       (without namespace lookup here), in addition to the per-name trees.  */
+    let tx = await np.grantOwnerWide (acc[0], "", ["g"], acc[1], maxUint256,
+                                      false, {from: acc[0]});
+    truffleAssert.eventEmitted (tx, "OwnerPermissionGranted", ev => {
+      return ev.owner === acc[0] && ev.ns === "" && ev.operator === acc[1];
+    });
+    await grant (1, acc[0], ["h"], acc[2], maxUint256, false);
+
+    for (const tokenId of [1, 2, 3])
+      {
+        assert.isTrue (await np.hasAccess (tokenId, acc[0], ["g", "x"],
+                                           acc[1], 1));
+        assert.isFalse (await np.hasAccess (tokenId, acc[0], ["h"],
+                                            acc[1], 1));
+        assert.isFalse (await np.hasAccess (tokenId, acc[2], ["g"],
+                                            acc[1], 1));
+      }
+    assert.isTrue (await np.hasAccess (1, acc[0], ["h"], acc[2], 1));
+    assert.isFalse (await np.hasAccess (2, acc[0], ["h"], acc[2], 1));
+    assert.isTrue (await np.hasOwnerAccess (acc[0], "", ["g"], acc[1], 1));
+    assert.isFalse (await np.hasOwnerAccess (acc[0], "", [], acc[1], 1));
+
+    /* Operators with access to the owner-wide tree can manage it, but
+       it does not give them management access to the per-name trees.  */
+    await np.grantOwnerWide (acc[0], "", ["g", "y"], acc[3], start + 100,
+                             false, {from: acc[1]});
+    await truffleAssert.reverts (
+        np.grantOwnerWide (acc[0], "", [], acc[3], 10, false,
+                           {from: acc[1]}),
+        "the sender has no access");
+    await truffleAssert.reverts (
+        np.grant (1, acc[0], ["g"], acc[3], 10, false, {from: acc[1]}),
+        "the sender has no access");
+
+    /* Namespace trees are separate from the tree for all namespaces.  */
+    await np.grantOwnerWide (acc[0], "p", [], acc[4], maxUint256, false,
+                             {from: acc[0]});
+    assert.isTrue (await np.hasOwnerAccess (acc[0], "p", [], acc[4], 1));
+    assert.isTrue (await np.hasOwnerAccess (acc[0], "p", ["g"], acc[1], 1));
+    assert.isFalse (await np.hasOwnerAccess (acc[0], "", [], acc[4], 1));
+    assert.isFalse (await np.hasOwnerAccess (acc[0], "g", [], acc[4], 1));
+    assert.isFalse (await np.hasAccess (1, acc[0], [], acc[4], 1));
+
+    /* Revoking, expiring and resetting work as for the per-name trees.  */
+    tx = await np.revokeOwnerWide (acc[0], "p", [], acc[4], false,
+                                   {from: acc[4]});
+    truffleAssert.eventEmitted (tx, "OwnerPermissionRevoked", ev => {
+      return ev.ns === "p" && ev.operator === acc[4];
+    });
+    assert.isFalse (await np.hasOwnerAccess (acc[0], "p", [], acc[4], 1));
+
+    assert.isTrue (await np.hasOwnerAccess (acc[0], "", ["g", "y"],
+                                            acc[3], 1));
+    await time.increase (150);
+    tx = await np.expireOwnerTree (acc[0], "", [], {from: acc[4]});
+    truffleAssert.eventEmitted (tx, "OwnerPermissionTreeExpired");
+    assert.isFalse (await np.hasOwnerAccess (acc[0], "", ["g", "y"],
+                                             acc[3], 1));
+    assert.isTrue (await np.hasOwnerAccess (acc[0], "", ["g", "y"],
+                                            acc[1], 1));
+
+    await np.grantOwnerWide (acc[0], "", ["g", "z"], acc[3], maxUint256,
+                             false, {from: acc[0]});
+    tx = await np.resetOwnerTree (acc[0], "", ["g"], {from: acc[1]});
+    truffleAssert.eventEmitted (tx, "OwnerPermissionTreeReset", ev => {
+      return ev.owner === acc[0] && ev.path.length === 1;
+    });
+    assert.isFalse (await np.hasOwnerAccess (acc[0], "", ["g", "z"],
+                                             acc[3], 1));
+    assert.isTrue (await np.hasOwnerAccess (acc[0], "", ["g", "z"],
+                                            acc[1], 1));
+    await truffleAssert.reverts (
+        np.resetOwnerTree (acc[0], "", [], {from: acc[1]}),
+        "the sender has no access");
+    await np.resetOwnerTree (acc[0], "", [], {from: acc[0]});
+    assert.isFalse (await np.hasAccess (1, acc[0], ["g"], acc[1], 1));
+  });
+
 });
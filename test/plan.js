@@ -0,0 +1,315 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const truffleContract = require ("@truffle/contract");
+
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const WCHI = truffleContract (wchiData);
+WCHI.setProvider (web3.currentProvider);
+
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
+const TestPolicy = truffleContract (policyData);
+TestPolicy.setProvider (web3.currentProvider);
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const XayaAccounts = truffleContract (accountsData);
+XayaAccounts.setProvider (web3.currentProvider);
+
+const XayaDelegation = artifacts.require ("XayaDelegation");
+
+const {
+  DelegationClient,
+  OperationType,
+  PermissionType,
+  permissionPlan,
+} = require ("../lib");
+
+const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+
+contract ("permissionPlan", accounts => {
+  let supply = accounts[0];
+  let owner = accounts[1];
+  let gameClient = accounts[2];
+  let tradingBot = accounts[3];
+  let backupKey = accounts[4];
+
+  let del, client;
+  beforeEach (async () => {
+    const wchi = await WCHI.new ({from: supply});
+    const policy = await TestPolicy.new ({from: supply});
+    const acc = await XayaAccounts.new (wchi.address, policy.address,
+                                        {from: supply});
+    del = await XayaDelegation.new (acc.address, accounts[9]);
+    client = await DelegationClient.create (del);
+
+    await acc.register ("p", "x", {from: owner});
+  });
+
+  /**
+   * Helper to construct a tree node in the format of readTree.
+   */
+  const node = (fullAccess, fallbackAccess, children) => {
+    return {
+      fullAccess: fullAccess || {},
+      fallbackAccess: fallbackAccess || {},
+      children: children || {},
+    };
+  };
+
+  /**
+   * Summarises a list of operations as strings for easy comparison.
+   */
+  const summarise = (ops) => {
+    const names = {
+      [gameClient]: "client",
+      [tradingBot]: "bot",
+      [backupKey]: "backup",
+      [owner]: "owner",
+    };
+    const types = Object.fromEntries (
+        Object.entries (OperationType).map (([k, v]) => [v, k]));
+    return ops.map (op => {
+      const parts = [types[op.opType], op.path.join ("/")];
+      if (op.opType === OperationType.Grant
+            || op.opType === OperationType.Revoke)
+        {
+          parts.push (names[op.operator]);
+          if (op.fallbackOnly)
+            parts.push ("fallback");
+        }
+      if (op.opType === OperationType.Grant)
+        parts.push (op.expiration === maxUint256 ? "max" : op.expiration);
+      return parts.join (" ");
+    });
+  };
+
+  /* The desired setup for the example:  A game client for g/tn, a trading
+     bot with fallback access on g/dem and a backup key for everything.  */
+  const desired = node ({[backupKey]: maxUint256}, {}, {
+    g: node ({}, {}, {
+      tn: node ({[gameClient]: maxUint256}),
+      dem: node ({}, {[tradingBot]: "1000"}),
+    }),
+  });
+
+  /* ************************************************************************ */
+
+  it ("computes the operations for a diff", async () => {
+    assert.deepEqual (summarise (permissionPlan (node (), desired)), [
+      "Grant  backup max",
+      "Grant g/dem bot fallback 1000",
+      "Grant g/tn client max",
+    ]);
+    assert.deepEqual (permissionPlan (desired, desired), []);
+
+    const current = node ({[backupKey]: "5"}, {}, {
+      g: node ({[owner]: maxUint256}, {}, {
+        dem: node ({}, {[tradingBot.toLowerCase ()]: "1000"}),
+        old: node ({[gameClient]: "1"}, {}, {
+          sub: node ({[tradingBot]: "1"}),
+        }),
+      }),
+    });
+    assert.deepEqual (summarise (permissionPlan (current, desired)), [
+      "Grant  backup max",
+      "Grant g/tn client max",
+      "Revoke g owner",
+      "Revoke g/old client",
+      "Revoke g/old/sub bot",
+    ]);
+  });
+
+  it ("uses resetTree and orders own revokes last", async () => {
+    const current = node ({[tradingBot]: maxUint256}, {}, {
+      g: node ({}, {}, {
+        old: node ({[gameClient]: "1"}, {}, {
+          sub: node ({[tradingBot]: "1"}),
+        }),
+      }),
+    });
+
+    assert.deepEqual (
+        summarise (permissionPlan (current, desired,
+                                   {sender: owner, owner})),
+        [
+          "ResetTree g/old",
+          "Grant  backup max",
+          "Grant g/dem bot fallback 1000",
+          "Grant g/tn client max",
+          "Revoke  bot",
+        ]);
+
+    /* If the sender is not the owner, resetTree is not used (since it would
+       give the sender access), and the sender revokes its own access
+       at the very end.  */
+    assert.deepEqual (
+        summarise (permissionPlan (current, desired,
+                                   {sender: tradingBot, owner})),
+        [
+          "Grant  backup max",
+          "Grant g/dem bot fallback 1000",
+          "Grant g/tn client max",
+          "Revoke g/old client",
+          "Revoke  bot",
+          "Revoke g/old/sub bot",
+        ]);
+  });
+
+  it ("lowers expirations with revoke and grant", async () => {
+    const current = node ({[backupKey]: maxUint256}, {}, {
+      g: node ({[tradingBot]: maxUint256}, {}, {
+        tn: node ({[gameClient]: "2000"}),
+        dem: node ({}, {[tradingBot]: "5000"}),
+      }),
+    });
+    const lowered = node ({[backupKey]: maxUint256}, {}, {
+      g: node ({[tradingBot]: "3000"}, {}, {
+        tn: node ({[gameClient]: "1500"}),
+        dem: node ({}, {[tradingBot]: "1000"}),
+      }),
+    });
+
+    /* The sender's own permissions are changed last, after the changes
+       to other operators.  */
+    assert.deepEqual (
+        summarise (permissionPlan (current, lowered,
+                                   {sender: tradingBot, owner})),
+        [
+          "Revoke g/tn client",
+          "Grant g/tn client 1500",
+          "Revoke g bot",
+          "Grant g bot 3000",
+          "Revoke g/dem bot fallback",
+          "Grant g/dem bot fallback 1000",
+        ]);
+  });
+
+  it ("applies a plan lowering an expiration", async () => {
+    const name = {ns: "p", name: "x"};
+    await client.grant ({...name, path: ["g"], operator: tradingBot},
+                        {from: owner});
+    await client.grant ({...name, path: ["g", "tn"], operator: gameClient},
+                        {from: owner});
+
+    /* The trading bot applies the plan, lowering the game client's
+       expiration (which it can do based on its own unlimited access).  */
+    const lowered = node ({}, {}, {
+      g: node ({[tradingBot]: maxUint256}, {}, {
+        tn: node ({[gameClient]: "4000000000"}),
+      }),
+    });
+    const ops = await client.applyPlan (name, lowered, {from: tradingBot});
+    assert.deepEqual (summarise (ops), [
+      "Revoke g/tn client",
+      "Grant g/tn client 4000000000",
+    ]);
+    assert.deepEqual (permissionPlan (await client.readTree (name), lowered),
+                      []);
+
+    /* The owner can also lower the bot's expiration.  */
+    const ownerLowered = node ({}, {}, {
+      g: node ({[tradingBot]: "4000000000"}, {}, {
+        tn: node ({[gameClient]: "4000000000"}),
+      }),
+    });
+    assert.deepEqual (
+        summarise (await client.applyPlan (name, ownerLowered,
+                                           {from: owner})),
+        ["Revoke g bot", "Grant g bot 4000000000"]);
+    assert.deepEqual (
+        permissionPlan (await client.readTree (name), ownerLowered), []);
+  });
+
+  it ("refuses to change restricted permissions", async () => {
+    const restricted = (fullAccess, fallbackAccess, restrictions) => {
+      return {
+        ...node (fullAccess, fallbackAccess),
+        ...restrictions,
+      };
+    };
+    const moveOnly = {permissionType: PermissionType.MoveOnly,
+                      constrained: false};
+    const constrained = {permissionType: PermissionType.Full,
+                         constrained: true};
+
+    const current = restricted ({[gameClient]: "100"}, {[tradingBot]: "50"}, {
+      fullRestrictions: {[gameClient]: moveOnly},
+      fallbackRestrictions: {[tradingBot.toLowerCase ()]: constrained},
+    });
+    const err = /cannot plan a change to the restricted permission/;
+
+    /* Unchanged or revoked restricted permissions are fine.  */
+    assert.deepEqual (permissionPlan (current, current), []);
+    assert.deepEqual (
+        summarise (permissionPlan (current, restricted ({}, {}, {}))),
+        ["Revoke  client", "Revoke  bot fallback"]);
+
+    /* Changing the expiration, removing the restriction or granting
+       a new restricted permission cannot be planned.  */
+    assert.throws (() => permissionPlan (current, restricted (
+        {[gameClient]: "200"}, {[tradingBot]: "50"}, {
+          fullRestrictions: {[gameClient]: moveOnly},
+          fallbackRestrictions: {[tradingBot]: constrained},
+        })), err);
+    assert.throws (() => permissionPlan (current, restricted (
+        {[gameClient]: "100"}, {[tradingBot]: "50"}, {
+          fallbackRestrictions: {[tradingBot]: constrained},
+        })), err);
+    assert.throws (() => permissionPlan (node (), restricted (
+        {}, {[tradingBot]: "50"}, {
+          fallbackRestrictions: {[tradingBot]: constrained},
+        })), err);
+
+    /* The same applies to trees read from the chain.  */
+    const name = {ns: "p", name: "x"};
+    await client.grant ({...name, path: ["g"], operator: gameClient,
+                         type: PermissionType.MoveOnly}, {from: owner});
+    const onChain = await client.readTree (name);
+    assert.deepEqual (permissionPlan (onChain, onChain), []);
+    const changed = JSON.parse (JSON.stringify (onChain));
+    changed.children.g.fullAccess[gameClient] = "200";
+    assert.throws (() => permissionPlan (onChain, changed), err);
+    let error = null;
+    try
+      {
+        await client.applyPlan (name, changed, {from: owner});
+      }
+    catch (e)
+      {
+        error = e;
+      }
+    assert.match (error.message, err);
+    assert.deepEqual (await client.readTree (name), onChain);
+  });
+
+  it ("applies a plan on chain", async () => {
+    const name = {ns: "p", name: "x"};
+    await client.grant ({...name, path: ["g", "old"], operator: gameClient},
+                        {from: owner});
+    await client.grant ({...name, path: ["g", "old", "sub"],
+                         operator: tradingBot}, {from: owner});
+    await client.grant ({...name, path: ["g", "tn"], operator: gameClient,
+                         expiration: 5}, {from: owner});
+
+    const ops = await client.applyPlan (name, desired, {from: owner});
+    assert.deepEqual (summarise (ops), [
+      "ResetTree g/old",
+      "Grant  backup max",
+      "Grant g/dem bot fallback 1000",
+      "Grant g/tn client max",
+    ]);
+    /* resetTree leaves the (empty) node at g/old in place, so the trees
+       are not exactly equal.  But they define the same permissions.  */
+    assert.deepEqual (permissionPlan (await client.readTree (name), desired),
+                      []);
+
+    assert.deepEqual (await client.applyPlan (name, desired, {from: owner}),
+                      []);
+    assert.deepEqual (
+        summarise (await client.applyPlan (name, node (), {from: owner})),
+        ["ResetTree "]);
+    assert.deepEqual (await client.readTree (name), node ());
+  });
+
+});
@@ -0,0 +1,272 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const http = require ("http");
+const truffleContract = require ("@truffle/contract");
+
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const WCHI = truffleContract (wchiData);
+WCHI.setProvider (web3.currentProvider);
+
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
+const TestPolicy = truffleContract (policyData);
+TestPolicy.setProvider (web3.currentProvider);
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const XayaAccounts = truffleContract (accountsData);
+XayaAccounts.setProvider (web3.currentProvider);
+
+const XayaDelegation = artifacts.require ("XayaDelegation");
+
+const {
+  PermissionIndexer,
+  PermissionQuery,
+  createQueryServer,
+} = require ("../lib");
+
+const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+
+contract ("PermissionQuery", accounts => {
+  let supply = accounts[0];
+  let alice = accounts[1];
+  let bob = accounts[2];
+  let operator = accounts[3];
+  let other = accounts[4];
+
+  let acc, del, indexer, query;
+  before (async () => {
+    const wchi = await WCHI.new ({from: supply});
+    const policy = await TestPolicy.new ({from: supply});
+    acc = await XayaAccounts.new (wchi.address, policy.address, {from: supply});
+    del = await XayaDelegation.new (acc.address, accounts[9]);
+
+    await acc.register ("p", "a", {from: alice});
+    await acc.register ("p", "b", {from: alice});
+    await acc.register ("p", "c", {from: bob});
+
+    const grant = async (name, path, op, expiration, fallbackOnly, from) => {
+      await del.methods["grant(string,string,string[],address,uint256,bool)"] (
+          "p", name, path, op, expiration, fallbackOnly, {from});
+    };
+    await grant ("a", ["g", "tn"], operator, 100, false, alice);
+    await grant ("a", ["g"], operator, maxUint256, true, alice);
+    await grant ("b", [], operator, 200, false, alice);
+    await grant ("b", [], other, 150, false, alice);
+    await grant ("c", ["g"], other, 120, true, bob);
+
+    /* Transfer p/b to bob.  The permissions remain defined for alice,
+       but are no longer in effect.  */
+    const tokenId = await acc.tokenIdForName ("p", "b");
+    await acc.transferFrom (alice, bob, tokenId, {from: alice});
+
+    indexer = new PermissionIndexer ();
+    await indexer.sync (del);
+    query = new PermissionQuery (indexer, acc);
+  });
+
+  /**
+   * Simplifies the returned grants to a sorted list of strings, so that
+   * we can easily compare them to expectations.
+   */
+  const summarise = (grants) => {
+    return grants.map (g => {
+      const parts = [
+        `${g.ns}/${g.ownerWide ? "*" : g.name}`,
+        g.path.join ("/"),
+        g.operator === operator ? "operator" : "other",
+        g.expiration === maxUint256 ? "max" : g.expiration,
+      ];
+      if (g.fallbackOnly)
+        parts.push ("fallback");
+      if (!g.current)
+        parts.push ("stale");
+      return parts.join (" ");
+    }).sort ();
+  };
+
+  it ("finds grants for an operator", async () => {
+    assert.deepEqual (summarise (await query.grantsForOperator (operator)), [
+      "p/a g operator max fallback",
+      "p/a g/tn operator 100",
+      "p/b  operator 200 stale",
+    ]);
+    assert.deepEqual (
+        summarise (await query.grantsForOperator (operator.toLowerCase (),
+                                                  {currentOnly: true})),
+        [
+          "p/a g operator max fallback",
+          "p/a g/tn operator 100",
+        ]);
+    assert.deepEqual (
+        summarise (await query.grantsForOperator (operator, {atTime: 150})),
+        [
+          "p/a g operator max fallback",
+          "p/b  operator 200 stale",
+        ]);
+
+    const grants = await query.grantsForOperator (other, {currentOnly: true});
+    assert.equal (grants.length, 1);
+    assert.equal (grants[0].owner, bob);
+    assert.equal (grants[0].tokenId,
+                  (await acc.tokenIdForName ("p", "c")).toString ());
+  });
+
+  it ("finds expiring grants", async () => {
+    assert.deepEqual (summarise (await query.expiringWithin (100, 150)), [
+      "p/a g/tn operator 100",
+      "p/b  other 150 stale",
+      "p/c g other 120 fallback",
+    ]);
+    assert.deepEqual (
+        summarise (await query.expiringWithin (100, 150, {operator: other})),
+        [
+          "p/b  other 150 stale",
+          "p/c g other 120 fallback",
+        ]);
+  });
+
+  it ("finds fallback grants", async () => {
+    assert.deepEqual (summarise (await query.fallbackGrants (operator)), [
+      "p/a g operator max fallback",
+    ]);
+    assert.deepEqual (summarise (await query.fallbackGrants (bob)), []);
+  });
+
+  /**
+   * Starts the given query server on a free port, and returns a function
+   * that sends GET requests to it.
+   */
+  const startServer = async (server) => {
+    await new Promise (resolve => server.listen (0, "127.0.0.1", resolve));
+    const port = server.address ().port;
+
+    return (path) => new Promise ((resolve, reject) => {
+      http.get (`http://127.0.0.1:${port}${path}`, (res) => {
+        let body = "";
+        res.on ("data", chunk => body += chunk);
+        res.on ("end", () => resolve ({
+          status: res.statusCode,
+          data: JSON.parse (body),
+        }));
+      }).on ("error", reject);
+    });
+  };
+
+  it ("serves queries over HTTP", async () => {
+    let synced = 0;
+    const server = createQueryServer (query, {
+      beforeQuery: async () => {
+        ++synced;
+        await indexer.sync (del);
+      },
+    });
+    const get = await startServer (server);
+
+    try
+      {
+        let res = await get (`/operator/${operator}/grants?currentOnly=1`);
+        assert.equal (res.status, 200);
+        assert.deepEqual (summarise (res.data), [
+          "p/a g operator max fallback",
+          "p/a g/tn operator 100",
+        ]);
+
+        res = await get (`/operator/${operator}/fallback`);
+        assert.equal (res.status, 200);
+        assert.deepEqual (summarise (res.data), [
+          "p/a g operator max fallback",
+        ]);
+
+        res = await get (`/expiring?from=140&to=1000&operator=${other}`);
+        assert.equal (res.status, 200);
+        assert.deepEqual (summarise (res.data), ["p/b  other 150 stale"]);
+
+        res = await get ("/operator/invalid/grants");
+        assert.equal (res.status, 400);
+        res = await get (`/operator/${operator}/grants?atTime=abc`);
+        assert.equal (res.status, 400);
+        res = await get ("/expiring?from=1");
+        assert.equal (res.status, 400);
+        res = await get ("/foo");
+        assert.equal (res.status, 404);
+
+        assert.equal (synced, 7);
+      }
+    finally
+      {
+        await new Promise (resolve => server.close (resolve));
+      }
+  });
+
+  it ("shares one sync between concurrent queries", async () => {
+    let synced = 0;
+    let running = 0;
+    let maxRunning = 0;
+    const server = createQueryServer (query, {
+      beforeQuery: async () => {
+        ++synced;
+        ++running;
+        maxRunning = Math.max (maxRunning, running);
+        try
+          {
+            await new Promise (resolve => setTimeout (resolve, 100));
+            await indexer.sync (del);
+          }
+        finally
+          {
+            --running;
+          }
+      },
+    });
+    const get = await startServer (server);
+
+    try
+      {
+        const results = await Promise.all ([
+          get (`/operator/${operator}/grants`),
+          get (`/operator/${operator}/fallback`),
+          get (`/expiring?from=140&to=1000`),
+        ]);
+        for (const res of results)
+          assert.equal (res.status, 200);
+        assert.equal (synced, 1);
+        assert.equal (maxRunning, 1);
+
+        /* Once the sync is done, later queries start a new one.  */
+        assert.equal ((await get ("/foo")).status, 404);
+        assert.equal (synced, 2);
+      }
+    finally
+      {
+        await new Promise (resolve => server.close (resolve));
+      }
+  });
+
+  it ("includes owner-wide grants", async () => {
+    await del.grantOwnerWide (alice, "p", ["g"], operator, 130, false,
+                              {from: alice});
+    await del.grantOwnerWide (bob, "", [], operator, maxUint256, true,
+                              {from: bob});
+    await indexer.sync (del);
+
+    assert.deepEqual (
+        summarise (await query.grantsForOperator (operator,
+                                                  {currentOnly: true})),
+        [
+          "/*  operator max fallback",
+          "p/* g operator 130",
+          "p/a g operator max fallback",
+          "p/a g/tn operator 100",
+        ]);
+    assert.deepEqual (summarise (await query.expiringWithin (125, 135)),
+                      ["p/* g operator 130"]);
+
+    const grants = await query.fallbackGrants (operator, {atTime: 1000});
+    const ownerWide = grants.filter (g => g.ownerWide);
+    assert.equal (ownerWide.length, 1);
+    assert.equal (ownerWide[0].owner, bob);
+    assert.isNull (ownerWide[0].tokenId);
+  });
+
+});
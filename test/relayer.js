@@ -0,0 +1,267 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const http = require ("http");
+const truffleContract = require ("@truffle/contract");
+
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const WCHI = truffleContract (wchiData);
+WCHI.setProvider (web3.currentProvider);
+
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
+const TestPolicy = truffleContract (policyData);
+TestPolicy.setProvider (web3.currentProvider);
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const XayaAccounts = truffleContract (accountsData);
+XayaAccounts.setProvider (web3.currentProvider);
+
+const XayaDelegation = artifacts.require ("XayaDelegation");
+const XayaForwarder = artifacts.require ("XayaForwarder");
+
+const {
+  Relayer,
+  createRelayerServer,
+  createSignedRequest,
+} = require ("../lib");
+
+const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+
+contract ("Relayer", accounts => {
+  let supply = accounts[0];
+  let relayerAddr = accounts[1];
+  let owner = accounts[2];
+  let operator = accounts[3];
+  let other = accounts[4];
+
+  let wchi, acc, fwd, del, relayer;
+  beforeEach (async () => {
+    wchi = await WCHI.new ({from: supply});
+    const policy = await TestPolicy.new ({from: supply});
+    acc = await XayaAccounts.new (wchi.address, policy.address, {from: supply});
+    fwd = await XayaForwarder.new ();
+    del = await XayaDelegation.new (acc.address, fwd.address);
+
+    await wchi.transfer (operator, 1000, {from: supply});
+    await wchi.approve (del.address, maxUint256, {from: operator});
+
+    await acc.register ("p", "x", {from: owner});
+    await acc.setApprovalForAll (del.address, true, {from: owner});
+    await del.methods["grant(string,string,string[],address,uint256,bool)"] (
+        "p", "x", ["g"], operator, maxUint256, false, {from: owner});
+
+    relayer = new Relayer (fwd, del, {from: relayerAddr});
+  });
+
+  /**
+   * Signs a request (through the node) for the given call, which is
+   * the result of a truffle request method on del.
+   */
+  const sign = async (from, call, options) => {
+    call = await call;
+    return await createSignedRequest (fwd, {
+      from,
+      to: call.to,
+      data: call.data,
+      ...options,
+    });
+  };
+
+  const moveRequest = (from, path, mv, options) => {
+    return sign (from, del.methods[
+        "sendHierarchicalMove(string,string,string[],string)"].request (
+            "p", "x", path, mv), options);
+  };
+
+  /**
+   * Waits until the request with the given ID is no longer pending or
+   * submitted, and returns the final status.
+   */
+  const waitFor = async (id) => {
+    for (let i = 0; i < 400; ++i)
+      {
+        const status = relayer.getStatus (id);
+        if (status.status === "confirmed" || status.status === "failed")
+          return status;
+        await new Promise (resolve => setTimeout (resolve, 50));
+      }
+    throw new Error (`request ${id} did not finish`);
+  };
+
+  /**
+   * Expects submission of a signed request to be rejected with an error
+   * message containing the given string.
+   */
+  const expectRejected = async (signed, msg) => {
+    try
+      {
+        await relayer.submit (signed.request, signed.signature);
+      }
+    catch (err)
+      {
+        assert.equal (err.constructor.name, "RelayRejected");
+        assert.include (err.message, msg);
+        return;
+      }
+    assert.fail ("request was not rejected");
+  };
+
+  /* ************************************************************************ */
+
+  it ("relays moves", async () => {
+    const opBefore = await web3.eth.getBalance (operator);
+    const relayerBefore = await web3.eth.getBalance (relayerAddr);
+
+    const signed = await moveRequest (operator, ["g", "tn"], "{}");
+    const id = await relayer.submit (signed.request, signed.signature);
+    const status = await waitFor (id);
+    assert.equal (status.status, "confirmed");
+    assert.equal (status.method, "sendHierarchicalMove");
+    assert.equal (status.from, operator);
+
+    const receipt = await web3.eth.getTransactionReceipt (status.txHash);
+    assert.equal (receipt.from.toLowerCase (), relayerAddr.toLowerCase ());
+
+    /* The operator paid the WCHI fee, but no gas.  */
+    assert.equal ((await wchi.balanceOf (operator)).toNumber (),
+                  1000 - '{"g":{"tn":{}}}'.length);
+    assert.equal (await web3.eth.getBalance (operator), opBefore);
+    assert.isTrue (
+        web3.utils.toBN (await web3.eth.getBalance (relayerAddr))
+            .lt (web3.utils.toBN (relayerBefore)));
+  });
+
+  it ("only relays whitelisted methods", async () => {
+    await expectRejected (
+        await sign (owner, del.methods["resetTree(string,string,string[])"]
+                              .request ("p", "x", [])),
+        "method is not allowed");
+
+    const call = await wchi.transfer.request (other, 1);
+    await expectRejected (
+        await createSignedRequest (fwd, {
+          from: operator,
+          to: call.to,
+          data: call.data,
+        }),
+        "must target the delegation contract");
+
+    /* Grants and revokes are fine.  */
+    let signed = await sign (owner, del.methods[
+        "grant(string,string,string[],address,uint256,bool)"].request (
+            "p", "x", [], other, maxUint256, true));
+    assert.equal ((await waitFor (await relayer.submit (
+        signed.request, signed.signature))).status, "confirmed");
+    signed = await sign (other, del.methods[
+        "revoke(string,string,string[],address,bool)"].request (
+            "p", "x", [], other, true));
+    assert.equal ((await waitFor (await relayer.submit (
+        signed.request, signed.signature))).status, "confirmed");
+  });
+
+  it ("rejects doomed requests", async () => {
+    await expectRejected (await moveRequest (other, ["g"], "{}"),
+                          "no permission to send moves");
+    await expectRejected (await moveRequest (operator, ["g"], "{}}"),
+                          "possible JSON injection attempt");
+    await expectRejected (await moveRequest (operator, ["g"], "{}", {value: 1}),
+                          "requests with value are not relayed");
+    await expectRejected (await moveRequest (operator, ["g"], "{}", {nonce: 5}),
+                          "invalid signature, nonce or deadline");
+
+    const signed = await moveRequest (operator, ["g"], "{}");
+    await expectRejected ({...signed, request: {...signed.request, from: other}},
+                          "invalid signature, nonce or deadline");
+
+    /* The WCHI payment fails, which is detected by simulating the
+       execution.  */
+    await wchi.approve (del.address, 0, {from: operator});
+    await expectRejected (signed, "request would fail");
+
+    assert.equal (relayer.getStatus ("1"), null);
+  });
+
+  it ("manages its own nonces", async () => {
+    const before = await web3.eth.getTransactionCount (relayerAddr);
+
+    const requests = [
+      await moveRequest (operator, ["g"], "{}"),
+      await sign (owner, del.methods[
+          "grant(string,string,string[],address,uint256,bool)"].request (
+              "p", "x", ["h"], other, maxUint256, false)),
+    ];
+    const submitted
+        = requests.map (r => relayer.submit (r.request, r.signature));
+
+    /* The same request cannot be submitted again while it is in flight.  */
+    await expectRejected (requests[0], "already pending");
+
+    const ids = await Promise.all (submitted);
+
+    const statuses = await Promise.all (ids.map (waitFor));
+    assert.deepEqual (statuses.map (s => s.status), ["confirmed", "confirmed"]);
+    assert.deepEqual (statuses.map (s => s.nonce).sort (),
+                      [before, before + 1]);
+    assert.equal (await web3.eth.getTransactionCount (relayerAddr), before + 2);
+    assert.isTrue (await del.hasAccess ("p", "x", ["h"], other, 1));
+  });
+
+  it ("serves requests over HTTP", async () => {
+    const server = createRelayerServer (relayer);
+    await new Promise (resolve => server.listen (0, "127.0.0.1", resolve));
+    const port = server.address ().port;
+
+    const query = (method, path, body) => new Promise ((resolve, reject) => {
+      const req = http.request ({
+        host: "127.0.0.1",
+        port,
+        method,
+        path,
+        headers: {"Content-Type": "application/json"},
+      }, (res) => {
+        let data = "";
+        res.on ("data", chunk => data += chunk);
+        res.on ("end", () => resolve ({
+          status: res.statusCode,
+          data: JSON.parse (data),
+        }));
+      });
+      req.on ("error", reject);
+      if (body !== undefined)
+        req.write (body);
+      req.end ();
+    });
+
+    try
+      {
+        const signed = await moveRequest (operator, ["g"], "{}");
+        let res = await query ("POST", "/relay", JSON.stringify (signed));
+        assert.equal (res.status, 202);
+        const id = res.data.id;
+
+        await waitFor (id);
+        res = await query ("GET", `/status/${id}`);
+        assert.equal (res.status, 200);
+        assert.equal (res.data.status, "confirmed");
+
+        res = await query ("POST", "/relay", JSON.stringify (signed));
+        assert.equal (res.status, 400);
+        assert.include (res.data.error, "invalid signature, nonce or deadline");
+        res = await query ("POST", "/relay", "invalid");
+        assert.equal (res.status, 400);
+        res = await query ("POST", "/relay", "x".repeat (100 * 1024));
+        assert.equal (res.status, 413);
+        assert.include (res.data.error, "exceeds 65536 bytes");
+        res = await query ("GET", "/relay");
+        assert.equal (res.status, 405);
+        res = await query ("GET", "/status/42");
+        assert.equal (res.status, 404);
+      }
+    finally
+      {
+        await new Promise (resolve => server.close (resolve));
+      }
+  });
+
+});
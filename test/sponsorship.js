@@ -0,0 +1,290 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const truffleContract = require ("@truffle/contract");
+
+const wchiData = require ("@xaya/wchi/build/contracts/WCHI.json");
+const WCHI = truffleContract (wchiData);
+WCHI.setProvider (web3.currentProvider);
+
+const policyData
+    = require ("@xaya/eth-account-registry/build/contracts/TestPolicy.json");
+const TestPolicy = truffleContract (policyData);
+TestPolicy.setProvider (web3.currentProvider);
+const accountsData
+    = require ("@xaya/eth-account-registry/build/contracts/XayaAccounts.json");
+const XayaAccounts = truffleContract (accountsData);
+XayaAccounts.setProvider (web3.currentProvider);
+
+const XayaDelegation = artifacts.require ("XayaDelegation");
+const XayaForwarder = artifacts.require ("XayaForwarder");
+
+const {
+  DelegationClient,
+  Relayer,
+  SponsorshipPolicy,
+  createSignedRequest,
+  zeroAddress,
+} = require ("../lib");
+
+const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+
+contract ("SponsorshipPolicy", accounts => {
+  let supply = accounts[0];
+  let relayerAddr = accounts[1];
+  let owner = accounts[2];
+  let payer = accounts[3];
+
+  let wchi, acc, fwd, del, client, user;
+  beforeEach (async () => {
+    wchi = await WCHI.new ({from: supply});
+    const policy = await TestPolicy.new ({from: supply});
+    acc = await XayaAccounts.new (wchi.address, policy.address, {from: supply});
+    fwd = await XayaForwarder.new ();
+    del = await XayaDelegation.new (acc.address, fwd.address);
+    client = await DelegationClient.create (del);
+
+    /* The payer has WCHI and sponsors the user, which has no WCHI
+       (and no ETH either).  */
+    user = web3.eth.accounts.wallet.create (1)[0];
+    await wchi.transfer (payer, 1000, {from: supply});
+    await wchi.approve (del.address, maxUint256, {from: payer});
+    await del.setSponsorBudget (user.address, 100, {from: payer});
+
+    await acc.register ("p", "x", {from: owner});
+    await acc.setApprovalForAll (del.address, true, {from: owner});
+    await client.grant ({ns: "p", name: "x", path: [],
+                         operator: user.address}, {from: owner});
+  });
+
+  /**
+   * Returns the decoded arguments for a sponsored move, as they would
+   * be passed from the relayer to the policy.
+   */
+  const moveArgs = (ns, mv, amount, payerAddr) => {
+    return {
+      ns,
+      name: "x",
+      path: [],
+      mv,
+      nonce: maxUint256,
+      amount: amount.toString (),
+      receiver: zeroAddress,
+      payer: payerAddr || payer,
+    };
+  };
+
+  /**
+   * Expects the policy to deny the given call with a message containing
+   * the given string.
+   */
+  const expectDenied = async (policy, call, msg) => {
+    try
+      {
+        await policy.evaluate (call);
+      }
+    catch (err)
+      {
+        assert.equal (err.constructor.name, "SponsorshipDenied");
+        assert.include (err.message, msg);
+        return;
+      }
+    assert.fail ("sponsorship was not denied");
+  };
+
+  /* ************************************************************************ */
+
+  it ("evaluates sponsored requests", async () => {
+    const policy = new SponsorshipPolicy (client, {
+      payer,
+      namespaces: ["p"],
+      maxCost: 50,
+      userLimit: 10,
+    });
+    const move = (mv, amount, payerAddr) => ({
+      method: "sendHierarchicalMove",
+      args: moveArgs ("p", mv, amount, payerAddr),
+      from: user.address,
+    });
+
+    assert.equal (await policy.evaluate (move ("{}", 0)), 2n);
+    assert.equal (await policy.evaluate ({
+      method: "registerFor",
+      args: {ns: "p", name: "y", owner: user.address, payer},
+      from: user.address,
+    }), 0n);
+
+    await expectDenied (policy, move ("{}", 0, owner), "not paid by this payer");
+    await expectDenied (policy, {...move ("{}", 0), args: moveArgs ("g", "{}", 0)},
+                        "namespace g is not sponsored");
+    await expectDenied (policy, move ("{}", 1), "payments are not sponsored");
+    await expectDenied (policy, move ("{}}", 0), "invalid move");
+    await expectDenied (policy, {
+      method: "registerFor",
+      args: {ns: "p", name: "abc", owner: user.address, payer},
+      from: user.address,
+    }, "exceeds the maximum");
+    await expectDenied (policy, {...move ("{}", 0), method: "grant"},
+                        "grant cannot be sponsored");
+
+    /* The per-user limit is tracked off-chain.  */
+    policy.record (user.address, 9);
+    assert.equal (policy.spent (user.address.toLowerCase ()), 9n);
+    await expectDenied (policy, move ("{}", 0), "limit is exhausted");
+  });
+
+  it ("checks the on-chain budget and WCHI", async () => {
+    const policy = new SponsorshipPolicy (client, {payer, allowPayments: true});
+    const move = (amount) => ({
+      method: "sendHierarchicalMove",
+      args: moveArgs ("p", "{}", amount),
+      from: user.address,
+    });
+
+    assert.equal (await policy.evaluate (move (98)), 100n);
+    await expectDenied (policy, move (99), "on-chain budget is insufficient");
+
+    await del.setSponsorBudget (user.address, maxUint256, {from: payer});
+    await expectDenied (policy, move (1000), "insufficient WCHI balance");
+    await wchi.approve (del.address, 10, {from: payer});
+    await expectDenied (policy, move (10), "insufficient WCHI allowance");
+  });
+
+  it ("lets the relayer sponsor requests", async () => {
+    const policy = new SponsorshipPolicy (client, {payer, userLimit: 4});
+    const relayer = new Relayer (fwd, del, {
+      from: relayerAddr,
+      sponsorship: policy,
+    });
+    const noSponsorship = new Relayer (fwd, del, {from: relayerAddr});
+
+    const signMove = async (payerAddr) => {
+      const call = await del.methods[
+          "sendHierarchicalMove(string,string,string[],string,"
+              + "uint256,uint256,address,address)"].request (
+          "p", "x", [], "{}", maxUint256, 0, zeroAddress, payerAddr);
+      return await createSignedRequest (fwd, {
+        from: user.address,
+        to: call.to,
+        data: call.data,
+      }, user.privateKey);
+    };
+
+    const expectRejected = async (r, signed, msg) => {
+      try
+        {
+          await r.submit (signed.request, signed.signature);
+        }
+      catch (err)
+        {
+          assert.include (err.message, msg);
+          return;
+        }
+      assert.fail ("request was not rejected");
+    };
+
+    let signed = await signMove (payer);
+    await expectRejected (noSponsorship, signed,
+                          "sponsorship is not available");
+    await expectRejected (relayer, await signMove (owner),
+                          "sponsorship denied: the request is not paid");
+
+    /* The user has no WCHI, so moves paid by themselves fail.  */
+    await expectRejected (relayer, await signMove (user.address),
+                          "request would fail");
+
+    const relay = async (signed) => {
+      const id = await relayer.submit (signed.request, signed.signature);
+      for (let i = 0; relayer.getStatus (id).status !== "confirmed"; ++i)
+        {
+          assert.isBelow (i, 400);
+          assert.notEqual (relayer.getStatus (id).status, "failed");
+          await new Promise (resolve => setTimeout (resolve, 50));
+        }
+    };
+
+    await relay (signed);
+
+    assert.equal (await wchi.balanceOf (payer), 1000 - 2);
+    assert.equal (await del.sponsorBudget (payer, user.address), 100 - 2);
+    assert.equal (policy.spent (user.address), 2n);
+
+    await relay (await signMove (payer));
+    await expectRejected (relayer, await signMove (payer),
+                          "limit is exhausted");
+  });
+
+  it ("applies the user limit to concurrent requests", async () => {
+    const policy = new SponsorshipPolicy (client, {payer, userLimit: 2});
+    const relayer = new Relayer (fwd, del, {
+      from: relayerAddr,
+      sponsorship: policy,
+    });
+
+    /* XayaForwarder only accepts the signer's current nonce, so that two
+       requests of the same user can only be valid at the same time with
+       a forwarder accepting later nonces as well.  Simulate that by
+       letting verify accept all requests.  */
+    fwd.verify = async () => true;
+
+    const call = await del.methods[
+        "sendHierarchicalMove(string,string,string[],string,"
+            + "uint256,uint256,address,address)"].request (
+        "p", "x", [], "{}", maxUint256, 0, zeroAddress, payer);
+    const nonce = Number (await fwd.getNonce (user.address));
+    const requests = [];
+    for (const n of [nonce, nonce + 1])
+      requests.push (await createSignedRequest (fwd, {
+        from: user.address,
+        to: call.to,
+        data: call.data,
+        nonce: n,
+      }, user.privateKey));
+
+    const results = await Promise.allSettled (
+        requests.map (r => relayer.submit (r.request, r.signature)));
+    assert.equal (results[0].status, "fulfilled");
+    assert.equal (results[1].status, "rejected");
+    assert.include (results[1].reason.message, "limit is exhausted");
+    assert.equal (policy.spent (user.address), 2n);
+    assert.deepEqual ([...relayer.validating.keys ()], []);
+  });
+
+  it ("releases the sponsorship of failed relays", async () => {
+    const policy = new SponsorshipPolicy (client, {payer, userLimit: 2});
+    const relayer = new Relayer (fwd, del, {
+      from: relayerAddr,
+      sponsorship: policy,
+    });
+
+    const call = await del.methods[
+        "sendHierarchicalMove(string,string,string[],string,"
+            + "uint256,uint256,address,address)"].request (
+        "p", "x", [], "{}", maxUint256, 0, zeroAddress, payer);
+    const signed = await createSignedRequest (fwd, {
+      from: user.address,
+      to: call.to,
+      data: call.data,
+    }, user.privateKey);
+
+    /* Hold back sending until the on-chain budget has been removed,
+       so that the relayed transaction reverts.  */
+    let unblock;
+    relayer.queue = new Promise (resolve => unblock = resolve);
+    const id = await relayer.submit (signed.request, signed.signature);
+    assert.equal (policy.spent (user.address), 2n);
+
+    await del.setSponsorBudget (user.address, 0, {from: payer});
+    unblock ();
+    for (let i = 0; relayer.getStatus (id).status !== "failed"; ++i)
+      {
+        assert.isBelow (i, 400);
+        assert.notEqual (relayer.getStatus (id).status, "confirmed");
+        await new Promise (resolve => setTimeout (resolve, 50));
+      }
+
+    assert.equal (policy.spent (user.address), 0n);
+    assert.equal (await wchi.balanceOf (payer), 1000);
+  });
+
+});
@@ -0,0 +1,185 @@
+// SPDX-License-Identifier: MIT
+// Copyright (C) 2026 Autonomous Worlds Ltd
+
+const NamePermissions = artifacts.require ("NamePermissions");
+
+const {
+  MovePermissions,
+  PermissionType,
+  emptyNode,
+  getChild,
+  moveConstraints,
+  readTree,
+  setChild,
+} = require ("../lib");
+
+const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+
+contract ("TreeReader", acc => {
+  let np;
+  beforeEach (async () => {
+    np = await NamePermissions.new ();
+  });
+
+  const grant = async (tokenId, owner, path, operator,
+                       expiration, fallback) => {
+    await np.grant (tokenId, owner, path, operator, expiration, fallback,
+                    {from: owner});
+  };
+
+  /**
+   * Reads the tree with various batch sizes, checks that they all
+   * agree and returns the result.
+   */
+  const read = async (tokenId, owner) => {
+    const res = await readTree (np, tokenId, owner);
+    for (const batchSize of [2, 100])
+      assert.deepEqual (await readTree (np, tokenId, owner, {batchSize}), res);
+    return res;
+  };
+
+  it ("reads empty trees", async () => {
+    assert.deepEqual (await read (1, acc[0]), emptyNode ());
+
+    await grant (1, acc[0], ["g"], acc[1], 10, false);
+    assert.deepEqual (await read (1, acc[1]), emptyNode ());
+    assert.deepEqual (await read (2, acc[0]), emptyNode ());
+  });
+
+  it ("reconstructs the tree", async () => {
+    await grant (1, acc[0], [], acc[1], maxUint256, true);
+    await grant (1, acc[0], ["g"], acc[2], 100, false);
+    await grant (1, acc[0], ["g"], acc[3], 50, true);
+    await grant (1, acc[0], ["g", "tn"], acc[2], 200, false);
+    await grant (1, acc[0], ["g", "tn"], acc[3], 10, false);
+    await grant (1, acc[0], ["g", "dem", "x"], acc[4], 42, true);
+    await grant (1, acc[0], ["s"], acc[1], 5, false);
+
+    /* Permissions for other names or owners should not matter.  */
+    await grant (1, acc[1], ["g"], acc[2], 100, false);
+    await grant (2, acc[0], ["g", "tn"], acc[2], 100, false);
+
+    assert.deepEqual (await read (1, acc[0]), {
+      fullAccess: {},
+      fallbackAccess: {[acc[1]]: maxUint256},
+      children: {
+        "g": {
+          fullAccess: {[acc[2]]: "100"},
+          fallbackAccess: {[acc[3]]: "50"},
+          children: {
+            "tn": {
+              fullAccess: {[acc[2]]: "200", [acc[3]]: "10"},
+              fallbackAccess: {},
+              children: {},
+            },
+            "dem": {
+              fullAccess: {},
+              fallbackAccess: {},
+              children: {
+                "x": {
+                  fullAccess: {},
+                  fallbackAccess: {[acc[4]]: "42"},
+                  children: {},
+                },
+              },
+            },
+          },
+        },
+        "s": {
+          fullAccess: {[acc[1]]: "5"},
+          fallbackAccess: {},
+          children: {},
+        },
+      },
+    });
+  });
+
+  it ("reflects revoked and pruned nodes", async () => {
+    await grant (1, acc[0], ["g"], acc[1], 100, false);
+    await grant (1, acc[0], ["g", "tn", "x"], acc[2], 100, false);
+    await np.revoke (1, acc[0], ["g", "tn", "x"], acc[2], false,
+                     {from: acc[0]});
+
+    assert.deepEqual (await read (1, acc[0]), {
+      fullAccess: {},
+      fallbackAccess: {},
+      children: {
+        "g": {
+          fullAccess: {[acc[1]]: "100"},
+          fallbackAccess: {},
+          children: {},
+        },
+      },
+    });
+  });
+
+  it ("reads permission types and constraints", async () => {
+    await np.grantWithType (1, acc[0], ["g"], acc[1], 100, false,
+                            PermissionType.MoveOnly, {from: acc[0]});
+    await np.grantWithType (1, acc[0], ["g"], acc[2], 100, true,
+                            PermissionType.AdminOnly, {from: acc[0]});
+    await np.grantWithConstraints (1, acc[0], ["g"], acc[3], 100, false,
+                                   moveConstraints ({maxMoves: 5}),
+                                   {from: acc[0]});
+    await grant (1, acc[0], ["g"], acc[4], 100, false);
+
+    const tree = await read (1, acc[0]);
+    assert.deepEqual (tree.children["g"].fullRestrictions, {
+      [acc[1]]: {permissionType: PermissionType.MoveOnly, constrained: false},
+      [acc[3]]: {permissionType: PermissionType.Full, constrained: true},
+    });
+    assert.deepEqual (tree.children["g"].fallbackRestrictions, {
+      [acc[2]]: {permissionType: PermissionType.AdminOnly, constrained: false},
+    });
+    assert.isUndefined (tree.fullRestrictions);
+
+    /* The local checks agree with the contract.  */
+    for (const operator of acc.slice (1, 5))
+      for (const path of [["g"], ["g", "x"], ["s"]])
+        {
+          assert.equal (
+              MovePermissions.hasAccess (tree, acc[0], path, operator, 50),
+              await np.hasAccess (1, acc[0], path, operator, 50),
+              `move access of ${operator} to ${path}`);
+          assert.equal (
+              MovePermissions.canManage (tree, acc[0], path, operator, 50),
+              await np.canManage (1, acc[0], path, operator, 50),
+              `manage access of ${operator} to ${path}`);
+        }
+  });
+
+  it ("reads a larger tree", async () => {
+    const keys = ["a", "b", "constructor", "__proto__"];
+    const operators = acc.slice (1, 4);
+
+    /* Build up a tree of random grants and the corresponding expected
+       structure in parallel.  The expiration increases with every grant,
+       so that re-granting existing permissions is always allowed.  */
+    const expected = emptyNode ();
+    for (let i = 1; i <= 40; ++i)
+      {
+        const depth = Math.floor (Math.random () * 4);
+        const path = [];
+        let node = expected;
+        for (let j = 0; j < depth; ++j)
+          {
+            const key = keys[Math.floor (Math.random () * keys.length)];
+            path.push (key);
+            if (getChild (node, key) === undefined)
+              setChild (node, key, emptyNode ());
+            node = getChild (node, key);
+          }
+
+        const operator
+            = operators[Math.floor (Math.random () * operators.length)];
+        const fallback = Math.random () < 0.5;
+        await grant (1, acc[0], path, operator, i, fallback);
+
+        const map = fallback ? node.fallbackAccess : node.fullAccess;
+        map[operator] = i.toString ();
+      }
+
+    assert.deepEqual (await read (1, acc[0]), expected);
+  });
+
+});
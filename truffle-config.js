@@ -3,11 +3,17 @@ var HDWalletProvider = require ("@truffle/hdwallet-provider");
 const Web3 = require ("web3");
 const web3 = new Web3 ();
 
+const deployment = require ("./deployment/networks.js");
+
 module.exports = {
   compilers: {
     solc: {
       version: "0.8.13",
       settings: {
+        /* The same settings as for the audited contract.  To keep
+           XayaDelegation below the EIP-170 code size limit with them,
+           most of its logic (including signed grants and batched moves)
+           is in linked libraries.  */
         optimizer: {
           enabled: true,
           runs: 20000
@@ -16,6 +22,14 @@ module.exports = {
     }
   },
   networks: {
+    /* A local development chain (e.g. ganache).  This is not called
+       "development", so that "truffle test" still uses its own chain.  */
+    local: {
+      host: "127.0.0.1",
+      port: 8545,
+      network_id: "*",
+      confirmations: deployment.local.confirmations
+    },
     mumbai: {
       provider: function ()
         {
@@ -25,11 +39,10 @@ module.exports = {
           });
         },
       network_id: 80001,
-      confirmations: 2,
+      confirmations: deployment.mumbai.confirmations,
       timeoutBlocks: 200,
       maxFeePerGas: web3.utils.toWei ('50', 'gwei'),
-      maxPriorityFeePerGas: web3.utils.toWei ('35', 'gwei'),
-      forwarder: "0x69015912AA33720b842dCD6aC059Ed623F28d9f7"
+      maxPriorityFeePerGas: web3.utils.toWei ('35', 'gwei')
     },
     polygon: {
       provider: function ()
@@ -40,11 +53,10 @@ module.exports = {
           });
         },
       network_id: 137,
-      confirmations: 2,
+      confirmations: deployment.polygon.confirmations,
       timeoutBlocks: 200,
       maxFeePerGas: web3.utils.toWei ('100', 'gwei'),
-      maxPriorityFeePerGas: web3.utils.toWei ('35', 'gwei'),
-      forwarder: "0xf0511f123164602042ab2bCF02111fA5D3Fe97CD"
+      maxPriorityFeePerGas: web3.utils.toWei ('35', 'gwei')
     },
   },
   plugins: ["solidity-coverage"]